@@ -75,6 +75,17 @@ import barcodeRoutes from './routes/barcodeRoutes.js';
 import salesRoutes from './routes/salesRoutes.js';
 import supplierRoutes from './routes/supplierRoutes.js';
 import storeRoutes from './routes/storeRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import taxRoutes from './routes/taxRoutes.js';
+import giftCardRoutes from './routes/giftCardRoutes.js';
+import purchaseOrderRoutes from './routes/purchaseOrderRoutes.js';
+import stocktakeRoutes from './routes/stocktakeRoutes.js';
+import transferRoutes from './routes/transferRoutes.js';
+import adjustmentRoutes from './routes/adjustmentRoutes.js';
+import bundleRoutes from './routes/bundleRoutes.js';
+import uomRoutes from './routes/uomRoutes.js';
+import priceListRoutes from './routes/priceListRoutes.js';
+import priceChangeRoutes from './routes/priceChangeRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import consentRoutes from './routes/consentRoutes.js';
 import { errorHandler } from './middleware/error.middleware.js';
@@ -96,6 +107,17 @@ app.use('/api/sales', salesRoutes);
 app.use('/api/barcode', barcodeRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/taxes', taxRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/adjustments', adjustmentRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/units', uomRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/price-changes', priceChangeRoutes);
 app.use('/api/verify', verifyEmailRoutes);
 // GDPR User Data Access/Erasure/Export Endpoints
 app.use('/api/user', userRoutes);
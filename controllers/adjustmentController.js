@@ -0,0 +1,161 @@
+// adjustmentController.js
+// Handles adjustment reason codes and reason-coded stock write-offs
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns product, quantity, cost and reason code data necessary to account for stock losses.
+// - Does not return or log unnecessary or sensitive data; manager credentials are only used to confirm an approval.
+// - All endpoints are documented with their data processing purpose.
+
+import * as adjustmentService from '../services/adjustmentService.js';
+import { resolveApprover, MANAGER_ROLES } from '../services/approvalService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const reasonSchema = Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(32).required(),
+    name: Joi.string().trim().max(64).required(),
+    isShrinkage: Joi.boolean().default(true),
+    approvalThreshold: Joi.number().min(0).allow(null)
+});
+
+const reasonUpdateSchema = Joi.object({
+    name: Joi.string().trim().max(64),
+    isShrinkage: Joi.boolean(),
+    approvalThreshold: Joi.number().min(0).allow(null),
+    isActive: Joi.boolean()
+}).min(1);
+
+// Written off a store or a warehouse, not both; tracked products name the batch or the serials written off
+const writeOffSchema = Joi.object({
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    reasonCode: Joi.string().max(32).required(),
+    note: Joi.string().max(256).allow(''),
+    lines: Joi.array().items(
+        Joi.object({
+            productId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).required(),
+            batchNumber: Joi.string().max(64),
+            serialNumbers: Joi.array().items(Joi.string().max(128)).unique()
+        })
+    ).min(1).required(),
+    managerEmail: Joi.string().email(),
+    managerPassword: Joi.string()
+}).xor('storeId', 'warehouseId');
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List adjustment reason codes (?includeInactive=true)
+ * Purpose: Only returns reason code settings.
+ */
+export async function getAdjustmentReasons(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await adjustmentService.getAdjustmentReasons({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('ADJUSTMENT_REASON_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create an adjustment reason code
+ * Purpose: Only processes reason code settings.
+ */
+export async function createAdjustmentReason(req, res) {
+    const { error, value } = reasonSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'ADJUSTMENT_REASON_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const reason = await adjustmentService.createAdjustmentReason({ ...value, tenantId });
+        logEvent('ADJUSTMENT_REASON_CREATE_SUCCESS', { id: reason.id, code: reason.code });
+        res.status(201).json(reason);
+    } catch (err) {
+        logEvent('ADJUSTMENT_REASON_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Update an adjustment reason code
+ * Purpose: Only processes reason code settings.
+ */
+export async function updateAdjustmentReason(req, res) {
+    const { id } = req.params;
+    const { error, value } = reasonUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'ADJUSTMENT_REASON_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const reason = await adjustmentService.updateAdjustmentReason(id, tenantId, value);
+        logEvent('ADJUSTMENT_REASON_UPDATE_SUCCESS', { id: reason.id, code: reason.code });
+        res.json(reason);
+    } catch (err) {
+        logEvent('ADJUSTMENT_REASON_UPDATE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Write stock off under a reason code; above the approval threshold a manager must sign off
+ * (a manager writing off for themselves approves implicitly; anyone else supplies manager credentials)
+ * Purpose: Only processes product and quantity data and the approval needed for the audit trail.
+ */
+export async function writeOffStock(req, res) {
+    const { error, value } = writeOffSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'STOCK_WRITE_OFF_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { managerEmail, managerPassword, ...writeOff } = value;
+        const isManager = MANAGER_ROLES.includes(String(req.user.role).toLowerCase());
+        const approverId = isManager || managerEmail
+            ? await resolveApprover({ tenantId, user: req.user, managerEmail, managerPassword, action: 'STOCK_WRITE_OFF' })
+            : null;
+        const result = await adjustmentService.writeOffStock({ ...writeOff, tenantId, userId: req.user.id, approverId });
+        logEvent('STOCK_WRITE_OFF_SUCCESS', { reasonCode: result.reasonCode, totalValue: result.totalValue, approverId });
+        res.status(201).json(result);
+    } catch (err) {
+        logEvent('STOCK_WRITE_OFF_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import adjustmentController from ...
+export default {
+  getAdjustmentReasons,
+  createAdjustmentReason,
+  updateAdjustmentReason,
+  writeOffStock
+};
@@ -0,0 +1,125 @@
+// batchController.js
+// Handles batch and serial number listing, serial lookup and serial lifecycle changes
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns batch numbers, serial numbers, statuses, quantities and sale references.
+// - Does not return or log unnecessary or sensitive data; customers are referenced by id only.
+// - All endpoints are documented with their data processing purpose.
+
+import * as batchService from '../services/batchService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const statusSchema = Joi.object({
+    status: Joi.string().valid(...batchService.SERIAL_STATUSES).required(),
+    note: Joi.string().max(256).allow('')
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List batches (?productId=, ?storeId=, ?warehouseId=, ?batchNumber=, ?expiringWithinDays=, ?includeEmpty=true)
+ * Purpose: Only returns batch numbers, expiry dates and quantities.
+ */
+export async function getBatches(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await batchService.getBatches({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('BATCH_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * List serial numbers (?productId=, ?storeId=, ?warehouseId=, ?status=, ?serialNumber=)
+ * Purpose: Only returns serial numbers, statuses and locations.
+ */
+export async function getSerials(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await batchService.getSerials({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('SERIAL_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Look up a serial number with its history and the sale it went out on
+ * Purpose: Only returns serial, status and sale references.
+ */
+export async function getSerialByNumber(req, res) {
+    const { serialNumber } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const serial = await batchService.getSerialByNumber(serialNumber, tenantId);
+        if (!serial) {
+            return res.status(404).json({ message: 'Serial number not found' });
+        }
+        res.json(serial);
+    } catch (err) {
+        logEvent('SERIAL_GET_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Move a serial number to another lifecycle state (in stock, returned, under repair, scrapped)
+ * Purpose: Only processes the serial's status and a note.
+ */
+export async function changeSerialStatus(req, res) {
+    const { serialNumber } = req.params;
+    const { error, value } = statusSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'SERIAL_STATUS_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const serial = await batchService.changeSerialStatus(serialNumber, tenantId, { ...value, userId: req.user.id });
+        logEvent('SERIAL_STATUS_SUCCESS', { id: serial.id, status: serial.status });
+        res.json(serial);
+    } catch (err) {
+        logEvent('SERIAL_STATUS_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import batchController from ...
+export default {
+  getBatches,
+  getSerials,
+  getSerialByNumber,
+  changeSerialStatus
+};
@@ -0,0 +1,139 @@
+// bundleController.js
+// Handles bundle and kit components, bundle availability and kit assembly
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns product, component, quantity and cost data.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as bundleService from '../services/bundleService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// revenueShare weights the component when bundle revenue is allocated; by default its price x quantity is used
+const componentsSchema = Joi.object({
+    components: Joi.array().items(
+        Joi.object({
+            productId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).required(),
+            revenueShare: Joi.number().min(0).allow(null)
+        })
+    ).unique('productId').required()
+});
+
+// Assembled at a store or a warehouse, not both
+const assembleSchema = Joi.object({
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    quantity: Joi.number().integer().min(1).required()
+}).xor('storeId', 'warehouseId');
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List bundles with their components
+ * Purpose: Only returns product and component data.
+ */
+export async function getBundles(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await bundleService.getBundles({ tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('BUNDLE_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Set a bundle's components (an empty list makes it a plain product again)
+ * Purpose: Only processes product and component data.
+ */
+export async function setBundleComponents(req, res) {
+    const { id } = req.params;
+    const { error, value } = componentsSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'BUNDLE_COMPONENTS_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const bundle = await bundleService.setBundleComponents(id, tenantId, value);
+        logEvent('BUNDLE_COMPONENTS_SUCCESS', { id: bundle.id, components: bundle.components.length });
+        res.json(bundle);
+    } catch (err) {
+        logEvent('BUNDLE_COMPONENTS_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Bundle availability at a store or warehouse (?storeId= or ?warehouseId=)
+ * Purpose: Only returns stock quantities.
+ */
+export async function getBundleAvailability(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await bundleService.getBundleAvailability(id, tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        logEvent('BUNDLE_AVAILABILITY_ERROR', { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Assemble kits into stock from their components
+ * Purpose: Only processes product, quantity and cost data.
+ */
+export async function assembleKits(req, res) {
+    const { id } = req.params;
+    const { error, value } = assembleSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'KIT_ASSEMBLY_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await bundleService.assembleKits(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('KIT_ASSEMBLY_SUCCESS', { id: result.bundleId, quantity: result.quantity });
+        res.status(201).json(result);
+    } catch (err) {
+        logEvent('KIT_ASSEMBLY_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import bundleController from ...
+export default {
+  getBundles,
+  setBundleComponents,
+  getBundleAvailability,
+  assembleKits
+};
@@ -44,6 +44,7 @@ function sanitizeCategory(category) {
 const categorySchema = Joi.object({
     name: Joi.string().min(2).max(64).required(),
     description: Joi.string().max(256).allow(''),
+    taxClassId: Joi.number().integer().allow(null),
     isActive: Joi.boolean().default(true)
 });
 
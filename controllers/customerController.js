@@ -1,6 +1,6 @@
 
 // customerController.js
-// Handles customer CRUD operations
+// Handles customer CRUD operations, loyalty points and store credit
 //
 // GDPR Data Minimization & Purpose Limitation:
 // - Only processes and returns customer data necessary for business operations.
@@ -10,6 +10,8 @@
 import { PrismaClient } from '@prisma/client';
 import Joi from 'joi';
 import winston from 'winston';
+import * as loyaltyService from '../services/loyaltyService.js';
+import * as storeCreditService from '../services/storeCreditService.js';
 const prisma = new PrismaClient();
 
 const logger = winston.createLogger({
@@ -29,6 +31,7 @@ const customerSchema = Joi.object({
     email: Joi.string().email().required(),
     phone: Joi.string().pattern(/^\+?[0-9\- ]{7,20}$/).allow(''),
     address: Joi.string().max(256).allow(''),
+    customerGroupId: Joi.number().integer().allow(null),
     isActive: Joi.boolean().default(true)
 });
 
@@ -37,9 +40,35 @@ const customerUpdateSchema = Joi.object({
     email: Joi.string().email(),
     phone: Joi.string().pattern(/^\+?[0-9\- ]{7,20}$/).allow(''),
     address: Joi.string().max(256).allow(''),
+    customerGroupId: Joi.number().integer().allow(null),
     isActive: Joi.boolean()
 });
 
+const loyaltyProgramSchema = Joi.object({
+    isActive: Joi.boolean(),
+    earnRate: Joi.number().min(0),
+    redeemValue: Joi.number().greater(0),
+    minRedeemPoints: Joi.number().integer().min(0),
+    tiers: Joi.array().items(
+        Joi.object({
+            name: Joi.string().min(1).max(32).required(),
+            minSpend: Joi.number().min(0).required(),
+            multiplier: Joi.number().greater(0).default(1)
+        })
+    ).unique('name'),
+    tierWindowDays: Joi.number().integer().min(1).max(3650)
+}).min(1);
+
+const loyaltyAdjustSchema = Joi.object({
+    points: Joi.number().integer().invalid(0).required(),
+    note: Joi.string().min(3).max(256).required()
+});
+
+const storeCreditAdjustSchema = Joi.object({
+    amount: Joi.number().precision(2).invalid(0).required(),
+    note: Joi.string().min(3).max(256).required()
+});
+
 function logEvent(event, details) {
     logger.info({ event, ...details });
 }
@@ -56,6 +85,12 @@ function sanitizeCustomer(customer) {
     return rest;
 }
 
+// A customer group must belong to the same tenant
+async function groupExists(customerGroupId, tenantId) {
+    if (customerGroupId === undefined || customerGroupId === null) return true;
+    return Boolean(await prisma.customerGroup.findFirst({ where: { id: customerGroupId, tenantId } }));
+}
+
 function maskEmail(email) {
     if (!email) return '';
     const [user, domain] = email.split('@');
@@ -83,6 +118,10 @@ export async function createCustomer(req, res) {
             logEvent('CUSTOMER_CREATE_FAIL', { reason: 'Customer already exists', email: maskEmail(value.email) });
             return res.status(409).json({ message: 'Customer already exists.' });
         }
+        if (!(await groupExists(value.customerGroupId, tenantId))) {
+            logEvent('CUSTOMER_CREATE_FAIL', { reason: 'Customer group not found', customerGroupId: value.customerGroupId });
+            return res.status(404).json({ message: 'Customer group not found.' });
+        }
         const customer = await prisma.customer.create({ data: { ...value, tenantId } });
         logEvent('CUSTOMER_CREATE_SUCCESS', { id: customer.id, email: maskEmail(customer.email) });
         res.status(201).json(sanitizeCustomer(customer));
@@ -97,7 +136,13 @@ export default {
   createCustomer,
   getCustomers,
   updateCustomer,
-  deleteCustomer
+  deleteCustomer,
+  getLoyaltyProgram,
+  saveLoyaltyProgram,
+  getCustomerLoyalty,
+  adjustLoyaltyPoints,
+  getStoreCredit,
+  adjustStoreCredit
 };
 
 /**
@@ -170,6 +215,10 @@ export async function updateCustomer(req, res) {
                 return res.status(409).json({ message: 'Phone already in use.' });
             }
         }
+        if (!(await groupExists(value.customerGroupId, tenantId))) {
+            logEvent('CUSTOMER_UPDATE_FAIL', { id, reason: 'Customer group not found', customerGroupId: value.customerGroupId });
+            return res.status(404).json({ message: 'Customer group not found.' });
+        }
         const customer = await prisma.customer.update({
             where: { id: Number(id), tenantId },
             data: value
@@ -205,3 +254,136 @@ export async function deleteCustomer(req, res) {
         res.status(404).json({ message: 'Customer not found', error: err.message });
     }
 }
+
+/**
+ * Get the tenant's loyalty programme settings
+ * Purpose: Only returns programme settings. No customer data processed.
+ */
+export async function getLoyaltyProgram(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const program = await loyaltyService.getProgram(tenantId);
+        if (!program) {
+            return res.status(404).json({ message: 'Loyalty programme not configured' });
+        }
+        res.json(program);
+    } catch (err) {
+        logEvent('LOYALTY_PROGRAM_GET_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create or update the loyalty programme (earn rate, point value, tiers)
+ * Purpose: Only processes programme settings. No customer data processed.
+ */
+export async function saveLoyaltyProgram(req, res) {
+    const { error, value } = loyaltyProgramSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('LOYALTY_PROGRAM_SAVE_FAIL', { reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const program = await loyaltyService.saveProgram(tenantId, value);
+        logEvent('LOYALTY_PROGRAM_SAVE_SUCCESS', { id: program.id });
+        res.json(program);
+    } catch (err) {
+        logEvent('LOYALTY_PROGRAM_SAVE_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a customer's points balance, tier and points ledger (?page=, ?limit=)
+ * Purpose: Only returns the loyalty data of one customer needed at the till.
+ */
+export async function getCustomerLoyalty(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const loyalty = await loyaltyService.getCustomerLoyalty(id, tenantId, req.query);
+        res.json(loyalty);
+    } catch (err) {
+        logEvent('CUSTOMER_LOYALTY_GET_ERROR', { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Manually credit or debit a customer's points with a note
+ * Purpose: Only processes the point balance of one customer and records who changed it.
+ */
+export async function adjustLoyaltyPoints(req, res) {
+    const { id } = req.params;
+    const { error, value } = loyaltyAdjustSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('CUSTOMER_LOYALTY_ADJUST_FAIL', { id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const entry = await loyaltyService.adjustPoints(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('CUSTOMER_LOYALTY_ADJUST_SUCCESS', { id, points: entry.points, balanceAfter: entry.balanceAfter });
+        res.status(201).json(entry);
+    } catch (err) {
+        logEvent('CUSTOMER_LOYALTY_ADJUST_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Get a customer's store credit balance and ledger (?page=, ?limit=)
+ * Purpose: Only returns the credit data of one customer needed at the till.
+ */
+export async function getStoreCredit(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const credit = await storeCreditService.getStoreCredit(id, tenantId, req.query);
+        res.json(credit);
+    } catch (err) {
+        logEvent('CUSTOMER_STORE_CREDIT_GET_ERROR', { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Manually issue (positive) or take back (negative) store credit with a note
+ * Purpose: Only processes the credit balance of one customer and records who changed it.
+ */
+export async function adjustStoreCredit(req, res) {
+    const { id } = req.params;
+    const { error, value } = storeCreditAdjustSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('CUSTOMER_STORE_CREDIT_ADJUST_FAIL', { id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const entry = await storeCreditService.adjustStoreCredit(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('CUSTOMER_STORE_CREDIT_ADJUST_SUCCESS', { id, amount: entry.amount, balanceAfter: entry.balanceAfter });
+        res.status(201).json(entry);
+    } catch (err) {
+        logEvent('CUSTOMER_STORE_CREDIT_ADJUST_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
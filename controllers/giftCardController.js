@@ -0,0 +1,195 @@
+// giftCardController.js
+// Handles gift cards: issue, activate, void, balance lookup, ledger and printable barcode
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns card codes and balances necessary to honour stored value.
+// - Does not return or log unnecessary or sensitive data (card codes are masked in listings and logs).
+// - All endpoints are documented with their data processing purpose.
+
+import * as giftCardService from '../services/giftCardService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const issueSchema = Joi.object({
+    amount: Joi.number().precision(2).greater(0).required(),
+    customerId: Joi.number().integer().allow(null),
+    expiresAt: Joi.date().iso().greater('now'),
+    // Pre-printed stock is issued inactive and activated when sold
+    activate: Joi.boolean().default(true),
+    note: Joi.string().max(256).allow('')
+});
+
+const voidSchema = Joi.object({
+    reason: Joi.string().min(3).max(256).required()
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * Issue a gift card with a generated code
+ * Purpose: Only processes the card value and optional customer link.
+ */
+export async function issueGiftCard(req, res) {
+    const { error, value } = issueSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'GIFT_CARD_ISSUE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const card = await giftCardService.issueGiftCard({ ...value, tenantId, userId: req.user.id });
+        logEvent('GIFT_CARD_ISSUE_SUCCESS', { id: card.id, code: giftCardService.maskCode(card.code) });
+        res.status(201).json(card);
+    } catch (err) {
+        logEvent('GIFT_CARD_ISSUE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List gift cards with masked codes and the outstanding balance (?status=, ?customerId=)
+ * Purpose: Only returns card balances needed to manage stored value.
+ */
+export async function getGiftCards(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await giftCardService.getGiftCards({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('GIFT_CARD_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Balance lookup by card code
+ * Purpose: Only returns the card status, balance and expiry.
+ */
+export async function getGiftCard(req, res) {
+    const { code } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const card = await giftCardService.getGiftCard(code, tenantId);
+        res.json(card);
+    } catch (err) {
+        logEvent('GIFT_CARD_GET_ERROR', { code: giftCardService.maskCode(code), error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Ledger of a gift card (?page=, ?limit=)
+ * Purpose: Only returns balance movements of one card.
+ */
+export async function getGiftCardTransactions(req, res) {
+    const { code } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await giftCardService.getGiftCardTransactions(code, tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        logEvent('GIFT_CARD_LEDGER_ERROR', { code: giftCardService.maskCode(code), error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Printable barcode of a card code (?format=png|svg)
+ * Purpose: Only processes the card code for printing.
+ */
+export async function getGiftCardBarcode(req, res) {
+    const { code } = req.params;
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const image = await giftCardService.getGiftCardBarcode(code, tenantId, { format });
+        res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+    } catch (err) {
+        logEvent('GIFT_CARD_BARCODE_ERROR', { code: giftCardService.maskCode(code), error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Activate an inactive card so it can be redeemed
+ * Purpose: Only updates the card status.
+ */
+export async function activateGiftCard(req, res) {
+    const { code } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const card = await giftCardService.activateGiftCard(code, tenantId);
+        logEvent('GIFT_CARD_ACTIVATE_SUCCESS', { id: card.id });
+        res.json(card);
+    } catch (err) {
+        logEvent('GIFT_CARD_ACTIVATE_ERROR', { code: giftCardService.maskCode(code), error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Void a card and write off its balance
+ * Purpose: Only updates the card status and balance, with the reason for the audit trail.
+ */
+export async function voidGiftCard(req, res) {
+    const { code } = req.params;
+    const { error, value } = voidSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'GIFT_CARD_VOID_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const card = await giftCardService.voidGiftCard(code, tenantId, { reason: value.reason, userId: req.user.id });
+        logEvent('GIFT_CARD_VOID_SUCCESS', { id: card.id });
+        res.json(card);
+    } catch (err) {
+        logEvent('GIFT_CARD_VOID_ERROR', { code: giftCardService.maskCode(code), error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import giftCardController from ...
+export default {
+  issueGiftCard,
+  getGiftCards,
+  getGiftCard,
+  getGiftCardTransactions,
+  getGiftCardBarcode,
+  activateGiftCard,
+  voidGiftCard
+};
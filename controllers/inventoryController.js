@@ -114,6 +114,7 @@ export async function syncInventory(req, res) {
 // - All endpoints are documented with their data processing purpose.
 import { PrismaClient } from '@prisma/client';
 import * as inventoryService from '../services/inventoryService.js';
+import * as valuationService from '../services/valuationService.js';
 import Joi from 'joi';
 import winston from 'winston';
 import { sendWhatsApp, sendEmail } from '../services/smsService.js';
@@ -209,7 +210,7 @@ export async function batchUpdateInventory(req, res) {
 
 const inventorySchema = Joi.object({
     productId: Joi.number().integer().required(),
-    quantity: Joi.number().integer().min(0).required(),
+    quantity: Joi.number().min(0).precision(3).required(),
     location: Joi.string().max(128).allow(''),
     minStock: Joi.number().integer().min(0).default(0),
     maxStock: Joi.number().integer().min(0).allow(null),
@@ -217,6 +218,17 @@ const inventorySchema = Joi.object({
     storeId: Joi.number().integer().required()
 });
 
+const valuationSchema = Joi.object({
+    method: Joi.string().uppercase().valid('FIFO', 'LIFO', 'AVG').default('FIFO'),
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    categoryId: Joi.number().integer(),
+    productId: Joi.number().integer(),
+    // Value stock as it stood at this moment
+    asOf: Joi.date().iso().max('now'),
+    layers: Joi.boolean().default(false)
+});
+
 
 function logEvent(event, details) {
     logger.info({ event, ...details });
@@ -386,14 +398,16 @@ export async function transferStock(req, res) {
 // 3. Batch/serial number tracking
 // Add batch or serial number to inventory
 export async function addBatchOrSerial(req, res) {
-    const { productId, batchNumber, serialNumber, expiryDate, warehouseId, quantity } = req.body;
+    const { productId, batchNumber, serialNumber, expiryDate, storeId, warehouseId, quantity } = req.body;
     const tenantId = req.user?.tenantId;
     if (!tenantId) return res.status(403).json({ message: 'Tenant context required.' });
-    if (!productId || !warehouseId || (!batchNumber && !serialNumber)) {
+    if (!productId || (!warehouseId && !storeId) || (!batchNumber && !serialNumber)) {
         return res.status(400).json({ message: 'Missing required fields.' });
     }
     try {
-        const inventory = await prisma.inventory.findFirst({ where: { productId, warehouseId, tenantId } });
+        // Store stock carries batches and serials too, so sales can pick from them
+        const location = warehouseId ? { warehouseId } : { storeId };
+        const inventory = await prisma.inventory.findFirst({ where: { productId, tenantId, ...location } });
         if (!inventory) return res.status(404).json({ message: 'Inventory record not found.' });
         let result;
         if (batchNumber) {
@@ -410,7 +424,8 @@ export async function addBatchOrSerial(req, res) {
                 data: {
                     inventoryId: inventory.id,
                     serialNumber,
-                    expiryDate: expiryDate ? new Date(expiryDate) : null
+                    expiryDate: expiryDate ? new Date(expiryDate) : null,
+                    events: { create: { toStatus: 'in_stock', note: 'received', userId: req.user.id || null } }
                 }
             });
         }
@@ -482,7 +497,7 @@ export async function manualInventoryAdjustment(req, res) {
 export async function getStockMovementHistory(req, res) {
     const tenantId = req.user?.tenantId;
     if (!tenantId) return res.status(403).json({ message: 'Tenant context required.' });
-    const { productId, warehouseId, from, to } = req.query;
+    const { productId, warehouseId, storeId, transferOrderId, from, to } = req.query;
     const where = {
         product: { tenantId: Number(tenantId) },
         ...(productId ? { productId: Number(productId) } : {}),
@@ -492,6 +507,13 @@ export async function getStockMovementHistory(req, res) {
                 { toWarehouseId: Number(warehouseId) }
             ]
         } : {}),
+        ...(storeId ? {
+            OR: [
+                { fromStoreId: Number(storeId) },
+                { toStoreId: Number(storeId) }
+            ]
+        } : {}),
+        ...(transferOrderId ? { transferOrderId: Number(transferOrderId) } : {}),
         ...(from || to ? { createdAt: {} } : {}),
     };
     if (from) where.createdAt.gte = new Date(from);
@@ -502,7 +524,10 @@ export async function getStockMovementHistory(req, res) {
             include: {
                 product: true,
                 fromWarehouse: true,
-                toWarehouse: true
+                toWarehouse: true,
+                fromStore: true,
+                toStore: true,
+                transferOrder: { select: { id: true, number: true, status: true } }
             },
             orderBy: { createdAt: 'desc' }
         });
@@ -562,10 +587,22 @@ export async function getExpiringProducts(req, res) {
 }
 
 // 8. Inventory valuation methods (FIFO, LIFO, Average Cost)
+// Value stock on hand from cost layers built out of goods receipts and the inventory ledger
+// req.query: { method: 'FIFO' | 'LIFO' | 'AVG', storeId, warehouseId, categoryId, productId, asOf, layers }
 export async function getInventoryValuation(req, res) {
-    // TODO: Implement inventory valuation logic
-    // req.query: { method: 'FIFO' | 'LIFO' | 'AVG', warehouseId }
-    res.status(501).json({ message: 'Not implemented: getInventoryValuation' });
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) return res.status(403).json({ message: 'Tenant context required.' });
+    const { error, value } = valuationSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const valuation = await valuationService.getInventoryValuation({ ...value, tenantId });
+        res.json(valuation);
+    } catch (err) {
+        logger.error({ event: 'INVENTORY_VALUATION_ERROR', error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
 }
 
 // Default export for compatibility with import inventoryController from ...
@@ -7,7 +7,10 @@
 // - Does not return or log unnecessary or sensitive data.
 // - All endpoints are documented with their data processing purpose.
 
-import { processSale as processSaleService } from '../services/salesService.js';
+import { processSale as processSaleService, voidSale as voidSaleService } from '../services/salesService.js';
+import * as cartService from '../services/cartService.js';
+import { resolveApprover } from '../services/approvalService.js';
+import { PAYMENT_METHODS } from '../services/paymentService.js';
 import Joi from 'joi';
 import winston from 'winston';
 
@@ -22,19 +25,76 @@ const logger = winston.createLogger({
     ]
 });
 
+// One tender of a (possibly split) payment; change is computed server-side
+const paymentSchema = Joi.object({
+    method: Joi.string().valid(...PAYMENT_METHODS).required(),
+    amount: Joi.number().precision(2).greater(0).required(),
+    reference: Joi.string().max(128).allow('')
+});
+
+// Line quantities are capped so one request cannot ask promotions and stock checks to handle absurd amounts
 const saleSchema = Joi.object({
     customerId: Joi.number().integer().allow(null),
     storeId: Joi.number().integer().required(),
+    registerId: Joi.number().integer().required(),
     items: Joi.array().items(
         Joi.object({
             productId: Joi.number().integer().required(),
-            quantity: Joi.number().integer().min(1).required(),
-            price: Joi.number().precision(2).min(0).required()
-        })
+            quantity: Joi.number().positive().precision(3).max(10000).required(),
+            // Posted prices are checked against the catalogue; overrides need a permitted role and a reason
+            price: Joi.number().precision(2).min(0),
+            overridePrice: Joi.number().precision(2).min(0),
+            overrideReason: Joi.string().max(256),
+            // Batch picked by the cashier (first-expired-first-out otherwise); one scanned serial per unit of serialised products
+            batchNumber: Joi.string().max(64),
+            serialNumbers: Joi.array().items(Joi.string().max(128)).unique()
+        }).with('overridePrice', 'overrideReason')
     ).min(1).required(),
-    total: Joi.number().precision(2).min(0).required(),
-    paymentType: Joi.string().valid('cash', 'card', 'mobile', 'other').required(),
+    // The server prices the sale (including promotions); a client total is accepted but not trusted
+    total: Joi.number().precision(2).min(0),
+    couponCode: Joi.string().max(64),
+    // Loyalty points taken off the basket as a discount; paying with points uses the `loyalty` tender instead
+    redeemPoints: Joi.number().integer().min(1),
+    paymentType: Joi.string().valid(...PAYMENT_METHODS),
+    payments: Joi.array().items(paymentSchema).min(1),
+    paid: Joi.boolean().default(true)
+}).or('paymentType', 'payments').with('redeemPoints', 'customerId');
+
+// Cart prices are resolved from the catalogue; a posted price is ignored
+const cartItemSchema = Joi.object({
+    productId: Joi.number().integer().required(),
+    quantity: Joi.number().positive().precision(3).max(10000).required(),
+    price: Joi.number().precision(2).min(0),
+    batchNumber: Joi.string().max(64),
+    serialNumbers: Joi.array().items(Joi.string().max(128)).unique()
+});
+
+const cartSchema = Joi.object({
+    registerId: Joi.number().integer().required(),
+    customerId: Joi.number().integer().allow(null),
+    items: Joi.array().items(cartItemSchema).default([]),
+    note: Joi.string().max(256).allow('')
+});
+
+const cartUpdateSchema = Joi.object({
+    customerId: Joi.number().integer().allow(null),
+    items: Joi.array().items(cartItemSchema),
+    note: Joi.string().max(256).allow('')
+});
+
+const checkoutSchema = Joi.object({
+    couponCode: Joi.string().max(64),
+    redeemPoints: Joi.number().integer().min(1),
+    paymentType: Joi.string().valid(...PAYMENT_METHODS),
+    payments: Joi.array().items(paymentSchema).min(1),
     paid: Joi.boolean().default(true)
+}).or('paymentType', 'payments');
+
+// Voids need a reason; non-managers must also supply a manager's credentials
+const voidSchema = Joi.object({
+    reason: Joi.string().min(3).max(256).required(),
+    managerEmail: Joi.string().email(),
+    managerPassword: Joi.string()
 });
 
 function logEvent(event, details) {
@@ -54,16 +114,223 @@ export async function processSale(req, res) {
     try {
         // Optionally: attach userId from auth middleware if available
         if (req.user && req.user.id) value.userId = req.user.id;
+        value.tenantId = req.user?.tenantId;
+        value.userRole = req.user?.role;
         const sale = await processSaleService(value);
-        logEvent('POS_SALE_SUCCESS', { saleId: sale.id, total: sale.total, storeId: sale.storeId });
+        logEvent('POS_SALE_SUCCESS', { saleId: sale.id, total: sale.total, storeId: sale.storeId, flagged: sale.flagged });
         res.status(201).json(sale);
     } catch (err) {
         logEvent('POS_SALE_ERROR', { error: err.message });
-        res.status(400).json({ message: err.message });
+        res.status(err.status || 400).json({ message: err.message, ...(err.mismatches ? { mismatches: err.mismatches } : {}) });
+    }
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * Start a cart (draft sale) on a register
+ * Purpose: Only processes and returns basket data needed to complete a sale later.
+ */
+export async function createCart(req, res) {
+    const { error, value } = cartSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'POS_CART_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const cart = await cartService.createCart({ ...value, tenantId, userId: req.user.id });
+        logEvent('POS_CART_CREATE_SUCCESS', { cartId: cart.id, registerId: cart.registerId });
+        res.status(201).json(cart);
+    } catch (err) {
+        logEvent('POS_CART_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List open and parked carts, optionally per register
+ * Purpose: Only returns basket data needed to resume sales.
+ */
+export async function getCarts(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { registerId, storeId, status, page, limit } = req.query;
+        const result = await cartService.getCarts({ tenantId, registerId, storeId, status, page, limit });
+        res.json(result);
+    } catch (err) {
+        logEvent('POS_CART_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a cart by ID
+ * Purpose: Only returns basket data needed to resume a sale.
+ */
+export async function getCartById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const cart = await cartService.getCartById(id, tenantId);
+        if (!cart) return res.status(404).json({ message: 'Cart not found' });
+        res.json(cart);
+    } catch (err) {
+        logEvent('POS_CART_GET_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Update the lines of an open or parked cart
+ * Purpose: Only processes and returns basket data.
+ */
+export async function updateCart(req, res) {
+    const { id } = req.params;
+    const { error, value } = cartUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'POS_CART_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const cart = await cartService.updateCart(id, tenantId, value);
+        res.json(cart);
+    } catch (err) {
+        logEvent('POS_CART_UPDATE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Park a cart
+ * Purpose: Only updates cart status.
+ */
+export async function parkCart(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const cart = await cartService.parkCart(id, tenantId, { note: req.body?.note });
+        logEvent('POS_CART_PARKED', { cartId: cart.id, registerId: cart.registerId });
+        res.json(cart);
+    } catch (err) {
+        logEvent('POS_CART_PARK_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Resume a parked cart on the same or another register
+ * Purpose: Only updates cart status and register.
+ */
+export async function resumeCart(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const registerId = req.body?.registerId ? Number(req.body.registerId) : undefined;
+        const cart = await cartService.resumeCart(id, tenantId, { registerId, userId: req.user.id });
+        logEvent('POS_CART_RESUMED', { cartId: cart.id, registerId: cart.registerId });
+        res.json(cart);
+    } catch (err) {
+        logEvent('POS_CART_RESUME_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Convert a cart into a sale
+ * Purpose: Only processes and returns sales data needed for POS operations.
+ */
+export async function checkoutCart(req, res) {
+    const { id } = req.params;
+    const { error, value } = checkoutSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'POS_CART_CHECKOUT_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const sale = await cartService.checkoutCart(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('POS_SALE_SUCCESS', { saleId: sale.id, total: sale.total, storeId: sale.storeId, cartId: Number(id) });
+        res.status(201).json(sale);
+    } catch (err) {
+        logEvent('POS_CART_CHECKOUT_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Void an in-progress (open or parked) cart with manager approval
+ * Purpose: Only processes the reason and approval needed for the audit trail.
+ */
+export async function voidCart(req, res) {
+    const { id } = req.params;
+    const { error, value } = voidSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'POS_CART_VOID_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const approverId = await resolveApprover({ tenantId, user: req.user, managerEmail: value.managerEmail, managerPassword: value.managerPassword, action: 'CART_VOID' });
+        const cart = await cartService.voidCart(id, tenantId, { reason: value.reason, userId: req.user.id, approverId });
+        logEvent('POS_CART_VOIDED', { cartId: cart.id, approverId });
+        res.json(cart);
+    } catch (err) {
+        logEvent('POS_CART_VOID_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Void a just-completed sale with manager approval
+ * Purpose: Only processes the reason and approval needed for the audit trail.
+ */
+export async function voidSale(req, res) {
+    const { id } = req.params;
+    const { error, value } = voidSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'POS_SALE_VOID_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const approverId = await resolveApprover({ tenantId, user: req.user, managerEmail: value.managerEmail, managerPassword: value.managerPassword, action: 'SALE_VOID' });
+        const sale = await voidSaleService(id, tenantId, { reason: value.reason, userId: req.user.id, approverId });
+        logEvent('POS_SALE_VOIDED', { saleId: sale.id, total: sale.total, approverId });
+        res.json(sale);
+    } catch (err) {
+        logEvent('POS_SALE_VOID_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
     }
 }
 
 // Default export for compatibility with import posController from ...
 export default {
-  processSale
+  processSale,
+  createCart,
+  getCarts,
+  getCartById,
+  updateCart,
+  parkCart,
+  resumeCart,
+  checkoutCart,
+  voidCart,
+  voidSale
 };
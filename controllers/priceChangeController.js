@@ -0,0 +1,165 @@
+// priceChangeController.js
+// Handles scheduled price changes and markdowns, their preview and applying them on demand
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns product price and schedule data.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as priceChangeService from '../services/priceChangeService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// A change is permanent from startsAt; a markdown runs from startsAt to endsAt and then the old price returns
+const priceChangeSchema = Joi.object({
+    productId: Joi.number().integer().required(),
+    type: Joi.string().valid('change', 'markdown').default('change'),
+    price: Joi.number().min(0).precision(2).required(),
+    startsAt: Joi.date().iso().greater('now').required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).when('type', { is: 'markdown', then: Joi.required(), otherwise: Joi.forbidden() }),
+    reason: Joi.string().trim().max(256).allow('')
+});
+
+const listSchema = Joi.object({
+    productId: Joi.number().integer(),
+    type: Joi.string().valid('change', 'markdown'),
+    status: Joi.string().valid('scheduled', 'applied', 'active', 'ended', 'cancelled'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const previewSchema = Joi.object({
+    productId: Joi.number().integer(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List price changes and markdowns (?productId=, ?type=, ?status=, ?page=, ?limit=)
+ * Purpose: Only returns price schedule data.
+ */
+export async function getPriceChanges(req, res) {
+    const { error, value } = listSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PRICE_CHANGE_LIST_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await priceChangeService.getPriceChanges({ ...value, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('PRICE_CHANGE_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Preview upcoming price events with the prices they lead to (?from=, ?to=, ?productId=; default the next 7 days)
+ * Purpose: Only returns prices and dates.
+ */
+export async function previewPriceChanges(req, res) {
+    const { error, value } = previewSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PRICE_CHANGE_PREVIEW_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await priceChangeService.previewPriceChanges({ ...value, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('PRICE_CHANGE_PREVIEW_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Schedule a price change or markdown
+ * Purpose: Only processes price schedule data.
+ */
+export async function createPriceChange(req, res) {
+    const { error, value } = priceChangeSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PRICE_CHANGE_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const change = await priceChangeService.createPriceChange({ ...value, tenantId, userId: req.user.id });
+        logEvent('PRICE_CHANGE_CREATE_SUCCESS', { id: change.id, productId: change.productId, type: change.type });
+        res.status(201).json(change);
+    } catch (err) {
+        logEvent('PRICE_CHANGE_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Apply the tenant's due price changes now instead of waiting for the scheduler
+ * Purpose: Only processes product prices and schedules.
+ */
+export async function applyDuePriceChanges(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await priceChangeService.applyDuePriceChanges({ tenantId });
+        logEvent('PRICE_CHANGE_APPLY_SUCCESS', result);
+        res.json(result);
+    } catch (err) {
+        logEvent('PRICE_CHANGE_APPLY_ERROR', { error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Cancel a scheduled change or markdown, or end a running markdown now
+ * Purpose: Only processes price schedule data.
+ */
+export async function cancelPriceChange(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const change = await priceChangeService.cancelPriceChange(id, tenantId);
+        logEvent('PRICE_CHANGE_CANCEL_SUCCESS', { id: change.id });
+        res.json(change);
+    } catch (err) {
+        logEvent('PRICE_CHANGE_CANCEL_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import priceChangeController from ...
+export default {
+  getPriceChanges,
+  previewPriceChanges,
+  createPriceChange,
+  applyDuePriceChanges,
+  cancelPriceChange
+};
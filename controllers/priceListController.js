@@ -0,0 +1,222 @@
+// priceListController.js
+// Handles price lists, their quantity-break prices and customer groups
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns price list, product price and customer group data.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as priceListService from '../services/priceListService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// With no storeId, registerId or customerGroupId the list applies tenant-wide
+const priceListSchema = Joi.object({
+    name: Joi.string().trim().max(64).required(),
+    storeId: Joi.number().integer().allow(null),
+    registerId: Joi.number().integer().allow(null),
+    customerGroupId: Joi.number().integer().allow(null),
+    priority: Joi.number().integer().default(0),
+    validFrom: Joi.date().iso().allow(null),
+    validTo: Joi.date().iso().allow(null),
+    isActive: Joi.boolean().default(true)
+});
+
+const priceListUpdateSchema = Joi.object({
+    name: Joi.string().trim().max(64),
+    storeId: Joi.number().integer().allow(null),
+    registerId: Joi.number().integer().allow(null),
+    customerGroupId: Joi.number().integer().allow(null),
+    priority: Joi.number().integer(),
+    validFrom: Joi.date().iso().allow(null),
+    validTo: Joi.date().iso().allow(null),
+    isActive: Joi.boolean()
+}).min(1);
+
+// minQuantity is in the product's sale unit; a row only applies once the quantity reaches it (1 for the base list price)
+const itemsSchema = Joi.object({
+    items: Joi.array().items(
+        Joi.object({
+            productId: Joi.number().integer().required(),
+            minQuantity: Joi.number().positive().precision(3).default(1),
+            price: Joi.number().min(0).precision(2).required()
+        })
+    ).required()
+});
+
+const customerGroupSchema = Joi.object({
+    name: Joi.string().trim().max(64).required()
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List price lists (?storeId=, ?registerId=, ?customerGroupId=, ?active=)
+ * Purpose: Only returns price list settings.
+ */
+export async function getPriceLists(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await priceListService.getPriceLists({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('PRICE_LIST_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a price list with its prices
+ * Purpose: Only returns price list settings and product prices.
+ */
+export async function getPriceListById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const priceList = await priceListService.getPriceListById(id, tenantId);
+        res.json(priceList);
+    } catch (err) {
+        logEvent('PRICE_LIST_GET_ERROR', { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create a price list
+ * Purpose: Only processes price list settings.
+ */
+export async function createPriceList(req, res) {
+    const { error, value } = priceListSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PRICE_LIST_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const priceList = await priceListService.createPriceList({ ...value, tenantId });
+        logEvent('PRICE_LIST_CREATE_SUCCESS', { id: priceList.id });
+        res.status(201).json(priceList);
+    } catch (err) {
+        logEvent('PRICE_LIST_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Update a price list
+ * Purpose: Only processes price list settings.
+ */
+export async function updatePriceList(req, res) {
+    const { id } = req.params;
+    const { error, value } = priceListUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PRICE_LIST_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const priceList = await priceListService.updatePriceList(id, tenantId, value);
+        logEvent('PRICE_LIST_UPDATE_SUCCESS', { id: priceList.id });
+        res.json(priceList);
+    } catch (err) {
+        logEvent('PRICE_LIST_UPDATE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Replace a price list's prices and quantity breaks
+ * Purpose: Only processes product prices.
+ */
+export async function setPriceListItems(req, res) {
+    const { id } = req.params;
+    const { error, value } = itemsSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PRICE_LIST_ITEMS_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const priceList = await priceListService.setPriceListItems(id, tenantId, value);
+        logEvent('PRICE_LIST_ITEMS_SUCCESS', { id: priceList.id, items: priceList.items.length });
+        res.json(priceList);
+    } catch (err) {
+        logEvent('PRICE_LIST_ITEMS_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List customer groups
+ * Purpose: Only returns group names and counts.
+ */
+export async function getCustomerGroups(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await priceListService.getCustomerGroups({ tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('CUSTOMER_GROUP_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create a customer group
+ * Purpose: Only processes the group name.
+ */
+export async function createCustomerGroup(req, res) {
+    const { error, value } = customerGroupSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'CUSTOMER_GROUP_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const group = await priceListService.createCustomerGroup({ ...value, tenantId });
+        logEvent('CUSTOMER_GROUP_CREATE_SUCCESS', { id: group.id });
+        res.status(201).json(group);
+    } catch (err) {
+        logEvent('CUSTOMER_GROUP_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import priceListController from ...
+export default {
+  getPriceLists,
+  getPriceListById,
+  createPriceList,
+  updatePriceList,
+  setPriceListItems,
+  getCustomerGroups,
+  createCustomerGroup
+};
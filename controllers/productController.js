@@ -11,6 +11,7 @@ import { PrismaClient } from '@prisma/client';
 import Joi from 'joi';
 import winston from 'winston';
 import * as productService from '../services/productService.js';
+import { TRACKING_MODES } from '../services/batchService.js';
 
 const prisma = new PrismaClient();
 
@@ -27,24 +28,67 @@ const logger = winston.createLogger({
 
 const productSchema = Joi.object({
     name: Joi.string().min(2).max(128).required(),
-    sku: Joi.string().alphanum().min(2).max(32).required(),
+    // Letters, digits and hyphens, so generated variant SKUs (e.g. TSHIRT-M-RED) can be edited too
+    sku: Joi.string().pattern(/^[A-Za-z0-9-]+$/).min(2).max(32).required(),
+    barcode: Joi.string().max(64).allow(null),
     price: Joi.number().precision(2).min(0).required(),
     categoryId: Joi.number().integer().required(),
     supplierId: Joi.number().integer().allow(null),
+    taxClassId: Joi.number().integer().allow(null),
     description: Joi.string().max(512).allow(''),
+    // Batch-tracked stock is sold first-expired-first-out; serialised products need a serial scan per unit
+    tracking: Joi.string().valid(...TRACKING_MODES).default('none'),
+    // Units of measure: cost is per stock unit, price per sale unit; factors are stock units per sale/purchase unit
+    allowDecimal: Joi.boolean().default(false),
+    stockUomId: Joi.number().integer().allow(null),
+    saleUomId: Joi.number().integer().allow(null),
+    saleFactor: Joi.number().positive().default(1),
+    purchaseUomId: Joi.number().integer().allow(null),
+    purchaseFactor: Joi.number().positive().default(1),
+    plu: Joi.string().pattern(/^\d{5}$/).allow(null),
     isActive: Joi.boolean().default(true)
 });
 
 const productUpdateSchema = Joi.object({
     name: Joi.string().min(2).max(128),
-    sku: Joi.string().alphanum().min(2).max(32),
+    sku: Joi.string().pattern(/^[A-Za-z0-9-]+$/).min(2).max(32),
+    barcode: Joi.string().max(64).allow(null),
     price: Joi.number().precision(2).min(0),
+    // Variants only: null makes the variant follow its parent's price again
+    priceOverride: Joi.number().precision(2).min(0).allow(null),
     categoryId: Joi.number().integer(),
     supplierId: Joi.number().integer().allow(null),
+    taxClassId: Joi.number().integer().allow(null),
     description: Joi.string().max(512).allow(''),
+    tracking: Joi.string().valid(...TRACKING_MODES),
+    allowDecimal: Joi.boolean(),
+    stockUomId: Joi.number().integer().allow(null),
+    saleUomId: Joi.number().integer().allow(null),
+    saleFactor: Joi.number().positive(),
+    purchaseUomId: Joi.number().integer().allow(null),
+    purchaseFactor: Joi.number().positive(),
+    plu: Joi.string().pattern(/^\d{5}$/).allow(null),
     isActive: Joi.boolean()
 });
 
+// Option axes such as Size [S, M, L] x Colour [Red, Blue]; `variants` sets the SKU, barcode or price of particular combinations
+const variantsSchema = Joi.object({
+    options: Joi.array().items(
+        Joi.object({
+            name: Joi.string().trim().max(32).required(),
+            values: Joi.array().items(Joi.string().trim().max(32)).min(1).unique().required()
+        })
+    ).min(1).unique('name').required(),
+    variants: Joi.array().items(
+        Joi.object({
+            options: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+            sku: Joi.string().pattern(/^[A-Za-z0-9-]+$/).min(2).max(32),
+            barcode: Joi.string().max(64),
+            price: Joi.number().precision(2).min(0)
+        })
+    ).default([])
+});
+
 function logEvent(event, details) {
     logger.info({ event, ...details });
 }
@@ -85,12 +129,12 @@ export async function createProduct(req, res) {
         res.status(201).json(sanitizeProduct(product));
     } catch (err) {
         logEvent('PRODUCT_CREATE_ERROR', { error: err.message });
-        res.status(500).json({ message: 'Server error', error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
     }
 }
 
 /**
- * List products
+ * List products (?storeId=, ?registerId=, ?customerId= select the price lists for `effectivePrice`)
  * Purpose: Only returns product data needed for business operations and selection.
  */
 export async function getProducts(req, res) {
@@ -126,12 +170,12 @@ export async function updateProduct(req, res) {
         if (!tenantId) {
             return res.status(403).json({ message: 'Tenant context required.' });
         }
-        const product = await productService.updateProduct(id, value, tenantId);
+        const product = await productService.updateProduct(id, value, tenantId, { userId: req.user.id });
         logEvent('PRODUCT_UPDATE_SUCCESS', { id: product.id });
         res.json(sanitizeProduct(product));
     } catch (err) {
         logEvent('PRODUCT_UPDATE_ERROR', { id, error: err.message });
-        res.status(404).json({ message: 'Product not found', error: err.message });
+        res.status(err.status || 404).json({ message: err.status ? err.message : 'Product not found', error: err.message });
     }
 }
 
@@ -180,11 +224,103 @@ export async function getProductById(req, res) {
     }
 }
 
+/**
+ * Generate variants of a product from option axes (size, colour, ...)
+ * Purpose: Only processes product data needed for the catalogue.
+ */
+export async function generateVariants(req, res) {
+    const { id } = req.params;
+    const { error, value } = variantsSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('PRODUCT_VARIANTS_FAIL', { id, reason: error.details[0].message });
+        return res.status(400).json({ message: error.details[0].message });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await productService.generateVariants(id, tenantId, value);
+        logEvent('PRODUCT_VARIANTS_SUCCESS', { id, created: result.created.length });
+        res.status(201).json({ ...result, created: result.created.map(sanitizeProduct) });
+    } catch (err) {
+        logEvent('PRODUCT_VARIANTS_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List a product's variants with their stock
+ * Purpose: Only returns product and stock data needed for the catalogue.
+ */
+export async function getVariants(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const variants = await productService.getVariants(id, tenantId);
+        res.json({ data: variants });
+    } catch (err) {
+        logEvent('PRODUCT_VARIANTS_LIST_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * A product's price history (?from=, ?to=, ?page=, ?limit=)
+ * Purpose: Only returns price changes; staff are referenced by id only.
+ */
+export async function getPriceHistory(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await productService.getPriceHistory(id, tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        logEvent('PRODUCT_PRICE_HISTORY_ERROR', { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Look up a product by barcode or SKU; a parent product is returned with its variants to choose from
+ * (?storeId=, ?registerId=, ?customerId= select the price lists for `effectivePrice`)
+ * Purpose: Only returns product data needed at the till.
+ */
+export async function lookupByCode(req, res) {
+    const { code } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { storeId, registerId, customerId } = req.query;
+        const product = await productService.findProductByCode(code, tenantId, { storeId, registerId, customerId });
+        if (!product) {
+            logEvent('PRODUCT_LOOKUP_FAIL', { code, reason: 'Not found' });
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        res.json(sanitizeProduct(product));
+    } catch (err) {
+        logEvent('PRODUCT_LOOKUP_ERROR', { code, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
 // Default export for compatibility with import productController from ...
 export default {
   createProduct,
   getProducts,
   getProductById,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  generateVariants,
+  getVariants,
+  getPriceHistory,
+  lookupByCode
 };
@@ -0,0 +1,249 @@
+// promotionController.js
+// Handles promotion CRUD and basket price previews
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns promotion and pricing data necessary for business operations.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import {
+    getPromotions as getPromotionsService,
+    getPromotionById as getPromotionByIdService,
+    createPromotion as createPromotionService,
+    updatePromotion as updatePromotionService,
+    deletePromotion as deletePromotionService,
+    PROMOTION_TYPES,
+    PROMOTION_SCOPES
+} from '../services/promotionService.js';
+import { priceSale } from '../services/salesService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('time must be HH:mm');
+
+const promotionFields = {
+    name: Joi.string().min(2).max(128),
+    type: Joi.string().valid(...PROMOTION_TYPES),
+    scope: Joi.string().valid(...PROMOTION_SCOPES),
+    value: Joi.number().precision(2).min(0),
+    productIds: Joi.array().items(Joi.number().integer()),
+    categoryIds: Joi.array().items(Joi.number().integer()),
+    buyQuantity: Joi.number().integer().min(1).allow(null),
+    getQuantity: Joi.number().integer().min(1).allow(null),
+    getDiscountPercent: Joi.number().min(0).max(100),
+    minBasketTotal: Joi.number().precision(2).min(0).allow(null),
+    couponCode: Joi.string().max(64).allow(null),
+    startsAt: Joi.date().allow(null),
+    endsAt: Joi.date().allow(null),
+    daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)),
+    startTime: timeOfDay.allow(null),
+    endTime: timeOfDay.allow(null),
+    priority: Joi.number().integer(),
+    stackable: Joi.boolean(),
+    isActive: Joi.boolean()
+};
+
+const promotionSchema = Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required(),
+    type: promotionFields.type.required(),
+    value: promotionFields.value.when('type', { is: Joi.valid('percent', 'fixed', 'bundle'), then: Joi.required() }),
+    buyQuantity: promotionFields.buyQuantity.when('type', { is: 'bxgy', then: Joi.required() }),
+    getQuantity: promotionFields.getQuantity.when('type', { is: 'bxgy', then: Joi.required() }),
+    productIds: promotionFields.productIds.when('type', { is: 'bundle', then: Joi.array().min(2).required() })
+})
+    .and('startTime', 'endTime')
+    .custom((value, helpers) => {
+        if (value.type === 'percent' && value.value > 100) return helpers.message('percent value cannot exceed 100');
+        return value;
+    });
+
+// The create schema's cross-field rules are checked again on the promotion as it will be after the update
+const promotionUpdateSchema = Joi.object(promotionFields)
+    .and('startTime', 'endTime')
+    .min(1);
+
+const evaluateSchema = Joi.object({
+    items: Joi.array().items(
+        Joi.object({
+            productId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).max(10000).required()
+        })
+    ).min(1).required(),
+    storeId: Joi.number().integer(),
+    registerId: Joi.number().integer(),
+    couponCode: Joi.string().max(64),
+    customerId: Joi.number().integer(),
+    redeemPoints: Joi.number().integer().min(1)
+}).with('redeemPoints', 'customerId');
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+/**
+ * Create a promotion
+ * Purpose: Only processes and returns promotion rules.
+ */
+export async function createPromotion(req, res) {
+    const { error, value } = promotionSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('PROMOTION_CREATE_FAIL', { reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    const tenantId = req.user?.tenantId;
+    if (!tenantId) {
+        return res.status(403).json({ message: 'Tenant context required.' });
+    }
+    try {
+        const promotion = await createPromotionService({ ...value, tenantId });
+        logEvent('PROMOTION_CREATE_SUCCESS', { id: promotion.id, type: promotion.type });
+        res.status(201).json(promotion);
+    } catch (err) {
+        logEvent('PROMOTION_CREATE_ERROR', { error: err.message });
+        if (err.code === 'P2002') {
+            return res.status(409).json({ message: 'Coupon code already in use.' });
+        }
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * List promotions
+ * Purpose: Only returns promotion rules needed for business operations.
+ */
+export async function getPromotions(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await getPromotionsService({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('PROMOTION_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a promotion by ID
+ * Purpose: Only returns promotion rules needed for business operations.
+ */
+export async function getPromotionById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const promotion = await getPromotionByIdService(id, tenantId);
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+        res.json(promotion);
+    } catch (err) {
+        logEvent('PROMOTION_GET_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Update a promotion
+ * Purpose: Only processes and returns promotion rules.
+ */
+export async function updatePromotion(req, res) {
+    const { id } = req.params;
+    const { error, value } = promotionUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('PROMOTION_UPDATE_FAIL', { id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const existing = await getPromotionByIdService(id, tenantId);
+        if (!existing) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+        const merged = promotionSchema.validate({ ...existing, ...value }, { abortEarly: false, stripUnknown: true });
+        if (merged.error) {
+            logEvent('PROMOTION_UPDATE_FAIL', { id, reason: merged.error.details.map(e => e.message).join('; ') });
+            return res.status(400).json({ message: merged.error.details.map(e => e.message).join('; '), errors: merged.error.details });
+        }
+        const promotion = await updatePromotionService(id, value, tenantId);
+        logEvent('PROMOTION_UPDATE_SUCCESS', { id: promotion.id });
+        res.json(promotion);
+    } catch (err) {
+        logEvent('PROMOTION_UPDATE_ERROR', { id, error: err.message });
+        if (err.code === 'P2002') {
+            return res.status(409).json({ message: 'Coupon code already in use.' });
+        }
+        res.status(404).json({ message: 'Promotion not found', error: err.message });
+    }
+}
+
+/**
+ * Soft delete a promotion
+ * Purpose: Only updates the promotion's status.
+ */
+export async function deletePromotion(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const promotion = await deletePromotionService(id, tenantId);
+        logEvent('PROMOTION_DELETE_SUCCESS', { id });
+        res.status(200).json(promotion);
+    } catch (err) {
+        logEvent('PROMOTION_DELETE_ERROR', { id, error: err.message });
+        res.status(404).json({ message: 'Promotion not found', error: err.message });
+    }
+}
+
+/**
+ * Preview how a basket is priced (promotions, redeemed points and, when a store is given, its tax), without recording a sale
+ * Purpose: Only processes product, price, promotion and tax data.
+ */
+export async function evaluateBasket(req, res) {
+    const { error, value } = evaluateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const pricing = await priceSale(null, { ...value, tenantId, userRole: req.user.role });
+        res.json(pricing);
+    } catch (err) {
+        logEvent('PROMOTION_EVALUATE_ERROR', { error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+// Default export for compatibility with import promotionController from ...
+export default {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  evaluateBasket
+};
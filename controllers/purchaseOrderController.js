@@ -0,0 +1,280 @@
+// purchaseOrderController.js
+// Handles purchase orders to suppliers, goods receiving and replenishment suggestions
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns supplier, product, quantity and cost data necessary for purchasing.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as purchaseOrderService from '../services/purchaseOrderService.js';
+import * as replenishmentService from '../services/replenishmentService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const lineSchema = Joi.object({
+    productId: Joi.number().integer().required(),
+    quantity: Joi.number().integer().min(1).required(),
+    // Defaults to the supplier's current quote for the product
+    unitCost: Joi.number().precision(4).min(0)
+});
+
+// Delivered to a store or a warehouse, not both
+const purchaseOrderSchema = Joi.object({
+    supplierId: Joi.number().integer().required(),
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    expectedAt: Joi.date().iso(),
+    note: Joi.string().max(256).allow(''),
+    lines: Joi.array().items(lineSchema).min(1).required()
+}).xor('storeId', 'warehouseId');
+
+const purchaseOrderUpdateSchema = Joi.object({
+    supplierId: Joi.number().integer(),
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    expectedAt: Joi.date().iso().allow(null),
+    note: Joi.string().max(256).allow('', null),
+    lines: Joi.array().items(lineSchema).min(1)
+}).oxor('storeId', 'warehouseId').min(1);
+
+const receiveSchema = Joi.object({
+    lines: Joi.array().items(
+        Joi.object({
+            lineId: Joi.number().integer().required(),
+            quantity: Joi.number().integer().min(1).required(),
+            batchNumber: Joi.string().max(64),
+            expiryDate: Joi.date().iso(),
+            serialNumbers: Joi.array().items(Joi.string().max(128)).unique()
+        })
+    ).min(1).required(),
+    note: Joi.string().max(256).allow('')
+});
+
+// Limits suggestions to one store or warehouse and/or one supplier; days is the sales velocity window
+const replenishmentSchema = Joi.object({
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    supplierId: Joi.number().integer(),
+    days: Joi.number().integer().min(1).max(365)
+}).oxor('storeId', 'warehouseId');
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * Create a draft purchase order
+ * Purpose: Only processes supplier, product, quantity and cost data.
+ */
+export async function createPurchaseOrder(req, res) {
+    const { error, value } = purchaseOrderSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PURCHASE_ORDER_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await purchaseOrderService.createPurchaseOrder({ ...value, tenantId, userId: req.user.id });
+        logEvent('PURCHASE_ORDER_CREATE_SUCCESS', { id: order.id, number: order.number });
+        res.status(201).json(order);
+    } catch (err) {
+        logEvent('PURCHASE_ORDER_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List purchase orders (?status=, ?supplierId=, ?storeId=, ?warehouseId=)
+ * Purpose: Only returns purchasing data needed for business operations.
+ */
+export async function getPurchaseOrders(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await purchaseOrderService.getPurchaseOrders({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('PURCHASE_ORDER_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a purchase order with its lines and receipts
+ * Purpose: Only returns purchasing data needed for business operations.
+ */
+export async function getPurchaseOrderById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await purchaseOrderService.getPurchaseOrderById(id, tenantId);
+        if (!order) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        res.json(order);
+    } catch (err) {
+        logEvent('PURCHASE_ORDER_GET_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Update a draft purchase order
+ * Purpose: Only processes supplier, product, quantity and cost data.
+ */
+export async function updatePurchaseOrder(req, res) {
+    const { id } = req.params;
+    const { error, value } = purchaseOrderUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'PURCHASE_ORDER_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await purchaseOrderService.updatePurchaseOrder(id, value, tenantId);
+        logEvent('PURCHASE_ORDER_UPDATE_SUCCESS', { id: order.id });
+        res.json(order);
+    } catch (err) {
+        logEvent('PURCHASE_ORDER_UPDATE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ * Purpose: Only updates the order status.
+ */
+export async function sendPurchaseOrder(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await purchaseOrderService.sendPurchaseOrder(id, tenantId);
+        logEvent('PURCHASE_ORDER_SEND_SUCCESS', { id: order.id });
+        res.json(order);
+    } catch (err) {
+        logEvent('PURCHASE_ORDER_SEND_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Receive goods against a purchase order (partial deliveries allowed)
+ * Purpose: Only processes product, quantity, batch and serial data needed to book stock in.
+ */
+export async function receiveGoods(req, res) {
+    const { id } = req.params;
+    const { error, value } = receiveSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'GOODS_RECEIVE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await purchaseOrderService.receiveGoods(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('GOODS_RECEIVE_SUCCESS', { id: order.id, status: order.status });
+        res.status(201).json(order);
+    } catch (err) {
+        logEvent('GOODS_RECEIVE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Close a purchase order (short-closes any outstanding quantity)
+ * Purpose: Only updates the order status.
+ */
+export async function closePurchaseOrder(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await purchaseOrderService.closePurchaseOrder(id, tenantId);
+        logEvent('PURCHASE_ORDER_CLOSE_SUCCESS', { id: order.id });
+        res.json(order);
+    } catch (err) {
+        logEvent('PURCHASE_ORDER_CLOSE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Reorder suggestions from min/max stock, sales velocity, open purchase orders and supplier lead times
+ * (?storeId=, ?warehouseId=, ?supplierId=, ?days=)
+ * Purpose: Only returns stock, quantity and supplier data needed to replenish.
+ */
+export async function getReorderSuggestions(req, res) {
+    const { error, value } = replenishmentSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'REPLENISHMENT_SUGGEST_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await replenishmentService.getReorderSuggestions({ ...value, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPLENISHMENT_SUGGEST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Generate draft purchase orders from the reorder suggestions, grouped by preferred supplier
+ * Purpose: Only processes stock, quantity and supplier data.
+ */
+export async function generatePurchaseOrders(req, res) {
+    const { error, value } = replenishmentSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'REPLENISHMENT_GENERATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await replenishmentService.generatePurchaseOrders({ ...value, tenantId, userId: req.user.id });
+        logEvent('REPLENISHMENT_GENERATE_SUCCESS', { orders: result.orders.map(o => o.number), unassigned: result.unassigned.length });
+        res.status(201).json(result);
+    } catch (err) {
+        logEvent('REPLENISHMENT_GENERATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import purchaseOrderController from ...
+export default {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receiveGoods,
+  closePurchaseOrder,
+  getReorderSuggestions,
+  generatePurchaseOrders
+};
@@ -0,0 +1,93 @@
+// receiptController.js
+// Handles printing, re-printing and emailing sale receipts
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns the sale data printed on a receipt.
+// - Email addresses are used only to deliver the receipt and are never logged.
+// - All endpoints are documented with their data processing purpose.
+
+import { renderReceipt, emailReceipt as emailReceiptService, RECEIPT_FORMATS } from '../services/receiptService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const receiptQuerySchema = Joi.object({
+    format: Joi.string().valid(...RECEIPT_FORMATS).default('html'),
+    reprint: Joi.boolean().default(false),
+    download: Joi.boolean().default(false)
+});
+
+const emailSchema = Joi.object({
+    email: Joi.string().email().required()
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+/**
+ * Print or re-print a receipt (?format=html|pdf|escpos, ?reprint=true marks it as a copy)
+ * Purpose: Only returns receipt data for the sale.
+ */
+export async function getReceipt(req, res) {
+    const { id } = req.params;
+    const { error, value } = receiptQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const receipt = await renderReceipt(id, tenantId, { format: value.format, reprint: value.reprint });
+        res.set('Content-Type', receipt.contentType);
+        if (value.download || value.format === 'escpos') {
+            res.set('Content-Disposition', `attachment; filename="${receipt.filename}"`);
+        }
+        res.send(receipt.body);
+    } catch (err) {
+        logEvent('RECEIPT_RENDER_ERROR', { saleId: id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message });
+    }
+}
+
+/**
+ * Email a receipt (HTML body, PDF attached)
+ * Purpose: Uses the email address only to send the receipt.
+ */
+export async function emailReceipt(req, res) {
+    const { id } = req.params;
+    const { error, value } = emailSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await emailReceiptService(id, tenantId, { to: value.email });
+        logEvent('RECEIPT_EMAIL_SUCCESS', { saleId: result.saleId });
+        res.status(202).json({ message: 'Receipt sent.', ...result });
+    } catch (err) {
+        logEvent('RECEIPT_EMAIL_ERROR', { saleId: id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import receiptController from ...
+export default {
+  getReceipt,
+  emailReceipt
+};
@@ -9,6 +9,12 @@
 
 import { PrismaClient } from '@prisma/client';
 import winston from 'winston';
+import { getTenderBreakdown } from '../services/paymentService.js';
+import { getTaxSummary } from '../services/taxService.js';
+import { getMarginReport } from '../services/marginService.js';
+import { getShrinkageReport } from '../services/adjustmentService.js';
+import { getRecallReport } from '../services/batchService.js';
+import { getComponentRevenue } from '../services/bundleService.js';
 const prisma = new PrismaClient();
 
 const logger = winston.createLogger({
@@ -33,7 +39,7 @@ function logEvent(event, details) {
 export async function generateSalesReport(req, res) {
     try {
         const { startDate, endDate } = req.query;
-        const where = {};
+        const where = { tenantId: req.user.tenantId, status: 'completed' };
         if (startDate || endDate) {
             where.saleDate = {};
             if (startDate) where.saleDate.gte = new Date(startDate);
@@ -43,12 +49,14 @@ export async function generateSalesReport(req, res) {
             where,
             include: {
                 items: true,
+                payments: true,
                 customer: true
             },
             orderBy: { saleDate: 'desc' }
         });
+        const tenders = await getTenderBreakdown({ tenantId: req.user.tenantId, from: startDate, to: endDate });
         logEvent('REPORT_SALES_SUCCESS', { count: sales.length });
-        res.json({ data: sales });
+        res.json({ data: sales, tenders });
     } catch (err) {
         logEvent('REPORT_SALES_ERROR', { error: err.message });
         res.status(500).json({ message: 'Server error', error: err.message });
@@ -79,8 +87,141 @@ export async function generateInventoryReport(req, res) {
     }
 }
 
+/**
+ * Generate tender report: revenue collected, refunded and net per payment method
+ * Purpose: Only returns aggregated payment amounts needed for cash-up and reconciliation.
+ */
+export async function generateTenderReport(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { startDate, endDate, storeId } = req.query;
+        const result = await getTenderBreakdown({ tenantId, storeId, from: startDate, to: endDate });
+        logEvent('REPORT_TENDERS_SUCCESS', { methods: result.data.length });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPORT_TENDERS_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Generate tax report: taxable sales, tax collected, tax refunded and net tax per rate, for filing
+ * Purpose: Only returns aggregated tax amounts needed for VAT/GST returns.
+ */
+export async function generateTaxReport(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { startDate, endDate, storeId } = req.query;
+        const result = await getTaxSummary({ tenantId, storeId, from: startDate, to: endDate });
+        logEvent('REPORT_TAX_SUCCESS', { rates: result.data.length });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPORT_TAX_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Generate gross margin report: revenue, cost of goods sold, gross profit and margin %
+ * grouped by product, category, store, cashier or period (?groupBy=product|category|store|cashier|day|week|month)
+ * Purpose: Only returns aggregated sales and cost figures needed for margin analysis.
+ */
+export async function generateMarginReport(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { startDate, endDate, storeId, groupBy } = req.query;
+        const result = await getMarginReport({ tenantId, storeId, groupBy, from: startDate, to: endDate });
+        logEvent('REPORT_MARGIN_SUCCESS', { groupBy: result.groupBy, rows: result.data.length });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPORT_MARGIN_ERROR', { error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Generate shrinkage report: cost-valued stock losses from reason-coded adjustments and write-offs
+ * grouped by reason code, store/warehouse, product or period (?groupBy=reason|store|product|day|week|month)
+ * Purpose: Only returns aggregated quantities and costs needed to track stock losses.
+ */
+export async function generateShrinkageReport(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { startDate, endDate, storeId, warehouseId, reasonCode, groupBy } = req.query;
+        const result = await getShrinkageReport({ tenantId, storeId, warehouseId, reasonCode, groupBy, from: startDate, to: endDate });
+        logEvent('REPORT_SHRINKAGE_SUCCESS', { groupBy: result.groupBy, rows: result.data.length });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPORT_SHRINKAGE_ERROR', { error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Generate recall report: customers who bought units of a batch, walk-in sales, and stock of it still on hand
+ * (?batchNumber= required, ?productId= when batch numbers repeat across products)
+ * Purpose: Returns customer contact details solely to notify buyers of a recalled batch.
+ */
+export async function generateRecallReport(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { batchNumber, productId } = req.query;
+        if (!batchNumber) {
+            return res.status(400).json({ message: 'batchNumber is required' });
+        }
+        const result = await getRecallReport({ tenantId, batchNumber, productId });
+        logEvent('REPORT_RECALL_SUCCESS', { batchNumber, customers: result.customers.length });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPORT_RECALL_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Generate bundle revenue report: revenue of sold bundles allocated back to their component products
+ * (?startDate=, ?endDate=, ?storeId=, ?bundleId=)
+ * Purpose: Only returns aggregated quantities, revenue and cost per component.
+ */
+export async function generateBundleRevenueReport(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { startDate, endDate, storeId, bundleId } = req.query;
+        const result = await getComponentRevenue({ tenantId, storeId, bundleId, from: startDate, to: endDate });
+        logEvent('REPORT_BUNDLE_REVENUE_SUCCESS', { rows: result.data.length });
+        res.json(result);
+    } catch (err) {
+        logEvent('REPORT_BUNDLE_REVENUE_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
 // Default export for compatibility with import reportController from ...
 export default {
   generateSalesReport,
-  generateInventoryReport
+  generateInventoryReport,
+  generateTenderReport,
+  generateTaxReport,
+  generateMarginReport,
+  generateShrinkageReport,
+  generateRecallReport,
+  generateBundleRevenueReport
 };
@@ -0,0 +1,108 @@
+// returnController.js
+// Handles returns, refunds and exchanges against existing sales
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns sales and refund data necessary for reversing a sale.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import { processReturn as processReturnService, getReturnsForSale as getReturnsForSaleService } from '../services/returnService.js';
+import { PAYMENT_METHODS } from '../services/paymentService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const returnSchema = Joi.object({
+    items: Joi.array().items(
+        Joi.object({
+            saleItemId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).required(),
+            restock: Joi.boolean().default(true),
+            reason: Joi.string().max(256).allow(''),
+            // Which units of a serialised line come back (needed for a partial return)
+            serialNumbers: Joi.array().items(Joi.string().max(128)).unique()
+        })
+    ).min(1).required(),
+    refundMethod: Joi.string().valid(...PAYMENT_METHODS),
+    // Card to refund onto with refundMethod gift_card; defaults to the card that paid for the sale
+    giftCardCode: Joi.string().max(64),
+    reason: Joi.string().max(256).allow(''),
+    registerId: Joi.number().integer(),
+    // Exchange: new lines sold in the same transaction, netted against the refund
+    exchangeItems: Joi.array().items(
+        Joi.object({
+            productId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).max(10000).required(),
+            price: Joi.number().precision(2).min(0),
+            overridePrice: Joi.number().precision(2).min(0),
+            batchNumber: Joi.string().max(64),
+            serialNumbers: Joi.array().items(Joi.string().max(128)).unique(),
+            overrideReason: Joi.string().max(256)
+        }).with('overridePrice', 'overrideReason')
+    ),
+    paymentType: Joi.string().valid(...PAYMENT_METHODS)
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+/**
+ * Record a return or exchange against a sale
+ * Purpose: Only processes and returns refund data needed to reverse sold lines.
+ */
+export async function createReturn(req, res) {
+    const { id } = req.params;
+    const { error, value } = returnSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('RETURN_CREATE_FAIL', { saleId: id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const saleReturn = await processReturnService({ ...value, saleId: id, tenantId, userId: req.user.id, userRole: req.user.role });
+        logEvent('RETURN_CREATE_SUCCESS', { returnId: saleReturn.id, saleId: id, refundAmount: saleReturn.refundAmount });
+        res.status(201).json(saleReturn);
+    } catch (err) {
+        logEvent('RETURN_CREATE_ERROR', { saleId: id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List returns for a sale
+ * Purpose: Only returns refund data needed for business operations.
+ */
+export async function getReturns(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const returns = await getReturnsForSaleService(id, tenantId);
+        res.json({ data: returns });
+    } catch (err) {
+        logEvent('RETURN_LIST_ERROR', { saleId: id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+// Default export for compatibility with import returnController from ...
+export default {
+  createReturn,
+  getReturns
+};
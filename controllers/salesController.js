@@ -37,6 +37,13 @@ export async function syncSales(req, res) {
 // Handles retrieving sales data
 
 import { getSales as getSalesService, getSaleById as getSaleByIdService, processSale as processSaleService } from '../services/salesService.js';
+// Body fields a client may send with a sale; prices, totals and tenders are still checked by the service
+const SALE_FIELDS = ['customerId', 'storeId', 'registerId', 'items', 'total', 'couponCode', 'redeemPoints', 'paymentType', 'payments', 'paid', 'offlineId'];
+
+function pickSaleFields(body = {}) {
+    return Object.fromEntries(SALE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
 // Process a sale (POST /sales)
 export async function processSale(req, res) {
     try {
@@ -44,11 +51,11 @@ export async function processSale(req, res) {
         if (!tenantId) {
             return res.status(403).json({ message: 'Tenant context required.' });
         }
-        const sale = await processSaleService({ ...req.body, tenantId });
+        const sale = await processSaleService({ ...pickSaleFields(req.body), tenantId, userId: req.user.id, userRole: req.user.role });
         res.status(201).json(sale);
     } catch (err) {
         logEvent('SALE_PROCESS_ERROR', { error: err.message });
-        res.status(400).json({ message: err.message });
+        res.status(err.status || 400).json({ message: err.message, ...(err.mismatches ? { mismatches: err.mismatches } : {}) });
     }
 }
 import winston from 'winston';
@@ -73,7 +80,7 @@ export async function getSales(req, res) {
         if (!tenantId) {
             return res.status(403).json({ message: 'Tenant context required.' });
         }
-        const { customerId, startDate, endDate, page = 1, limit = 20, storeId, registerId } = req.query;
+        const { customerId, startDate, endDate, page = 1, limit = 20, storeId, registerId, flagged } = req.query;
         // Map to service query keys
         const query = {
             customerId,
@@ -83,7 +90,8 @@ export async function getSales(req, res) {
             limit,
             tenantId,
             ...(storeId ? { storeId: Number(storeId) } : {}),
-            ...(registerId ? { registerId: Number(registerId) } : {})
+            ...(registerId ? { registerId: Number(registerId) } : {}),
+            ...(flagged !== undefined ? { flagged } : {})
         };
         const result = await getSalesService(query);
         res.json(result);
@@ -0,0 +1,182 @@
+// shiftController.js
+// Handles register shifts: open, close (cash-up), X and Z reports
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns cash and sales totals necessary to reconcile a register.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as shiftService from '../services/shiftService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// Cash count by denomination, e.g. { "50": 2, "20": 3, "0.25": 8 }
+const denominationsSchema = Joi.object().pattern(
+    Joi.string().pattern(/^\d+(\.\d{1,2})?$/),
+    Joi.number().integer().min(0)
+);
+
+const openShiftSchema = Joi.object({
+    registerId: Joi.number().integer().required(),
+    openingFloat: Joi.number().precision(2).min(0),
+    denominations: denominationsSchema,
+    note: Joi.string().max(256).allow('')
+}).xor('openingFloat', 'denominations');
+
+const closeShiftSchema = Joi.object({
+    countedCash: Joi.number().precision(2).min(0),
+    denominations: denominationsSchema,
+    note: Joi.string().max(256).allow('')
+}).xor('countedCash', 'denominations');
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * Open a shift on a register with its opening float
+ * Purpose: Only processes the float and register needed for cash-up.
+ */
+export async function openShift(req, res) {
+    const { error, value } = openShiftSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'SHIFT_OPEN_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const shift = await shiftService.openShift({ ...value, tenantId, userId: req.user.id });
+        logEvent('SHIFT_OPEN_SUCCESS', { shiftId: shift.id, registerId: shift.registerId });
+        res.status(201).json(shift);
+    } catch (err) {
+        logEvent('SHIFT_OPEN_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List shifts (?registerId=, ?storeId=, ?status=open|closed)
+ * Purpose: Only returns shift totals needed for cash management.
+ */
+export async function getShifts(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await shiftService.getShifts({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('SHIFT_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a shift by ID
+ * Purpose: Only returns shift totals needed for cash management.
+ */
+export async function getShiftById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const shift = await shiftService.getShiftById(id, tenantId);
+        if (!shift) {
+            return res.status(404).json({ message: 'Shift not found' });
+        }
+        res.json(shift);
+    } catch (err) {
+        logEvent('SHIFT_GET_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * X report: running totals for an open shift
+ * Purpose: Only returns aggregated sales and cash totals.
+ */
+export async function getXReport(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const report = await shiftService.getXReport(id, tenantId);
+        res.json(report);
+    } catch (err) {
+        logEvent('SHIFT_X_REPORT_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Close a shift with the counted cash and produce its Z report
+ * Purpose: Only processes cash counts and aggregated totals.
+ */
+export async function closeShift(req, res) {
+    const { id } = req.params;
+    const { error, value } = closeShiftSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'SHIFT_CLOSE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const shift = await shiftService.closeShift(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('SHIFT_CLOSE_SUCCESS', { shiftId: shift.id, variance: shift.variance });
+        res.json(shift);
+    } catch (err) {
+        logEvent('SHIFT_CLOSE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Z report of a closed shift
+ * Purpose: Only returns aggregated sales and cash totals.
+ */
+export async function getZReport(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const report = await shiftService.getZReport(id, tenantId);
+        res.json(report);
+    } catch (err) {
+        logEvent('SHIFT_Z_REPORT_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import shiftController from ...
+export default {
+  openShift,
+  getShifts,
+  getShiftById,
+  getXReport,
+  closeShift,
+  getZReport
+};
@@ -0,0 +1,268 @@
+// stocktakeController.js
+// Handles stocktakes and cycle counts: open, count (manual or scan), review variances, post or cancel
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns stock quantities, costs and counter ids necessary to reconcile stock.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as stocktakeService from '../services/stocktakeService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// Counted at a store or a warehouse, not both
+const stocktakeSchema = Joi.object({
+    type: Joi.string().valid('full', 'cycle').default('full'),
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    categoryId: Joi.number().integer(),
+    abcClass: Joi.string().uppercase().valid('A', 'B', 'C'),
+    // Items in a cycle count
+    limit: Joi.number().integer().min(1).max(1000),
+    note: Joi.string().max(256).allow('')
+}).xor('storeId', 'warehouseId');
+
+// Each count names its item by line, product or barcode/SKU
+const countsSchema = Joi.object({
+    counts: Joi.array().items(
+        Joi.object({
+            lineId: Joi.number().integer(),
+            productId: Joi.number().integer(),
+            barcode: Joi.string().max(64),
+            quantity: Joi.number().min(0).precision(3).required()
+        }).xor('lineId', 'productId', 'barcode')
+    ).min(1).required()
+});
+
+const scanSchema = Joi.object({
+    barcode: Joi.string().max(64).required(),
+    quantity: Joi.number().positive().precision(3).default(1)
+});
+
+const postSchema = Joi.object({
+    uncountedAsZero: Joi.boolean().default(false)
+});
+
+const abcSchema = Joi.object({
+    storeId: Joi.number().integer(),
+    warehouseId: Joi.number().integer(),
+    days: Joi.number().integer().min(1).max(730)
+}).xor('storeId', 'warehouseId');
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * Open a stocktake (full count or cycle count) and freeze expected quantities
+ * Purpose: Only processes stock quantities and costs.
+ */
+export async function createStocktake(req, res) {
+    const { error, value } = stocktakeSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'STOCKTAKE_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const stocktake = await stocktakeService.createStocktake({ ...value, tenantId, userId: req.user.id });
+        logEvent('STOCKTAKE_CREATE_SUCCESS', { id: stocktake.id, number: stocktake.number });
+        res.status(201).json(stocktake);
+    } catch (err) {
+        logEvent('STOCKTAKE_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List stocktakes (?status=, ?type=, ?storeId=, ?warehouseId=)
+ * Purpose: Only returns stocktake data needed for stock control.
+ */
+export async function getStocktakes(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await stocktakeService.getStocktakes({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('STOCKTAKE_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a stocktake with its lines and counts
+ * Purpose: Only returns stock quantities and counter ids needed for stock control.
+ */
+export async function getStocktakeById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const stocktake = await stocktakeService.getStocktakeById(id, tenantId);
+        if (!stocktake) {
+            return res.status(404).json({ message: 'Stocktake not found' });
+        }
+        res.json(stocktake);
+    } catch (err) {
+        logEvent('STOCKTAKE_GET_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Submit counts for one or more items (replaces the user's earlier count of each)
+ * Purpose: Only processes counted quantities and the counter's id.
+ */
+export async function submitCounts(req, res) {
+    const { id } = req.params;
+    const { error, value } = countsSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'STOCKTAKE_COUNT_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const lines = await stocktakeService.submitCounts(id, tenantId, { counts: value.counts, userId: req.user.id });
+        res.json({ data: lines });
+    } catch (err) {
+        logEvent('STOCKTAKE_COUNT_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Count one scanned item (adds to the user's count)
+ * Purpose: Only processes the scanned code, counted quantity and the counter's id.
+ */
+export async function scanCount(req, res) {
+    const { id } = req.params;
+    const { error, value } = scanSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'STOCKTAKE_SCAN_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const line = await stocktakeService.scanCount(id, tenantId, { ...value, userId: req.user.id });
+        res.json(line);
+    } catch (err) {
+        logEvent('STOCKTAKE_SCAN_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Variances with their value impact (?countedOnly=true)
+ * Purpose: Only returns stock quantities and costs needed to review a count.
+ */
+export async function getVariances(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await stocktakeService.getVariances(id, tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        logEvent('STOCKTAKE_VARIANCE_ERROR', { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Approve and post a stocktake's variances to stock
+ * Purpose: Only processes stock quantities; records the approver.
+ */
+export async function postStocktake(req, res) {
+    const { id } = req.params;
+    const { error, value } = postSchema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'STOCKTAKE_POST_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const stocktake = await stocktakeService.postStocktake(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('STOCKTAKE_POST_SUCCESS', { id: stocktake.id, number: stocktake.number });
+        res.json(stocktake);
+    } catch (err) {
+        logEvent('STOCKTAKE_POST_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Cancel an open stocktake
+ * Purpose: Only updates the stocktake status.
+ */
+export async function cancelStocktake(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const stocktake = await stocktakeService.cancelStocktake(id, tenantId);
+        logEvent('STOCKTAKE_CANCEL_SUCCESS', { id: stocktake.id });
+        res.json(stocktake);
+    } catch (err) {
+        logEvent('STOCKTAKE_CANCEL_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * ABC classes of the products at a store or warehouse, by cost of goods sold (?storeId=|?warehouseId=, ?days=)
+ * Purpose: Only returns aggregated sales values needed to plan cycle counts.
+ */
+export async function getAbcClasses(req, res) {
+    const { error, value } = abcSchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'STOCKTAKE_ABC_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await stocktakeService.getAbcClasses({ ...value, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('STOCKTAKE_ABC_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+// Default export for compatibility with import stocktakeController from ...
+export default {
+  createStocktake,
+  getStocktakes,
+  getStocktakeById,
+  submitCounts,
+  scanCount,
+  getVariances,
+  postStocktake,
+  cancelStocktake,
+  getAbcClasses
+};
@@ -79,8 +79,9 @@ export async function getStoreAnalytics(req, res) {
             return res.status(403).json({ message: 'Forbidden' });
         }
         // Example analytics: sales total, inventory value, top products
+        // Voided sales are kept for the audit trail but no longer count as takings
         const salesTotal = await prisma.sale.aggregate({
-            where: { storeId: Number(id) },
+            where: { storeId: Number(id), status: 'completed' },
             _sum: { total: true }
         });
         const inventoryValue = await prisma.inventory.aggregate({
@@ -94,10 +95,12 @@ export async function getStoreAnalytics(req, res) {
             orderBy: { _sum: { quantity: 'desc' } },
             take: 5
         });
+        const tenders = await getTenderBreakdown({ tenantId: req.user.tenantId, storeId: id });
         res.json({
             salesTotal: salesTotal._sum.total || 0,
             inventoryValue: inventoryValue._sum.value || 0,
-            topProducts
+            topProducts,
+            tenders
         });
     } catch (err) {
         logger.error({ event: 'STORE_ANALYTICS_ERROR', error: err.message });
@@ -109,6 +112,7 @@ export async function getStoreAnalytics(req, res) {
 import { PrismaClient } from '@prisma/client';
 import winston from 'winston';
 import Joi from 'joi';
+import { getTenderBreakdown } from '../services/paymentService.js';
 const prisma = new PrismaClient();
 
 const logger = winston.createLogger({
@@ -127,6 +131,10 @@ const logger = winston.createLogger({
 const storeSchema = Joi.object({
     name: Joi.string().min(2).max(128).required(),
     location: Joi.string().max(256).allow('', null),
+    pricesIncludeTax: Joi.boolean(),
+    taxNumber: Joi.string().max(64).allow('', null),
+    receiptHeader: Joi.string().max(512).allow('', null),
+    receiptFooter: Joi.string().max(512).allow('', null),
     isActive: Joi.boolean().default(true)
 });
 
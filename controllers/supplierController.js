@@ -1,6 +1,6 @@
 
 // supplierController.js
-// Handles supplier CRUD operations
+// Handles supplier CRUD operations and supplier product catalogs (SKUs, terms, cost history)
 //
 // GDPR Data Minimization & Purpose Limitation:
 // - Only processes and returns supplier data necessary for business operations.
@@ -10,6 +10,7 @@
 import { PrismaClient } from '@prisma/client';
 import Joi from 'joi';
 import winston from 'winston';
+import * as supplierProductService from '../services/supplierProductService.js';
 const prisma = new PrismaClient();
 
 const logger = winston.createLogger({
@@ -39,6 +40,32 @@ const supplierUpdateSchema = Joi.object({
     isActive: Joi.boolean()
 });
 
+const supplierProductSchema = Joi.object({
+    productId: Joi.number().integer().required(),
+    supplierSku: Joi.string().max(64).allow(''),
+    packSize: Joi.number().integer().min(1).default(1),
+    minOrderQty: Joi.number().integer().min(1).default(1),
+    leadTimeDays: Joi.number().integer().min(0).allow(null),
+    isPreferred: Joi.boolean().default(false),
+    // Opening quoted unit cost
+    cost: Joi.number().precision(4).min(0)
+});
+
+const supplierProductUpdateSchema = Joi.object({
+    supplierSku: Joi.string().max(64).allow('', null),
+    packSize: Joi.number().integer().min(1),
+    minOrderQty: Joi.number().integer().min(1),
+    leadTimeDays: Joi.number().integer().min(0).allow(null),
+    isPreferred: Joi.boolean(),
+    isActive: Joi.boolean()
+}).min(1);
+
+const costQuoteSchema = Joi.object({
+    cost: Joi.number().precision(4).min(0).required(),
+    effectiveFrom: Joi.date().iso(),
+    note: Joi.string().max(256).allow('')
+});
+
 function logEvent(event, details) {
     logger.info({ event, ...details });
 }
@@ -151,10 +178,172 @@ export async function deleteSupplier(req, res) {
     }
 }
 
+/**
+ * List the products a supplier sells, with their terms and current quoted cost (?active=)
+ * Purpose: Only returns supplier catalog data needed for purchasing.
+ */
+export async function getSupplierProducts(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const products = await supplierProductService.getSupplierProducts(id, tenantId, req.query);
+        res.json({ data: products });
+    } catch (err) {
+        logEvent('SUPPLIER_PRODUCT_LIST_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Link a product to a supplier with the supplier's SKU, pack size, minimum order and lead time
+ * Purpose: Only processes supplier catalog data.
+ */
+export async function linkSupplierProduct(req, res) {
+    const { id } = req.params;
+    const { error, value } = supplierProductSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('SUPPLIER_PRODUCT_LINK_FAIL', { id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const link = await supplierProductService.linkProduct(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('SUPPLIER_PRODUCT_LINK_SUCCESS', { id, productId: link.productId });
+        res.status(201).json(link);
+    } catch (err) {
+        logEvent('SUPPLIER_PRODUCT_LINK_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Update a supplier's terms for a product (deactivate with isActive: false)
+ * Purpose: Only processes supplier catalog data.
+ */
+export async function updateSupplierProduct(req, res) {
+    const { id, productId } = req.params;
+    const { error, value } = supplierProductUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('SUPPLIER_PRODUCT_UPDATE_FAIL', { id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const link = await supplierProductService.updateSupplierProduct(id, productId, tenantId, value);
+        logEvent('SUPPLIER_PRODUCT_UPDATE_SUCCESS', { id, productId });
+        res.json(link);
+    } catch (err) {
+        logEvent('SUPPLIER_PRODUCT_UPDATE_ERROR', { id, productId, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Record a quoted unit cost for a supplier product, effective now or from a date
+ * Purpose: Only processes cost data.
+ */
+export async function addCostQuote(req, res) {
+    const { id, productId } = req.params;
+    const { error, value } = costQuoteSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        logEvent('SUPPLIER_COST_QUOTE_FAIL', { id, reason: error.details.map(e => e.message).join('; ') });
+        return res.status(400).json({ message: error.details.map(e => e.message).join('; '), errors: error.details });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const quote = await supplierProductService.addCostQuote(id, productId, tenantId, { ...value, userId: req.user.id });
+        logEvent('SUPPLIER_COST_QUOTE_SUCCESS', { id, productId, cost: quote.cost });
+        res.status(201).json(quote);
+    } catch (err) {
+        logEvent('SUPPLIER_COST_QUOTE_ERROR', { id, productId, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Dated cost history of a supplier product: quotes and received costs (?source=, ?from=, ?to=)
+ * Purpose: Only returns cost data.
+ */
+export async function getCostHistory(req, res) {
+    const { id, productId } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const history = await supplierProductService.getCostHistory(id, productId, tenantId, req.query);
+        res.json(history);
+    } catch (err) {
+        logEvent('SUPPLIER_COST_HISTORY_ERROR', { id, productId, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Compare the suppliers of a product by cost and lead time (?productId=, ?quantity=)
+ * Purpose: Only returns supplier catalog and cost data needed to choose a supplier.
+ */
+export async function compareSuppliers(req, res) {
+    const { productId, quantity } = req.query;
+    if (!productId) {
+        return res.status(400).json({ message: 'productId is required' });
+    }
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const comparison = await supplierProductService.compareSuppliers(productId, tenantId, { quantity });
+        res.json(comparison);
+    } catch (err) {
+        logEvent('SUPPLIER_COMPARE_ERROR', { productId, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Set a product's cost to the latest unit cost received from any supplier
+ * Purpose: Only processes cost data.
+ */
+export async function refreshProductCost(req, res) {
+    const { productId } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await supplierProductService.refreshProductCost(productId, tenantId);
+        logEvent('PRODUCT_COST_REFRESH_SUCCESS', { productId, cost: result.cost });
+        res.json(result);
+    } catch (err) {
+        logEvent('PRODUCT_COST_REFRESH_ERROR', { productId, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
 // Default export for compatibility with import supplierController from ...
 export default {
   createSupplier,
   getSuppliers,
   updateSupplier,
-  deleteSupplier
+  deleteSupplier,
+  getSupplierProducts,
+  linkSupplierProduct,
+  updateSupplierProduct,
+  addCostQuote,
+  getCostHistory,
+  compareSuppliers,
+  refreshProductCost
 };
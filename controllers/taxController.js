@@ -0,0 +1,215 @@
+// taxController.js
+// Handles tax classes and tax rates per tenant and store
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns tax configuration necessary for pricing sales.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as taxService from '../services/taxService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const taxClassSchema = Joi.object({
+    name: Joi.string().min(2).max(64).required(),
+    description: Joi.string().max(256).allow('', null)
+});
+
+const taxClassUpdateSchema = Joi.object({
+    name: Joi.string().min(2).max(64),
+    description: Joi.string().max(256).allow('', null)
+}).min(1);
+
+const taxRateSchema = Joi.object({
+    taxClassId: Joi.number().integer().required(),
+    storeId: Joi.number().integer().allow(null),
+    name: Joi.string().min(2).max(64).required(),
+    rate: Joi.number().min(0).max(100).required(),
+    compound: Joi.boolean().default(false),
+    isActive: Joi.boolean().default(true)
+});
+
+const taxRateUpdateSchema = Joi.object({
+    name: Joi.string().min(2).max(64),
+    rate: Joi.number().min(0).max(100),
+    compound: Joi.boolean(),
+    isActive: Joi.boolean()
+}).min(1);
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List tax classes with their rates
+ * Purpose: Only returns tax configuration.
+ */
+export async function getTaxClasses(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const classes = await taxService.getTaxClasses(tenantId);
+        res.json({ data: classes });
+    } catch (err) {
+        logEvent('TAX_CLASS_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create a tax class
+ * Purpose: Only processes and returns tax configuration.
+ */
+export async function createTaxClass(req, res) {
+    const { error, value } = taxClassSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TAX_CLASS_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const taxClass = await taxService.createTaxClass({ ...value, tenantId });
+        logEvent('TAX_CLASS_CREATE_SUCCESS', { id: taxClass.id });
+        res.status(201).json(taxClass);
+    } catch (err) {
+        logEvent('TAX_CLASS_CREATE_ERROR', { error: err.message });
+        if (err.code === 'P2002') {
+            return res.status(409).json({ message: 'Tax class already exists.' });
+        }
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Update a tax class
+ * Purpose: Only processes and returns tax configuration.
+ */
+export async function updateTaxClass(req, res) {
+    const { id } = req.params;
+    const { error, value } = taxClassUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TAX_CLASS_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const taxClass = await taxService.updateTaxClass(id, value, tenantId);
+        logEvent('TAX_CLASS_UPDATE_SUCCESS', { id: taxClass.id });
+        res.json(taxClass);
+    } catch (err) {
+        logEvent('TAX_CLASS_UPDATE_ERROR', { id, error: err.message });
+        res.status(404).json({ message: 'Tax class not found', error: err.message });
+    }
+}
+
+/**
+ * Delete an unused tax class and its rates
+ * Purpose: Only removes tax configuration.
+ */
+export async function deleteTaxClass(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        await taxService.deleteTaxClass(id, tenantId);
+        logEvent('TAX_CLASS_DELETE_SUCCESS', { id });
+        res.status(204).send();
+    } catch (err) {
+        logEvent('TAX_CLASS_DELETE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List tax rates (?taxClassId=, ?storeId=)
+ * Purpose: Only returns tax configuration.
+ */
+export async function getTaxRates(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const { taxClassId, storeId } = req.query;
+        const rates = await taxService.getTaxRates({ tenantId, taxClassId, storeId });
+        res.json({ data: rates });
+    } catch (err) {
+        logEvent('TAX_RATE_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create a tax rate, tenant-wide or for one store
+ * Purpose: Only processes and returns tax configuration.
+ */
+export async function createTaxRate(req, res) {
+    const { error, value } = taxRateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TAX_RATE_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const taxRate = await taxService.createTaxRate({ ...value, tenantId });
+        logEvent('TAX_RATE_CREATE_SUCCESS', { id: taxRate.id, taxClassId: taxRate.taxClassId });
+        res.status(201).json(taxRate);
+    } catch (err) {
+        logEvent('TAX_RATE_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Update a tax rate (deactivate instead of deleting so past sales keep their reference)
+ * Purpose: Only processes and returns tax configuration.
+ */
+export async function updateTaxRate(req, res) {
+    const { id } = req.params;
+    const { error, value } = taxRateUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TAX_RATE_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const taxRate = await taxService.updateTaxRate(id, value, tenantId);
+        logEvent('TAX_RATE_UPDATE_SUCCESS', { id: taxRate.id });
+        res.json(taxRate);
+    } catch (err) {
+        logEvent('TAX_RATE_UPDATE_ERROR', { id, error: err.message });
+        res.status(404).json({ message: 'Tax rate not found', error: err.message });
+    }
+}
+
+// Default export for compatibility with import taxController from ...
+export default {
+  getTaxClasses,
+  createTaxClass,
+  updateTaxClass,
+  deleteTaxClass,
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate
+};
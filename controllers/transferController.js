@@ -0,0 +1,249 @@
+// transferController.js
+// Handles transfer orders between stores and warehouses: create, dispatch, receive, close or cancel
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns product, quantity, cost and location data necessary to move stock.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as transferService from '../services/transferService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// Each end of a transfer is a store or a warehouse, not both
+const transferSchema = Joi.object({
+    fromStoreId: Joi.number().integer(),
+    fromWarehouseId: Joi.number().integer(),
+    toStoreId: Joi.number().integer(),
+    toWarehouseId: Joi.number().integer(),
+    note: Joi.string().max(256).allow(''),
+    lines: Joi.array().items(
+        Joi.object({
+            productId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).required()
+        })
+    ).min(1).required()
+}).xor('fromStoreId', 'fromWarehouseId').xor('toStoreId', 'toWarehouseId');
+
+// Lines left out are dispatched as requested
+const dispatchSchema = Joi.object({
+    lines: Joi.array().items(
+        Joi.object({
+            lineId: Joi.number().integer().required(),
+            quantity: Joi.number().min(0).precision(3).required()
+        })
+    ).default([])
+});
+
+const receiveSchema = Joi.object({
+    lines: Joi.array().items(
+        Joi.object({
+            lineId: Joi.number().integer().required(),
+            quantity: Joi.number().positive().precision(3).required(),
+            discrepancyReason: Joi.string().max(256)
+        })
+    ).min(1).required()
+});
+
+const closeSchema = Joi.object({
+    resolution: Joi.string().valid('write_off', 'return_to_source').default('write_off'),
+    reason: Joi.string().max(256)
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * Create a draft transfer
+ * Purpose: Only processes product, quantity and location data.
+ */
+export async function createTransfer(req, res) {
+    const { error, value } = transferSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TRANSFER_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await transferService.createTransfer({ ...value, tenantId, userId: req.user.id });
+        logEvent('TRANSFER_CREATE_SUCCESS', { id: order.id, number: order.number });
+        res.status(201).json(order);
+    } catch (err) {
+        logEvent('TRANSFER_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * List transfers (?status=, ?storeId=, ?warehouseId=)
+ * Purpose: Only returns transfer data needed for stock control.
+ */
+export async function getTransfers(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await transferService.getTransfers({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('TRANSFER_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Stock in transit per product and route (?productId=)
+ * Purpose: Only returns product, quantity and cost data needed to account for stock on the move.
+ */
+export async function getInTransit(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await transferService.getInTransit({ ...req.query, tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('TRANSFER_IN_TRANSIT_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Get a transfer with its lines and stock movements
+ * Purpose: Only returns transfer data needed for stock control.
+ */
+export async function getTransferById(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await transferService.getTransferById(id, tenantId);
+        if (!order) {
+            return res.status(404).json({ message: 'Transfer not found' });
+        }
+        res.json(order);
+    } catch (err) {
+        logEvent('TRANSFER_GET_ERROR', { id, error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Dispatch a draft transfer; the stock leaves the source and is in transit
+ * Purpose: Only processes product and quantity data; records the dispatcher.
+ */
+export async function dispatchTransfer(req, res) {
+    const { id } = req.params;
+    const { error, value } = dispatchSchema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TRANSFER_DISPATCH_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await transferService.dispatchTransfer(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('TRANSFER_DISPATCH_SUCCESS', { id: order.id, number: order.number });
+        res.json(order);
+    } catch (err) {
+        logEvent('TRANSFER_DISPATCH_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Receive some or all of the stock in transit at the destination
+ * Purpose: Only processes product and quantity data.
+ */
+export async function receiveTransfer(req, res) {
+    const { id } = req.params;
+    const { error, value } = receiveSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TRANSFER_RECEIVE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await transferService.receiveTransfer(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('TRANSFER_RECEIVE_SUCCESS', { id: order.id, status: order.status });
+        res.json(order);
+    } catch (err) {
+        logEvent('TRANSFER_RECEIVE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Close a transfer, writing off or returning whatever is still in transit
+ * Purpose: Only processes product and quantity data and the discrepancy reason.
+ */
+export async function closeTransfer(req, res) {
+    const { id } = req.params;
+    const { error, value } = closeSchema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'TRANSFER_CLOSE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await transferService.closeTransfer(id, tenantId, { ...value, userId: req.user.id });
+        logEvent('TRANSFER_CLOSE_SUCCESS', { id: order.id, resolution: value.resolution });
+        res.json(order);
+    } catch (err) {
+        logEvent('TRANSFER_CLOSE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Cancel a draft transfer
+ * Purpose: Only updates the transfer status.
+ */
+export async function cancelTransfer(req, res) {
+    const { id } = req.params;
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const order = await transferService.cancelTransfer(id, tenantId);
+        logEvent('TRANSFER_CANCEL_SUCCESS', { id: order.id });
+        res.json(order);
+    } catch (err) {
+        logEvent('TRANSFER_CANCEL_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import transferController from ...
+export default {
+  createTransfer,
+  getTransfers,
+  getInTransit,
+  getTransferById,
+  dispatchTransfer,
+  receiveTransfer,
+  closeTransfer,
+  cancelTransfer
+};
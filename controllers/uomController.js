@@ -0,0 +1,109 @@
+// uomController.js
+// Handles units of measure
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes and returns unit of measure settings.
+// - Does not return or log unnecessary or sensitive data.
+// - All endpoints are documented with their data processing purpose.
+
+import * as uomService from '../services/uomService.js';
+import Joi from 'joi';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+const unitSchema = Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(16).required(),
+    name: Joi.string().trim().max(64).required()
+});
+
+const unitUpdateSchema = Joi.object({
+    name: Joi.string().trim().max(64).required()
+});
+
+function logEvent(event, details) {
+    logger.info({ event, ...details });
+}
+
+function validationError(res, event, error) {
+    const message = error.details.map(e => e.message).join('; ');
+    logEvent(event, { reason: message });
+    return res.status(400).json({ message, errors: error.details });
+}
+
+/**
+ * List units of measure
+ * Purpose: Only returns unit settings.
+ */
+export async function getUnits(req, res) {
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const result = await uomService.getUnits({ tenantId });
+        res.json(result);
+    } catch (err) {
+        logEvent('UOM_LIST_ERROR', { error: err.message });
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+}
+
+/**
+ * Create a unit of measure
+ * Purpose: Only processes unit settings.
+ */
+export async function createUnit(req, res) {
+    const { error, value } = unitSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'UOM_CREATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const unit = await uomService.createUnit({ ...value, tenantId });
+        logEvent('UOM_CREATE_SUCCESS', { id: unit.id, code: unit.code });
+        res.status(201).json(unit);
+    } catch (err) {
+        logEvent('UOM_CREATE_ERROR', { error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+/**
+ * Rename a unit of measure
+ * Purpose: Only processes unit settings.
+ */
+export async function updateUnit(req, res) {
+    const { id } = req.params;
+    const { error, value } = unitUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) return validationError(res, 'UOM_UPDATE_FAIL', error);
+    try {
+        const tenantId = req.user?.tenantId;
+        if (!tenantId) {
+            return res.status(403).json({ message: 'Tenant context required.' });
+        }
+        const unit = await uomService.updateUnit(id, tenantId, value);
+        logEvent('UOM_UPDATE_SUCCESS', { id: unit.id, code: unit.code });
+        res.json(unit);
+    } catch (err) {
+        logEvent('UOM_UPDATE_ERROR', { id, error: err.message });
+        res.status(err.status || 400).json({ message: err.message });
+    }
+}
+
+// Default export for compatibility with import uomController from ...
+export default {
+  getUnits,
+  createUnit,
+  updateUnit
+};
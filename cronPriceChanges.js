@@ -0,0 +1,24 @@
+// cronPriceChanges.js
+// Schedules scheduled price changes and markdowns to be applied for every tenant
+import cron from 'node-cron';
+import { PrismaClient } from '@prisma/client';
+import { applyDuePriceChanges } from './services/priceChangeService.js';
+
+const prisma = new PrismaClient();
+
+// Run every 5 minutes unless PRICE_CHANGE_CRON says otherwise
+cron.schedule(process.env.PRICE_CHANGE_CRON || '*/5 * * * *', async () => {
+  const tenants = await prisma.tenant.findMany({ select: { id: true } });
+  for (const tenant of tenants) {
+    try {
+      const { applied, started, ended, failed } = await applyDuePriceChanges({ tenantId: tenant.id });
+      if (applied + started + ended + failed > 0) {
+        console.log(`[PriceChanges] Tenant ${tenant.id}: ${applied} applied, ${started} markdowns started, ${ended} ended, ${failed} failed`);
+      }
+    } catch (err) {
+      console.error(`[PriceChanges] Tenant ${tenant.id} failed: ${err.message}`);
+    }
+  }
+});
+
+// To start: node backend/cronPriceChanges.js
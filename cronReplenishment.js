@@ -0,0 +1,24 @@
+// cronReplenishment.js
+// Schedules the replenishment engine to draft purchase orders for every tenant
+import cron from 'node-cron';
+import { PrismaClient } from '@prisma/client';
+import { generatePurchaseOrders } from './services/replenishmentService.js';
+
+const prisma = new PrismaClient();
+
+// Run every day at 3:00 AM unless REPLENISHMENT_CRON says otherwise
+cron.schedule(process.env.REPLENISHMENT_CRON || '0 3 * * *', async () => {
+  console.log('[Replenishment] Generating draft purchase orders...');
+  const tenants = await prisma.tenant.findMany({ select: { id: true } });
+  for (const tenant of tenants) {
+    try {
+      const { orders, unassigned } = await generatePurchaseOrders({ tenantId: tenant.id });
+      console.log(`[Replenishment] Tenant ${tenant.id}: ${orders.length} draft POs, ${unassigned.length} products without a preferred supplier`);
+    } catch (err) {
+      console.error(`[Replenishment] Tenant ${tenant.id} failed: ${err.message}`);
+    }
+  }
+  console.log('[Replenishment] Done. Drafts are left for a manager to review and send.');
+});
+
+// To start: node backend/cronReplenishment.js
@@ -12,10 +12,17 @@ export const validateSale = [
   body('registerId').isInt({ min: 1 }).withMessage('registerId is required and must be a positive integer'),
   body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array'),
   body('items.*.productId').isInt({ min: 1 }).withMessage('productId must be a positive integer'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('quantity must be a positive integer'),
-  body('items.*.price').isFloat({ min: 0 }).withMessage('price must be a non-negative number'),
-  body('total').isFloat({ min: 0 }).withMessage('total must be a non-negative number'),
-  body('paymentType').isString().notEmpty().withMessage('paymentType is required'),
+  body('items.*.quantity').isFloat({ gt: 0, max: 10000 }).withMessage('quantity must be a positive number up to 10000'),
+  body('items.*.price').optional().isFloat({ min: 0 }).withMessage('price must be a non-negative number'),
+  body('items.*.overridePrice').optional().isFloat({ min: 0 }).withMessage('overridePrice must be a non-negative number'),
+  body('items.*.overrideReason').if(body('items.*.overridePrice').exists()).isString().notEmpty().withMessage('overrideReason is required with overridePrice'),
+  body('total').optional().isFloat({ min: 0 }).withMessage('total must be a non-negative number'),
+  body('couponCode').optional().isString().isLength({ max: 64 }).withMessage('couponCode must be a string of at most 64 characters'),
+  body('redeemPoints').optional().isInt({ min: 1 }).withMessage('redeemPoints must be a positive integer'),
+  body('paymentType').if(body('payments').not().exists()).isString().notEmpty().withMessage('paymentType is required'),
+  body('payments').optional().isArray({ min: 1 }).withMessage('payments must be a non-empty array'),
+  body('payments.*.method').isString().notEmpty().withMessage('payment method is required'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('payment amount must be a positive number'),
   body('paid').isBoolean().withMessage('paid must be a boolean'),
   (req, res, next) => {
     const errors = validationResult(req);
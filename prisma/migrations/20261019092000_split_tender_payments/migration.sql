@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" SERIAL NOT NULL,
+    "saleId" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reference" TEXT,
+    "changeGiven" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: existing sales were paid in full with their single paymentType
+INSERT INTO "Payment" ("saleId", "method", "amount", "changeGiven", "createdAt")
+SELECT "id", "paymentType", "total", 0, "createdAt" FROM "Sale";
@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "couponCode" TEXT,
+ADD COLUMN     "discountTotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "subtotal" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "promotions" JSONB;
+
+-- CreateTable
+CREATE TABLE "Promotion" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "scope" TEXT NOT NULL DEFAULT 'line',
+    "value" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "productIds" INTEGER[],
+    "categoryIds" INTEGER[],
+    "buyQuantity" INTEGER,
+    "getQuantity" INTEGER,
+    "getDiscountPercent" DOUBLE PRECISION NOT NULL DEFAULT 100,
+    "minBasketTotal" DOUBLE PRECISION,
+    "couponCode" TEXT,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "daysOfWeek" INTEGER[],
+    "startTime" TEXT,
+    "endTime" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "stackable" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Promotion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Promotion_tenantId_couponCode_key" ON "Promotion"("tenantId", "couponCode");
+
+-- AddForeignKey
+ALTER TABLE "Promotion" ADD CONSTRAINT "Promotion_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: historical sales carried no discounts
+UPDATE "Sale" SET "subtotal" = "total";
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "flagReason" TEXT,
+ADD COLUMN     "flagged" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "originalPrice" DOUBLE PRECISION,
+ADD COLUMN     "overrideReason" TEXT;
@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "shiftId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "SaleReturn" ADD COLUMN     "shiftId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Shift" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "storeId" INTEGER NOT NULL,
+    "registerId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "openedById" INTEGER,
+    "closedById" INTEGER,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+    "openingFloat" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "openingDenominations" JSONB,
+    "expectedCash" DOUBLE PRECISION,
+    "countedCash" DOUBLE PRECISION,
+    "variance" DOUBLE PRECISION,
+    "closingDenominations" JSONB,
+    "zNumber" INTEGER,
+    "zReport" JSONB,
+    "note" TEXT,
+
+    CONSTRAINT "Shift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Shift_registerId_status_idx" ON "Shift"("registerId", "status");
+
+-- Only one open shift per register (partial index; not expressible in the Prisma schema)
+CREATE UNIQUE INDEX "Shift_registerId_open_key" ON "Shift"("registerId") WHERE "status" = 'open';
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "Shift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "Shift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_registerId_fkey" FOREIGN KEY ("registerId") REFERENCES "Register"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
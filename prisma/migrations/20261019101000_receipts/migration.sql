@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Store" ADD COLUMN     "receiptFooter" TEXT,
+ADD COLUMN     "receiptHeader" TEXT,
+ADD COLUMN     "taxNumber" TEXT;
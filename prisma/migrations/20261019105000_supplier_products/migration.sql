@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "SupplierProduct" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "supplierId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "supplierSku" TEXT,
+    "packSize" INTEGER NOT NULL DEFAULT 1,
+    "minOrderQty" INTEGER NOT NULL DEFAULT 1,
+    "leadTimeDays" INTEGER,
+    "isPreferred" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastReceivedCost" DOUBLE PRECISION,
+    "lastReceivedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SupplierProduct_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SupplierCost" (
+    "id" SERIAL NOT NULL,
+    "supplierProductId" INTEGER NOT NULL,
+    "cost" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'quote',
+    "effectiveFrom" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "goodsReceiptId" INTEGER,
+    "note" TEXT,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SupplierCost_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SupplierProduct_productId_idx" ON "SupplierProduct"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SupplierProduct_supplierId_productId_key" ON "SupplierProduct"("supplierId", "productId");
+
+-- CreateIndex
+CREATE INDEX "SupplierCost_supplierProductId_effectiveFrom_idx" ON "SupplierCost"("supplierProductId", "effectiveFrom");
+
+-- AddForeignKey
+ALTER TABLE "SupplierProduct" ADD CONSTRAINT "SupplierProduct_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierProduct" ADD CONSTRAINT "SupplierProduct_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierProduct" ADD CONSTRAINT "SupplierProduct_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierCost" ADD CONSTRAINT "SupplierCost_supplierProductId_fkey" FOREIGN KEY ("supplierProductId") REFERENCES "SupplierProduct"("id") ON DELETE CASCADE ON UPDATE CASCADE;
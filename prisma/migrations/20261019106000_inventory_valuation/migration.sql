@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "InventoryHistory" ADD COLUMN "unitCost" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "InventoryHistory_inventoryId_createdAt_idx" ON "InventoryHistory"("inventoryId", "createdAt");
+
+-- Backfill: goods receipts booked before this migration carry the cost of their receipt line
+UPDATE "InventoryHistory" h
+SET "unitCost" = l."unitCost"
+FROM "GoodsReceiptLine" l
+JOIN "GoodsReceipt" r ON r."id" = l."goodsReceiptId"
+JOIN "PurchaseOrder" o ON o."id" = r."purchaseOrderId"
+WHERE h."inventoryId" = l."inventoryId"
+  AND h."reason" = o."number" || ' receipt #' || r."id"
+  AND h."quantityAfter" - h."quantityBefore" = l."quantity";
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN "unitCost" DOUBLE PRECISION;
+
+-- Backfill: earlier sales are costed at the product's current cost
+UPDATE "SaleItem" si
+SET "unitCost" = p."cost"
+FROM "Product" p
+WHERE p."id" = si."productId";
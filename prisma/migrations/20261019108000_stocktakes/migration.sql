@@ -0,0 +1,79 @@
+-- AlterTable
+ALTER TABLE "Inventory" ADD COLUMN "lastCountedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Stocktake" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "number" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'full',
+    "storeId" INTEGER,
+    "warehouseId" INTEGER,
+    "categoryId" INTEGER,
+    "abcClass" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "note" TEXT,
+    "createdById" INTEGER,
+    "approvedById" INTEGER,
+    "postedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Stocktake_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StocktakeLine" (
+    "id" SERIAL NOT NULL,
+    "stocktakeId" INTEGER NOT NULL,
+    "inventoryId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "expectedQuantity" INTEGER NOT NULL,
+    "countedQuantity" INTEGER,
+    "unitCost" DOUBLE PRECISION NOT NULL,
+    "adjustment" INTEGER,
+
+    CONSTRAINT "StocktakeLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StocktakeCount" (
+    "id" SERIAL NOT NULL,
+    "stocktakeLineId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StocktakeCount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Stocktake_tenantId_status_idx" ON "Stocktake"("tenantId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Stocktake_tenantId_number_key" ON "Stocktake"("tenantId", "number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StocktakeLine_stocktakeId_inventoryId_key" ON "StocktakeLine"("stocktakeId", "inventoryId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StocktakeCount_stocktakeLineId_userId_key" ON "StocktakeCount"("stocktakeLineId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeLine" ADD CONSTRAINT "StocktakeLine_stocktakeId_fkey" FOREIGN KEY ("stocktakeId") REFERENCES "Stocktake"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeLine" ADD CONSTRAINT "StocktakeLine_inventoryId_fkey" FOREIGN KEY ("inventoryId") REFERENCES "Inventory"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeCount" ADD CONSTRAINT "StocktakeCount_stocktakeLineId_fkey" FOREIGN KEY ("stocktakeLineId") REFERENCES "StocktakeLine"("id") ON DELETE CASCADE ON UPDATE CASCADE;
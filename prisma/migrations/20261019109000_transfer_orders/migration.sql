@@ -0,0 +1,78 @@
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN "fromStoreId" INTEGER,
+ADD COLUMN "toStoreId" INTEGER,
+ADD COLUMN "transferOrderId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "TransferOrder" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "number" TEXT NOT NULL,
+    "fromStoreId" INTEGER,
+    "fromWarehouseId" INTEGER,
+    "toStoreId" INTEGER,
+    "toWarehouseId" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "note" TEXT,
+    "createdById" INTEGER,
+    "dispatchedById" INTEGER,
+    "dispatchedAt" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TransferOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TransferOrderLine" (
+    "id" SERIAL NOT NULL,
+    "transferOrderId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "quantityRequested" INTEGER NOT NULL,
+    "quantityDispatched" INTEGER NOT NULL DEFAULT 0,
+    "quantityReceived" INTEGER NOT NULL DEFAULT 0,
+    "quantityLost" INTEGER NOT NULL DEFAULT 0,
+    "quantityReturned" INTEGER NOT NULL DEFAULT 0,
+    "unitCost" DOUBLE PRECISION,
+    "discrepancyReason" TEXT,
+
+    CONSTRAINT "TransferOrderLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TransferOrder_tenantId_status_idx" ON "TransferOrder"("tenantId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TransferOrder_tenantId_number_key" ON "TransferOrder"("tenantId", "number");
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_fromStoreId_fkey" FOREIGN KEY ("fromStoreId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_toStoreId_fkey" FOREIGN KEY ("toStoreId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_transferOrderId_fkey" FOREIGN KEY ("transferOrderId") REFERENCES "TransferOrder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrder" ADD CONSTRAINT "TransferOrder_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrder" ADD CONSTRAINT "TransferOrder_fromStoreId_fkey" FOREIGN KEY ("fromStoreId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrder" ADD CONSTRAINT "TransferOrder_fromWarehouseId_fkey" FOREIGN KEY ("fromWarehouseId") REFERENCES "Warehouse"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrder" ADD CONSTRAINT "TransferOrder_toStoreId_fkey" FOREIGN KEY ("toStoreId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrder" ADD CONSTRAINT "TransferOrder_toWarehouseId_fkey" FOREIGN KEY ("toWarehouseId") REFERENCES "Warehouse"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrderLine" ADD CONSTRAINT "TransferOrderLine_transferOrderId_fkey" FOREIGN KEY ("transferOrderId") REFERENCES "TransferOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferOrderLine" ADD CONSTRAINT "TransferOrderLine_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "InventoryHistory" ADD COLUMN "reasonCodeId" INTEGER,
+ADD COLUMN "approvedById" INTEGER;
+
+-- CreateTable
+CREATE TABLE "AdjustmentReason" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isShrinkage" BOOLEAN NOT NULL DEFAULT true,
+    "approvalThreshold" DOUBLE PRECISION,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AdjustmentReason_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryHistory_reasonCodeId_createdAt_idx" ON "InventoryHistory"("reasonCodeId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdjustmentReason_tenantId_code_key" ON "AdjustmentReason"("tenantId", "code");
+
+-- AddForeignKey
+ALTER TABLE "InventoryHistory" ADD CONSTRAINT "InventoryHistory_reasonCodeId_fkey" FOREIGN KEY ("reasonCodeId") REFERENCES "AdjustmentReason"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AdjustmentReason" ADD CONSTRAINT "AdjustmentReason_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
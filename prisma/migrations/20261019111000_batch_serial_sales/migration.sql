@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "tracking" TEXT NOT NULL DEFAULT 'none';
+
+-- AlterTable
+ALTER TABLE "SerialNumber" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'in_stock',
+ADD COLUMN "saleItemId" INTEGER,
+ADD COLUMN "soldAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "CartItem" ADD COLUMN "batchNumber" TEXT,
+ADD COLUMN "serialNumbers" TEXT[];
+
+-- CreateTable
+CREATE TABLE "SaleItemBatch" (
+    "id" SERIAL NOT NULL,
+    "saleItemId" INTEGER NOT NULL,
+    "batchId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "quantityReturned" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "SaleItemBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Batch_inventoryId_expiryDate_idx" ON "Batch"("inventoryId", "expiryDate");
+
+-- AddForeignKey
+ALTER TABLE "SerialNumber" ADD CONSTRAINT "SerialNumber_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItemBatch" ADD CONSTRAINT "SaleItemBatch_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItemBatch" ADD CONSTRAINT "SaleItemBatch_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "Batch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
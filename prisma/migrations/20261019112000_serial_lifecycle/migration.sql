@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "SerialNumberEvent" (
+    "id" SERIAL NOT NULL,
+    "serialNumberId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "saleItemId" INTEGER,
+    "saleReturnId" INTEGER,
+    "note" TEXT,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SerialNumberEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SerialNumberEvent_serialNumberId_createdAt_idx" ON "SerialNumberEvent"("serialNumberId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SerialNumberEvent" ADD CONSTRAINT "SerialNumberEvent_serialNumberId_fkey" FOREIGN KEY ("serialNumberId") REFERENCES "SerialNumber"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SerialNumberEvent" ADD CONSTRAINT "SerialNumberEvent_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Start the history of serials already on file
+INSERT INTO "SerialNumberEvent" ("serialNumberId", "toStatus", "saleItemId", "note", "createdAt")
+SELECT "id", "status", "saleItemId", 'history started', CURRENT_TIMESTAMP FROM "SerialNumber";
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "parentId" INTEGER,
+ADD COLUMN "options" JSONB,
+ADD COLUMN "variantOptions" JSONB,
+ADD COLUMN "priceOverride" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "Product_parentId_idx" ON "Product"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Product"("id") ON DELETE SET NULL ON UPDATE CASCADE;
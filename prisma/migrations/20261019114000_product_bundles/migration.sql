@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "isBundle" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "BundleComponent" (
+    "id" SERIAL NOT NULL,
+    "bundleId" INTEGER NOT NULL,
+    "componentId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "revenueShare" DOUBLE PRECISION,
+
+    CONSTRAINT "BundleComponent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SaleItemComponent" (
+    "id" SERIAL NOT NULL,
+    "saleItemId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "quantityDeducted" INTEGER NOT NULL DEFAULT 0,
+    "revenue" DOUBLE PRECISION NOT NULL,
+    "unitCost" DOUBLE PRECISION,
+
+    CONSTRAINT "SaleItemComponent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BundleComponent_bundleId_componentId_key" ON "BundleComponent"("bundleId", "componentId");
+
+-- CreateIndex
+CREATE INDEX "SaleItemComponent_productId_idx" ON "SaleItemComponent"("productId");
+
+-- AddForeignKey
+ALTER TABLE "BundleComponent" ADD CONSTRAINT "BundleComponent_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BundleComponent" ADD CONSTRAINT "BundleComponent_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItemComponent" ADD CONSTRAINT "SaleItemComponent_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItemComponent" ADD CONSTRAINT "SaleItemComponent_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "allowDecimal" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "stockUomId" INTEGER,
+ADD COLUMN "saleUomId" INTEGER,
+ADD COLUMN "saleFactor" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN "purchaseUomId" INTEGER,
+ADD COLUMN "purchaseFactor" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN "plu" TEXT;
+
+-- AlterTable
+ALTER TABLE "Inventory" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "InventoryHistory" ALTER COLUMN "quantityBefore" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "quantityAfter" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "StockMovement" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "SaleReturnItem" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "CartItem" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "StocktakeLine" ALTER COLUMN "expectedQuantity" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "countedQuantity" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "adjustment" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "StocktakeCount" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "TransferOrderLine" ALTER COLUMN "quantityRequested" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "quantityDispatched" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "quantityReceived" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "quantityLost" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "quantityReturned" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "BundleComponent" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "SaleItemComponent" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "quantityDeducted" SET DATA TYPE DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "UnitOfMeasure" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UnitOfMeasure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UnitOfMeasure_tenantId_code_key" ON "UnitOfMeasure"("tenantId", "code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_tenantId_plu_key" ON "Product"("tenantId", "plu");
+
+-- AddForeignKey
+ALTER TABLE "UnitOfMeasure" ADD CONSTRAINT "UnitOfMeasure_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_stockUomId_fkey" FOREIGN KEY ("stockUomId") REFERENCES "UnitOfMeasure"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_saleUomId_fkey" FOREIGN KEY ("saleUomId") REFERENCES "UnitOfMeasure"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_purchaseUomId_fkey" FOREIGN KEY ("purchaseUomId") REFERENCES "UnitOfMeasure"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "PriceChange" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'change',
+    "price" DOUBLE PRECISION NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3),
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "previousPrice" DOUBLE PRECISION,
+    "reason" TEXT,
+    "createdById" INTEGER,
+    "appliedAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PriceHistory" (
+    "id" SERIAL NOT NULL,
+    "tenantId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "oldPrice" DOUBLE PRECISION NOT NULL,
+    "newPrice" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "priceChangeId" INTEGER,
+    "userId" INTEGER,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceChange_tenantId_status_startsAt_idx" ON "PriceChange"("tenantId", "status", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_productId_changedAt_idx" ON "PriceHistory"("productId", "changedAt");
+
+-- AddForeignKey
+ALTER TABLE "PriceChange" ADD CONSTRAINT "PriceChange_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceChange" ADD CONSTRAINT "PriceChange_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_priceChangeId_fkey" FOREIGN KEY ("priceChangeId") REFERENCES "PriceChange"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "CostLayerSnapshot" (
+    "id" SERIAL NOT NULL,
+    "inventoryId" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "historyId" INTEGER NOT NULL,
+    "takenAt" TIMESTAMP(3) NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "layers" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CostLayerSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CostLayerSnapshot_inventoryId_method_historyId_idx" ON "CostLayerSnapshot"("inventoryId", "method", "historyId");
+
+-- AddForeignKey
+ALTER TABLE "CostLayerSnapshot" ADD CONSTRAINT "CostLayerSnapshot_inventoryId_fkey" FOREIGN KEY ("inventoryId") REFERENCES "Inventory"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
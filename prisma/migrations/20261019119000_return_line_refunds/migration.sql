@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "SaleReturnItem" ADD COLUMN "refundAmount" DOUBLE PRECISION;
+
+-- Backfill lines returned before refunds were prorated per line
+UPDATE "SaleReturnItem" SET "refundAmount" = ROUND(("unitRefund" * "quantity")::numeric, 2);
+
+ALTER TABLE "SaleReturnItem" ALTER COLUMN "refundAmount" SET NOT NULL;
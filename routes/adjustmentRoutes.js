@@ -0,0 +1,19 @@
+// adjustmentRoutes.js
+import express from 'express';
+import adjustmentController from '../controllers/adjustmentController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// Reason codes (damaged, expired, theft, samples, ...) configured per tenant
+router.get('/reasons', authenticateToken, staffRoles, adjustmentController.getAdjustmentReasons);
+router.post('/reasons', authenticateToken, managerRoles, adjustmentController.createAdjustmentReason);
+router.put('/reasons/:id', authenticateToken, managerRoles, adjustmentController.updateAdjustmentReason);
+
+// Write-offs: any staff member can record one; above the approval threshold a manager signs off
+router.post('/write-offs', authenticateToken, staffRoles, adjustmentController.writeOffStock);
+
+export default router;
@@ -0,0 +1,18 @@
+// bundleRoutes.js
+import express from 'express';
+import bundleController from '../controllers/bundleController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+router.get('/', authenticateToken, staffRoles, bundleController.getBundles);
+router.put('/:id/components', authenticateToken, managerRoles, bundleController.setBundleComponents);
+// Assembled kits in stock plus what the component stock can still make (?storeId= or ?warehouseId=)
+router.get('/:id/availability', authenticateToken, staffRoles, bundleController.getBundleAvailability);
+// Pre-build kits into stock from their components
+router.post('/:id/assemble', authenticateToken, managerRoles, bundleController.assembleKits);
+
+export default router;
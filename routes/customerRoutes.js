@@ -1,11 +1,27 @@
 // customerRoutes.js
 import express from 'express';
 import customerController from '../controllers/customerController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
 
 const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+
+// Loyalty programme settings (before /:id so "loyalty" is not taken as an id)
+router.get('/loyalty/program', authenticateToken, customerController.getLoyaltyProgram);
+router.put('/loyalty/program', authenticateToken, managerRoles, customerController.saveLoyaltyProgram);
+
 router.post('/', customerController.createCustomer);
 router.get('/', customerController.getCustomers);
 router.put('/:id', customerController.updateCustomer);
 router.delete('/:id', customerController.deleteCustomer);
 
+// Points balance, tier and ledger of a customer; manual adjustments need a manager
+router.get('/:id/loyalty', authenticateToken, customerController.getCustomerLoyalty);
+router.post('/:id/loyalty/adjust', authenticateToken, managerRoles, customerController.adjustLoyaltyPoints);
+
+// Store credit account (issued by returns refunded to store_credit, spent as a tender)
+router.get('/:id/store-credit', authenticateToken, customerController.getStoreCredit);
+router.post('/:id/store-credit/adjust', authenticateToken, managerRoles, customerController.adjustStoreCredit);
+
 export default router;
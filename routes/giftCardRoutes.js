@@ -0,0 +1,24 @@
+// giftCardRoutes.js
+import express from 'express';
+import giftCardController from '../controllers/giftCardController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const registerRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// Issuing and listing stored value is a manager task (?status=, ?customerId=)
+router.get('/', authenticateToken, managerRoles, giftCardController.getGiftCards);
+router.post('/', authenticateToken, managerRoles, giftCardController.issueGiftCard);
+
+// Balance lookup, ledger and printable barcode by card code
+router.get('/:code', authenticateToken, registerRoles, giftCardController.getGiftCard);
+router.get('/:code/transactions', authenticateToken, registerRoles, giftCardController.getGiftCardTransactions);
+router.get('/:code/barcode', authenticateToken, registerRoles, giftCardController.getGiftCardBarcode);
+
+// Pre-printed cards are activated at the till when sold; voiding writes off the balance
+router.post('/:code/activate', authenticateToken, registerRoles, giftCardController.activateGiftCard);
+router.post('/:code/void', authenticateToken, managerRoles, giftCardController.voidGiftCard);
+
+export default router;
@@ -8,6 +8,9 @@ router.post('/sync/inventory', inventoryController.syncInventory); // Sync inven
 // inventoryRoutes.js
 import express from 'express';
 import inventoryController from '../controllers/inventoryController.js';
+import batchController from '../controllers/batchController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
 
 const router = express.Router();
 
@@ -25,7 +28,10 @@ router.post('/stock/transfer', inventoryController.transferStock); // Transfer s
 
 // Batches and serial numbers
 router.post('/batch-serial', inventoryController.addBatchOrSerial); // Add batch or serial
-// (Optional) List batches/serials for a product or inventory (not yet implemented)
+router.get('/batches', authenticateToken, batchController.getBatches); // List/search batches, soonest expiry first
+router.get('/serials', authenticateToken, batchController.getSerials); // List/search serial numbers
+router.get('/serials/:serialNumber', authenticateToken, batchController.getSerialByNumber); // Status, history and sale it went out on
+router.post('/serials/:serialNumber/status', authenticateToken, rbac({ roles: ['admin', 'manager'] }), batchController.changeSerialStatus); // returned / under repair / scrapped / back in stock
 
 // Stock movement history
 router.get('/stock/history', inventoryController.getStockMovementHistory);
@@ -34,4 +40,7 @@ router.get('/stock/history', inventoryController.getStockMovementHistory);
 router.get('/stock/low', inventoryController.getLowStockAlerts);
 router.get('/stock/expiring', inventoryController.getExpiringProducts);
 
+// Stock valuation (FIFO, LIFO, moving average), optionally as of a past date
+router.get('/valuation', authenticateToken, rbac({ roles: ['admin', 'manager'] }), inventoryController.getInventoryValuation);
+
 export default router;
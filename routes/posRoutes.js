@@ -1,8 +1,33 @@
 // posRoutes.js
 import express from 'express';
 import posController from '../controllers/posController.js';
+import shiftController from '../controllers/shiftController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
 
 const router = express.Router();
-router.post('/process', posController.processSale);
+const registerRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+router.post('/process', authenticateToken, registerRoles, posController.processSale);
+
+// Carts (draft sales): park, resume, convert into a sale or void
+router.post('/carts', authenticateToken, registerRoles, posController.createCart);
+router.get('/carts', authenticateToken, registerRoles, posController.getCarts); // ?registerId= lists carts per register
+router.get('/carts/:id', authenticateToken, registerRoles, posController.getCartById);
+router.put('/carts/:id', authenticateToken, registerRoles, posController.updateCart);
+router.post('/carts/:id/park', authenticateToken, registerRoles, posController.parkCart);
+router.post('/carts/:id/resume', authenticateToken, registerRoles, posController.resumeCart);
+router.post('/carts/:id/checkout', authenticateToken, registerRoles, posController.checkoutCart);
+router.post('/carts/:id/void', authenticateToken, registerRoles, posController.voidCart);
+
+// Void a just-completed sale (manager approval required)
+router.post('/sales/:id/void', authenticateToken, registerRoles, posController.voidSale);
+
+// Register shifts: open with a float, X report mid-shift, close with a cash count, Z report
+router.post('/shifts', authenticateToken, registerRoles, shiftController.openShift);
+router.get('/shifts', authenticateToken, registerRoles, shiftController.getShifts); // ?registerId=&status=open finds the current shift
+router.get('/shifts/:id', authenticateToken, registerRoles, shiftController.getShiftById);
+router.get('/shifts/:id/x-report', authenticateToken, registerRoles, shiftController.getXReport);
+router.post('/shifts/:id/close', authenticateToken, registerRoles, shiftController.closeShift);
+router.get('/shifts/:id/z-report', authenticateToken, registerRoles, shiftController.getZReport);
 
 export default router;
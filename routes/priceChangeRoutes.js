@@ -0,0 +1,18 @@
+// priceChangeRoutes.js
+import express from 'express';
+import priceChangeController from '../controllers/priceChangeController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+
+// Price changes: scheduled -> applied | cancelled; markdowns: scheduled -> active -> ended | cancelled
+router.get('/', authenticateToken, managerRoles, priceChangeController.getPriceChanges);
+router.get('/preview', authenticateToken, managerRoles, priceChangeController.previewPriceChanges);
+router.post('/', authenticateToken, managerRoles, priceChangeController.createPriceChange);
+// Normally run by cronPriceChanges.js
+router.post('/apply', authenticateToken, managerRoles, priceChangeController.applyDuePriceChanges);
+router.post('/:id/cancel', authenticateToken, managerRoles, priceChangeController.cancelPriceChange);
+
+export default router;
@@ -0,0 +1,21 @@
+// priceListRoutes.js
+import express from 'express';
+import priceListController from '../controllers/priceListController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// Customer groups are declared before /:id so they are not read as a price list id
+router.get('/customer-groups', authenticateToken, staffRoles, priceListController.getCustomerGroups);
+router.post('/customer-groups', authenticateToken, managerRoles, priceListController.createCustomerGroup);
+router.get('/', authenticateToken, staffRoles, priceListController.getPriceLists);
+router.post('/', authenticateToken, managerRoles, priceListController.createPriceList);
+router.get('/:id', authenticateToken, staffRoles, priceListController.getPriceListById);
+router.put('/:id', authenticateToken, managerRoles, priceListController.updatePriceList);
+// Replace the list's prices; several rows for one product make quantity breaks
+router.put('/:id/items', authenticateToken, managerRoles, priceListController.setPriceListItems);
+
+export default router;
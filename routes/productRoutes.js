@@ -11,9 +11,13 @@ const router = express.Router();
 router.post('/', authenticateToken, rbac(['admin', 'manager', 'owner']), productController.createProduct);
 router.put('/:id', authenticateToken, rbac(['admin', 'manager', 'owner']), productController.updateProduct);
 router.delete('/:id', authenticateToken, rbac(['admin', 'manager', 'owner']), productController.deleteProduct);
+router.post('/:id/variants', authenticateToken, rbac(['admin', 'manager', 'owner']), productController.generateVariants);
+router.get('/:id/price-history', authenticateToken, rbac(['admin', 'manager', 'owner']), productController.getPriceHistory);
 
 // All authenticated roles can view products
 router.get('/', authenticateToken, rbac(['admin', 'manager', 'cashier', 'owner']), productController.getProducts);
+router.get('/barcode/:code', authenticateToken, rbac(['admin', 'manager', 'cashier', 'owner']), productController.lookupByCode);
+router.get('/:id/variants', authenticateToken, rbac(['admin', 'manager', 'cashier', 'owner']), productController.getVariants);
 router.get('/:id', authenticateToken, rbac(['admin', 'manager', 'cashier', 'owner']), productController.getProductById);
 
 export default router;
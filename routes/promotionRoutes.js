@@ -0,0 +1,21 @@
+// promotionRoutes.js
+import express from 'express';
+import promotionController from '../controllers/promotionController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const registerRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// Price a basket with the current promotions (preview; nothing is recorded)
+router.post('/evaluate', authenticateToken, registerRoles, promotionController.evaluateBasket);
+
+// Promotion CRUD
+router.post('/', authenticateToken, managerRoles, promotionController.createPromotion);
+router.get('/', authenticateToken, registerRoles, promotionController.getPromotions);
+router.get('/:id', authenticateToken, registerRoles, promotionController.getPromotionById);
+router.put('/:id', authenticateToken, managerRoles, promotionController.updatePromotion);
+router.delete('/:id', authenticateToken, managerRoles, promotionController.deletePromotion);
+
+export default router;
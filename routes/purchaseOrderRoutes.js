@@ -0,0 +1,26 @@
+// purchaseOrderRoutes.js
+import express from 'express';
+import purchaseOrderController from '../controllers/purchaseOrderController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// Replenishment: reorder suggestions and draft POs grouped by preferred supplier (also run by cronReplenishment.js)
+router.get('/replenishment', authenticateToken, managerRoles, purchaseOrderController.getReorderSuggestions);
+router.post('/replenishment/generate', authenticateToken, managerRoles, purchaseOrderController.generatePurchaseOrders);
+
+// Purchase orders: draft -> sent -> partially_received -> received -> closed
+router.get('/', authenticateToken, staffRoles, purchaseOrderController.getPurchaseOrders);
+router.post('/', authenticateToken, managerRoles, purchaseOrderController.createPurchaseOrder);
+router.get('/:id', authenticateToken, staffRoles, purchaseOrderController.getPurchaseOrderById);
+router.put('/:id', authenticateToken, managerRoles, purchaseOrderController.updatePurchaseOrder);
+router.post('/:id/send', authenticateToken, managerRoles, purchaseOrderController.sendPurchaseOrder);
+router.post('/:id/close', authenticateToken, managerRoles, purchaseOrderController.closePurchaseOrder);
+
+// Goods receipt: deliveries are booked in by store staff
+router.post('/:id/receive', authenticateToken, staffRoles, purchaseOrderController.receiveGoods);
+
+export default router;
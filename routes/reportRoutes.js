@@ -1,9 +1,18 @@
 // reportRoutes.js
 import express from 'express';
 import reportController from '../controllers/reportController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
 
 const router = express.Router();
-router.get('/sales', reportController.generateSalesReport);
+router.get('/sales', authenticateToken, reportController.generateSalesReport);
 router.get('/inventory', reportController.generateInventoryReport);
+router.get('/tenders', authenticateToken, reportController.generateTenderReport);
+router.get('/tax', authenticateToken, reportController.generateTaxReport);
+router.get('/margin', authenticateToken, reportController.generateMarginReport);
+router.get('/shrinkage', authenticateToken, reportController.generateShrinkageReport);
+router.get('/bundle-revenue', authenticateToken, reportController.generateBundleRevenueReport);
+// Contains customer contact details, so managers only
+router.get('/recall', authenticateToken, rbac({ roles: ['admin', 'manager'] }), reportController.generateRecallReport);
 
 export default router;
@@ -1,7 +1,11 @@
 // salesRoutes.js
 import express from 'express';
 import salesController from '../controllers/salesController.js';
+import returnController from '../controllers/returnController.js';
+import receiptController from '../controllers/receiptController.js';
 import { validateSale } from '../middleware/sales.validation.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
 
 const router = express.Router();
 
@@ -12,4 +16,12 @@ router.get('/:id', salesController.getSaleById);
 router.post('/', validateSale, salesController.processSale);
 router.post('/sync', salesController.syncSales);
 
+// Returns, refunds and exchanges against an existing sale
+router.get('/:id/returns', authenticateToken, rbac({ roles: ['admin', 'manager', 'cashier'] }), returnController.getReturns);
+router.post('/:id/returns', authenticateToken, rbac({ roles: ['admin', 'manager', 'cashier'] }), returnController.createReturn);
+
+// Receipts: print/re-print (?format=html|pdf|escpos&reprint=true) or email
+router.get('/:id/receipt', authenticateToken, rbac({ roles: ['admin', 'manager', 'cashier'] }), receiptController.getReceipt);
+router.post('/:id/receipt/email', authenticateToken, rbac({ roles: ['admin', 'manager', 'cashier'] }), receiptController.emailReceipt);
+
 export default router;
@@ -0,0 +1,26 @@
+// stocktakeRoutes.js
+import express from 'express';
+import stocktakeController from '../controllers/stocktakeController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// ABC classification used to plan cycle counts
+router.get('/abc', authenticateToken, managerRoles, stocktakeController.getAbcClasses);
+
+// Stocktakes: open (expected quantities frozen) -> posted | cancelled
+router.get('/', authenticateToken, staffRoles, stocktakeController.getStocktakes);
+router.post('/', authenticateToken, managerRoles, stocktakeController.createStocktake);
+router.get('/:id', authenticateToken, staffRoles, stocktakeController.getStocktakeById);
+router.get('/:id/variances', authenticateToken, managerRoles, stocktakeController.getVariances);
+router.post('/:id/post', authenticateToken, managerRoles, stocktakeController.postStocktake);
+router.post('/:id/cancel', authenticateToken, managerRoles, stocktakeController.cancelStocktake);
+
+// Counting: any staff member can count, by item or by scanning barcodes
+router.post('/:id/counts', authenticateToken, staffRoles, stocktakeController.submitCounts);
+router.post('/:id/scan', authenticateToken, staffRoles, stocktakeController.scanCount);
+
+export default router;
@@ -1,11 +1,26 @@
 // supplierRoutes.js
 import express from 'express';
 import supplierController from '../controllers/supplierController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
 
 const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+
+// Supplier comparison for a product (?productId=, ?quantity=) and cost refresh from the latest receipt
+router.get('/compare', authenticateToken, managerRoles, supplierController.compareSuppliers);
+router.post('/products/:productId/refresh-cost', authenticateToken, managerRoles, supplierController.refreshProductCost);
+
 router.post('/', supplierController.createSupplier);
 router.get('/', supplierController.getSuppliers);
 router.put('/:id', supplierController.updateSupplier);
 router.delete('/:id', supplierController.deleteSupplier);
 
+// Supplier product catalog: SKU, pack size, minimum order, lead time and dated cost history
+router.get('/:id/products', authenticateToken, supplierController.getSupplierProducts);
+router.post('/:id/products', authenticateToken, managerRoles, supplierController.linkSupplierProduct);
+router.put('/:id/products/:productId', authenticateToken, managerRoles, supplierController.updateSupplierProduct);
+router.get('/:id/products/:productId/costs', authenticateToken, supplierController.getCostHistory);
+router.post('/:id/products/:productId/costs', authenticateToken, managerRoles, supplierController.addCostQuote);
+
 export default router;
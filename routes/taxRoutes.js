@@ -0,0 +1,21 @@
+// taxRoutes.js
+import express from 'express';
+import taxController from '../controllers/taxController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+
+// Tax classes (assigned to products and categories)
+router.get('/classes', authenticateToken, taxController.getTaxClasses);
+router.post('/classes', authenticateToken, managerRoles, taxController.createTaxClass);
+router.put('/classes/:id', authenticateToken, managerRoles, taxController.updateTaxClass);
+router.delete('/classes/:id', authenticateToken, managerRoles, taxController.deleteTaxClass);
+
+// Tax rates within a class, tenant-wide or per store (?taxClassId=, ?storeId=)
+router.get('/rates', authenticateToken, taxController.getTaxRates);
+router.post('/rates', authenticateToken, managerRoles, taxController.createTaxRate);
+router.put('/rates/:id', authenticateToken, managerRoles, taxController.updateTaxRate);
+
+export default router;
@@ -0,0 +1,25 @@
+// transferRoutes.js
+import express from 'express';
+import transferController from '../controllers/transferController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+// Stock currently on the move between locations
+router.get('/in-transit', authenticateToken, managerRoles, transferController.getInTransit);
+
+// Transfers: draft -> in_transit -> partially_received -> received -> closed | cancelled (drafts only)
+router.get('/', authenticateToken, staffRoles, transferController.getTransfers);
+router.post('/', authenticateToken, managerRoles, transferController.createTransfer);
+router.get('/:id', authenticateToken, staffRoles, transferController.getTransferById);
+router.post('/:id/dispatch', authenticateToken, managerRoles, transferController.dispatchTransfer);
+router.post('/:id/close', authenticateToken, managerRoles, transferController.closeTransfer);
+router.post('/:id/cancel', authenticateToken, managerRoles, transferController.cancelTransfer);
+
+// Receiving at the destination: any staff member can book goods in
+router.post('/:id/receive', authenticateToken, staffRoles, transferController.receiveTransfer);
+
+export default router;
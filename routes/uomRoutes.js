@@ -0,0 +1,15 @@
+// uomRoutes.js
+import express from 'express';
+import uomController from '../controllers/uomController.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { rbac } from '../middleware/rbac.middleware.js';
+
+const router = express.Router();
+const managerRoles = rbac({ roles: ['admin', 'manager'] });
+const staffRoles = rbac({ roles: ['admin', 'manager', 'cashier'] });
+
+router.get('/', authenticateToken, staffRoles, uomController.getUnits);
+router.post('/', authenticateToken, managerRoles, uomController.createUnit);
+router.put('/:id', authenticateToken, managerRoles, uomController.updateUnit);
+
+export default router;
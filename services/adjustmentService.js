@@ -0,0 +1,274 @@
+// adjustmentService.js
+// Handles adjustment reason codes, reason-coded stock write-offs and the shrinkage report
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product, quantity, cost and reason code data necessary to account for stock losses.
+// - Does not log or store personal or sensitive data; staff and approvers are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { deductInventory } from './inventoryService.js';
+import { issueUnitCosts } from './valuationService.js';
+import { recordAudit } from './approvalService.js';
+import { removeTrackedStock } from './batchService.js';
+import { periodKey } from './marginService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/adjustment-service.log' })
+    ]
+});
+
+// Write-offs valued above this need a manager's sign-off, unless the reason code sets its own threshold
+const WRITE_OFF_APPROVAL_THRESHOLD = process.env.WRITE_OFF_APPROVAL_THRESHOLD !== undefined
+    ? Number(process.env.WRITE_OFF_APPROVAL_THRESHOLD)
+    : 100;
+
+export const SHRINKAGE_GROUPS = ['reason', 'store', 'product', 'day', 'week', 'month'];
+
+// Reason codes the system books its own stock losses under; a tenant may create them ahead to rename them
+// or take them out of the shrinkage report
+export const SYSTEM_REASONS = {
+    COUNT_VARIANCE: 'Stocktake count variance',
+    LOST_IN_TRANSIT: 'Lost in transit'
+};
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function adjustmentError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * List a tenant's adjustment reason codes (?includeInactive=true)
+ * Purpose: Only returns reason code settings.
+ */
+export async function getAdjustmentReasons({ tenantId, includeInactive }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (includeInactive !== true && includeInactive !== 'true') where.isActive = true;
+    const reasons = await prisma.adjustmentReason.findMany({ where, orderBy: { code: 'asc' } });
+    return { defaultApprovalThreshold: WRITE_OFF_APPROVAL_THRESHOLD, data: reasons };
+}
+
+/**
+ * Create an adjustment reason code (codes are unique per tenant and stored upper case)
+ * Purpose: Only stores reason code settings.
+ */
+export async function createAdjustmentReason({ tenantId, code, name, isShrinkage, approvalThreshold }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    code = code.toUpperCase();
+    if (await prisma.adjustmentReason.findFirst({ where: { tenantId, code } })) {
+        throw adjustmentError(`Reason code ${code} already exists`, 409);
+    }
+    const reason = await prisma.adjustmentReason.create({
+        data: { tenantId, code, name, isShrinkage, approvalThreshold: approvalThreshold ?? null }
+    });
+    logger.info({ event: 'ADJUSTMENT_REASON_CREATED', id: reason.id, code, tenantId });
+    return reason;
+}
+
+/**
+ * Update a reason code's name, shrinkage flag, approval threshold or active state
+ * The code itself is kept so past adjustments stay traceable.
+ * Purpose: Only updates reason code settings.
+ */
+export async function updateAdjustmentReason(id, tenantId, data) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await prisma.adjustmentReason.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) } });
+    if (!existing) throw adjustmentError('Adjustment reason not found', 404);
+    const reason = await prisma.adjustmentReason.update({ where: { id: existing.id }, data });
+    logger.info({ event: 'ADJUSTMENT_REASON_UPDATED', id: reason.id, code: reason.code, tenantId });
+    return reason;
+}
+
+/**
+ * A tenant's system reason code (see SYSTEM_REASONS), created the first time it is needed
+ * Purpose: Only processes reason code settings.
+ */
+export async function systemReason(tx, tenantId, code) {
+    return tx.adjustmentReason.upsert({
+        where: { tenantId_code: { tenantId: Number(tenantId), code } },
+        update: {},
+        create: { tenantId: Number(tenantId), code, name: SYSTEM_REASONS[code], isShrinkage: true }
+    });
+}
+
+/**
+ * Write stock off a store or warehouse under a reason code
+ * Units are valued at their issue cost (see COGS_METHOD); when the total exceeds the reason's approval
+ * threshold the write-off is refused with 403 unless `approverId` names the manager who signed it off.
+ * Batch-tracked lines come out of `batchNumber` (or expired batches first); serialised lines scrap `serialNumbers`.
+ * Purpose: Only processes product, quantity and cost data; records the approver for the audit trail.
+ */
+export async function writeOffStock({ tenantId, storeId, warehouseId, reasonCode, note, lines, userId, approverId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const result = await prisma.$transaction(async (tx) => {
+        const reason = await tx.adjustmentReason.findFirst({ where: { tenantId, code: reasonCode.toUpperCase(), isActive: true } });
+        if (!reason) throw adjustmentError(`Adjustment reason ${reasonCode} not found`, 404);
+        const costs = await issueUnitCosts(tx, { tenantId, storeId, warehouseId, items: lines });
+        const totalValue = roundMoney(lines.reduce((sum, l) => sum + l.quantity * (costs.get(l.productId) ?? 0), 0));
+        const threshold = reason.approvalThreshold ?? WRITE_OFF_APPROVAL_THRESHOLD;
+        if (totalValue > threshold && !approverId) {
+            throw adjustmentError(`Manager approval required for write-offs over ${threshold}`, 403);
+        }
+        const label = note ? `${reason.code}: ${note}` : reason.code;
+        const data = [];
+        for (const line of lines) {
+            const unitCost = costs.get(line.productId) ?? 0;
+            const inventory = await deductInventory(tx, {
+                tenantId,
+                storeId,
+                warehouseId,
+                productId: line.productId,
+                quantity: line.quantity,
+                userId,
+                reason: `write-off ${label}`,
+                reasonCodeId: reason.id,
+                unitCost,
+                approvedById: approverId
+            });
+            await removeTrackedStock(tx, {
+                inventory,
+                productId: line.productId,
+                quantity: line.quantity,
+                batchNumber: line.batchNumber,
+                serialNumbers: line.serialNumbers,
+                userId,
+                note: `write-off ${label}`
+            });
+            data.push({
+                inventoryId: inventory.id,
+                productId: line.productId,
+                quantity: line.quantity,
+                quantityAfter: inventory.quantity,
+                unitCost,
+                value: roundMoney(line.quantity * unitCost)
+            });
+        }
+        await recordAudit(tx, {
+            event: 'STOCK_WRITE_OFF',
+            details: { reasonCode: reason.code, storeId, warehouseId, lines: lines.length, totalValue, approverId },
+            userId
+        });
+        return { reasonCode: reason.code, totalValue, approvedById: approverId || null, data };
+    });
+    logger.info({ event: 'STOCK_WRITE_OFF', reasonCode: result.reasonCode, totalValue: result.totalValue, approverId, tenantId });
+    return result;
+}
+
+function groupFor(groupBy, entry) {
+    switch (groupBy) {
+        case 'reason': return { key: entry.reasonCode.code, reasonCode: entry.reasonCode.code, reasonName: entry.reasonCode.name };
+        case 'store': {
+            const { storeId, warehouseId } = entry.inventory;
+            return warehouseId ? { key: `w${warehouseId}`, storeId: null, warehouseId } : { key: `s${storeId}`, storeId, warehouseId: null };
+        }
+        case 'product': return { key: entry.productId, productId: entry.productId, productName: entry.product.name, sku: entry.product.sku };
+        default: {
+            const period = periodKey(entry.createdAt, groupBy);
+            return { key: period, period };
+        }
+    }
+}
+
+/**
+ * Cost-valued shrinkage by reason code, store/warehouse, product or period
+ * (?groupBy=, ?storeId=, ?warehouseId=, ?reasonCode=, ?from=, ?to=)
+ * Covers every reason-coded adjustment whose reason counts as shrinkage; units are valued at the cost recorded
+ * with the adjustment, or Product.cost when none was. Stock found (positive adjustments) offsets the loss.
+ * Stocktake variances are booked under COUNT_VARIANCE; stock written off when a transfer is closed has no ledger
+ * entry of its own (it left the source at dispatch), so it is read from the transfer lines as LOST_IN_TRANSIT.
+ * Purpose: Only returns aggregated quantities and costs needed to track stock losses.
+ */
+export async function getShrinkageReport({ tenantId, groupBy = 'reason', storeId, warehouseId, reasonCode, from, to }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    if (!SHRINKAGE_GROUPS.includes(groupBy)) {
+        throw adjustmentError(`groupBy must be one of ${SHRINKAGE_GROUPS.join(', ')}`);
+    }
+    const where = { reasonCode: { tenantId: Number(tenantId), isShrinkage: true } };
+    if (reasonCode) where.reasonCode.code = String(reasonCode).toUpperCase();
+    if (storeId) where.inventory = { storeId: Number(storeId), warehouseId: null };
+    if (warehouseId) where.inventory = { warehouseId: Number(warehouseId) };
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+    }
+    const entries = await prisma.inventoryHistory.findMany({
+        where,
+        select: {
+            productId: true,
+            quantityBefore: true,
+            quantityAfter: true,
+            unitCost: true,
+            createdAt: true,
+            reasonCode: { select: { code: true, name: true } },
+            inventory: { select: { storeId: true, warehouseId: true } },
+            product: { select: { name: true, sku: true, cost: true } }
+        }
+    });
+    const lostReason = await prisma.adjustmentReason.findFirst({ where: { tenantId: Number(tenantId), code: 'LOST_IN_TRANSIT' } })
+        || { code: 'LOST_IN_TRANSIT', name: SYSTEM_REASONS.LOST_IN_TRANSIT, isShrinkage: true };
+    if (lostReason.isShrinkage && (!reasonCode || where.reasonCode.code === lostReason.code)) {
+        const transferWhere = { tenantId: Number(tenantId), status: 'closed' };
+        if (storeId) Object.assign(transferWhere, { fromStoreId: Number(storeId), fromWarehouseId: null });
+        if (warehouseId) transferWhere.fromWarehouseId = Number(warehouseId);
+        if (where.createdAt) transferWhere.closedAt = where.createdAt;
+        const lost = await prisma.transferOrderLine.findMany({
+            where: { quantityLost: { gt: 0 }, transferOrder: transferWhere },
+            select: {
+                productId: true,
+                quantityLost: true,
+                unitCost: true,
+                transferOrder: { select: { fromStoreId: true, fromWarehouseId: true, closedAt: true } },
+                product: { select: { name: true, sku: true, cost: true } }
+            }
+        });
+        entries.push(...lost.map(line => ({
+            productId: line.productId,
+            quantityBefore: line.quantityLost,
+            quantityAfter: 0,
+            unitCost: line.unitCost,
+            createdAt: line.transferOrder.closedAt,
+            reasonCode: { code: lostReason.code, name: lostReason.name },
+            inventory: { storeId: line.transferOrder.fromStoreId, warehouseId: line.transferOrder.fromWarehouseId },
+            product: line.product
+        })));
+    }
+
+    const rows = new Map();
+    for (const entry of entries) {
+        const { key, ...fields } = groupFor(groupBy, entry);
+        if (!rows.has(key)) rows.set(key, { ...fields, adjustments: 0, quantity: 0, value: 0 });
+        const row = rows.get(key);
+        const lost = entry.quantityBefore - entry.quantityAfter;
+        row.adjustments++;
+        row.quantity += lost;
+        row.value += lost * (entry.unitCost ?? entry.product.cost);
+    }
+    const data = [...rows.values()].map(r => ({ ...r, value: roundMoney(r.value) }));
+    if (['day', 'week', 'month'].includes(groupBy)) data.sort((a, b) => a.period.localeCompare(b.period));
+    else data.sort((a, b) => b.value - a.value);
+    const totalValue = roundMoney(data.reduce((sum, r) => sum + r.value, 0));
+    logger.info({ event: 'SHRINKAGE_REPORT', tenantId, groupBy, rows: data.length, totalValue });
+    return {
+        groupBy,
+        data,
+        totals: { adjustments: entries.length, quantity: data.reduce((sum, r) => sum + r.quantity, 0), value: totalValue }
+    };
+}
@@ -0,0 +1,59 @@
+// approvalService.js
+// Handles manager approval (override) checks for sensitive register actions
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes the credentials and role needed to confirm an approval.
+// - Never logs or returns passwords; logs only user ids.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/approval-service.log' })
+    ]
+});
+
+export const MANAGER_ROLES = ['manager', 'admin', 'owner'];
+
+/**
+ * Resolve who approves a sensitive action
+ * A manager acting for themselves approves implicitly; anyone else must supply a manager's email and password.
+ * Purpose: Only verifies the approver's role and credentials. Returns the approver id only.
+ */
+export async function resolveApprover({ tenantId, user, managerEmail, managerPassword, action }) {
+    if (user && MANAGER_ROLES.includes(String(user.role).toLowerCase())) {
+        return user.id;
+    }
+    const err = new Error('Manager approval required');
+    err.status = 403;
+    if (!managerEmail || !managerPassword) throw err;
+    const manager = await prisma.user.findFirst({
+        where: { email: managerEmail, tenantId, role: { in: MANAGER_ROLES }, deletedAt: null }
+    });
+    if (!manager || !(await bcrypt.compare(managerPassword, manager.password))) {
+        logger.warn({ event: 'APPROVAL_DENIED', action, userId: user?.id, tenantId });
+        throw err;
+    }
+    logger.info({ event: 'APPROVAL_GRANTED', action, userId: user?.id, approverId: manager.id, tenantId });
+    return manager.id;
+}
+
+/**
+ * Record an approved action in the audit log
+ * Purpose: Keeps an audit trail of approvals. Details must not contain personal data.
+ */
+export async function recordAudit(tx, { event, details, userId }) {
+    await (tx || prisma).auditLog.create({
+        data: { event, details: JSON.stringify(details), userId: userId || null }
+    });
+}
@@ -27,6 +27,7 @@ const logger = winston.createLogger({
 // Generate a barcode image as a PNG buffer or SVG string (advanced options) with Redis caching
 /**
  * Generate a barcode image (PNG/SVG)
+ * With `sensitive` (e.g. gift card codes) the image is neither cached nor read from the cache and the data is left out of the logs.
  * Purpose: Only processes data needed for barcode generation. No personal data stored or logged.
  */
 export async function generateBarcode(data, options = {}) {
@@ -41,15 +42,18 @@ export async function generateBarcode(data, options = {}) {
         backgroundcolor,
         padding,
         format = 'png', // 'png' or 'svg'
+        sensitive = false,
         ...rest
     } = options;
+    const cacheable = !sensitive && Redis.redisAvailable && Redis.redisAvailable();
+    const logged = sensitive ? {} : { data };
     const cacheKey = `barcode:${bcid}:${format}:${Buffer.from((text || data) + JSON.stringify({ scale, height, width, includetext, textxalign, backgroundcolor, padding, ...rest })).toString('base64')}`;
     try {
         // Try to get from Redis cache
-        if (Redis.redisAvailable && Redis.redisAvailable()) {
+        if (cacheable) {
             const cached = await Redis.client.get(cacheKey);
             if (cached) {
-                logger.info({ event: 'BARCODE_CACHE_HIT', bcid, format, data });
+                logger.info({ event: 'BARCODE_CACHE_HIT', bcid, format, ...logged });
                 return Buffer.from(cached, 'base64');
             }
         }
@@ -72,14 +76,14 @@ export async function generateBarcode(data, options = {}) {
             result = await bwipjs.toBuffer(bwipOptions);
         }
         // Cache the result in Redis (as base64 string)
-        if (Redis.redisAvailable && Redis.redisAvailable()) {
+        if (cacheable) {
             await Redis.client.setEx(cacheKey, 3600, result.toString('base64'));
-            logger.info({ event: 'BARCODE_CACHE_SET', bcid, format, data });
+            logger.info({ event: 'BARCODE_CACHE_SET', bcid, format, ...logged });
         }
-        logger.info({ event: 'BARCODE_GENERATED', bcid, format, data });
+        logger.info({ event: 'BARCODE_GENERATED', bcid, format, ...logged });
         return result;
     } catch (err) {
-        logger.error({ event: 'BARCODE_GENERATION_ERROR', error: err.message, bcid, data });
+        logger.error({ event: 'BARCODE_GENERATION_ERROR', error: err.message, bcid, ...logged });
         throw new Error('Barcode generation failed: ' + err.message);
     }
 }
@@ -0,0 +1,424 @@
+// batchService.js
+// Handles batch and serial tracked stock: FEFO picking and serial scans at sale time, serial lifecycle, lookups and recalls
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes batch numbers, serial numbers, expiry dates and quantities.
+// - Customer contact details are only returned by the recall report, whose purpose is notifying buyers of a recalled batch.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { restockInventory, deductInventory } from './inventoryService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/batch-service.log' })
+    ]
+});
+
+export const TRACKING_MODES = ['none', 'batch', 'serial'];
+
+export const SERIAL_STATUSES = ['in_stock', 'sold', 'returned', 'under_repair', 'scrapped'];
+
+// Manual status changes; sold and back again only happen through sales, voids and returns
+const SERIAL_TRANSITIONS = {
+    in_stock: ['under_repair', 'scrapped'],
+    returned: ['in_stock', 'under_repair', 'scrapped'],
+    under_repair: ['in_stock', 'scrapped'],
+    sold: [],
+    scrapped: []
+};
+
+function batchError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function isExpired(expiryDate, at) {
+    return !!expiryDate && new Date(expiryDate) < at;
+}
+
+function formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Choose the batches a sale line is taken from
+ * A batch picked by the cashier must be unexpired and hold the whole line; otherwise unexpired batches are
+ * used first-expired-first-out, batches without an expiry date last. Returns [{ batchId, quantity }].
+ * With `includeExpired` (write-offs, count shortages) expired batches may be picked too, and go first.
+ * Purpose: Only processes batch numbers, expiry dates and quantities.
+ */
+export function pickBatches(batches, quantity, { batchNumber, includeExpired = false, at = new Date() } = {}) {
+    if (batchNumber) {
+        const batch = batches.find(b => b.batchNumber === batchNumber);
+        if (!batch) throw batchError(`Batch ${batchNumber} not found at this location`, 404);
+        if (!includeExpired && isExpired(batch.expiryDate, at)) throw batchError(`Batch ${batchNumber} expired on ${formatDate(batch.expiryDate)}`, 409);
+        if (batch.quantity < quantity) throw batchError(`Only ${batch.quantity} left in batch ${batchNumber}`, 409);
+        return [{ batchId: batch.id, quantity }];
+    }
+    const usable = batches
+        .filter(b => b.quantity > 0 && (includeExpired || !isExpired(b.expiryDate, at)))
+        .sort((a, b) => {
+            if (!a.expiryDate || !b.expiryDate) return (a.expiryDate ? 0 : 1) - (b.expiryDate ? 0 : 1) || a.id - b.id;
+            return new Date(a.expiryDate) - new Date(b.expiryDate) || a.id - b.id;
+        });
+    const available = usable.reduce((sum, b) => sum + b.quantity, 0);
+    if (available < quantity) throw batchError(`Only ${available} ${includeExpired ? '' : 'unexpired '}units in batches`, 409);
+    const picks = [];
+    let remaining = quantity;
+    for (const batch of usable) {
+        const taken = Math.min(batch.quantity, remaining);
+        picks.push({ batchId: batch.id, quantity: taken });
+        remaining -= taken;
+        if (remaining === 0) break;
+    }
+    return picks;
+}
+
+/**
+ * Take a sale line out of batch or serial tracked stock, inside the sale's transaction
+ * Batch-tracked products decrement their batches by the line quantity (so batches stay in step with the
+ * inventory total) and record which batches were used; serial-tracked products need one scanned serial
+ * per unit, each of which must be in stock at the location and is marked sold on the line.
+ * Purpose: Only processes batch/serial numbers and quantities. No personal data stored or logged.
+ */
+export async function consumeTrackedStock(tx, { inventory, saleItem, batchNumber, serialNumbers, userId, at = new Date() }) {
+    const product = await tx.product.findUnique({ where: { id: saleItem.productId }, select: { name: true, tracking: true } });
+    if (product.tracking === 'batch') {
+        const batches = await tx.batch.findMany({ where: { inventoryId: inventory.id, quantity: { gt: 0 } } });
+        let picks;
+        try {
+            picks = pickBatches(batches, saleItem.quantity, { batchNumber, at });
+        } catch (err) {
+            err.message = `${product.name}: ${err.message}`;
+            throw err;
+        }
+        for (const pick of picks) {
+            const { count } = await tx.batch.updateMany({
+                where: { id: pick.batchId, quantity: { gte: pick.quantity } },
+                data: { quantity: { decrement: pick.quantity } }
+            });
+            if (count === 0) throw batchError(`${product.name}: batch stock changed during the sale; please retry`, 409);
+            await tx.saleItemBatch.create({ data: { saleItemId: saleItem.id, batchId: pick.batchId, quantity: pick.quantity } });
+        }
+        return;
+    }
+    if (product.tracking !== 'serial') return;
+    const serials = [...new Set(serialNumbers || [])];
+    if (serials.length !== saleItem.quantity) {
+        throw batchError(`${product.name} is serialised: scan ${saleItem.quantity} serial number(s)`);
+    }
+    const found = await tx.serialNumber.findMany({ where: { inventoryId: inventory.id, serialNumber: { in: serials } } });
+    for (const serial of serials) {
+        const record = found.find(f => f.serialNumber === serial);
+        if (!record) throw batchError(`Serial number ${serial} of ${product.name} not found at this location`, 404);
+        if (record.status !== 'in_stock') throw batchError(`Serial number ${serial} is ${record.status}`, 409);
+        if (isExpired(record.expiryDate, at)) throw batchError(`Serial number ${serial} expired on ${formatDate(record.expiryDate)}`, 409);
+    }
+    const { count } = await tx.serialNumber.updateMany({
+        where: { id: { in: found.map(f => f.id) }, status: 'in_stock' },
+        data: { status: 'sold', saleItemId: saleItem.id, soldAt: at }
+    });
+    if (count !== serials.length) throw batchError(`${product.name}: serial numbers changed during the sale; please retry`, 409);
+    await tx.serialNumberEvent.createMany({
+        data: found.map(f => ({ serialNumberId: f.id, fromStatus: 'in_stock', toStatus: 'sold', saleItemId: saleItem.id, userId: userId || null }))
+    });
+}
+
+/**
+ * Take back units of a sale line (voids and returns)
+ * Restocked units refill the batches they came from, most recent allocation first, and their serials go back
+ * in stock; serials of units returned without restocking become `returned` until inspected. When only part
+ * of a serialised line comes back, `serialNumbers` must name the returned units.
+ * Purpose: Only processes batch/serial numbers and quantities. No personal data stored or logged.
+ */
+export async function restoreTrackedStock(tx, { saleItem, quantity, serialNumbers, restock = true, saleReturnId, userId }) {
+    const allocations = restock
+        ? await tx.saleItemBatch.findMany({ where: { saleItemId: saleItem.id }, orderBy: { id: 'desc' } })
+        : [];
+    let remaining = quantity;
+    for (const allocation of allocations) {
+        const restorable = Math.min(allocation.quantity - allocation.quantityReturned, remaining);
+        if (restorable <= 0) continue;
+        await tx.batch.update({ where: { id: allocation.batchId }, data: { quantity: { increment: restorable } } });
+        await tx.saleItemBatch.update({ where: { id: allocation.id }, data: { quantityReturned: { increment: restorable } } });
+        remaining -= restorable;
+        if (remaining === 0) break;
+    }
+    const sold = await tx.serialNumber.findMany({ where: { saleItemId: saleItem.id, status: 'sold' } });
+    if (sold.length === 0) return;
+    let returned;
+    if (serialNumbers && serialNumbers.length > 0) {
+        returned = [...new Set(serialNumbers)].map(serial => {
+            const record = sold.find(s => s.serialNumber === serial);
+            if (!record) throw batchError(`Serial number ${serial} was not sold on sale item ${saleItem.id}`);
+            return record;
+        });
+    } else if (quantity === sold.length) {
+        returned = sold;
+    } else {
+        throw batchError(`Name the ${quantity} serial number(s) returned on sale item ${saleItem.id}`);
+    }
+    if (returned.length !== quantity) {
+        throw batchError(`${returned.length} serial number(s) given for ${quantity} unit(s) returned on sale item ${saleItem.id}`);
+    }
+    const status = restock ? 'in_stock' : 'returned';
+    await tx.serialNumber.updateMany({ where: { id: { in: returned.map(s => s.id) } }, data: { status } });
+    await tx.serialNumberEvent.createMany({
+        data: returned.map(s => ({
+            serialNumberId: s.id,
+            fromStatus: 'sold',
+            toStatus: status,
+            saleItemId: saleItem.id,
+            saleReturnId: saleReturnId || null,
+            note: saleReturnId ? `return #${saleReturnId}` : 'sale voided',
+            userId: userId || null
+        }))
+    });
+    logger.info({ event: 'SERIALS_RETURNED', saleItemId: saleItem.id, status, count: returned.length });
+}
+
+/**
+ * Take units out of batch or serial tracked stock outside a sale (write-offs, stocktake shortages)
+ * Batch-tracked products decrement the named batch, or else their batches expired first, so that writing off
+ * expired stock empties the expired batches; serial-tracked products need one serial per unit, each in stock
+ * at the location, and those serials are scrapped.
+ * Purpose: Only processes batch/serial numbers and quantities. No personal data stored or logged.
+ */
+export async function removeTrackedStock(tx, { inventory, productId, quantity, batchNumber, serialNumbers, userId, note }) {
+    const product = await tx.product.findUnique({ where: { id: productId }, select: { name: true, tracking: true } });
+    if (product.tracking === 'batch') {
+        const batches = await tx.batch.findMany({ where: { inventoryId: inventory.id, quantity: { gt: 0 } } });
+        let picks;
+        try {
+            picks = pickBatches(batches, quantity, { batchNumber, includeExpired: true });
+        } catch (err) {
+            err.message = `${product.name}: ${err.message}`;
+            throw err;
+        }
+        for (const pick of picks) {
+            const { count } = await tx.batch.updateMany({
+                where: { id: pick.batchId, quantity: { gte: pick.quantity } },
+                data: { quantity: { decrement: pick.quantity } }
+            });
+            if (count === 0) throw batchError(`${product.name}: batch stock changed; please retry`, 409);
+        }
+        return;
+    }
+    if (product.tracking !== 'serial') return;
+    const serials = [...new Set(serialNumbers || [])];
+    if (serials.length !== quantity) {
+        throw batchError(`${product.name} is serialised: name the ${quantity} serial number(s) taken out of stock`);
+    }
+    const found = await tx.serialNumber.findMany({ where: { inventoryId: inventory.id, serialNumber: { in: serials } } });
+    for (const serial of serials) {
+        const record = found.find(f => f.serialNumber === serial);
+        if (!record) throw batchError(`Serial number ${serial} of ${product.name} not found at this location`, 404);
+        if (record.status !== 'in_stock') throw batchError(`Serial number ${serial} is ${record.status}`, 409);
+    }
+    const { count } = await tx.serialNumber.updateMany({
+        where: { id: { in: found.map(f => f.id) }, status: 'in_stock' },
+        data: { status: 'scrapped' }
+    });
+    if (count !== serials.length) throw batchError(`${product.name}: serial numbers changed; please retry`, 409);
+    await tx.serialNumberEvent.createMany({
+        data: found.map(f => ({ serialNumberId: f.id, fromStatus: 'in_stock', toStatus: 'scrapped', note: note || null, userId: userId || null }))
+    });
+    logger.info({ event: 'SERIALS_SCRAPPED', inventoryId: inventory.id, count: serials.length });
+}
+
+/**
+ * Refuse a stock movement that cannot yet keep batches and serials in step
+ * Purpose: Only reads product tracking modes.
+ */
+export async function assertUntracked(tx, productIds, action) {
+    const tracked = await tx.product.findFirst({
+        where: { id: { in: productIds }, tracking: { in: ['batch', 'serial'] } },
+        select: { name: true, tracking: true }
+    });
+    if (tracked) {
+        throw batchError(`${tracked.name} is ${tracked.tracking === 'batch' ? 'batch-tracked' : 'serialised'}; ${action} of tracked products is not supported yet`, 409);
+    }
+}
+
+function locationOf(inventory) {
+    return inventory.warehouseId ? { warehouseId: inventory.warehouseId } : { storeId: inventory.storeId };
+}
+
+/**
+ * List batches (?productId=, ?storeId=, ?warehouseId=, ?batchNumber= partial match, ?expiringWithinDays=, ?includeEmpty=true)
+ * Batches are listed soonest expiry first, the order sales consume them in.
+ * Purpose: Only returns batch numbers, expiry dates and quantities.
+ */
+export async function getBatches(query = {}) {
+    const { tenantId, productId, storeId, warehouseId, batchNumber, expiringWithinDays, includeEmpty, page = 1, limit = 50 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { inventory: { tenantId: Number(tenantId) } };
+    if (productId) where.inventory.productId = Number(productId);
+    if (storeId) where.inventory.storeId = Number(storeId);
+    if (warehouseId) where.inventory.warehouseId = Number(warehouseId);
+    if (batchNumber) where.batchNumber = { contains: String(batchNumber), mode: 'insensitive' };
+    if (expiringWithinDays) where.expiryDate = { lte: new Date(Date.now() + Number(expiringWithinDays) * 24 * 60 * 60 * 1000) };
+    if (includeEmpty !== true && includeEmpty !== 'true') where.quantity = { gt: 0 };
+    const skip = (Number(page) - 1) * Number(limit);
+    const [batches, total] = await Promise.all([
+        prisma.batch.findMany({
+            where,
+            skip,
+            take: Number(limit),
+            orderBy: [{ expiryDate: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }],
+            include: { inventory: { select: { productId: true, storeId: true, warehouseId: true, product: { select: { name: true, sku: true } } } } }
+        }),
+        prisma.batch.count({ where })
+    ]);
+    const now = new Date();
+    const data = batches.map(b => ({ ...b, expired: isExpired(b.expiryDate, now) }));
+    return { data, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * List serial numbers (?productId=, ?storeId=, ?warehouseId=, ?status=, ?serialNumber= partial match)
+ * Purpose: Only returns serial numbers, statuses and locations.
+ */
+export async function getSerials(query = {}) {
+    const { tenantId, productId, storeId, warehouseId, status, serialNumber, page = 1, limit = 50 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { inventory: { tenantId: Number(tenantId) } };
+    if (productId) where.inventory.productId = Number(productId);
+    if (storeId) where.inventory.storeId = Number(storeId);
+    if (warehouseId) where.inventory.warehouseId = Number(warehouseId);
+    if (status) where.status = status;
+    if (serialNumber) where.serialNumber = { contains: String(serialNumber), mode: 'insensitive' };
+    const skip = (Number(page) - 1) * Number(limit);
+    const [serials, total] = await Promise.all([
+        prisma.serialNumber.findMany({
+            where,
+            skip,
+            take: Number(limit),
+            orderBy: { serialNumber: 'asc' },
+            include: { inventory: { select: { productId: true, storeId: true, warehouseId: true, product: { select: { name: true, sku: true } } } } }
+        }),
+        prisma.serialNumber.count({ where })
+    ]);
+    return { data: serials, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Look up a serial number: its status, location, lifecycle history and the sale(s) it went out on
+ * Purpose: Only returns serial, status and sale references; the customer is referenced by id only.
+ */
+export async function getSerialByNumber(serialNumber, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const saleSelect = { select: { id: true, saleId: true, price: true, sale: { select: { id: true, saleDate: true, storeId: true, registerId: true, customerId: true, status: true } } } };
+    return prisma.serialNumber.findFirst({
+        where: { serialNumber, inventory: { tenantId: Number(tenantId) } },
+        include: {
+            inventory: { select: { productId: true, storeId: true, warehouseId: true, product: { select: { name: true, sku: true } } } },
+            saleItem: saleSelect,
+            events: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }], include: { saleItem: saleSelect } }
+        }
+    });
+}
+
+/**
+ * Move a serial number to another lifecycle state (e.g. returned -> under_repair -> in_stock, or scrapped)
+ * Leaving in_stock takes the unit out of the inventory quantity and coming back into in_stock puts it back,
+ * so serialised stock stays equal to the serials in stock.
+ * Purpose: Only processes the serial's status and a note; records the user for the history.
+ */
+export async function changeSerialStatus(serialNumber, tenantId, { status, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const result = await prisma.$transaction(async (tx) => {
+        const serial = await tx.serialNumber.findFirst({
+            where: { serialNumber, inventory: { tenantId: Number(tenantId) } },
+            include: { inventory: true }
+        });
+        if (!serial) throw batchError('Serial number not found', 404);
+        if (!(SERIAL_TRANSITIONS[serial.status] || []).includes(status)) {
+            throw batchError(`Cannot move serial number from ${serial.status} to ${status}`, 409);
+        }
+        const { count } = await tx.serialNumber.updateMany({ where: { id: serial.id, status: serial.status }, data: { status } });
+        if (count === 0) throw batchError('Serial number changed; please retry', 409);
+        const stockChange = { tenantId: serial.inventory.tenantId, ...locationOf(serial.inventory), productId: serial.inventory.productId, quantity: 1, userId, reason: `serial ${serialNumber} ${status}` };
+        if (serial.status === 'in_stock') await deductInventory(tx, stockChange);
+        if (status === 'in_stock') await restockInventory(tx, stockChange);
+        await tx.serialNumberEvent.create({
+            data: { serialNumberId: serial.id, fromStatus: serial.status, toStatus: status, note: note || null, userId: userId || null }
+        });
+        return { from: serial.status, serial: await tx.serialNumber.findUnique({ where: { id: serial.id } }) };
+    });
+    logger.info({ event: 'SERIAL_STATUS_CHANGED', serialNumber, from: result.from, to: status, tenantId });
+    return result.serial;
+}
+
+/**
+ * Recall report for a batch: every sale of units from it, grouped by customer (?batchNumber=, ?productId=)
+ * Walk-in sales without a customer are counted separately. Units since returned to stock are netted off.
+ * Purpose: Returns customer contact details solely to notify buyers of a recalled batch.
+ */
+export async function getRecallReport({ tenantId, batchNumber, productId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { batch: { batchNumber, inventory: { tenantId: Number(tenantId) } } };
+    if (productId) where.batch.inventory.productId = Number(productId);
+    const allocations = await prisma.saleItemBatch.findMany({
+        where,
+        include: {
+            batch: { select: { id: true, expiryDate: true, quantity: true, inventory: { select: { productId: true, storeId: true, warehouseId: true } } } },
+            saleItem: {
+                select: {
+                    productId: true,
+                    sale: {
+                        select: {
+                            id: true,
+                            saleDate: true,
+                            storeId: true,
+                            status: true,
+                            customer: { select: { id: true, name: true, email: true, phone: true } }
+                        }
+                    }
+                }
+            }
+        }
+    });
+    const customers = new Map();
+    const anonymous = { sales: 0, quantity: 0 };
+    let quantitySold = 0;
+    for (const allocation of allocations) {
+        const { sale } = allocation.saleItem;
+        const quantity = allocation.quantity - allocation.quantityReturned;
+        if (sale.status === 'voided' || quantity <= 0) continue;
+        quantitySold += quantity;
+        if (!sale.customer) {
+            anonymous.sales++;
+            anonymous.quantity += quantity;
+            continue;
+        }
+        if (!customers.has(sale.customer.id)) customers.set(sale.customer.id, { ...sale.customer, quantity: 0, sales: [] });
+        const row = customers.get(sale.customer.id);
+        row.quantity += quantity;
+        row.sales.push({ saleId: sale.id, saleDate: sale.saleDate, storeId: sale.storeId, productId: allocation.saleItem.productId, quantity });
+    }
+    // Stock of the batch still on hand, which should be pulled from sale as well
+    const onHand = await prisma.batch.findMany({
+        where: where.batch,
+        select: { id: true, quantity: true, expiryDate: true, inventory: { select: { productId: true, storeId: true, warehouseId: true } } }
+    });
+    logger.info({ event: 'RECALL_REPORT', tenantId, batchNumber, customers: customers.size, quantitySold });
+    return {
+        batchNumber,
+        quantitySold,
+        customers: [...customers.values()],
+        anonymous,
+        onHand: onHand.filter(b => b.quantity > 0)
+    };
+}
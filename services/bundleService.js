@@ -0,0 +1,339 @@
+// bundleService.js
+// Handles bundles and kits: component lists, availability from component stock, kit assembly,
+// component stock taken by bundle sales and the revenue allocated back to components
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product, component, quantity, cost and revenue data.
+// - Does not log or store personal or sensitive data; staff are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { restockInventory, deductInventory } from './inventoryService.js';
+import { issueUnitCosts } from './valuationService.js';
+import { invalidateProductCache } from './productService.js';
+import { assertQuantityAllowed, roundQuantity } from './uomService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/bundle-service.log' })
+    ]
+});
+
+const COMPONENT_INCLUDE = { component: { select: { id: true, name: true, sku: true, price: true, cost: true } } };
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function bundleError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function locationOf({ storeId, warehouseId }) {
+    if (!storeId === !warehouseId) throw bundleError('Give either storeId or warehouseId');
+    return warehouseId ? { warehouseId: Number(warehouseId) } : { storeId: Number(storeId) };
+}
+
+// Weight of a component when splitting bundle revenue
+function componentWeight(component) {
+    return component.revenueShare ?? component.component.price * component.quantity;
+}
+
+/**
+ * Split an amount across weights, rounded to cents; the last share takes the rounding difference
+ * With no positive weight the amount is split evenly.
+ * Purpose: Only processes amounts.
+ */
+export function allocateRevenue(amount, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const shares = weights.map(w => (total > 0 ? w / total : 1 / weights.length));
+    const allocated = shares.map(share => roundMoney(amount * share));
+    if (allocated.length > 0) {
+        allocated[allocated.length - 1] = roundMoney(amount - allocated.slice(0, -1).reduce((sum, a) => sum + a, 0));
+    }
+    return allocated;
+}
+
+// Whole bundles a component's stock covers; rounded first so 0.9 kg / 0.3 kg counts as 3
+function kitsFrom(stock, perBundle) {
+    return Math.floor(roundQuantity((stock || 0) / perBundle));
+}
+
+/**
+ * How many bundles the component stock can still make: the scarcest component decides
+ * Purpose: Only processes component quantities.
+ */
+export function buildableUnits(components, stockByProduct) {
+    if (components.length === 0) return 0;
+    return Math.min(...components.map(c => kitsFrom(stockByProduct.get(c.componentId), c.quantity)));
+}
+
+/**
+ * List a tenant's bundles with their components
+ * Purpose: Only returns product and component data.
+ */
+export async function getBundles({ tenantId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const bundles = await prisma.product.findMany({
+        where: { tenantId: Number(tenantId), isBundle: true, deletedAt: null },
+        orderBy: { name: 'asc' },
+        select: { id: true, name: true, sku: true, price: true, isActive: true, components: { include: COMPONENT_INCLUDE } }
+    });
+    return { data: bundles };
+}
+
+/**
+ * Set the components of a bundle, replacing any it had; an empty list turns the product back into a plain product
+ * Components must be plain stocked products of the same tenant: not bundles, not variant parents and not
+ * batch or serial tracked, since a bundle sale has no batch or serial scan for its components.
+ * Purpose: Only processes product and component data.
+ */
+export async function setBundleComponents(id, tenantId, { components }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const bundle = await prisma.$transaction(async (tx) => {
+        const product = await tx.product.findFirst({
+            where: { id: Number(id), tenantId, deletedAt: null },
+            include: { variants: { where: { deletedAt: null }, select: { id: true }, take: 1 }, componentOf: { select: { id: true }, take: 1 } }
+        });
+        if (!product) throw bundleError('Product not found', 404);
+        if (product.variants.length) throw bundleError('A product with variants cannot be a bundle; make each variant a bundle instead');
+        if (product.componentOf.length && components.length) throw bundleError('This product is a component of another bundle');
+        if (components.length && (product.allowDecimal || product.saleFactor !== 1)) throw bundleError('Bundles are sold in whole units');
+        const ids = components.map(c => c.productId);
+        if (ids.includes(product.id)) throw bundleError('A bundle cannot contain itself');
+        const found = await tx.product.findMany({
+            where: { id: { in: ids }, tenantId, deletedAt: null },
+            include: { variants: { where: { deletedAt: null }, select: { id: true }, take: 1 } }
+        });
+        for (const productId of ids) {
+            const component = found.find(f => f.id === productId);
+            if (!component) throw bundleError(`Product ${productId} not found`, 404);
+            if (component.isBundle) throw bundleError(`${component.name} is itself a bundle`);
+            if (component.variants.length) throw bundleError(`${component.name} has variants; choose a variant`);
+            if (component.tracking !== 'none') throw bundleError(`${component.name} is ${component.tracking} tracked and cannot be a bundle component`);
+            assertQuantityAllowed(component, components.find(c => c.productId === productId).quantity);
+        }
+        await tx.bundleComponent.deleteMany({ where: { bundleId: product.id } });
+        await tx.bundleComponent.createMany({
+            data: components.map(c => ({ bundleId: product.id, componentId: c.productId, quantity: c.quantity, revenueShare: c.revenueShare ?? null }))
+        });
+        return tx.product.update({
+            where: { id: product.id },
+            data: { isBundle: components.length > 0 },
+            select: { id: true, name: true, sku: true, price: true, isBundle: true, components: { include: COMPONENT_INCLUDE } }
+        });
+    });
+    await invalidateProductCache(tenantId, [bundle.id]);
+    logger.info({ event: 'BUNDLE_COMPONENTS_SET', id: bundle.id, components: components.length, tenantId });
+    return bundle;
+}
+
+/**
+ * Bundle availability at a store or warehouse: assembled kits in stock plus what the component stock can make
+ * Purpose: Only returns stock quantities.
+ */
+export async function getBundleAvailability(id, tenantId, { storeId, warehouseId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const location = locationOf({ storeId, warehouseId });
+    const bundle = await prisma.product.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId), isBundle: true, deletedAt: null },
+        include: { components: { include: COMPONENT_INCLUDE } }
+    });
+    if (!bundle) throw bundleError('Bundle not found', 404);
+    const productIds = [bundle.id, ...bundle.components.map(c => c.componentId)];
+    const stock = await prisma.inventory.findMany({
+        where: { productId: { in: productIds }, tenantId: Number(tenantId), deletedAt: null, ...location },
+        select: { productId: true, quantity: true }
+    });
+    const stockByProduct = new Map(stock.map(s => [s.productId, s.quantity]));
+    const assembled = stockByProduct.get(bundle.id) || 0;
+    const buildable = buildableUnits(bundle.components, stockByProduct);
+    return {
+        bundleId: bundle.id,
+        ...location,
+        assembled,
+        buildable,
+        available: assembled + buildable,
+        components: bundle.components.map(c => ({
+            productId: c.componentId,
+            name: c.component.name,
+            sku: c.component.sku,
+            perBundle: c.quantity,
+            onHand: stockByProduct.get(c.componentId) || 0,
+            buildable: kitsFrom(stockByProduct.get(c.componentId), c.quantity)
+        }))
+    };
+}
+
+/**
+ * Pre-build kits into stock: components are taken from the store or warehouse and the bundle is stocked there,
+ * each kit costed at the issue cost of its components
+ * Purpose: Only processes product, quantity and cost data.
+ */
+export async function assembleKits(id, tenantId, { storeId, warehouseId, quantity, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const location = locationOf({ storeId, warehouseId });
+    const result = await prisma.$transaction(async (tx) => {
+        const bundle = await tx.product.findFirst({
+            where: { id: Number(id), tenantId, isBundle: true, deletedAt: null },
+            include: { components: true }
+        });
+        if (!bundle) throw bundleError('Bundle not found', 404);
+        const items = bundle.components.map(c => ({ productId: c.componentId, quantity: roundQuantity(c.quantity * quantity) }));
+        const costs = await issueUnitCosts(tx, { tenantId, ...location, items });
+        for (const item of items) {
+            await deductInventory(tx, {
+                tenantId,
+                ...location,
+                productId: item.productId,
+                quantity: item.quantity,
+                userId,
+                reason: `kit assembly ${bundle.sku}`,
+                unitCost: costs.get(item.productId) ?? 0
+            });
+        }
+        const unitCost = roundMoney(bundle.components.reduce((sum, c) => sum + c.quantity * (costs.get(c.componentId) ?? 0), 0));
+        const inventory = await restockInventory(tx, {
+            tenantId,
+            ...location,
+            productId: bundle.id,
+            quantity,
+            userId,
+            reason: `kit assembly ${bundle.sku}`,
+            unitCost
+        });
+        return { bundleId: bundle.id, quantity, unitCost, onHand: inventory.quantity, components: items };
+    });
+    logger.info({ event: 'KITS_ASSEMBLED', id: result.bundleId, quantity, ...location, tenantId });
+    return result;
+}
+
+/**
+ * Take the stock of a sold bundle line: assembled kits at the store first, the rest built from component stock.
+ * The line's net revenue is allocated to the components (by revenueShare, or component price x quantity) and
+ * its unit cost set from the kits' and components' issue costs.
+ * Purpose: Only processes product, quantity, cost and revenue data of the sale.
+ */
+export async function consumeBundleStock(tx, { tenantId, storeId, saleItem, taxInclusive, userId, saleId }) {
+    const bundle = await tx.product.findUnique({ where: { id: saleItem.productId }, include: { components: { include: COMPONENT_INCLUDE } } });
+    const kits = await tx.inventory.findFirst({ where: { productId: bundle.id, tenantId, storeId } });
+    const fromKits = Math.min(kits ? kits.quantity : 0, saleItem.quantity);
+    const toBuild = saleItem.quantity - fromKits;
+    const reason = `sale #${saleId}`;
+    let totalCost = 0;
+    if (fromKits > 0) {
+        const kitCosts = await issueUnitCosts(tx, { tenantId, storeId, items: [{ productId: bundle.id, quantity: fromKits }] });
+        const unitCost = kitCosts.get(bundle.id) ?? bundle.cost;
+        await deductInventory(tx, { tenantId, storeId, productId: bundle.id, quantity: fromKits, userId, reason, unitCost });
+        totalCost += fromKits * unitCost;
+    }
+    const items = bundle.components.map(c => ({ productId: c.componentId, quantity: roundQuantity(c.quantity * toBuild) }));
+    const costs = toBuild > 0 ? await issueUnitCosts(tx, { tenantId, storeId, items }) : new Map();
+    for (const item of items.filter(i => i.quantity > 0)) {
+        const unitCost = costs.get(item.productId) ?? 0;
+        await deductInventory(tx, { tenantId, storeId, productId: item.productId, quantity: item.quantity, userId, reason: `${reason} (bundle ${bundle.sku})`, unitCost });
+        totalCost += item.quantity * unitCost;
+    }
+    const lineRevenue = saleItem.price * saleItem.quantity - saleItem.discount - (taxInclusive ? saleItem.taxAmount : 0);
+    const revenue = allocateRevenue(lineRevenue, bundle.components.map(componentWeight));
+    await tx.saleItemComponent.createMany({
+        data: bundle.components.map((c, index) => ({
+            saleItemId: saleItem.id,
+            productId: c.componentId,
+            quantity: roundQuantity(c.quantity * saleItem.quantity),
+            quantityDeducted: roundQuantity(c.quantity * toBuild),
+            revenue: revenue[index],
+            unitCost: toBuild > 0 ? costs.get(c.componentId) ?? null : null
+        }))
+    });
+    await tx.saleItem.update({ where: { id: saleItem.id }, data: { unitCost: roundMoney(totalCost / saleItem.quantity) } });
+}
+
+/**
+ * Put back the stock of a voided or returned bundle line: components built at the till return to component stock,
+ * units that came from assembled kits return as kits. A return restores `quantity` units after the `alreadyReturned`
+ * units of earlier returns; built units are counted first.
+ * Purpose: Only processes product and quantity data needed to reverse a sale.
+ */
+export async function restoreBundleStock(tx, { tenantId, storeId, saleItem, userId, reason, quantity = saleItem.quantity, alreadyReturned = 0 }) {
+    const components = await tx.saleItemComponent.findMany({ where: { saleItemId: saleItem.id } });
+    const built = components.length > 0 && components[0].quantity > 0
+        ? Math.round(components[0].quantityDeducted * saleItem.quantity / components[0].quantity)
+        : 0;
+    const builtUnits = Math.max(0, Math.min(quantity, built - alreadyReturned));
+    const kitUnits = quantity - builtUnits;
+    for (const component of components.filter(c => c.quantityDeducted > 0 && builtUnits > 0)) {
+        await restockInventory(tx, {
+            tenantId,
+            storeId,
+            productId: component.productId,
+            quantity: roundQuantity(component.quantityDeducted * builtUnits / built),
+            userId,
+            reason,
+            unitCost: component.unitCost
+        });
+    }
+    if (kitUnits > 0) {
+        await restockInventory(tx, { tenantId, storeId, productId: saleItem.productId, quantity: kitUnits, userId, reason });
+    }
+}
+
+/**
+ * Bundle revenue allocated back to component products (?from=, ?to=, ?storeId=, ?bundleId=)
+ * Purpose: Only returns aggregated quantities, revenue and cost per component.
+ */
+export async function getComponentRevenue({ tenantId, from, to, storeId, bundleId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const sale = { tenantId: Number(tenantId), status: { not: 'voided' } };
+    if (storeId) sale.storeId = Number(storeId);
+    if (from || to) {
+        sale.saleDate = {};
+        if (from) sale.saleDate.gte = new Date(from);
+        if (to) sale.saleDate.lte = new Date(to);
+    }
+    const saleItem = { sale };
+    if (bundleId) saleItem.productId = Number(bundleId);
+    const entries = await prisma.saleItemComponent.findMany({
+        where: { saleItem },
+        select: {
+            productId: true,
+            quantity: true,
+            revenue: true,
+            unitCost: true,
+            product: { select: { name: true, sku: true, cost: true } }
+        }
+    });
+    const rows = new Map();
+    for (const entry of entries) {
+        if (!rows.has(entry.productId)) {
+            rows.set(entry.productId, { productId: entry.productId, name: entry.product.name, sku: entry.product.sku, quantity: 0, revenue: 0, cost: 0 });
+        }
+        const row = rows.get(entry.productId);
+        row.quantity += entry.quantity;
+        row.revenue += entry.revenue;
+        row.cost += entry.quantity * (entry.unitCost ?? entry.product.cost);
+    }
+    const data = [...rows.values()]
+        .map(r => ({ ...r, revenue: roundMoney(r.revenue), cost: roundMoney(r.cost), margin: roundMoney(r.revenue - r.cost) }))
+        .sort((a, b) => b.revenue - a.revenue);
+    logger.info({ event: 'BUNDLE_REVENUE_REPORT', tenantId, rows: data.length });
+    return {
+        data,
+        totals: {
+            revenue: roundMoney(data.reduce((sum, r) => sum + r.revenue, 0)),
+            cost: roundMoney(data.reduce((sum, r) => sum + r.cost, 0))
+        }
+    };
+}
@@ -0,0 +1,235 @@
+// cartService.js
+// Handles draft sales (carts) at the register: park, resume, convert and void
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes basket data necessary to complete a sale later.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { createSale } from './salesService.js';
+import { recordAudit } from './approvalService.js';
+import { resolveLinePrices } from './pricingService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/cart-service.log' })
+    ]
+});
+
+const ACTIVE_STATUSES = ['open', 'parked'];
+
+function cartError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Cart lines carry the current price (price lists included) for display; checkout re-prices them
+async function toItemRows(tx, tenantId, items = [], { storeId, registerId, customerId } = {}) {
+    if (items.length === 0) return [];
+    const { lines } = await resolveLinePrices(tx, {
+        tenantId,
+        storeId,
+        registerId,
+        customerId,
+        items: items.map(({ productId, quantity }) => ({ productId, quantity }))
+    });
+    return lines.map((line, index) => ({
+        productId: line.productId,
+        quantity: line.quantity,
+        price: line.price,
+        batchNumber: items[index].batchNumber || null,
+        serialNumbers: items[index].serialNumbers || []
+    }));
+}
+
+async function findActiveCart(tx, id, tenantId) {
+    const cart = await tx.cart.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) }, include: { items: true } });
+    if (!cart) throw cartError('Cart not found', 404);
+    if (!ACTIVE_STATUSES.includes(cart.status)) throw cartError(`Cart is already ${cart.status}`, 409);
+    return cart;
+}
+
+async function findRegister(tx, registerId, tenantId) {
+    const register = await tx.register.findFirst({ where: { id: Number(registerId), tenantId: Number(tenantId), isActive: true } });
+    if (!register) throw cartError('Register not found', 404);
+    return register;
+}
+
+/**
+ * Start a new cart on a register
+ * Purpose: Only stores the basket lines needed to complete the sale later. No personal data stored or logged.
+ */
+export async function createCart(data) {
+    const { tenantId, registerId, userId, customerId, items, note } = data;
+    if (!tenantId) throw new Error('Tenant context required');
+    const register = await findRegister(prisma, registerId, tenantId);
+    const cart = await prisma.cart.create({
+        data: {
+            tenantId,
+            storeId: register.storeId,
+            registerId: register.id,
+            userId: userId || null,
+            customerId: customerId || null,
+            note: note || null,
+            items: { create: await toItemRows(prisma, tenantId, items, { storeId: register.storeId, registerId: register.id, customerId }) }
+        },
+        include: { items: true }
+    });
+    logger.info({ event: 'CART_CREATED', cartId: cart.id, registerId: register.id, tenantId });
+    return cart;
+}
+
+/**
+ * List carts, by default the open and parked ones, optionally per register or store
+ * Purpose: Only returns basket data needed to resume sales. No personal data stored or logged.
+ */
+export async function getCarts(query = {}) {
+    const { tenantId, registerId, storeId, status, page = 1, limit = 20 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId), status: status ? status : { in: ACTIVE_STATUSES } };
+    if (registerId) where.registerId = Number(registerId);
+    if (storeId) where.storeId = Number(storeId);
+    const skip = (Number(page) - 1) * Number(limit);
+    const [carts, total] = await Promise.all([
+        prisma.cart.findMany({ where, skip, take: Number(limit), orderBy: { updatedAt: 'desc' }, include: { items: true } }),
+        prisma.cart.count({ where })
+    ]);
+    return { data: carts, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Get a cart by ID with tenant isolation
+ * Purpose: Only returns basket data needed to resume a sale. No personal data stored or logged.
+ */
+export async function getCartById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.cart.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) }, include: { items: true } });
+}
+
+/**
+ * Replace the lines (and optionally customer/note) of an open or parked cart
+ * Purpose: Only stores basket lines. No personal data stored or logged.
+ */
+export async function updateCart(id, tenantId, { items, customerId, note }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const cart = await prisma.$transaction(async (tx) => {
+        const existing = await findActiveCart(tx, id, tenantId);
+        const data = {};
+        if (customerId !== undefined) data.customerId = customerId;
+        if (note !== undefined) data.note = note;
+        if (items) {
+            await tx.cartItem.deleteMany({ where: { cartId: existing.id } });
+            data.items = {
+                create: await toItemRows(tx, tenantId, items, {
+                    storeId: existing.storeId,
+                    registerId: existing.registerId,
+                    customerId: customerId !== undefined ? customerId : existing.customerId
+                })
+            };
+        }
+        return tx.cart.update({ where: { id: existing.id }, data, include: { items: true } });
+    });
+    logger.info({ event: 'CART_UPDATED', cartId: cart.id, tenantId });
+    return cart;
+}
+
+/**
+ * Park a cart so the register can serve another customer
+ * Purpose: Only updates the cart status. No personal data stored or logged.
+ */
+export async function parkCart(id, tenantId, { note } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await findActiveCart(prisma, id, tenantId);
+    const cart = await prisma.cart.update({
+        where: { id: existing.id },
+        data: { status: 'parked', parkedAt: new Date(), ...(note !== undefined ? { note } : {}) },
+        include: { items: true }
+    });
+    logger.info({ event: 'CART_PARKED', cartId: cart.id, registerId: cart.registerId, tenantId });
+    return cart;
+}
+
+/**
+ * Resume a parked cart on the same or another register
+ * Purpose: Only updates the cart's register and status. No personal data stored or logged.
+ */
+export async function resumeCart(id, tenantId, { registerId, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await findActiveCart(prisma, id, tenantId);
+    const register = await findRegister(prisma, registerId || existing.registerId, tenantId);
+    const cart = await prisma.cart.update({
+        where: { id: existing.id },
+        data: { status: 'open', parkedAt: null, registerId: register.id, storeId: register.storeId, userId: userId || existing.userId },
+        include: { items: true }
+    });
+    logger.info({ event: 'CART_RESUMED', cartId: cart.id, registerId: register.id, tenantId });
+    return cart;
+}
+
+/**
+ * Convert a cart into a completed sale
+ * Purpose: Only processes the basket and payment data needed to record the sale. No personal data stored or logged.
+ */
+export async function checkoutCart(id, tenantId, { paymentType, payments, paid, userId, couponCode, redeemPoints }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const cart = await findActiveCart(tx, id, tenantId);
+            if (cart.items.length === 0) throw cartError('Cart has no items');
+            const sale = await createSale(tx, {
+                customerId: cart.customerId,
+                items: cart.items.map(({ productId, quantity, batchNumber, serialNumbers }) => ({ productId, quantity, batchNumber, serialNumbers })),
+                couponCode,
+                redeemPoints,
+                paymentType,
+                payments,
+                paid,
+                tenantId: cart.tenantId,
+                userId: userId || cart.userId,
+                storeId: cart.storeId,
+                registerId: cart.registerId
+            });
+            await tx.cart.update({ where: { id: cart.id }, data: { status: 'converted', saleId: sale.id } });
+            return sale;
+        });
+        logger.info({ event: 'CART_CONVERTED', cartId: Number(id), saleId: result.id, total: result.total, tenantId });
+        return result;
+    } catch (err) {
+        logger.error({ event: 'CART_CHECKOUT_ERROR', cartId: id, tenantId, error: err.message });
+        throw err;
+    }
+}
+
+/**
+ * Void an open or parked cart with a reason and approver
+ * Purpose: Only updates the cart status and records an audit entry. No personal data stored or logged.
+ */
+export async function voidCart(id, tenantId, { reason, userId, approverId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const cart = await prisma.$transaction(async (tx) => {
+        const existing = await findActiveCart(tx, id, tenantId);
+        const voided = await tx.cart.update({
+            where: { id: existing.id },
+            data: { status: 'voided', voidReason: reason, voidedAt: new Date(), voidedById: userId || null, approvedById: approverId },
+            include: { items: true }
+        });
+        await recordAudit(tx, {
+            event: 'CART_VOIDED',
+            details: { cartId: existing.id, registerId: existing.registerId, lines: existing.items.length, reason, approverId },
+            userId
+        });
+        return voided;
+    });
+    logger.info({ event: 'CART_VOIDED', cartId: cart.id, approverId, tenantId });
+    return cart;
+}
@@ -0,0 +1,294 @@
+// giftCardService.js
+// Handles gift cards: issuing, activation, balance lookup, redemption as a tender and the card ledger
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes card codes, balances and sale references necessary to honour stored value.
+// - Does not log personal data; card codes are masked in tenders, listings and this service's logs.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { randomInt } from 'crypto';
+import { generateBarcode } from './barcodeService.js';
+import { netTendered } from './paymentService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/gift-card-service.log' })
+    ]
+});
+
+export const GIFT_CARD_STATUSES = ['inactive', 'active', 'void'];
+
+const GIFT_CARD_CODE_LENGTH = 16;
+const GIFT_CARD_BARCODE_TYPE = process.env.GIFT_CARD_BARCODE_TYPE || 'code128';
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function giftCardError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Random numeric card code (no leading zero, so it survives spreadsheets and keypads)
+ * Purpose: Only generates an identifier. No personal data processed.
+ */
+export function generateCode(length = GIFT_CARD_CODE_LENGTH) {
+    let code = String(randomInt(1, 10));
+    while (code.length < length) code += randomInt(0, 10);
+    return code;
+}
+
+/**
+ * Card code with all but the last four digits hidden, for receipts, tenders and listings
+ * Purpose: Data minimization; the full code is a bearer credential.
+ */
+export function maskCode(code) {
+    return `****${String(code).slice(-4)}`;
+}
+
+function isExpired(card, at = new Date()) {
+    return !!card.expiresAt && new Date(card.expiresAt) < at;
+}
+
+async function findCard(tx, code, tenantId) {
+    const card = await (tx || prisma).giftCard.findFirst({ where: { code: String(code), tenantId: Number(tenantId) } });
+    if (!card) throw giftCardError('Gift card not found', 404);
+    return card;
+}
+
+// Move the card balance and write the ledger entry; debits are guarded so the balance cannot go below zero
+async function postEntry(tx, card, { type, amount, saleId, returnId, note, userId }) {
+    if (amount < 0) {
+        const { count } = await tx.giftCard.updateMany({
+            where: { id: card.id, balance: { gte: roundMoney(-amount) } },
+            data: { balance: { increment: amount } }
+        });
+        if (count === 0) throw giftCardError(`Gift card ${maskCode(card.code)} has insufficient balance`, 409);
+    } else {
+        await tx.giftCard.update({ where: { id: card.id }, data: { balance: { increment: amount } } });
+    }
+    // Keep the stored balance in whole cents despite float arithmetic
+    const { balance } = await tx.giftCard.findUnique({ where: { id: card.id }, select: { balance: true } });
+    const balanceAfter = roundMoney(balance);
+    if (balanceAfter !== balance) await tx.giftCard.update({ where: { id: card.id }, data: { balance: balanceAfter } });
+    return tx.giftCardTransaction.create({
+        data: {
+            tenantId: card.tenantId,
+            giftCardId: card.id,
+            type,
+            amount: roundMoney(amount),
+            balanceAfter,
+            saleId: saleId || null,
+            returnId: returnId || null,
+            note: note || null,
+            userId: userId || null
+        }
+    });
+}
+
+/**
+ * Check the gift card tenders of a sale before it is written: the payment reference carries the card code,
+ * the card must be active, unexpired and hold enough for every tender against it. Partial redemption is the
+ * norm; the rest of the sale is settled by other tenders. Each tender gets the card id and a masked reference.
+ * Purpose: Only processes card codes and balances. No personal data stored or logged.
+ */
+export async function prepareGiftCardTenders(tx, { tenantId, payments }) {
+    const perCard = new Map();
+    for (const payment of payments.filter(p => p.method === 'gift_card')) {
+        if (!payment.reference) throw giftCardError('Gift card code is required as the payment reference');
+        const card = await findCard(tx, payment.reference, tenantId);
+        if (card.status !== 'active') throw giftCardError(`Gift card ${maskCode(card.code)} is ${card.status}`, 409);
+        if (isExpired(card)) throw giftCardError(`Gift card ${maskCode(card.code)} has expired`, 409);
+        const used = roundMoney((perCard.get(card.id) || 0) + netTendered(payment));
+        if (used > card.balance) {
+            throw giftCardError(`Gift card ${maskCode(card.code)} balance is ${card.balance.toFixed(2)}`, 409);
+        }
+        perCard.set(card.id, used);
+        payment.giftCardId = card.id;
+        payment.reference = maskCode(card.code);
+    }
+    return payments;
+}
+
+/**
+ * Debit the gift cards used to pay a written sale
+ * Purpose: Only processes card balances. No personal data stored or logged.
+ */
+export async function postGiftCardRedemptions(tx, sale, userId) {
+    for (const payment of sale.payments.filter(p => p.giftCardId)) {
+        const card = await tx.giftCard.findUnique({ where: { id: payment.giftCardId } });
+        await postEntry(tx, card, { type: 'redeem', amount: -netTendered(payment), saleId: sale.id, userId });
+        logger.info({ event: 'GIFT_CARD_REDEEMED', giftCardId: card.id, saleId: sale.id, amount: netTendered(payment), tenantId: sale.tenantId });
+    }
+}
+
+/**
+ * Put back what a voided sale took from its gift cards
+ * Purpose: Only processes card balances. No personal data stored or logged.
+ */
+export async function restoreGiftCardRedemptions(tx, sale, userId) {
+    for (const payment of sale.payments.filter(p => p.giftCardId)) {
+        const card = await tx.giftCard.findUnique({ where: { id: payment.giftCardId } });
+        await postEntry(tx, card, { type: 'refund', amount: netTendered(payment), saleId: sale.id, note: 'Sale voided', userId });
+    }
+}
+
+/**
+ * Refund a return onto a gift card: the given code, otherwise the card that paid most of the sale
+ * Purpose: Only processes card balances. No personal data stored or logged.
+ */
+export async function refundToGiftCard(tx, { sale, saleReturn, amount, code, userId }) {
+    let card;
+    if (code) {
+        card = await findCard(tx, code, sale.tenantId);
+    } else {
+        const tender = sale.payments.filter(p => p.giftCardId).sort((a, b) => netTendered(b) - netTendered(a))[0];
+        if (!tender) throw giftCardError('Sale was not paid by gift card; giftCardCode is required');
+        card = await tx.giftCard.findUnique({ where: { id: tender.giftCardId } });
+    }
+    if (card.status === 'void') throw giftCardError(`Gift card ${maskCode(card.code)} is void`, 409);
+    const entry = await postEntry(tx, card, { type: 'refund', amount, saleId: sale.id, returnId: saleReturn.id, userId });
+    logger.info({ event: 'GIFT_CARD_REFUNDED', giftCardId: card.id, returnId: saleReturn.id, amount, tenantId: sale.tenantId });
+    return entry;
+}
+
+/**
+ * Issue a gift card with a generated code; inactive cards (e.g. pre-printed stock) must be activated before use
+ * Purpose: Only stores the card value and, optionally, the customer it was issued to.
+ */
+export async function issueGiftCard({ tenantId, amount, customerId, expiresAt, activate = true, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const card = await prisma.$transaction(async (tx) => {
+        if (customerId) {
+            const customer = await tx.customer.findFirst({ where: { id: Number(customerId), tenantId: Number(tenantId) } });
+            if (!customer) throw giftCardError('Customer not found', 404);
+        }
+        let code = generateCode();
+        // Codes are random; retry on the rare collision
+        for (let attempt = 0; await tx.giftCard.findUnique({ where: { code } }); attempt++) {
+            if (attempt >= 5) throw giftCardError('Could not generate a unique gift card code', 500);
+            code = generateCode();
+        }
+        const created = await tx.giftCard.create({
+            data: {
+                tenantId: Number(tenantId),
+                code,
+                status: activate ? 'active' : 'inactive',
+                initialBalance: roundMoney(amount),
+                // Credited by the issue entry below so the ledger accounts for the whole balance
+                balance: 0,
+                customerId: customerId || null,
+                expiresAt: expiresAt || null,
+                activatedAt: activate ? new Date() : null,
+                issuedById: userId || null,
+                note: note || null
+            }
+        });
+        await postEntry(tx, created, { type: 'issue', amount: created.initialBalance, note, userId });
+        return tx.giftCard.findUnique({ where: { id: created.id } });
+    });
+    logger.info({ event: 'GIFT_CARD_ISSUED', giftCardId: card.id, code: maskCode(card.code), amount: card.initialBalance, status: card.status, tenantId });
+    return card;
+}
+
+/**
+ * Activate an issued card so it can be redeemed
+ * Purpose: Only updates the card status.
+ */
+export async function activateGiftCard(code, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const card = await findCard(null, code, tenantId);
+    if (card.status !== 'inactive') throw giftCardError(`Gift card is already ${card.status}`, 409);
+    const activated = await prisma.giftCard.update({ where: { id: card.id }, data: { status: 'active', activatedAt: new Date() } });
+    logger.info({ event: 'GIFT_CARD_ACTIVATED', giftCardId: card.id, tenantId });
+    return activated;
+}
+
+/**
+ * Void a card (lost, stolen, issued in error): the remaining balance is written off in the ledger
+ * Purpose: Only updates the card status and balance.
+ */
+export async function voidGiftCard(code, tenantId, { reason, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const card = await prisma.$transaction(async (tx) => {
+        const existing = await findCard(tx, code, tenantId);
+        if (existing.status === 'void') throw giftCardError('Gift card is already void', 409);
+        await postEntry(tx, existing, { type: 'void', amount: -existing.balance, note: reason, userId });
+        return tx.giftCard.update({ where: { id: existing.id }, data: { status: 'void' } });
+    });
+    logger.info({ event: 'GIFT_CARD_VOIDED', giftCardId: card.id, tenantId });
+    return card;
+}
+
+/**
+ * Balance lookup by card code
+ * Purpose: Only returns the card status, balance and expiry.
+ */
+export async function getGiftCard(code, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const card = await findCard(null, code, tenantId);
+    return { ...card, expired: isExpired(card) };
+}
+
+/**
+ * List gift cards (?status=, ?customerId=) with masked codes
+ * Purpose: Only returns card balances needed to manage outstanding stored value.
+ */
+export async function getGiftCards(query = {}) {
+    const { tenantId, status, customerId, page = 1, limit = 20 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (status) where.status = status;
+    if (customerId) where.customerId = Number(customerId);
+    const skip = (Number(page) - 1) * Number(limit);
+    const [cards, total, outstanding] = await Promise.all([
+        prisma.giftCard.findMany({ where, skip, take: Number(limit), orderBy: { createdAt: 'desc' } }),
+        prisma.giftCard.count({ where }),
+        prisma.giftCard.aggregate({ where: { ...where, status: 'active' }, _sum: { balance: true } })
+    ]);
+    return {
+        data: cards.map(card => ({ ...card, code: maskCode(card.code) })),
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        outstandingBalance: roundMoney(outstanding._sum.balance || 0)
+    };
+}
+
+/**
+ * Ledger of a gift card, newest first
+ * Purpose: Only returns balance movements of one card.
+ */
+export async function getGiftCardTransactions(code, tenantId, { page = 1, limit = 20 } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const card = await findCard(null, code, tenantId);
+    const where = { giftCardId: card.id };
+    const skip = (Number(page) - 1) * Number(limit);
+    const [entries, total] = await Promise.all([
+        prisma.giftCardTransaction.findMany({ where, skip, take: Number(limit), orderBy: { createdAt: 'desc' } }),
+        prisma.giftCardTransaction.count({ where })
+    ]);
+    return { data: entries, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Printable barcode of a card code (PNG or SVG); the code is a bearer credential, so it is rendered uncached and unlogged
+ * Purpose: Only processes the card code for printing.
+ */
+export async function getGiftCardBarcode(code, tenantId, { format = 'png' } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const card = await findCard(null, code, tenantId);
+    return generateBarcode(card.code, { bcid: GIFT_CARD_BARCODE_TYPE, format, includetext: GIFT_CARD_BARCODE_TYPE !== 'qrcode', sensitive: true });
+}
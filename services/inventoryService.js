@@ -10,6 +10,7 @@
 import { PrismaClient } from '@prisma/client';
 import winston from 'winston';
 import redisClient from '../config/redisClient.js';
+import { checkQuantity, roundQuantity } from './uomService.js';
 const prisma = new PrismaClient();
 
 const logger = winston.createLogger({
@@ -101,6 +102,7 @@ export async function updateInventory(id, data) {
         if (!data.tenantId) throw new Error('Tenant context required');
         const prev = await prisma.inventory.findFirst({ where: { id: Number(id), tenantId: data.tenantId } });
         if (!prev) throw new Error('Inventory item not found or not in tenant');
+        if (data.quantity !== undefined) await checkQuantity(null, prev.productId, data.quantity);
         const updated = await prisma.inventory.update({ where: { id: Number(id), tenantId: data.tenantId }, data });
         logger.info({ event: 'INVENTORY_UPDATE', id: updated.id, storeId: updated.storeId, tenantId: data.tenantId });
         // Record adjustment history (if table exists)
@@ -129,6 +131,78 @@ export async function updateInventory(id, data) {
     }
 }
 
+/**
+ * Add stock to a store (or a warehouse) inside an existing transaction and record the adjustment
+ * `unitCost` is the purchase cost of received stock; it becomes a cost layer for inventory valuation.
+ * Purpose: Shared by returns, voids and goods receipts. No personal data stored or logged.
+ */
+export async function restockInventory(tx, { tenantId, storeId, warehouseId, productId, quantity, userId, reason, unitCost }) {
+    await checkQuantity(tx, productId, quantity);
+    // Warehouse stock is keyed by warehouse; store stock by store
+    const location = warehouseId ? { warehouseId } : { storeId };
+    let inventory = await tx.inventory.findFirst({ where: { productId, tenantId, ...location } });
+    const before = inventory ? inventory.quantity : 0;
+    if (inventory) {
+        inventory = await tx.inventory.update({
+            where: { id: inventory.id },
+            data: { quantity: { increment: quantity } }
+        });
+    } else {
+        inventory = await tx.inventory.create({ data: { productId, tenantId, ...location, quantity } });
+    }
+    await tx.inventoryHistory.create({
+        data: {
+            inventoryId: inventory.id,
+            productId,
+            quantityBefore: roundQuantity(before),
+            quantityAfter: roundQuantity(inventory.quantity),
+            reason,
+            unitCost: unitCost ?? null,
+            userId: userId || null
+        }
+    });
+    logger.info({ event: 'INVENTORY_RESTOCK', id: inventory.id, productId, storeId, warehouseId, quantity, reason, tenantId });
+    return inventory;
+}
+
+/**
+ * Take stock out of a store (or a warehouse) inside an existing transaction and record the adjustment
+ * The decrement is guarded so stock cannot go below zero.
+ * Purpose: Shared by transfers and write-offs. No personal data stored or logged.
+ */
+export async function deductInventory(tx, { tenantId, storeId, warehouseId, productId, quantity, userId, reason, reasonCodeId, unitCost, approvedById }) {
+    await checkQuantity(tx, productId, quantity);
+    const location = warehouseId ? { warehouseId } : { storeId };
+    const inventory = await tx.inventory.findFirst({ where: { productId, tenantId, ...location } });
+    const { count } = inventory
+        ? await tx.inventory.updateMany({
+            where: { id: inventory.id, quantity: { gte: quantity } },
+            data: { quantity: { decrement: quantity } }
+        })
+        : { count: 0 };
+    if (count === 0) {
+        const err = new Error(`Insufficient stock of product ${productId} (${inventory ? inventory.quantity : 0} available)`);
+        err.status = 409;
+        throw err;
+    }
+    const updated = await tx.inventory.findUnique({ where: { id: inventory.id } });
+    await tx.inventoryHistory.create({
+        data: {
+            inventoryId: inventory.id,
+            productId,
+            quantityBefore: roundQuantity(updated.quantity + quantity),
+            quantityAfter: roundQuantity(updated.quantity),
+            reason,
+            reasonCodeId: reasonCodeId || null,
+            unitCost: unitCost ?? null,
+            approvedById: approvedById || null,
+            userId: userId || null
+        }
+    });
+    logger.info({ event: 'INVENTORY_DEDUCT', id: inventory.id, productId, storeId, warehouseId, quantity, reason, tenantId });
+    return updated;
+}
+
 /**
  * Invalidate cache on add/update for a specific store
  * Purpose: Only invalidates cache keys related to inventory. No personal data processed.
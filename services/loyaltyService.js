@@ -0,0 +1,376 @@
+// loyaltyService.js
+// Handles customer loyalty: earn rates, point accrual and reversal, redemption, tiers and the points ledger
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes point balances and sale totals necessary to run the loyalty programme.
+// - Does not log or store personal or sensitive data; customers are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { netTendered, refundPaidOut } from './paymentService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/loyalty-service.log' })
+    ]
+});
+
+export const LOYALTY_ENTRY_TYPES = ['earn', 'redeem', 'reverse', 'refund', 'adjust'];
+
+// Tenders that do not earn points: spending points, or goods handed back in an exchange
+const NON_EARNING_METHODS = ['loyalty', 'exchange'];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function loyaltyError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Currency value of a number of points
+ * Purpose: Only processes point amounts.
+ */
+export function pointsValue(points, program) {
+    return roundMoney(points * program.redeemValue);
+}
+
+/**
+ * Points needed to cover an amount (rounded up so a redemption never gives away more than the points are worth)
+ * Purpose: Only processes point amounts.
+ */
+export function pointsForAmount(amount, program) {
+    // Round away float noise first: 5 / 0.01 is 500.00000000000006
+    return Math.ceil(Math.round(amount / program.redeemValue * 1e6) / 1e6);
+}
+
+/**
+ * Highest tier whose minimum spend is reached, or null
+ * Purpose: Only processes spend totals.
+ */
+export function tierFor(program, spend) {
+    const tiers = (program.tiers || []).filter(t => spend >= t.minSpend);
+    if (tiers.length === 0) return null;
+    return tiers.reduce((best, t) => (t.minSpend > best.minSpend ? t : best));
+}
+
+/**
+ * Points earned on an amount: earn rate times the tier multiplier, rounded down
+ * Purpose: Only processes sale totals and point amounts.
+ */
+export function pointsEarnedOn(amount, program, tier) {
+    if (amount <= 0) return 0;
+    const multiplier = tier && tier.multiplier ? tier.multiplier : 1;
+    return Math.floor(Math.round(amount * program.earnRate * multiplier * 1e6) / 1e6);
+}
+
+/**
+ * Loyalty programme of a tenant, active or not
+ * Purpose: Only returns programme settings. No personal data processed.
+ */
+export async function findProgram(tx, tenantId) {
+    return (tx || prisma).loyaltyProgram.findUnique({ where: { tenantId: Number(tenantId) } });
+}
+
+async function activeProgram(tx, tenantId) {
+    const program = await findProgram(tx, tenantId);
+    return program && program.isActive ? program : null;
+}
+
+async function findCustomer(tx, customerId, tenantId) {
+    const customer = await (tx || prisma).customer.findFirst({
+        where: { id: Number(customerId), tenantId: Number(tenantId) },
+        select: { id: true, loyaltyPoints: true, loyaltyTier: true }
+    });
+    if (!customer) throw loyaltyError('Customer not found', 404);
+    return customer;
+}
+
+/**
+ * Customer spend over the programme's rolling window: completed sales less refunds
+ * Purpose: Only aggregates sale and refund totals of one customer for tiering.
+ */
+export async function rollingSpend(tx, program, customerId) {
+    const db = tx || prisma;
+    const since = new Date(Date.now() - program.tierWindowDays * 24 * 60 * 60 * 1000);
+    const [sales, returns] = await Promise.all([
+        db.sale.aggregate({
+            where: { tenantId: program.tenantId, customerId: Number(customerId), status: 'completed', saleDate: { gte: since } },
+            _sum: { total: true }
+        }),
+        db.saleReturn.aggregate({
+            where: { tenantId: program.tenantId, sale: { customerId: Number(customerId) }, createdAt: { gte: since } },
+            _sum: { refundAmount: true }
+        })
+    ]);
+    return roundMoney((sales._sum.total || 0) - (returns._sum.refundAmount || 0));
+}
+
+async function refreshTier(tx, program, customerId) {
+    const tier = tierFor(program, await rollingSpend(tx, program, customerId));
+    await tx.customer.updateMany({ where: { id: Number(customerId), tenantId: program.tenantId }, data: { loyaltyTier: tier ? tier.name : null } });
+    return tier;
+}
+
+// Move points and write the ledger entry. Debits can be guarded so the balance cannot go below zero.
+async function postEntry(tx, { tenantId, customerId, type, points, saleId, returnId, note, userId, guard = false }) {
+    if (points === 0) return null;
+    if (guard && points < 0) {
+        const { count } = await tx.customer.updateMany({
+            where: { id: Number(customerId), tenantId: Number(tenantId), loyaltyPoints: { gte: -points } },
+            data: { loyaltyPoints: { increment: points } }
+        });
+        if (count === 0) throw loyaltyError(`Insufficient loyalty points (${-points} needed)`, 409);
+    } else {
+        const { count } = await tx.customer.updateMany({
+            where: { id: Number(customerId), tenantId: Number(tenantId) },
+            data: { loyaltyPoints: { increment: points } }
+        });
+        if (count === 0) throw loyaltyError('Customer not found', 404);
+    }
+    const { loyaltyPoints } = await tx.customer.findFirst({
+        where: { id: Number(customerId), tenantId: Number(tenantId) },
+        select: { loyaltyPoints: true }
+    });
+    return tx.loyaltyLedger.create({
+        data: {
+            tenantId: Number(tenantId),
+            customerId: Number(customerId),
+            saleId: saleId || null,
+            returnId: returnId || null,
+            type,
+            points,
+            balanceAfter: loyaltyPoints,
+            note: note || null,
+            userId: userId || null
+        }
+    });
+}
+
+/**
+ * Redeem points as a discount on a priced basket (before tax). The discount is spread over the lines like a
+ * basket promotion and never exceeds the basket; only the points needed are used.
+ * Purpose: Only processes point balances and line amounts. No personal data stored or logged.
+ */
+export async function applyPointsDiscount(tx, { tenantId, customerId, points, pricing }) {
+    if (!points) return { ...pricing, pointsRedeemed: 0, loyaltyDiscount: 0 };
+    if (!customerId) throw loyaltyError('A customer is required to redeem loyalty points');
+    const program = await activeProgram(tx, tenantId);
+    if (!program) throw loyaltyError('Loyalty programme is not active');
+    if (points < program.minRedeemPoints) throw loyaltyError(`At least ${program.minRedeemPoints} points must be redeemed`);
+    const customer = await findCustomer(tx, customerId, tenantId);
+    if (customer.loyaltyPoints < points) throw loyaltyError(`Insufficient loyalty points (${customer.loyaltyPoints} available)`, 409);
+    const discount = Math.min(pointsValue(points, program), pricing.total);
+    if (discount <= 0) return { ...pricing, pointsRedeemed: 0, loyaltyDiscount: 0 };
+    const base = pricing.lines.reduce((sum, l) => sum + l.price * l.quantity - l.discount, 0);
+    let left = discount;
+    const lines = pricing.lines.map((line, i) => {
+        const remaining = roundMoney(line.price * line.quantity - line.discount);
+        const share = roundMoney(Math.min(i === pricing.lines.length - 1 ? left : discount * remaining / base, remaining));
+        left = roundMoney(left - share);
+        if (share <= 0) return line;
+        return {
+            ...line,
+            discount: roundMoney(line.discount + share),
+            promotions: [...line.promotions, { promotionId: null, name: 'Loyalty points', amount: share }]
+        };
+    });
+    const pointsRedeemed = Math.min(points, pointsForAmount(discount, program));
+    const discountTotal = roundMoney(pricing.discountTotal + discount);
+    return {
+        ...pricing,
+        lines,
+        applied: [...pricing.applied, { promotionId: null, name: 'Loyalty points', amount: discount, points: pointsRedeemed }],
+        discountTotal,
+        total: roundMoney(pricing.subtotal - discountTotal),
+        pointsRedeemed,
+        loyaltyDiscount: discount
+    };
+}
+
+/**
+ * Work out the points a sale redeems (discount and loyalty tender) and earns, before it is written
+ * Earning uses the customer's tier from spend before this sale; points and loyalty tenders do not earn.
+ * Purpose: Only processes sale totals, tenders and point balances. No personal data stored or logged.
+ */
+export async function prepareSaleLoyalty(tx, { tenantId, customerId, total, payments, pricing }) {
+    const loyaltyTendered = roundMoney(payments.filter(p => p.method === 'loyalty').reduce((sum, p) => sum + netTendered(p), 0));
+    const discountPoints = pricing.pointsRedeemed || 0;
+    if (!customerId) {
+        if (loyaltyTendered > 0) throw loyaltyError('A customer is required to pay with loyalty points');
+        return { discountPoints: 0, tenderPoints: 0, pointsEarned: 0, pointsRedeemed: 0 };
+    }
+    // The customer must belong to the tenant before any points are earned or redeemed
+    await findCustomer(tx, customerId, tenantId);
+    const program = await activeProgram(tx, tenantId);
+    if (!program) {
+        if (loyaltyTendered > 0) throw loyaltyError('Loyalty programme is not active');
+        return { discountPoints: 0, tenderPoints: 0, pointsEarned: 0, pointsRedeemed: 0 };
+    }
+    const tenderPoints = loyaltyTendered > 0 ? pointsForAmount(loyaltyTendered, program) : 0;
+    if (tenderPoints > 0 && tenderPoints < program.minRedeemPoints) {
+        throw loyaltyError(`At least ${program.minRedeemPoints} points must be redeemed`);
+    }
+    const nonEarning = payments.filter(p => NON_EARNING_METHODS.includes(p.method)).reduce((sum, p) => sum + netTendered(p), 0);
+    const tier = tierFor(program, await rollingSpend(tx, program, customerId));
+    return {
+        program,
+        discountPoints,
+        tenderPoints,
+        pointsEarned: pointsEarnedOn(roundMoney(total - nonEarning), program, tier),
+        pointsRedeemed: discountPoints + tenderPoints
+    };
+}
+
+/**
+ * Post the ledger entries of a written sale: redemptions first (guarded against the balance), then earnings,
+ * and refresh the customer's tier
+ * Purpose: Only processes point balances of the sale's customer. No personal data stored or logged.
+ */
+export async function postSaleLoyalty(tx, sale, loyalty, userId) {
+    if (!loyalty.program) return;
+    const entry = { tenantId: sale.tenantId, customerId: sale.customerId, saleId: sale.id, userId };
+    if (loyalty.discountPoints > 0) {
+        await postEntry(tx, { ...entry, type: 'redeem', points: -loyalty.discountPoints, note: 'Redeemed as discount', guard: true });
+    }
+    if (loyalty.tenderPoints > 0) {
+        await postEntry(tx, { ...entry, type: 'redeem', points: -loyalty.tenderPoints, note: 'Redeemed as tender', guard: true });
+    }
+    await postEntry(tx, { ...entry, type: 'earn', points: loyalty.pointsEarned });
+    const tier = await refreshTier(tx, loyalty.program, sale.customerId);
+    logger.info({ event: 'LOYALTY_SALE_POSTED', saleId: sale.id, pointsEarned: loyalty.pointsEarned, pointsRedeemed: loyalty.pointsRedeemed, tier: tier ? tier.name : null, tenantId: sale.tenantId });
+}
+
+/**
+ * Reverse the loyalty effect of a voided sale: take back earned points and give back redeemed ones
+ * Purpose: Only processes point balances of the sale's customer. No personal data stored or logged.
+ */
+export async function reverseSaleLoyalty(tx, sale, userId) {
+    if (!sale.customerId || (sale.pointsEarned === 0 && sale.pointsRedeemed === 0)) return;
+    const entry = { tenantId: sale.tenantId, customerId: sale.customerId, saleId: sale.id, userId };
+    await postEntry(tx, { ...entry, type: 'reverse', points: -sale.pointsEarned, note: 'Sale voided' });
+    await postEntry(tx, { ...entry, type: 'refund', points: sale.pointsRedeemed, note: 'Sale voided' });
+    const program = await findProgram(tx, sale.tenantId);
+    if (program) await refreshTier(tx, program, sale.customerId);
+    logger.info({ event: 'LOYALTY_SALE_REVERSED', saleId: sale.id, tenantId: sale.tenantId });
+}
+
+/**
+ * Loyalty side of a return: take back points earned on the refunded share of the sale, and credit points
+ * when the refund is paid back to the loyalty tender. Reversals may take the balance below zero if the
+ * points were already spent; the customer then earns their way back before redeeming again.
+ * Purpose: Only processes point balances of the sale's customer. No personal data stored or logged.
+ */
+export async function reverseReturnLoyalty(tx, { sale, saleReturn, userId }) {
+    const paidOut = saleReturn.refundMethod === 'loyalty' ? refundPaidOut(saleReturn) : 0;
+    if (!sale.customerId) {
+        if (paidOut > 0) throw loyaltyError('Loyalty refunds need a customer on the sale');
+        return;
+    }
+    const program = await findProgram(tx, sale.tenantId);
+    if (!program) {
+        if (paidOut > 0) throw loyaltyError('Loyalty programme is not configured');
+        return;
+    }
+    const entry = { tenantId: sale.tenantId, customerId: sale.customerId, saleId: sale.id, returnId: saleReturn.id, userId };
+    if (sale.pointsEarned > 0 && sale.total > 0) {
+        // Reverse in proportion to everything refunded so far, so several partial returns add up exactly
+        const [refunded, reversed] = await Promise.all([
+            tx.saleReturn.aggregate({ where: { saleId: sale.id }, _sum: { refundAmount: true } }),
+            tx.loyaltyLedger.aggregate({ where: { saleId: sale.id, type: 'reverse' }, _sum: { points: true } })
+        ]);
+        const share = Math.min((refunded._sum.refundAmount || 0) / sale.total, 1);
+        const target = Math.round(sale.pointsEarned * share);
+        const points = target + (reversed._sum.points || 0);
+        if (points > 0) await postEntry(tx, { ...entry, type: 'reverse', points: -points, note: `Return #${saleReturn.id}` });
+    }
+    if (paidOut > 0) {
+        await postEntry(tx, { ...entry, type: 'refund', points: Math.round(paidOut / program.redeemValue), note: `Refund of return #${saleReturn.id}` });
+    }
+    await refreshTier(tx, program, sale.customerId);
+    logger.info({ event: 'LOYALTY_RETURN_POSTED', saleId: sale.id, returnId: saleReturn.id, tenantId: sale.tenantId });
+}
+
+/**
+ * Loyalty programme settings of a tenant
+ * Purpose: Only returns programme settings.
+ */
+export async function getProgram(tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return findProgram(null, tenantId);
+}
+
+/**
+ * Create or update the loyalty programme of a tenant
+ * Purpose: Only stores programme settings. No personal data processed.
+ */
+export async function saveProgram(tenantId, data) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const program = await prisma.loyaltyProgram.upsert({
+        where: { tenantId: Number(tenantId) },
+        create: { ...data, tenantId: Number(tenantId) },
+        update: data
+    });
+    logger.info({ event: 'LOYALTY_PROGRAM_SAVED', tenantId, earnRate: program.earnRate, redeemValue: program.redeemValue, isActive: program.isActive });
+    return program;
+}
+
+/**
+ * Balance, tier, rolling spend and ledger page of a customer
+ * Purpose: Only returns loyalty data of one customer needed to serve them at the till.
+ */
+export async function getCustomerLoyalty(customerId, tenantId, { page = 1, limit = 20 } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const customer = await findCustomer(null, customerId, tenantId);
+    const program = await findProgram(null, tenantId);
+    const where = { customerId: customer.id, tenantId: Number(tenantId) };
+    const skip = (Number(page) - 1) * Number(limit);
+    const [entries, total] = await Promise.all([
+        prisma.loyaltyLedger.findMany({ where, skip, take: Number(limit), orderBy: { createdAt: 'desc' } }),
+        prisma.loyaltyLedger.count({ where })
+    ]);
+    let spend = null;
+    let nextTier = null;
+    if (program) {
+        spend = await rollingSpend(null, program, customer.id);
+        const next = (program.tiers || []).filter(t => t.minSpend > spend).sort((a, b) => a.minSpend - b.minSpend)[0];
+        if (next) nextTier = { name: next.name, spendNeeded: roundMoney(next.minSpend - spend) };
+    }
+    return {
+        customerId: customer.id,
+        points: customer.loyaltyPoints,
+        pointsValue: program ? pointsValue(Math.max(customer.loyaltyPoints, 0), program) : 0,
+        tier: customer.loyaltyTier,
+        rollingSpend: spend,
+        nextTier,
+        data: entries,
+        page: Number(page),
+        limit: Number(limit),
+        total
+    };
+}
+
+/**
+ * Manual points adjustment (goodwill, corrections); debits cannot take the balance below zero
+ * Purpose: Only processes the point balance of one customer and records who changed it.
+ */
+export async function adjustPoints(customerId, tenantId, { points, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const entry = await prisma.$transaction(async (tx) => {
+        const customer = await findCustomer(tx, customerId, tenantId);
+        return postEntry(tx, { tenantId, customerId: customer.id, type: 'adjust', points, note, userId, guard: true });
+    });
+    logger.info({ event: 'LOYALTY_POINTS_ADJUSTED', customerId: entry.customerId, points, balanceAfter: entry.balanceAfter, tenantId });
+    return entry;
+}
@@ -0,0 +1,137 @@
+// marginService.js
+// Gross profit and margin reporting from the unit cost captured on each sale line
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes aggregated sales, cost and return amounts.
+// - Does not log or store personal or sensitive data; cashiers are reported by user id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/margin-service.log' })
+    ]
+});
+
+export const MARGIN_GROUPS = ['product', 'category', 'store', 'cashier', 'day', 'week', 'month'];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Revenue of a line net of discounts and of tax included in the price
+function lineRevenue(item, taxInclusive) {
+    const amount = item.price * item.quantity - item.discount;
+    return taxInclusive ? amount - item.taxAmount : amount;
+}
+
+// Period keys in UTC: day YYYY-MM-DD, week = its Monday, month YYYY-MM
+export function periodKey(date, groupBy) {
+    const d = new Date(date);
+    if (groupBy === 'month') return d.toISOString().slice(0, 7);
+    if (groupBy === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+}
+
+function groupFor(groupBy, item, sale, date) {
+    switch (groupBy) {
+        case 'product': return { key: item.productId, productId: item.productId, productName: item.product.name, sku: item.product.sku };
+        case 'category': return { key: item.product.categoryId, categoryId: item.product.categoryId, categoryName: item.product.category?.name || null };
+        case 'store': return { key: sale.storeId, storeId: sale.storeId, storeName: sale.store?.name || null };
+        case 'cashier': return { key: sale.userId, userId: sale.userId };
+        default: {
+            const period = periodKey(date, groupBy);
+            return { key: period, period };
+        }
+    }
+}
+
+const ITEM_SELECT = {
+    productId: true,
+    quantity: true,
+    price: true,
+    discount: true,
+    taxAmount: true,
+    unitCost: true,
+    product: { select: { name: true, sku: true, cost: true, categoryId: true, category: { select: { name: true } } } },
+    sale: { select: { storeId: true, userId: true, saleDate: true, taxInclusive: true, store: { select: { name: true } } } }
+};
+
+/**
+ * Gross profit and margin by product, category, store, cashier or period (?groupBy=, ?storeId=, ?from=, ?to=)
+ * Revenue is net of discounts and included tax; cost is the unit cost captured at sale (Product.cost for
+ * lines sold before costs were captured). Returns in the period reverse their share of the original line's
+ * revenue, and of its cost when the goods went back into stock. Voided sales are excluded.
+ * Purpose: Only returns aggregated sales and cost figures needed for margin analysis.
+ */
+export async function getMarginReport({ tenantId, groupBy = 'product', storeId, from, to }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    if (!MARGIN_GROUPS.includes(groupBy)) {
+        const err = new Error(`groupBy must be one of ${MARGIN_GROUPS.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    const saleWhere = { tenantId: Number(tenantId), status: 'completed' };
+    const returnWhere = { tenantId: Number(tenantId) };
+    if (storeId) saleWhere.storeId = returnWhere.storeId = Number(storeId);
+    if (from || to) {
+        saleWhere.saleDate = {};
+        returnWhere.createdAt = {};
+        if (from) saleWhere.saleDate.gte = returnWhere.createdAt.gte = new Date(from);
+        if (to) saleWhere.saleDate.lte = returnWhere.createdAt.lte = new Date(to);
+    }
+    const [items, returnItems] = await Promise.all([
+        prisma.saleItem.findMany({ where: { sale: saleWhere }, select: ITEM_SELECT }),
+        prisma.saleReturnItem.findMany({
+            where: { saleReturn: returnWhere },
+            select: { quantity: true, restock: true, saleReturn: { select: { createdAt: true } }, saleItem: { select: ITEM_SELECT } }
+        })
+    ]);
+
+    const rows = new Map();
+    const row = (group) => {
+        const { key, ...fields } = group;
+        if (!rows.has(key)) rows.set(key, { ...fields, quantitySold: 0, quantityReturned: 0, revenue: 0, cost: 0 });
+        return rows.get(key);
+    };
+    for (const item of items) {
+        const r = row(groupFor(groupBy, item, item.sale, item.sale.saleDate));
+        r.quantitySold += item.quantity;
+        r.revenue += lineRevenue(item, item.sale.taxInclusive);
+        r.cost += (item.unitCost ?? item.product.cost) * item.quantity;
+    }
+    for (const returned of returnItems) {
+        const item = returned.saleItem;
+        const share = returned.quantity / item.quantity;
+        const r = row(groupFor(groupBy, item, item.sale, returned.saleReturn.createdAt));
+        r.quantityReturned += returned.quantity;
+        r.revenue -= lineRevenue(item, item.sale.taxInclusive) * share;
+        // Goods written off on return stay a cost
+        if (returned.restock) r.cost -= (item.unitCost ?? item.product.cost) * returned.quantity;
+    }
+    const data = [...rows.values()].map(r => {
+        const revenue = roundMoney(r.revenue);
+        const grossProfit = roundMoney(r.revenue - r.cost);
+        return { ...r, revenue, cost: roundMoney(r.cost), grossProfit, margin: revenue !== 0 ? roundMoney(grossProfit / revenue * 100) : null };
+    });
+    if (['day', 'week', 'month'].includes(groupBy)) data.sort((a, b) => a.period.localeCompare(b.period));
+    else data.sort((a, b) => b.grossProfit - a.grossProfit);
+    const revenue = roundMoney(data.reduce((sum, r) => sum + r.revenue, 0));
+    const cost = roundMoney(data.reduce((sum, r) => sum + r.cost, 0));
+    const grossProfit = roundMoney(revenue - cost);
+    logger.info({ event: 'MARGIN_REPORT', tenantId, storeId, groupBy, rows: data.length });
+    return {
+        groupBy,
+        data,
+        totals: { revenue, cost, grossProfit, margin: revenue !== 0 ? roundMoney(grossProfit / revenue * 100) : null }
+    };
+}
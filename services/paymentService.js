@@ -0,0 +1,149 @@
+// paymentService.js
+// Handles tenders (split payments) recorded against a sale
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes payment amounts, methods and references needed to settle a sale.
+// - Does not log or store card numbers or other sensitive payment data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+const prisma = new PrismaClient();
+
+// `loyalty` pays with customer points (see loyaltyService); `gift_card` takes the card code as its reference
+export const PAYMENT_METHODS = ['cash', 'card', 'mobile', 'other', 'loyalty', 'gift_card', 'store_credit'];
+
+// Tender recorded by returnService when returned goods pay for an exchange; clients cannot send it
+const INTERNAL_METHODS = ['exchange'];
+
+// Tolerance for floating point rounding when comparing money amounts
+const EPSILON = 0.005;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function paymentError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Normalise the tenders for a sale
+ * Accepts either a `payments` array or a single `paymentType` (paid in full). Tenders must cover the total;
+ * any excess is returned as change, which only cash tenders can give. Methods must be one of PAYMENT_METHODS
+ * (or the internal exchange tender), whichever path the sale came in through.
+ * Purpose: Only processes payment amounts and methods. No personal data stored or logged.
+ */
+export function normalizePayments({ payments, paymentType, total }) {
+    const checkMethod = method => {
+        if (!PAYMENT_METHODS.includes(method) && !INTERNAL_METHODS.includes(method)) {
+            throw paymentError(`Unknown payment method ${method}; use one of ${PAYMENT_METHODS.join(', ')}`);
+        }
+    };
+    if (!payments || payments.length === 0) {
+        if (!paymentType) throw paymentError('paymentType or payments is required');
+        checkMethod(paymentType);
+        return {
+            paymentType,
+            payments: [{ method: paymentType, amount: roundMoney(total), reference: null, changeGiven: 0 }]
+        };
+    }
+    payments.forEach(p => checkMethod(p.method));
+    const rows = payments.map(p => ({ method: p.method, amount: roundMoney(p.amount), reference: p.reference || null, changeGiven: 0 }));
+    const tendered = roundMoney(rows.reduce((sum, p) => sum + p.amount, 0));
+    if (tendered + EPSILON < total) {
+        throw paymentError(`Tenders (${tendered.toFixed(2)}) do not cover the sale total (${Number(total).toFixed(2)})`);
+    }
+    let change = roundMoney(tendered - total);
+    if (change > EPSILON) {
+        const cashTendered = rows.filter(p => p.method === 'cash').reduce((sum, p) => sum + p.amount, 0);
+        if (cashTendered + EPSILON < change) {
+            throw paymentError('Tenders exceed the sale total; only cash can be over-tendered');
+        }
+        // Give change from the last cash tender backwards
+        for (let i = rows.length - 1; i >= 0 && change > EPSILON; i--) {
+            if (rows[i].method !== 'cash') continue;
+            const given = Math.min(rows[i].amount, change);
+            rows[i].changeGiven = roundMoney(given);
+            change = roundMoney(change - given);
+        }
+    }
+    const methods = [...new Set(rows.map(p => p.method))];
+    return { paymentType: methods.length === 1 ? methods[0] : 'split', payments: rows };
+}
+
+/**
+ * Net amount a tender contributed to the sale (tendered minus change)
+ * Purpose: Only processes payment amounts.
+ */
+export function netTendered(payment) {
+    return roundMoney(payment.amount - (payment.changeGiven || 0));
+}
+
+/**
+ * Amount actually paid back to the customer for a return
+ * Exchanges only pay out the part of the refund that was not spent on the new lines.
+ * Purpose: Only processes refund amounts for tender reporting.
+ */
+export function refundPaidOut(saleReturn) {
+    if (saleReturn.type !== 'exchange') return saleReturn.refundAmount;
+    return Math.max(-saleReturn.netAmount, 0);
+}
+
+/**
+ * Revenue broken down by tender: collected (tendered minus change), refunded and net per method
+ * Voided sales are excluded. Exchange credit appears as the `exchange` method and nets to zero.
+ * Purpose: Only aggregates payment amounts for reporting. No personal data processed.
+ */
+export async function getTenderBreakdown({ tenantId, storeId, shiftId, from, to } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const scope = { tenantId: Number(tenantId) };
+    if (storeId) scope.storeId = Number(storeId);
+    if (shiftId) scope.shiftId = Number(shiftId);
+    const saleWhere = { ...scope, status: 'completed' };
+    const returnWhere = { ...scope };
+    if (from || to) {
+        saleWhere.saleDate = {};
+        returnWhere.createdAt = {};
+        if (from) saleWhere.saleDate.gte = returnWhere.createdAt.gte = new Date(from);
+        if (to) saleWhere.saleDate.lte = returnWhere.createdAt.lte = new Date(to);
+    }
+    const [grouped, returns] = await Promise.all([
+        prisma.payment.groupBy({
+            by: ['method'],
+            where: { sale: saleWhere },
+            _sum: { amount: true, changeGiven: true },
+            _count: { _all: true }
+        }),
+        prisma.saleReturn.findMany({
+            where: returnWhere,
+            select: { type: true, refundAmount: true, netAmount: true, refundMethod: true }
+        })
+    ]);
+    const rows = new Map();
+    const row = method => {
+        if (!rows.has(method)) rows.set(method, { method, count: 0, tendered: 0, change: 0, collected: 0, refunded: 0, net: 0 });
+        return rows.get(method);
+    };
+    for (const g of grouped) {
+        const r = row(g.method);
+        r.count = g._count._all;
+        r.tendered = roundMoney(g._sum.amount || 0);
+        r.change = roundMoney(g._sum.changeGiven || 0);
+        r.collected = roundMoney(r.tendered - r.change);
+    }
+    for (const ret of returns) {
+        const paidOut = refundPaidOut(ret);
+        if (paidOut > 0) row(ret.refundMethod).refunded += paidOut;
+        const credit = ret.refundAmount - paidOut;
+        if (ret.type === 'exchange' && credit > 0) row('exchange').refunded += credit;
+    }
+    const data = [...rows.values()].map(r => ({ ...r, refunded: roundMoney(r.refunded), net: roundMoney(r.collected - r.refunded) }));
+    const totals = data.reduce((t, r) => ({
+        collected: roundMoney(t.collected + r.collected),
+        refunded: roundMoney(t.refunded + r.refunded),
+        net: roundMoney(t.net + r.net)
+    }), { collected: 0, refunded: 0, net: 0 });
+    return { data, totals };
+}
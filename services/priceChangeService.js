@@ -0,0 +1,289 @@
+// priceChangeService.js
+// Handles scheduled price changes and temporary markdowns: scheduling, preview of upcoming prices,
+// and applying or ending them when due (run by cronPriceChanges.js)
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product price and schedule data.
+// - Does not log or store personal or sensitive data; staff are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { updateProduct } from './productService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/price-change-service.log' })
+    ]
+});
+
+const PRODUCT_SELECT = { id: true, name: true, sku: true, price: true, priceOverride: true, parentId: true, deletedAt: true };
+
+// Preview window when none is given
+const PREVIEW_DAYS = 7;
+
+function priceChangeError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// A variant's scheduled price is its override, so clearing it afterwards hands the variant back to its parent's price
+function priceData(product, price) {
+    return product.parentId ? { priceOverride: price } : { price };
+}
+
+function currentPrice(product) {
+    return product.parentId ? product.priceOverride : product.price;
+}
+
+/**
+ * Project a product's price through its pending changes and markdowns, in time order
+ * A change that falls inside a markdown moves the price the markdown returns to rather than the price on sale.
+ * Returns one event per start or end: { at, priceChangeId, type, event, from, to }.
+ * Purpose: Only processes prices and dates.
+ */
+export function projectPrices(product, changes) {
+    let price = product.price;
+    let base = null;
+    const active = changes.find(c => c.status === 'active');
+    // A variant without an override before its markdown goes back to its parent's price
+    if (active) base = active.previousPrice ?? product.parent?.price ?? price;
+    const timeline = [];
+    for (const change of changes) {
+        if (change.status === 'scheduled') timeline.push({ at: change.startsAt, change, event: 'start' });
+        if (change.type === 'markdown') timeline.push({ at: change.endsAt, change, event: 'end' });
+    }
+    timeline.sort((a, b) => (new Date(a.at) - new Date(b.at)) || (a.event === 'end' ? -1 : 1));
+    const events = [];
+    for (const { at, change, event } of timeline) {
+        const from = price;
+        if (event === 'end') {
+            price = base ?? price;
+            base = null;
+        } else if (change.type === 'markdown') {
+            base = price;
+            price = change.price;
+        } else if (base !== null) {
+            base = change.price;
+        } else {
+            price = change.price;
+        }
+        events.push({ at, priceChangeId: change.id, type: change.type, event, from, to: price });
+    }
+    return events;
+}
+
+/**
+ * List price changes (?productId=, ?type=, ?status=, ?page=, ?limit=)
+ * Purpose: Only returns price schedule data.
+ */
+export async function getPriceChanges({ tenantId, productId, type, status, page = 1, limit = 50 }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (productId) where.productId = Number(productId);
+    if (type) where.type = type;
+    if (status) where.status = status;
+    const skip = (Number(page) - 1) * Number(limit);
+    const [changes, total] = await Promise.all([
+        prisma.priceChange.findMany({
+            where,
+            include: { product: { select: { id: true, name: true, sku: true, price: true } } },
+            orderBy: { startsAt: 'asc' },
+            skip,
+            take: Number(limit)
+        }),
+        prisma.priceChange.count({ where })
+    ]);
+    return { data: changes, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Schedule a price change, or a markdown with an end date; markdowns of one product may not overlap
+ * Purpose: Only stores price schedule data.
+ */
+export async function createPriceChange({ tenantId, productId, type, price, startsAt, endsAt, reason, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const product = await prisma.product.findFirst({ where: { id: productId, tenantId, deletedAt: null }, select: { id: true } });
+    if (!product) throw priceChangeError('Product not found', 404);
+    if (type === 'markdown') {
+        if (!endsAt || new Date(endsAt) <= new Date(startsAt)) throw priceChangeError('A markdown needs an endsAt after startsAt');
+        const overlap = await prisma.priceChange.findFirst({
+            where: {
+                productId,
+                type: 'markdown',
+                status: { in: ['scheduled', 'active'] },
+                startsAt: { lt: new Date(endsAt) },
+                endsAt: { gt: new Date(startsAt) }
+            }
+        });
+        if (overlap) throw priceChangeError(`Overlaps markdown ${overlap.id} on this product`, 409);
+    } else if (endsAt) {
+        throw priceChangeError('Only markdowns have an endsAt');
+    }
+    const change = await prisma.priceChange.create({
+        data: { tenantId, productId, type, price, startsAt, endsAt: type === 'markdown' ? endsAt : null, reason: reason || null, createdById: userId || null },
+        include: { product: { select: { id: true, name: true, sku: true, price: true } } }
+    });
+    logger.info({ event: 'PRICE_CHANGE_SCHEDULED', id: change.id, productId, type, startsAt, tenantId });
+    return change;
+}
+
+/**
+ * Upcoming price events between `from` and `to` (default the next 7 days), per product with its current price
+ * Purpose: Only returns prices and dates.
+ */
+export async function previewPriceChanges({ tenantId, from, to, productId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : new Date(start.getTime() + PREVIEW_DAYS * 24 * 60 * 60 * 1000);
+    const where = { tenantId: Number(tenantId), status: { in: ['scheduled', 'active'] } };
+    if (productId) where.productId = Number(productId);
+    // Everything pending up to the end of the window, so earlier changes carry into the projected prices
+    const changes = await prisma.priceChange.findMany({
+        where: { ...where, startsAt: { lte: end } },
+        include: { product: { select: { ...PRODUCT_SELECT, parent: { select: { price: true } } } } },
+        orderBy: [{ startsAt: 'asc' }, { id: 'asc' }]
+    });
+    const byProduct = new Map();
+    for (const change of changes) {
+        if (!byProduct.has(change.productId)) byProduct.set(change.productId, { product: change.product, changes: [] });
+        byProduct.get(change.productId).changes.push(change);
+    }
+    const events = [];
+    for (const { product, changes: productChanges } of byProduct.values()) {
+        for (const event of projectPrices(product, productChanges)) {
+            const at = new Date(event.at);
+            if (at < start || at > end) continue;
+            events.push({ ...event, productId: product.id, name: product.name, sku: product.sku, currentPrice: product.price });
+        }
+    }
+    events.sort((a, b) => new Date(a.at) - new Date(b.at));
+    return { from: start, to: end, data: events };
+}
+
+// Put back the price a markdown replaced, unless the price was edited by hand while it ran
+async function endMarkdown(markdown, status, at) {
+    const product = await prisma.product.findUnique({ where: { id: markdown.productId }, select: PRODUCT_SELECT });
+    const claimed = await prisma.priceChange.updateMany({ where: { id: markdown.id, status: 'active' }, data: { status, endedAt: at } });
+    if (claimed.count === 0) return false;
+    if (product && !product.deletedAt && currentPrice(product) === markdown.price) {
+        await updateProduct(product.id, priceData(product, markdown.previousPrice), markdown.tenantId, {
+            source: 'markdown_end',
+            priceChangeId: markdown.id,
+            userId: markdown.createdById
+        });
+    } else {
+        logger.warn({ event: 'MARKDOWN_END_PRICE_KEPT', id: markdown.id, productId: markdown.productId, tenantId: markdown.tenantId });
+    }
+    logger.info({ event: 'MARKDOWN_ENDED', id: markdown.id, productId: markdown.productId, status, tenantId: markdown.tenantId });
+    return true;
+}
+
+// Apply one due change or start one due markdown; a change during a running markdown becomes the price it returns to
+async function startPriceChange(change, at) {
+    const product = await prisma.product.findUnique({ where: { id: change.productId }, select: PRODUCT_SELECT });
+    if (!product || product.deletedAt) {
+        await prisma.priceChange.updateMany({ where: { id: change.id, status: 'scheduled' }, data: { status: 'cancelled', endedAt: at } });
+        return null;
+    }
+    if (change.type === 'markdown' && change.endsAt <= at) {
+        await prisma.priceChange.updateMany({ where: { id: change.id, status: 'scheduled' }, data: { status: 'ended', endedAt: at } });
+        logger.warn({ event: 'MARKDOWN_MISSED', id: change.id, productId: change.productId, tenantId: change.tenantId });
+        return null;
+    }
+    const running = change.type === 'change'
+        ? await prisma.priceChange.findFirst({ where: { productId: change.productId, type: 'markdown', status: 'active' } })
+        : null;
+    const status = change.type === 'markdown' ? 'active' : 'applied';
+    const previousPrice = change.type === 'markdown' ? currentPrice(product) : null;
+    const claimed = await prisma.priceChange.updateMany({
+        where: { id: change.id, status: 'scheduled' },
+        data: { status, appliedAt: at, previousPrice }
+    });
+    if (claimed.count === 0) return null;
+    try {
+        if (running) {
+            await prisma.priceChange.update({ where: { id: running.id }, data: { previousPrice: change.price } });
+        } else {
+            await updateProduct(product.id, priceData(product, change.price), change.tenantId, {
+                source: change.type,
+                priceChangeId: change.id,
+                userId: change.createdById
+            });
+        }
+    } catch (err) {
+        await prisma.priceChange.update({ where: { id: change.id }, data: { status: 'scheduled', appliedAt: null, previousPrice: null } });
+        throw err;
+    }
+    logger.info({ event: 'PRICE_CHANGE_APPLIED', id: change.id, productId: change.productId, type: change.type, deferred: !!running, tenantId: change.tenantId });
+    return status;
+}
+
+/**
+ * Apply a tenant's due price changes: end markdowns past their end, then apply changes and start markdowns
+ * whose start has come, oldest first. Product prices go through updateProduct, so the price history is written
+ * and the Redis product caches are invalidated.
+ * Purpose: Only processes product prices and schedules.
+ *
+ * @returns {{ applied: number, started: number, ended: number, failed: number }}
+ */
+export async function applyDuePriceChanges({ tenantId, at = new Date() }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const result = { applied: 0, started: 0, ended: 0, failed: 0 };
+    const ending = await prisma.priceChange.findMany({
+        where: { tenantId, type: 'markdown', status: 'active', endsAt: { lte: at } },
+        orderBy: { endsAt: 'asc' }
+    });
+    for (const markdown of ending) {
+        try {
+            if (await endMarkdown(markdown, 'ended', at)) result.ended++;
+        } catch (err) {
+            result.failed++;
+            logger.error({ event: 'MARKDOWN_END_ERROR', id: markdown.id, error: err.message, tenantId });
+        }
+    }
+    const due = await prisma.priceChange.findMany({
+        where: { tenantId, status: 'scheduled', startsAt: { lte: at } },
+        orderBy: [{ startsAt: 'asc' }, { id: 'asc' }]
+    });
+    for (const change of due) {
+        try {
+            const status = await startPriceChange(change, at);
+            if (status === 'applied') result.applied++;
+            if (status === 'active') result.started++;
+        } catch (err) {
+            result.failed++;
+            logger.error({ event: 'PRICE_CHANGE_APPLY_ERROR', id: change.id, error: err.message, tenantId });
+        }
+    }
+    return result;
+}
+
+/**
+ * Cancel a scheduled change or markdown; cancelling a running markdown ends it now and restores the price
+ * Purpose: Only processes price schedule data.
+ */
+export async function cancelPriceChange(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const change = await prisma.priceChange.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) } });
+    if (!change) throw priceChangeError('Price change not found', 404);
+    if (change.status === 'active') {
+        await endMarkdown(change, 'cancelled', new Date());
+    } else if (change.status === 'scheduled') {
+        await prisma.priceChange.update({ where: { id: change.id }, data: { status: 'cancelled', endedAt: new Date() } });
+        logger.info({ event: 'PRICE_CHANGE_CANCELLED', id: change.id, tenantId: change.tenantId });
+    } else {
+        throw priceChangeError(`Price change is ${change.status}; schedule a new change instead`, 409);
+    }
+    return prisma.priceChange.findUnique({ where: { id: change.id } });
+}
@@ -0,0 +1,185 @@
+// priceListService.js
+// Handles price lists for stores, registers and customer groups, their quantity-break prices,
+// and the customer groups they are assigned to
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes price list, product price and customer group data.
+// - Does not log or store personal or sensitive data; customers are referenced through their group only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/price-list-service.log' })
+    ]
+});
+
+const PRICE_LIST_INCLUDE = {
+    store: { select: { id: true, name: true } },
+    register: { select: { id: true, name: true } },
+    customerGroup: { select: { id: true, name: true } }
+};
+
+const ITEM_INCLUDE = { product: { select: { id: true, name: true, sku: true, price: true } } };
+
+function priceListError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Store, register and customer group must belong to the tenant, and a register must sit in the list's store
+async function checkScope(tx, tenantId, { storeId, registerId, customerGroupId }) {
+    if (storeId && !(await tx.store.findFirst({ where: { id: storeId, tenantId } }))) {
+        throw priceListError('Store not found', 404);
+    }
+    if (registerId) {
+        const register = await tx.register.findFirst({ where: { id: registerId, tenantId } });
+        if (!register) throw priceListError('Register not found', 404);
+        if (storeId && register.storeId !== storeId) throw priceListError('Register does not belong to the price list store');
+    }
+    if (customerGroupId && !(await tx.customerGroup.findFirst({ where: { id: customerGroupId, tenantId } }))) {
+        throw priceListError('Customer group not found', 404);
+    }
+}
+
+function checkValidity({ validFrom, validTo }) {
+    if (validFrom && validTo && new Date(validFrom) > new Date(validTo)) {
+        throw priceListError('validFrom must be before validTo');
+    }
+}
+
+/**
+ * List price lists (?storeId=, ?registerId=, ?customerGroupId=, ?active=true|false)
+ * Purpose: Only returns price list settings.
+ */
+export async function getPriceLists({ tenantId, storeId, registerId, customerGroupId, active }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (storeId) where.storeId = Number(storeId);
+    if (registerId) where.registerId = Number(registerId);
+    if (customerGroupId) where.customerGroupId = Number(customerGroupId);
+    if (active !== undefined) where.isActive = active === 'true';
+    const priceLists = await prisma.priceList.findMany({
+        where,
+        include: { ...PRICE_LIST_INCLUDE, _count: { select: { items: true } } },
+        orderBy: [{ priority: 'desc' }, { name: 'asc' }]
+    });
+    return { data: priceLists };
+}
+
+/**
+ * Get a price list with its prices
+ * Purpose: Only returns price list settings and product prices.
+ */
+export async function getPriceListById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const priceList = await prisma.priceList.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { ...PRICE_LIST_INCLUDE, items: { include: ITEM_INCLUDE, orderBy: [{ productId: 'asc' }, { minQuantity: 'asc' }] } }
+    });
+    if (!priceList) throw priceListError('Price list not found', 404);
+    return priceList;
+}
+
+/**
+ * Create a price list; with no store, register or customer group it applies tenant-wide
+ * Purpose: Only stores price list settings.
+ */
+export async function createPriceList({ tenantId, ...data }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    checkValidity(data);
+    await checkScope(prisma, tenantId, data);
+    const priceList = await prisma.priceList.create({ data: { ...data, tenantId }, include: PRICE_LIST_INCLUDE });
+    logger.info({ event: 'PRICE_LIST_CREATED', id: priceList.id, tenantId });
+    return priceList;
+}
+
+/**
+ * Update a price list's name, assignment, priority, validity or active flag
+ * Purpose: Only updates price list settings.
+ */
+export async function updatePriceList(id, tenantId, data) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const existing = await prisma.priceList.findFirst({ where: { id: Number(id), tenantId } });
+    if (!existing) throw priceListError('Price list not found', 404);
+    const merged = { ...existing, ...data };
+    checkValidity(merged);
+    await checkScope(prisma, tenantId, merged);
+    const priceList = await prisma.priceList.update({ where: { id: existing.id }, data, include: PRICE_LIST_INCLUDE });
+    logger.info({ event: 'PRICE_LIST_UPDATED', id: priceList.id, tenantId });
+    return priceList;
+}
+
+/**
+ * Replace a price list's prices; several rows for one product make quantity breaks
+ * Purpose: Only processes product prices.
+ */
+export async function setPriceListItems(id, tenantId, { items }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    const seen = new Set();
+    for (const item of items) {
+        const key = `${item.productId}:${item.minQuantity}`;
+        if (seen.has(key)) throw priceListError(`Product ${item.productId} has two prices from quantity ${item.minQuantity}`);
+        seen.add(key);
+    }
+    const priceList = await prisma.$transaction(async (tx) => {
+        const existing = await tx.priceList.findFirst({ where: { id: Number(id), tenantId } });
+        if (!existing) throw priceListError('Price list not found', 404);
+        const ids = [...new Set(items.map(i => i.productId))];
+        const found = await tx.product.findMany({ where: { id: { in: ids }, tenantId, deletedAt: null }, select: { id: true } });
+        const missing = ids.find(productId => !found.some(f => f.id === productId));
+        if (missing) throw priceListError(`Product ${missing} not found`, 404);
+        await tx.priceListItem.deleteMany({ where: { priceListId: existing.id } });
+        await tx.priceListItem.createMany({
+            data: items.map(i => ({ priceListId: existing.id, productId: i.productId, minQuantity: i.minQuantity, price: i.price }))
+        });
+        return tx.priceList.findUnique({
+            where: { id: existing.id },
+            include: { ...PRICE_LIST_INCLUDE, items: { include: ITEM_INCLUDE, orderBy: [{ productId: 'asc' }, { minQuantity: 'asc' }] } }
+        });
+    });
+    logger.info({ event: 'PRICE_LIST_ITEMS_SET', id: priceList.id, items: items.length, tenantId });
+    return priceList;
+}
+
+/**
+ * List customer groups with their customer counts
+ * Purpose: Only returns group names and counts, no customer details.
+ */
+export async function getCustomerGroups({ tenantId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const groups = await prisma.customerGroup.findMany({
+        where: { tenantId: Number(tenantId) },
+        include: { _count: { select: { customers: true, priceLists: true } } },
+        orderBy: { name: 'asc' }
+    });
+    return { data: groups };
+}
+
+/**
+ * Create a customer group (names are unique per tenant)
+ * Purpose: Only stores the group name.
+ */
+export async function createCustomerGroup({ tenantId, name }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    if (await prisma.customerGroup.findFirst({ where: { tenantId, name } })) {
+        throw priceListError(`Customer group ${name} already exists`, 409);
+    }
+    const group = await prisma.customerGroup.create({ data: { tenantId, name } });
+    logger.info({ event: 'CUSTOMER_GROUP_CREATED', id: group.id, tenantId });
+    return group;
+}
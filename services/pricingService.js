@@ -0,0 +1,210 @@
+// pricingService.js
+// Resolves authoritative line prices for a sale and enforces price-override rules
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product prices and the caller's role needed to price a sale.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { MANAGER_ROLES } from './approvalService.js';
+import { assertQuantityAllowed } from './uomService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/pricing-service.log' })
+    ]
+});
+
+// What to do when a client-posted price or total disagrees with the server: reject | flag
+export const PRICE_MISMATCH_POLICY = (process.env.PRICE_MISMATCH_POLICY || 'reject').toLowerCase();
+
+// Roles allowed to override a line price (comma separated), managers by default
+export const PRICE_OVERRIDE_ROLES = process.env.PRICE_OVERRIDE_ROLES
+    ? process.env.PRICE_OVERRIDE_ROLES.split(',').map(r => r.trim().toLowerCase())
+    : MANAGER_ROLES;
+
+// Tolerance for floating point rounding when comparing money amounts
+const EPSILON = 0.005;
+
+function pricingError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Whether a role may override line prices
+ * Purpose: Only checks the caller's role.
+ */
+export function canOverridePrice(role) {
+    return !!role && PRICE_OVERRIDE_ROLES.includes(String(role).toLowerCase());
+}
+
+// Ties on priority go to the more specific list: register, then customer group, then store, then tenant-wide
+function specificity(list) {
+    return (list.registerId ? 4 : 0) + (list.customerGroupId ? 2 : 0) + (list.storeId ? 1 : 0);
+}
+
+/**
+ * Price lists that apply to a sale context at a time, best first, with their prices for `productIds`
+ * A list applies when it is active, valid at `at`, and each of its store, register and customer group is
+ * either unset or the one in the context. The customer's group is looked up when only `customerId` is given.
+ * Purpose: Only processes price lists and the store, register and customer group of the sale.
+ */
+export async function findPriceLists(tx, { tenantId, storeId, registerId, customerId, customerGroupId, productIds, at = new Date() }) {
+    const db = tx || prisma;
+    if (customerId && !customerGroupId) {
+        const customer = await db.customer.findFirst({ where: { id: Number(customerId), tenantId: Number(tenantId) }, select: { customerGroupId: true } });
+        customerGroupId = customer ? customer.customerGroupId : null;
+    }
+    const scope = (field, value) => ({ OR: [{ [field]: null }, ...(value ? [{ [field]: Number(value) }] : [])] });
+    const lists = await db.priceList.findMany({
+        where: {
+            tenantId: Number(tenantId),
+            isActive: true,
+            AND: [
+                scope('storeId', storeId),
+                scope('registerId', registerId),
+                scope('customerGroupId', customerGroupId),
+                { OR: [{ validFrom: null }, { validFrom: { lte: at } }] },
+                { OR: [{ validTo: null }, { validTo: { gte: at } }] }
+            ]
+        },
+        include: { items: productIds ? { where: { productId: { in: productIds } } } : true }
+    });
+    return lists.sort((a, b) => (b.priority - a.priority) || (specificity(b) - specificity(a)) || (b.id - a.id));
+}
+
+/**
+ * Price list price of a product at a quantity: the first list (best first) with a row for the product, or its parent
+ * when it is a variant without prices of its own, whose minQuantity the quantity reaches; the largest break reached wins
+ * Returns { price, priceListId } or null when no list prices the product at that quantity.
+ * Purpose: Only processes prices.
+ */
+export function matchPriceList(product, quantity, priceLists) {
+    for (const list of priceLists) {
+        const own = list.items.filter(i => i.productId === product.id);
+        const rows = own.length > 0 || !product.parentId ? own : list.items.filter(i => i.productId === product.parentId);
+        if (rows.length === 0) continue;
+        const reached = rows.filter(r => r.minQuantity <= quantity).sort((a, b) => a.minQuantity - b.minQuantity);
+        // Below every break on this list: a quantity break only applies once it is reached
+        if (reached.length === 0) continue;
+        return { price: reached[reached.length - 1].price, priceListId: list.id };
+    }
+    return null;
+}
+
+/**
+ * Unit price the server charges for a product: its price list price for the quantity, else the catalogue price
+ * Purpose: Only processes product prices.
+ */
+export function resolveUnitPrice(product, { quantity = 1, priceLists = [] } = {}) {
+    const match = matchPriceList(product, quantity, priceLists);
+    return match ? match.price : product.price;
+}
+
+/**
+ * Resolve the price of every line from the catalogue and the price lists for the store, register and customer
+ * Quantity breaks look at the product's total quantity across the basket. Client-posted prices are only compared,
+ * never trusted. A line may carry `overridePrice` with an `overrideReason`, which is honoured only for roles in
+ * PRICE_OVERRIDE_ROLES.
+ * Purpose: Only processes product prices and the caller's role. No personal data stored or logged.
+ *
+ * @returns {{ lines: Array<Object>, mismatches: Array<Object>, overrides: Array<Object> }}
+ */
+export async function resolveLinePrices(tx, { tenantId, items, userRole, storeId, registerId, customerId, at }) {
+    const db = tx || prisma;
+    const productIds = [...new Set(items.map(i => i.productId))];
+    const products = await db.product.findMany({
+        where: { id: { in: productIds }, tenantId: Number(tenantId), isActive: true, deletedAt: null },
+        include: { variants: { where: { deletedAt: null }, select: { id: true }, take: 1 } }
+    });
+    const byId = new Map(products.map(p => [p.id, p]));
+    const priceLists = await findPriceLists(db, {
+        tenantId,
+        storeId,
+        registerId,
+        customerId,
+        at,
+        productIds: [...new Set(products.flatMap(p => [p.id, p.parentId]).filter(Boolean))]
+    });
+    const basketQuantity = new Map();
+    items.forEach(i => basketQuantity.set(i.productId, (basketQuantity.get(i.productId) || 0) + i.quantity));
+    const lines = [];
+    const mismatches = [];
+    const overrides = [];
+    for (const item of items) {
+        const product = byId.get(item.productId);
+        if (!product) throw pricingError(`Product ${item.productId} not found or inactive`, 404);
+        // Stock is held per variant, so a parent product cannot be sold itself
+        if (product.variants.length) throw pricingError(`Product ${item.productId} has variants; choose a variant`);
+        assertQuantityAllowed(product, item.quantity);
+        const match = matchPriceList(product, basketQuantity.get(item.productId), priceLists);
+        const listPrice = match ? match.price : resolveUnitPrice(product);
+        const line = {
+            productId: item.productId,
+            quantity: item.quantity,
+            price: listPrice,
+            priceListId: match ? match.priceListId : null,
+            originalPrice: null,
+            overrideReason: null
+        };
+        if (item.overridePrice !== undefined && item.overridePrice !== null) {
+            if (!canOverridePrice(userRole)) {
+                logger.warn({ event: 'PRICE_OVERRIDE_DENIED', productId: item.productId, role: userRole, tenantId });
+                throw pricingError('Your role is not allowed to override prices', 403);
+            }
+            if (!item.overrideReason || !String(item.overrideReason).trim()) {
+                throw pricingError(`overrideReason is required to override the price of product ${item.productId}`);
+            }
+            line.price = item.overridePrice;
+            line.originalPrice = listPrice;
+            line.overrideReason = item.overrideReason;
+            overrides.push({ productId: item.productId, from: listPrice, to: item.overridePrice, reason: item.overrideReason });
+        } else if (item.price !== undefined && item.price !== null && Math.abs(item.price - listPrice) > EPSILON) {
+            mismatches.push({ productId: item.productId, posted: item.price, expected: listPrice });
+        }
+        lines.push(line);
+    }
+    return { lines, mismatches, overrides };
+}
+
+/**
+ * Apply PRICE_MISMATCH_POLICY to the differences found while pricing a sale
+ * Under `reject` the sale is refused; under `flag` it goes through at server prices and the reason is returned.
+ * Purpose: Only processes price comparisons. No personal data stored or logged.
+ *
+ * @returns {string|null} flag reason when the sale should be flagged
+ */
+export function enforceMismatchPolicy(mismatches, { tenantId, policy = PRICE_MISMATCH_POLICY } = {}) {
+    if (mismatches.length === 0) return null;
+    const reason = mismatches.map(m => m.productId
+        ? `product ${m.productId}: posted ${Number(m.posted).toFixed(2)}, expected ${Number(m.expected).toFixed(2)}`
+        : `total: posted ${Number(m.posted).toFixed(2)}, expected ${Number(m.expected).toFixed(2)}`
+    ).join('; ');
+    logger.warn({ event: 'PRICE_MISMATCH', policy, mismatches, tenantId });
+    if (policy !== 'flag') {
+        const err = pricingError(`Price mismatch (${reason})`, 409);
+        err.mismatches = mismatches;
+        throw err;
+    }
+    return `Price mismatch (${reason})`;
+}
+
+/**
+ * Compare a client-posted total with the server total
+ * Purpose: Only processes money amounts.
+ */
+export function totalMismatch(posted, expected) {
+    if (posted === undefined || posted === null) return null;
+    return Math.abs(posted - expected) > EPSILON ? { posted, expected } : null;
+}
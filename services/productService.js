@@ -10,6 +10,8 @@
 import { PrismaClient } from '@prisma/client';
 import redisClient, { redisAvailable } from '../config/redisClient.js';
 import winston from 'winston';
+import { checkUnitSettings, parseScaleBarcode, scaleLine } from './uomService.js';
+import { findPriceLists, matchPriceList } from './pricingService.js';
 
 const prisma = new PrismaClient();
 
@@ -29,6 +31,65 @@ const PRODUCT_CACHE_PREFIX = 'product:';
 const PRODUCT_LIST_CACHE_KEY = 'product:list';
 const PRODUCT_CACHE_TTL = 60 * 5; // 5 minutes
 
+// Fields of each variant shown with its parent
+const VARIANT_SELECT = { id: true, name: true, sku: true, barcode: true, price: true, priceOverride: true, variantOptions: true, isActive: true };
+
+function productError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Drop the cached products and the tenant's cached list after a change
+export async function invalidateProductCache(tenantId, ids = []) {
+    if (!redisAvailable) return;
+    for (const id of ids) await redisClient.del(PRODUCT_CACHE_PREFIX + id + ':tenant:' + tenantId);
+    await redisClient.del(PRODUCT_LIST_CACHE_KEY + ':tenant:' + tenantId);
+}
+
+/**
+ * Every combination of option values, e.g. Size x Colour -> [{ Size: 'S', Colour: 'Red' }, ...]
+ * Purpose: Only processes option names and values.
+ */
+export function variantCombinations(options = []) {
+    return options.reduce(
+        (combos, axis) => combos.flatMap(combo => axis.values.map(value => ({ ...combo, [axis.name]: value }))),
+        [{}]
+    );
+}
+
+function sameOptions(a, b) {
+    const keys = Object.keys(a || {});
+    return keys.length === Object.keys(b || {}).length && keys.every(k => a[k] === b[k]);
+}
+
+// Axes posted again keep their existing values and gain the new ones
+function mergeOptions(existing = [], added = []) {
+    const merged = (existing || []).map(axis => ({ name: axis.name, values: [...axis.values] }));
+    for (const axis of added) {
+        const current = merged.find(m => m.name === axis.name);
+        if (current) current.values.push(...axis.values.filter(v => !current.values.includes(v)));
+        else merged.push({ name: axis.name, values: [...axis.values] });
+    }
+    return merged;
+}
+
+// Each product's price for the store, register and customer (or customer group) asked about, from the price lists
+// that apply now; `price` stays the catalogue price
+async function withEffectivePrices(products, { tenantId, storeId, registerId, customerId, customerGroupId, quantity = 1 }) {
+    const productIds = [...new Set(products.flatMap(p => [p.id, p.parentId]).filter(Boolean))];
+    if (productIds.length === 0) return products;
+    const priceLists = await findPriceLists(null, { tenantId, storeId, registerId, customerId, customerGroupId, productIds });
+    return products.map(product => {
+        const match = matchPriceList(product, Number(quantity), priceLists);
+        return { ...product, effectivePrice: match ? match.price : product.price, priceListId: match ? match.priceListId : null };
+    });
+}
+
+function variantSku(parentSku, combo) {
+    return [parentSku, ...Object.values(combo)].map(v => String(v).toUpperCase().replace(/[^A-Z0-9]/g, '')).join('-');
+}
+
 /**
  * Get product by ID
  * Purpose: Only processes and returns product data needed for business operations. No personal data stored or logged.
@@ -42,7 +103,10 @@ export async function getProductById(id, tenantId) {
             return JSON.parse(cached);
         }
     }
-    const dbProduct = await prisma.product.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) } });
+    const dbProduct = await prisma.product.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { parent: { select: { id: true, name: true, options: true } }, variants: { where: { deletedAt: null }, select: VARIANT_SELECT, orderBy: { id: 'asc' } } }
+    });
     if (dbProduct && redisAvailable) {
         await redisClient.setEx(cacheKey, PRODUCT_CACHE_TTL, JSON.stringify(dbProduct));
         logger.info({ event: 'PRODUCT_CACHE_SET', id, tenantId });
@@ -52,23 +116,28 @@ export async function getProductById(id, tenantId) {
 
 /**
  * Get products with optional filters, pagination, and caching
+ * Each product carries its `effectivePrice` from the price lists for ?storeId=, ?registerId= and ?customerId=.
  * Purpose: Only processes and returns product data needed for business operations. No personal data stored or logged.
  */
 export async function getProducts(query = {}) {
-    const { active, q, page = 1, limit = 20, sort = 'name', order = 'asc', tenantId } = query;
+    const { active, q, parentId, flat, page = 1, limit = 20, sort = 'name', order = 'asc', tenantId } = query;
     if (!tenantId) throw new Error('Tenant context required');
     // Only cache the default query (no filters, first page, tenant)
-    const isDefault = !q && !active && Number(page) === 1 && Number(limit) === 20 && sort === 'name' && order === 'asc';
+    const isDefault = !q && !active && !parentId && !flat && Number(page) === 1 && Number(limit) === 20 && sort === 'name' && order === 'asc';
     const cacheKey = PRODUCT_LIST_CACHE_KEY + ':tenant:' + tenantId;
     if (isDefault && redisAvailable) {
         const cached = await redisClient.get(cacheKey);
         if (cached) {
             logger.info({ event: 'PRODUCT_LIST_CACHE_HIT', tenantId });
-            return JSON.parse(cached);
+            const cachedResult = JSON.parse(cached);
+            return { ...cachedResult, data: await withEffectivePrices(cachedResult.data, query) };
         }
     }
     const where = { tenantId: Number(tenantId) };
     if (active !== undefined) where.isActive = active === 'true';
+    // Variants are listed under their parent; a search or ?flat=true matches them directly, ?parentId= lists one parent's
+    if (parentId) where.parentId = Number(parentId);
+    else if (!q && flat !== 'true' && flat !== true) where.parentId = null;
     if (q) {
         where.OR = [
             { name: { contains: q, mode: 'insensitive' }, tenantId: Number(tenantId) },
@@ -77,7 +146,13 @@ export async function getProducts(query = {}) {
     }
     const skip = (Number(page) - 1) * Number(limit);
     const [products, total] = await Promise.all([
-        prisma.product.findMany({ where, skip, take: Number(limit), orderBy: { [sort]: order } }),
+        prisma.product.findMany({
+            where,
+            skip,
+            take: Number(limit),
+            orderBy: { [sort]: order },
+            include: { parent: { select: { id: true, name: true } }, variants: { where: { deletedAt: null }, select: VARIANT_SELECT, orderBy: { id: 'asc' } } }
+        }),
         prisma.product.count({ where })
     ]);
     const result = { data: products, page: Number(page), limit: Number(limit), total };
@@ -85,7 +160,7 @@ export async function getProducts(query = {}) {
         await redisClient.setEx(cacheKey, PRODUCT_CACHE_TTL, JSON.stringify(result));
         logger.info({ event: 'PRODUCT_LIST_CACHE_SET', tenantId });
     }
-    return result;
+    return { ...result, data: await withEffectivePrices(products, query) };
 }
 
 /**
@@ -94,6 +169,7 @@ export async function getProducts(query = {}) {
  */
 export async function createProduct(data) {
     if (!data.tenantId) throw new Error('Tenant context required');
+    await checkUnitSettings(null, data.tenantId, data);
     const createdProduct = await prisma.product.create({ data });
     // Invalidate product list cache for this tenant
     if (redisAvailable) await redisClient.del(PRODUCT_LIST_CACHE_KEY + ':tenant:' + data.tenantId);
@@ -103,24 +179,192 @@ export async function createProduct(data) {
 
 /**
  * Update a product
+ * Every price change, including variants following their parent, is written to the price history with its `source`
+ * (manual edit, or a scheduled change or markdown) and the staff member who made it.
  * Purpose: Only processes and updates product data needed for business operations. No personal data stored or logged.
  */
-export async function updateProduct(id, data, tenantId) {
+export async function updateProduct(id, data, tenantId, { userId = null, source = 'manual', priceChangeId = null } = {}) {
     if (!tenantId) throw new Error('Tenant context required');
+    const existing = await prisma.product.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { parent: { select: { price: true } } }
+    });
+    // A variant's price is its override, or the parent's price when the override is cleared
+    if (existing?.parentId && data.priceOverride !== undefined) data.price = data.priceOverride ?? existing.parent.price;
+    if (existing) await checkUnitSettings(null, tenantId, { ...existing, ...data });
     // Only update if product belongs to tenant
     const updatedProduct = await prisma.product.update({
         where: { id: Number(id), tenantId: Number(tenantId) },
         data
     });
-    // Invalidate product and list cache for this tenant
-    if (redisAvailable) {
-        await redisClient.del(PRODUCT_CACHE_PREFIX + id + ':tenant:' + tenantId);
-        await redisClient.del(PRODUCT_LIST_CACHE_KEY + ':tenant:' + tenantId);
+    // Variants without an override follow their parent's price
+    let followers = [];
+    if (existing && !existing.parentId && data.price !== undefined) {
+        followers = await prisma.product.findMany({ where: { parentId: existing.id, priceOverride: null }, select: { id: true, price: true } });
+        await prisma.product.updateMany({ where: { parentId: existing.id, priceOverride: null }, data: { price: data.price } });
+    }
+    // Price history for the product and the variants that followed it
+    const changed = [
+        ...(existing && existing.price !== updatedProduct.price ? [{ productId: existing.id, oldPrice: existing.price, source }] : []),
+        ...followers.filter(f => f.price !== updatedProduct.price).map(f => ({ productId: f.id, oldPrice: f.price, source: 'parent' }))
+    ];
+    if (changed.length > 0) {
+        await prisma.priceHistory.createMany({
+            data: changed.map(c => ({ ...c, tenantId: Number(tenantId), newPrice: updatedProduct.price, priceChangeId, userId }))
+        });
     }
+    // Invalidate product and list cache for this tenant
+    await invalidateProductCache(tenantId, [id, ...followers.map(f => f.id)]);
     logger.info({ event: 'PRODUCT_UPDATE', id, tenantId });
     return updatedProduct;
 }
 
+/**
+ * A product's price history, newest first (?from=, ?to=, ?page=, ?limit=)
+ * Purpose: Only returns price changes; staff are referenced by id only.
+ */
+export async function getPriceHistory(id, tenantId, { from, to, page = 1, limit = 50 } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const product = await prisma.product.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) }, select: { id: true, name: true, price: true } });
+    if (!product) throw productError('Product not found', 404);
+    const where = { productId: product.id, tenantId: Number(tenantId) };
+    if (from || to) {
+        where.changedAt = {};
+        if (from) where.changedAt.gte = new Date(from);
+        if (to) where.changedAt.lte = new Date(to);
+    }
+    const skip = (Number(page) - 1) * Number(limit);
+    const [history, total] = await Promise.all([
+        prisma.priceHistory.findMany({
+            where,
+            include: { priceChange: { select: { id: true, type: true, reason: true } } },
+            orderBy: { changedAt: 'desc' },
+            skip,
+            take: Number(limit)
+        }),
+        prisma.priceHistory.count({ where })
+    ]);
+    return { product, data: history, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Generate variants of a parent product from its option axes (e.g. Size x Colour)
+ * Posted axes are merged into the parent's; every combination not yet present becomes a variant product with
+ * the parent's category, cost, tax class and tracking, a SKU of `<parent SKU>-<values>` and the parent's price.
+ * `variants` may set the SKU, barcode or price of particular combinations.
+ * Purpose: Only processes product data needed for the catalogue. No personal data stored or logged.
+ */
+export async function generateVariants(id, tenantId, { options, variants = [] }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const result = await prisma.$transaction(async (tx) => {
+        const parent = await tx.product.findFirst({
+            where: { id: Number(id), tenantId: Number(tenantId), deletedAt: null },
+            include: { variants: { where: { deletedAt: null } } }
+        });
+        if (!parent) throw productError('Product not found', 404);
+        if (parent.parentId) throw productError('A variant cannot have variants of its own');
+        const merged = mergeOptions(parent.options, options);
+        const created = [];
+        for (const combo of variantCombinations(merged)) {
+            if (parent.variants.some(v => sameOptions(v.variantOptions, combo))) continue;
+            const override = variants.find(v => sameOptions(v.options, combo)) || {};
+            const sku = override.sku || variantSku(parent.sku, combo);
+            const clash = await tx.product.findFirst({
+                where: { OR: [{ sku }, ...(override.barcode ? [{ barcode: override.barcode }] : [])] },
+                select: { sku: true }
+            });
+            if (clash) throw productError(`SKU or barcode of variant ${Object.values(combo).join(' / ')} is already in use (${clash.sku})`, 409);
+            created.push(await tx.product.create({
+                data: {
+                    tenantId: parent.tenantId,
+                    parentId: parent.id,
+                    name: `${parent.name} - ${Object.values(combo).join(' / ')}`,
+                    sku,
+                    barcode: override.barcode || null,
+                    categoryId: parent.categoryId,
+                    price: override.price ?? parent.price,
+                    priceOverride: override.price ?? null,
+                    cost: parent.cost,
+                    taxClassId: parent.taxClassId,
+                    tracking: parent.tracking,
+                    allowDecimal: parent.allowDecimal,
+                    stockUomId: parent.stockUomId,
+                    saleUomId: parent.saleUomId,
+                    saleFactor: parent.saleFactor,
+                    purchaseUomId: parent.purchaseUomId,
+                    purchaseFactor: parent.purchaseFactor,
+                    isActive: parent.isActive,
+                    variantOptions: combo
+                }
+            }));
+        }
+        await tx.product.update({ where: { id: parent.id }, data: { options: merged } });
+        return { options: merged, created, existing: parent.variants.length };
+    });
+    await invalidateProductCache(tenantId, [id]);
+    logger.info({ event: 'PRODUCT_VARIANTS_GENERATED', id, created: result.created.length, tenantId });
+    return result;
+}
+
+/**
+ * List a parent product's variants with their stock on hand across stores and warehouses
+ * Purpose: Only returns product and stock data needed for the catalogue.
+ */
+export async function getVariants(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const variants = await prisma.product.findMany({
+        where: { parentId: Number(id), tenantId: Number(tenantId), deletedAt: null },
+        orderBy: { id: 'asc' },
+        select: { ...VARIANT_SELECT, inventory: { where: { deletedAt: null }, select: { storeId: true, warehouseId: true, quantity: true } } }
+    });
+    return variants.map(({ inventory, ...variant }) => ({
+        ...variant,
+        stock: inventory.reduce((sum, i) => sum + i.quantity, 0),
+        inventory
+    }));
+}
+
+/**
+ * Look up a product by scanned barcode or SKU
+ * A variant comes with its parent and options; a parent comes with its variants and `requiresVariant`,
+ * since only variants can be sold. A price- or weight-embedded scale barcode is matched on the product's PLU
+ * and comes back with `scale`: the quantity, price and line total to sell. Prices come from the price lists for
+ * the store, register and customer in `context`.
+ * Purpose: Only returns product data needed at the till.
+ */
+export async function findProductByCode(code, tenantId, context = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const include = {
+        parent: { select: { id: true, name: true, options: true } },
+        variants: { where: { deletedAt: null, isActive: true }, select: VARIANT_SELECT, orderBy: { id: 'asc' } }
+    };
+    const product = await prisma.product.findFirst({
+        where: { tenantId: Number(tenantId), deletedAt: null, OR: [{ barcode: code }, { sku: code }] },
+        include
+    });
+    if (product) {
+        const [priced] = await withEffectivePrices([product], { ...context, tenantId });
+        return { ...priced, requiresVariant: product.variants.length > 0 };
+    }
+    const scan = parseScaleBarcode(code);
+    if (!scan) return null;
+    const weighed = await prisma.product.findFirst({ where: { tenantId: Number(tenantId), deletedAt: null, plu: scan.plu }, include });
+    if (!weighed) return null;
+    const priceLists = await findPriceLists(null, { ...context, tenantId, productIds: [weighed.id, weighed.parentId].filter(Boolean) });
+    // Priced at one unit first, then again at the scanned quantity in case it reaches a quantity break
+    let match = matchPriceList(weighed, 1, priceLists);
+    let line = scaleLine({ ...weighed, price: match ? match.price : weighed.price }, scan);
+    match = matchPriceList(weighed, line.quantity, priceLists);
+    line = scaleLine({ ...weighed, price: match ? match.price : weighed.price }, scan);
+    return {
+        ...weighed,
+        effectivePrice: line.price,
+        priceListId: match ? match.priceListId : null,
+        requiresVariant: false,
+        scale: { type: scan.type, ...line }
+    };
+}
+
 /**
  * Soft delete a product (set isActive to false)
  * Purpose: Only updates isActive status. No personal data stored or logged.
@@ -0,0 +1,300 @@
+// promotionService.js
+// Rule-driven promotions engine evaluated when a sale is priced (production grade)
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product, price and promotion data necessary to price a basket.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/promotion-service.log' })
+    ]
+});
+
+export const PROMOTION_TYPES = ['percent', 'fixed', 'bxgy', 'bundle'];
+export const PROMOTION_SCOPES = ['line', 'basket'];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function minutesOfDay(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Whether a promotion's schedule, happy-hour window and coupon allow it at `now`
+ * Time windows use server local time and may wrap past midnight (e.g. 22:00-02:00).
+ * Purpose: Only processes promotion rules.
+ */
+export function isPromotionEligible(promotion, { now = new Date(), couponCode } = {}) {
+    if (!promotion.isActive || promotion.deletedAt) return false;
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) return false;
+    if (promotion.endsAt && new Date(promotion.endsAt) < now) return false;
+    if (promotion.daysOfWeek && promotion.daysOfWeek.length > 0 && !promotion.daysOfWeek.includes(now.getDay())) return false;
+    if (promotion.startTime && promotion.endTime) {
+        const current = now.getHours() * 60 + now.getMinutes();
+        const start = minutesOfDay(promotion.startTime);
+        const end = minutesOfDay(promotion.endTime);
+        const inWindow = start <= end ? current >= start && current < end : current >= start || current < end;
+        if (!inWindow) return false;
+    }
+    if (promotion.couponCode) {
+        if (!couponCode || couponCode.toLowerCase() !== promotion.couponCode.toLowerCase()) return false;
+    }
+    return true;
+}
+
+function targetsLine(promotion, line) {
+    const productIds = promotion.productIds || [];
+    const categoryIds = promotion.categoryIds || [];
+    if (productIds.length === 0 && categoryIds.length === 0) return true;
+    return productIds.includes(line.productId) || categoryIds.includes(line.categoryId);
+}
+
+// Spread a discount over lines in proportion to their remaining value, keeping cents exact
+function allocate(amount, lines) {
+    const base = lines.reduce((sum, l) => sum + l.remaining, 0);
+    if (base <= 0) return lines.map(() => 0);
+    let left = roundMoney(amount);
+    return lines.map((l, i) => {
+        const share = i === lines.length - 1 ? left : roundMoney(amount * l.remaining / base);
+        left = roundMoney(left - share);
+        return share;
+    });
+}
+
+// Discount per line (same order as `targets`) for one promotion
+function computeDiscounts(promotion, targets) {
+    switch (promotion.type) {
+        case 'percent': {
+            if (promotion.scope === 'basket') {
+                const basket = targets.reduce((sum, l) => sum + l.remaining, 0);
+                return allocate(basket * promotion.value / 100, targets);
+            }
+            return targets.map(l => roundMoney(l.remaining * promotion.value / 100));
+        }
+        case 'fixed': {
+            if (promotion.scope === 'basket') {
+                const basket = targets.reduce((sum, l) => sum + l.remaining, 0);
+                return allocate(Math.min(promotion.value, basket), targets);
+            }
+            return targets.map(l => roundMoney(Math.min(promotion.value, l.price) * l.quantity));
+        }
+        case 'bxgy': {
+            // Buy X get Y: in every X+Y units, the cheapest Y are discounted (free by default)
+            const groupSize = (promotion.buyQuantity || 0) + (promotion.getQuantity || 0);
+            if (!promotion.buyQuantity || !promotion.getQuantity) return targets.map(() => 0);
+            // Only whole units count, so 2.5 kg is two units; worked out per line rather than unit by unit
+            const wholeUnits = targets.map(l => Math.floor(l.quantity));
+            let freeUnits = Math.floor(wholeUnits.reduce((sum, q) => sum + q, 0) / groupSize) * promotion.getQuantity;
+            const percent = promotion.getDiscountPercent ?? 100;
+            const discounts = targets.map(() => 0);
+            const cheapestFirst = targets.map((l, idx) => idx).sort((a, b) => targets[a].price - targets[b].price);
+            for (const idx of cheapestFirst) {
+                if (freeUnits <= 0) break;
+                const free = Math.min(freeUnits, wholeUnits[idx]);
+                discounts[idx] += free * targets[idx].price * percent / 100;
+                freeUnits -= free;
+            }
+            return discounts.map(roundMoney);
+        }
+        case 'bundle': {
+            // Bundle price: one unit of every listed product sells together for `value`
+            const productIds = promotion.productIds || [];
+            if (productIds.length === 0) return targets.map(() => 0);
+            const byProduct = productIds.map(pid => targets.filter(l => l.productId === pid));
+            if (byProduct.some(ls => ls.length === 0)) return targets.map(() => 0);
+            // Whole bundles only: 1.5 of each product makes one bundle
+            const bundles = Math.floor(Math.min(...byProduct.map(ls => ls.reduce((sum, l) => sum + l.quantity, 0))));
+            const unitPrices = byProduct.map(ls => ls[0].price);
+            const regular = unitPrices.reduce((sum, p) => sum + p, 0);
+            const savingPerBundle = regular - promotion.value;
+            if (bundles <= 0 || savingPerBundle <= 0) return targets.map(() => 0);
+            const discounts = targets.map(() => 0);
+            byProduct.forEach((ls, i) => {
+                const share = savingPerBundle * unitPrices[i] / regular * bundles;
+                discounts[targets.indexOf(ls[0])] += share;
+            });
+            return discounts.map(roundMoney);
+        }
+        default:
+            return targets.map(() => 0);
+    }
+}
+
+/**
+ * Apply promotions to basket lines
+ * Promotions run by descending priority. A non-stackable promotion only applies to lines with no discount yet
+ * and locks the lines it discounts; stackable promotions apply to what remains.
+ * Purpose: Only processes prices, quantities and promotion rules. No personal data processed.
+ *
+ * @param {Array<{productId:number, categoryId?:number, quantity:number, price:number}>} items
+ * @param {Array<Object>} promotions
+ * @param {{ now?: Date, couponCode?: string }} [options]
+ */
+export function applyPromotions(items, promotions, options = {}) {
+    const lines = items.map(item => ({
+        ...item,
+        gross: roundMoney(item.price * item.quantity),
+        remaining: roundMoney(item.price * item.quantity),
+        discount: 0,
+        promotions: [],
+        // A manually overridden price is final; promotions do not apply on top of it
+        locked: item.originalPrice !== undefined && item.originalPrice !== null
+    }));
+    const applied = [];
+    const ordered = promotions
+        .filter(p => isPromotionEligible(p, options))
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    for (const promotion of ordered) {
+        const targets = lines.filter(l => !l.locked && l.remaining > 0 && targetsLine(promotion, l) && (promotion.stackable || l.discount === 0));
+        if (targets.length === 0) continue;
+        if (promotion.minBasketTotal && targets.reduce((sum, l) => sum + l.remaining, 0) < promotion.minBasketTotal) continue;
+        const discounts = computeDiscounts(promotion, targets);
+        let total = 0;
+        targets.forEach((line, i) => {
+            const amount = roundMoney(Math.min(discounts[i], line.remaining));
+            if (amount <= 0) return;
+            line.discount = roundMoney(line.discount + amount);
+            line.remaining = roundMoney(line.remaining - amount);
+            line.promotions.push({ promotionId: promotion.id, name: promotion.name, amount });
+            if (!promotion.stackable) line.locked = true;
+            total += amount;
+        });
+        if (total > 0) applied.push({ promotionId: promotion.id, name: promotion.name, amount: roundMoney(total) });
+    }
+    const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.gross, 0));
+    const discountTotal = roundMoney(lines.reduce((sum, l) => sum + l.discount, 0));
+    return {
+        lines: lines.map(({ gross, remaining, locked, ...line }) => line),
+        applied,
+        subtotal,
+        discountTotal,
+        total: roundMoney(subtotal - discountTotal)
+    };
+}
+
+/**
+ * Load the tenant's promotions that are within their date range
+ * Purpose: Only returns promotion rules. No personal data processed.
+ */
+export async function getActivePromotions(tx, tenantId, at = new Date()) {
+    return (tx || prisma).promotion.findMany({
+        where: {
+            tenantId: Number(tenantId),
+            isActive: true,
+            deletedAt: null,
+            AND: [
+                { OR: [{ startsAt: null }, { startsAt: { lte: at } }] },
+                { OR: [{ endsAt: null }, { endsAt: { gte: at } }] }
+            ]
+        }
+    });
+}
+
+/**
+ * Evaluate promotions for basket lines, loading product categories and the tenant's promotions
+ * Purpose: Only processes product, price and promotion data needed to price a basket.
+ */
+export async function evaluatePromotions(tx, { tenantId, items, couponCode, at = new Date() }) {
+    const db = tx || prisma;
+    const productIds = [...new Set(items.map(i => i.productId))];
+    const [products, promotions] = await Promise.all([
+        db.product.findMany({ where: { id: { in: productIds }, tenantId: Number(tenantId) }, select: { id: true, categoryId: true } }),
+        getActivePromotions(db, tenantId, at)
+    ]);
+    const categoryOf = new Map(products.map(p => [p.id, p.categoryId]));
+    const result = applyPromotions(
+        items.map(i => ({ ...i, categoryId: categoryOf.get(i.productId) })),
+        promotions,
+        { now: at, couponCode }
+    );
+    if (result.applied.length > 0) {
+        logger.info({ event: 'PROMOTIONS_APPLIED', tenantId, promotions: result.applied.map(a => a.promotionId), discountTotal: result.discountTotal });
+    }
+    return result;
+}
+
+/**
+ * List promotions with optional filters and pagination
+ * Purpose: Only returns promotion data needed for business operations.
+ */
+export async function getPromotions(query = {}) {
+    const { active, q, page = 1, limit = 20, tenantId } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId), deletedAt: null };
+    if (active !== undefined) where.isActive = active === 'true' || active === true;
+    if (q) {
+        where.OR = [
+            { name: { contains: q, mode: 'insensitive' } },
+            { couponCode: { contains: q, mode: 'insensitive' } }
+        ];
+    }
+    const skip = (Number(page) - 1) * Number(limit);
+    const [promotions, total] = await Promise.all([
+        prisma.promotion.findMany({ where, skip, take: Number(limit), orderBy: [{ priority: 'desc' }, { name: 'asc' }] }),
+        prisma.promotion.count({ where })
+    ]);
+    return { data: promotions, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Get a promotion by ID with tenant isolation
+ * Purpose: Only returns promotion data needed for business operations.
+ */
+export async function getPromotionById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.promotion.findFirst({ where: { id: Number(id), tenantId: Number(tenantId), deletedAt: null } });
+}
+
+/**
+ * Create a promotion
+ * Purpose: Only stores promotion rules. No personal data stored or logged.
+ */
+export async function createPromotion(data) {
+    if (!data.tenantId) throw new Error('Tenant context required');
+    const promotion = await prisma.promotion.create({ data });
+    logger.info({ event: 'PROMOTION_CREATE', id: promotion.id, type: promotion.type, tenantId: data.tenantId });
+    return promotion;
+}
+
+/**
+ * Update a promotion
+ * Purpose: Only updates promotion rules. No personal data stored or logged.
+ */
+export async function updatePromotion(id, data, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const promotion = await prisma.promotion.update({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        data
+    });
+    logger.info({ event: 'PROMOTION_UPDATE', id: promotion.id, tenantId });
+    return promotion;
+}
+
+/**
+ * Soft delete a promotion
+ * Purpose: Only updates the promotion's status. No personal data stored or logged.
+ */
+export async function deletePromotion(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const promotion = await prisma.promotion.update({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        data: { isActive: false, deletedAt: new Date() }
+    });
+    logger.info({ event: 'PROMOTION_DELETE', id: promotion.id, tenantId });
+    return promotion;
+}
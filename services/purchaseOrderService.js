@@ -0,0 +1,321 @@
+// purchaseOrderService.js
+// Handles purchase orders to suppliers and goods receipts into store or warehouse stock (production grade)
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes supplier, product, quantity and cost data necessary for purchasing.
+// - Does not log or store personal or sensitive data; staff are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { restockInventory } from './inventoryService.js';
+import { toStockQuantity } from './uomService.js';
+import { quotedCost, recordReceivedCost } from './supplierProductService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/purchase-order-service.log' })
+    ]
+});
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'closed'];
+
+// Statuses in which deliveries can still be booked in
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+const PO_INCLUDE = { lines: true, receipts: { include: { lines: true } }, supplier: { select: { id: true, name: true } } };
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function purchaseOrderError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function orderTotal(lines) {
+    return roundMoney(lines.reduce((sum, l) => sum + l.quantity * l.unitCost, 0));
+}
+
+async function findOrder(tx, id, tenantId) {
+    const order = await (tx || prisma).purchaseOrder.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { lines: true }
+    });
+    if (!order) throw purchaseOrderError('Purchase order not found', 404);
+    return order;
+}
+
+// Supplier, destination and products must all belong to the tenant
+async function checkReferences(tx, tenantId, { supplierId, storeId, warehouseId, lines }) {
+    if (supplierId !== undefined) {
+        const supplier = await tx.supplier.findFirst({ where: { id: supplierId, tenantId, isActive: true, deletedAt: null } });
+        if (!supplier) throw purchaseOrderError('Supplier not found', 404);
+    }
+    if (storeId) {
+        const store = await tx.store.findFirst({ where: { id: storeId, tenantId } });
+        if (!store) throw purchaseOrderError('Store not found', 404);
+    }
+    if (warehouseId) {
+        const warehouse = await tx.warehouse.findFirst({ where: { id: warehouseId, tenantId } });
+        if (!warehouse) throw purchaseOrderError('Warehouse not found', 404);
+    }
+    if (lines) {
+        const productIds = [...new Set(lines.map(l => l.productId))];
+        if (productIds.length !== lines.length) throw purchaseOrderError('Each product may only appear on one line');
+        const count = await tx.product.count({ where: { id: { in: productIds }, tenantId, deletedAt: null } });
+        if (count !== productIds.length) throw purchaseOrderError('One or more products not found', 404);
+    }
+}
+
+// Lines without a unit cost take the supplier's current quote, else the last cost received from them
+async function withCosts(tx, tenantId, supplierId, lines) {
+    return Promise.all(lines.map(async line => {
+        if (line.unitCost !== undefined) return line;
+        const link = await tx.supplierProduct.findFirst({ where: { supplierId, productId: line.productId, tenantId } });
+        const cost = link ? (await quotedCost(tx, link.id)) ?? link.lastReceivedCost : null;
+        if (cost === null || cost === undefined) {
+            throw purchaseOrderError(`No known cost for product ${line.productId} from this supplier; unitCost is required`);
+        }
+        return { ...line, unitCost: cost };
+    }));
+}
+
+/**
+ * Create a draft purchase order for a supplier, delivered to a store or a warehouse
+ * Purpose: Only stores supplier, product, quantity and cost data. No personal data stored or logged.
+ */
+export async function createPurchaseOrder({ tenantId, supplierId, storeId, warehouseId, expectedAt, note, lines, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const order = await prisma.$transaction(async (tx) => {
+        await checkReferences(tx, Number(tenantId), { supplierId, storeId, warehouseId, lines });
+        lines = await withCosts(tx, Number(tenantId), supplierId, lines);
+        const count = await tx.purchaseOrder.count({ where: { tenantId: Number(tenantId) } });
+        return tx.purchaseOrder.create({
+            data: {
+                tenantId: Number(tenantId),
+                number: `PO-${String(count + 1).padStart(6, '0')}`,
+                supplierId,
+                storeId: storeId || null,
+                warehouseId: warehouseId || null,
+                expectedAt: expectedAt || null,
+                note: note || null,
+                total: orderTotal(lines),
+                createdById: userId || null,
+                lines: {
+                    create: lines.map(l => ({ productId: l.productId, quantityOrdered: l.quantity, unitCost: roundMoney(l.unitCost) }))
+                }
+            },
+            include: PO_INCLUDE
+        });
+    });
+    logger.info({ event: 'PURCHASE_ORDER_CREATED', id: order.id, number: order.number, supplierId, total: order.total, tenantId });
+    return order;
+}
+
+/**
+ * Update a draft purchase order; `lines`, when given, replace the existing lines
+ * Purpose: Only stores supplier, product, quantity and cost data. No personal data stored or logged.
+ */
+export async function updatePurchaseOrder(id, data, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const order = await prisma.$transaction(async (tx) => {
+        const existing = await findOrder(tx, id, tenantId);
+        if (existing.status !== 'draft') throw purchaseOrderError('Only draft purchase orders can be edited', 409);
+        let { lines, ...fields } = data;
+        await checkReferences(tx, Number(tenantId), { ...fields, lines });
+        if (lines) lines = await withCosts(tx, Number(tenantId), fields.supplierId || existing.supplierId, lines);
+        // A PO is delivered to exactly one place
+        if (fields.storeId) fields.warehouseId = null;
+        if (fields.warehouseId) fields.storeId = null;
+        if (lines) {
+            await tx.purchaseOrderLine.deleteMany({ where: { purchaseOrderId: existing.id } });
+            fields.total = orderTotal(lines);
+            fields.lines = {
+                create: lines.map(l => ({ productId: l.productId, quantityOrdered: l.quantity, unitCost: roundMoney(l.unitCost) }))
+            };
+        }
+        return tx.purchaseOrder.update({ where: { id: existing.id }, data: fields, include: PO_INCLUDE });
+    });
+    logger.info({ event: 'PURCHASE_ORDER_UPDATED', id: order.id, total: order.total, tenantId });
+    return order;
+}
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ * Purpose: Only updates the order status.
+ */
+export async function sendPurchaseOrder(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await findOrder(null, id, tenantId);
+    if (existing.status !== 'draft') throw purchaseOrderError(`Purchase order is already ${existing.status}`, 409);
+    if (existing.lines.length === 0) throw purchaseOrderError('Purchase order has no lines');
+    const order = await prisma.purchaseOrder.update({
+        where: { id: existing.id },
+        data: { status: 'sent', sentAt: new Date() },
+        include: PO_INCLUDE
+    });
+    logger.info({ event: 'PURCHASE_ORDER_SENT', id: order.id, supplierId: order.supplierId, tenantId });
+    return order;
+}
+
+/**
+ * Book in a delivery against a sent purchase order
+ * Each line increments stock at the PO's store or warehouse (with InventoryHistory), records a StockMovement,
+ * and creates the Batch and SerialNumber rows supplied. Receiving more than is outstanding is refused.
+ * Order quantities and costs are per purchase unit (e.g. a case); stock is booked in stock units via Product.purchaseFactor.
+ * Purpose: Only processes product, quantity, cost, batch and serial data. No personal data stored or logged.
+ */
+export async function receiveGoods(id, tenantId, { lines, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const result = await prisma.$transaction(async (tx) => {
+        const order = await findOrder(tx, id, tenantId);
+        if (!RECEIVABLE_STATUSES.includes(order.status)) {
+            throw purchaseOrderError(`Cannot receive goods on a ${order.status} purchase order`, 409);
+        }
+        const receipt = await tx.goodsReceipt.create({
+            data: { tenantId: order.tenantId, purchaseOrderId: order.id, receivedById: userId || null, note: note || null }
+        });
+        for (const item of lines) {
+            const line = order.lines.find(l => l.id === item.lineId);
+            if (!line) throw purchaseOrderError(`Line ${item.lineId} does not belong to purchase order ${order.number}`);
+            const outstanding = line.quantityOrdered - line.quantityReceived;
+            if (item.quantity > outstanding) {
+                throw purchaseOrderError(`Cannot receive ${item.quantity} on line ${line.id}; only ${outstanding} outstanding`, 409);
+            }
+            const product = await tx.product.findUnique({ where: { id: line.productId }, select: { purchaseFactor: true } });
+            const stockQuantity = toStockQuantity(product, item.quantity, 'purchase');
+            const stockUnitCost = line.unitCost / product.purchaseFactor;
+            const serials = item.serialNumbers || [];
+            if (serials.length > 0 && serials.length !== stockQuantity) {
+                throw purchaseOrderError(`Line ${line.id}: ${serials.length} serial numbers given for ${stockQuantity} units`);
+            }
+            const reason = `${order.number} receipt #${receipt.id}`;
+            const inventory = await restockInventory(tx, {
+                tenantId: order.tenantId,
+                storeId: order.storeId,
+                warehouseId: order.warehouseId,
+                productId: line.productId,
+                quantity: stockQuantity,
+                userId,
+                reason,
+                unitCost: stockUnitCost
+            });
+            if (item.batchNumber) {
+                await tx.batch.create({
+                    data: { inventoryId: inventory.id, batchNumber: item.batchNumber, expiryDate: item.expiryDate || null, quantity: stockQuantity }
+                });
+            }
+            if (serials.length > 0) {
+                const existing = await tx.serialNumber.findMany({ where: { serialNumber: { in: serials } }, select: { serialNumber: true } });
+                if (existing.length > 0) {
+                    throw purchaseOrderError(`Serial numbers already exist: ${existing.map(s => s.serialNumber).join(', ')}`, 409);
+                }
+                await tx.serialNumber.createMany({
+                    data: serials.map(serialNumber => ({ inventoryId: inventory.id, serialNumber, expiryDate: item.expiryDate || null }))
+                });
+            }
+            await tx.stockMovement.create({
+                data: { productId: line.productId, toWarehouseId: order.warehouseId, quantity: stockQuantity, reason, userId: userId || null }
+            });
+            await tx.goodsReceiptLine.create({
+                data: {
+                    goodsReceiptId: receipt.id,
+                    purchaseOrderLineId: line.id,
+                    productId: line.productId,
+                    inventoryId: inventory.id,
+                    quantity: item.quantity,
+                    unitCost: line.unitCost,
+                    batchNumber: item.batchNumber || null,
+                    expiryDate: item.expiryDate || null,
+                    serialNumbers: serials.length > 0 ? serials : undefined
+                }
+            });
+            await recordReceivedCost(tx, {
+                tenantId: order.tenantId,
+                supplierId: order.supplierId,
+                productId: line.productId,
+                unitCost: line.unitCost,
+                stockUnitCost,
+                goodsReceiptId: receipt.id,
+                userId
+            });
+            line.quantityReceived += item.quantity;
+            await tx.purchaseOrderLine.update({ where: { id: line.id }, data: { quantityReceived: line.quantityReceived } });
+        }
+        const complete = order.lines.every(l => l.quantityReceived >= l.quantityOrdered);
+        const updated = await tx.purchaseOrder.update({
+            where: { id: order.id },
+            data: { status: complete ? 'received' : 'partially_received' },
+            include: PO_INCLUDE
+        });
+        return { order: updated, receiptId: receipt.id };
+    });
+    logger.info({ event: 'GOODS_RECEIVED', purchaseOrderId: result.order.id, receiptId: result.receiptId, status: result.order.status, tenantId });
+    return result.order;
+}
+
+/**
+ * Close a purchase order; anything still outstanding will not be delivered
+ * Purpose: Only updates the order status.
+ */
+export async function closePurchaseOrder(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await findOrder(null, id, tenantId);
+    if (existing.status === 'closed') throw purchaseOrderError('Purchase order is already closed', 409);
+    const order = await prisma.purchaseOrder.update({
+        where: { id: existing.id },
+        data: { status: 'closed', closedAt: new Date() },
+        include: PO_INCLUDE
+    });
+    const outstanding = order.lines.reduce((sum, l) => sum + Math.max(l.quantityOrdered - l.quantityReceived, 0), 0);
+    logger.info({ event: 'PURCHASE_ORDER_CLOSED', id: order.id, outstanding, tenantId });
+    return order;
+}
+
+/**
+ * List purchase orders (?status=, ?supplierId=, ?storeId=, ?warehouseId=)
+ * Purpose: Only returns purchasing data needed for business operations.
+ */
+export async function getPurchaseOrders(query = {}) {
+    const { tenantId, status, supplierId, storeId, warehouseId, page = 1, limit = 20 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (status) where.status = status;
+    if (supplierId) where.supplierId = Number(supplierId);
+    if (storeId) where.storeId = Number(storeId);
+    if (warehouseId) where.warehouseId = Number(warehouseId);
+    const skip = (Number(page) - 1) * Number(limit);
+    const [orders, total] = await Promise.all([
+        prisma.purchaseOrder.findMany({
+            where,
+            skip,
+            take: Number(limit),
+            orderBy: { createdAt: 'desc' },
+            include: { supplier: { select: { id: true, name: true } } }
+        }),
+        prisma.purchaseOrder.count({ where })
+    ]);
+    return { data: orders, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Get a purchase order with its lines and goods receipts
+ * Purpose: Only returns purchasing data needed for business operations.
+ */
+export async function getPurchaseOrderById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.purchaseOrder.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: PO_INCLUDE
+    });
+}
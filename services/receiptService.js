@@ -0,0 +1,330 @@
+// receiptService.js
+// Renders sale receipts as HTML, PDF and ESC/POS (thermal printer) output
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes the sale, store and tender data printed on a receipt.
+// - Customer details are never printed; an email address is only used to deliver the receipt and is not logged.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import { createCanvas, loadImage } from 'canvas';
+import winston from 'winston';
+import { generateBarcode } from './barcodeService.js';
+import { sendEmail } from './smsService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/receipt-service.log' })
+    ]
+});
+
+export const RECEIPT_FORMATS = ['html', 'pdf', 'escpos'];
+
+// Barcode symbology for the sale id (code128 or qrcode) and characters per line on the thermal printer
+const RECEIPT_BARCODE_TYPE = process.env.RECEIPT_BARCODE_TYPE || 'code128';
+const ESCPOS_WIDTH = parseInt(process.env.RECEIPT_ESCPOS_WIDTH) || 42;
+const CURRENCY = process.env.RECEIPT_CURRENCY || '';
+
+function receiptError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function money(value) {
+    return `${CURRENCY}${Number(value || 0).toFixed(2)}`;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load a sale and shape it into the data printed on a receipt
+ * Purpose: Only returns sale lines, totals, taxes and tenders. No customer data included.
+ */
+export async function buildReceipt(saleId, tenantId, { reprint = false } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const sale = await prisma.sale.findFirst({
+        where: { id: Number(saleId), tenantId: Number(tenantId) },
+        include: {
+            items: { include: { product: { select: { name: true, sku: true } } } },
+            payments: true,
+            taxes: true,
+            store: true,
+            register: { select: { id: true, name: true } }
+        }
+    });
+    if (!sale) throw receiptError('Sale not found', 404);
+    const change = sale.payments.reduce((sum, p) => sum + (p.changeGiven || 0), 0);
+    return {
+        saleId: sale.id,
+        number: String(sale.id).padStart(8, '0'),
+        date: sale.saleDate,
+        status: sale.status,
+        reprint,
+        store: {
+            name: sale.store.name,
+            location: sale.store.location,
+            taxNumber: sale.store.taxNumber,
+            header: sale.store.receiptHeader,
+            footer: sale.store.receiptFooter
+        },
+        register: sale.register?.name,
+        cashierId: sale.userId,
+        lines: sale.items.map(item => ({
+            name: item.product?.name || `Product ${item.productId}`,
+            sku: item.product?.sku,
+            quantity: item.quantity,
+            price: item.price,
+            discount: item.discount || 0,
+            total: item.price * item.quantity - (item.discount || 0),
+            promotions: Array.isArray(item.promotions) ? item.promotions.map(p => p.name) : [],
+            overridden: item.originalPrice !== null && item.originalPrice !== undefined
+        })),
+        subtotal: sale.subtotal ?? sale.total,
+        discountTotal: sale.discountTotal || 0,
+        taxTotal: sale.taxTotal || 0,
+        taxInclusive: sale.taxInclusive,
+        taxes: sale.taxes.map(t => ({ name: t.name, rate: t.rate, taxableAmount: t.taxableAmount, taxAmount: t.taxAmount })),
+        total: sale.total,
+        tenders: sale.payments.map(p => ({ method: p.method, amount: p.amount, reference: p.reference })),
+        change
+    };
+}
+
+/**
+ * Barcode (or QR code) image of the sale id, for scanning the receipt at returns
+ * Purpose: Only encodes the sale id.
+ */
+export async function receiptBarcode(receipt) {
+    return generateBarcode(String(receipt.saleId), { bcid: RECEIPT_BARCODE_TYPE, scale: 2, height: 10, includetext: RECEIPT_BARCODE_TYPE !== 'qrcode' });
+}
+
+/**
+ * Render a receipt as a standalone HTML page (barcode embedded as a data URI)
+ * Purpose: Only formats receipt data for display or printing.
+ */
+export function renderHtml(receipt, barcodePng) {
+    const rows = receipt.lines.map(line => `
+        <tr><td colspan="3">${escapeHtml(line.name)}${line.overridden ? ' *' : ''}</td></tr>
+        <tr><td>${line.quantity} x ${money(line.price)}</td><td></td><td class="r">${money(line.price * line.quantity)}</td></tr>
+        ${line.discount > 0 ? `<tr class="muted"><td colspan="2">${escapeHtml(line.promotions.join(', ') || 'Discount')}</td><td class="r">-${money(line.discount)}</td></tr>` : ''}`).join('');
+    const taxes = receipt.taxes.map(t => `<tr><td>${escapeHtml(t.name)} ${t.rate}%</td><td class="r">${money(t.taxableAmount)}</td><td class="r">${money(t.taxAmount)}</td></tr>`).join('');
+    const tenders = receipt.tenders.map(t => `<tr><td colspan="2">${escapeHtml(t.method)}</td><td class="r">${money(t.amount)}</td></tr>`).join('');
+    const barcode = barcodePng ? `<img src="data:image/png;base64,${barcodePng.toString('base64')}" alt="Sale ${receipt.saleId}">` : '';
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt ${receipt.number}</title>
+<style>
+    body { font-family: monospace; width: 300px; margin: 0 auto; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; }
+    .c { text-align: center; } .r { text-align: right; } .muted { color: #555; }
+    .total td { font-weight: bold; font-size: 14px; border-top: 1px dashed #000; }
+    hr { border: 0; border-top: 1px dashed #000; }
+</style>
+</head>
+<body>
+<div class="c">
+    <strong>${escapeHtml(receipt.store.name)}</strong><br>
+    ${receipt.store.location ? `${escapeHtml(receipt.store.location)}<br>` : ''}
+    ${receipt.store.taxNumber ? `Tax no: ${escapeHtml(receipt.store.taxNumber)}<br>` : ''}
+    ${receipt.store.header ? `${escapeHtml(receipt.store.header)}<br>` : ''}
+    ${receipt.reprint ? '<strong>*** REPRINT ***</strong><br>' : ''}
+    ${receipt.status === 'voided' ? '<strong>*** VOIDED ***</strong><br>' : ''}
+</div>
+<hr>
+<div>Receipt #${receipt.number}<br>${new Date(receipt.date).toLocaleString()}${receipt.register ? `<br>Register: ${escapeHtml(receipt.register)}` : ''}</div>
+<hr>
+<table>${rows}</table>
+<hr>
+<table>
+    <tr><td colspan="2">Subtotal</td><td class="r">${money(receipt.subtotal)}</td></tr>
+    ${receipt.discountTotal > 0 ? `<tr><td colspan="2">Discounts</td><td class="r">-${money(receipt.discountTotal)}</td></tr>` : ''}
+    ${receipt.taxTotal > 0 && !receipt.taxInclusive ? `<tr><td colspan="2">Tax</td><td class="r">${money(receipt.taxTotal)}</td></tr>` : ''}
+    <tr class="total"><td colspan="2">TOTAL</td><td class="r">${money(receipt.total)}</td></tr>
+    ${tenders}
+    ${receipt.change > 0 ? `<tr><td colspan="2">Change</td><td class="r">${money(receipt.change)}</td></tr>` : ''}
+</table>
+${taxes ? `<hr><table><tr class="muted"><td>${receipt.taxInclusive ? 'Incl. tax' : 'Tax'}</td><td class="r">Net</td><td class="r">Tax</td></tr>${taxes}</table>` : ''}
+<hr>
+<div class="c">
+    ${barcode}<br>
+    ${receipt.store.footer ? escapeHtml(receipt.store.footer) : 'Thank you!'}
+</div>
+</body>
+</html>`;
+}
+
+// Plain-text receipt lines shared by the PDF and ESC/POS renderers
+function textLines(receipt, width) {
+    const pad = (left, right) => {
+        const space = Math.max(width - left.length - right.length, 1);
+        return `${left}${' '.repeat(space)}${right}`;
+    };
+    const center = text => ' '.repeat(Math.max(Math.floor((width - text.length) / 2), 0)) + text;
+    const rule = '-'.repeat(width);
+    const lines = [];
+    lines.push({ text: center(receipt.store.name), bold: true });
+    if (receipt.store.location) lines.push({ text: center(receipt.store.location) });
+    if (receipt.store.taxNumber) lines.push({ text: center(`Tax no: ${receipt.store.taxNumber}`) });
+    if (receipt.store.header) lines.push({ text: center(receipt.store.header) });
+    if (receipt.reprint) lines.push({ text: center('*** REPRINT ***'), bold: true });
+    if (receipt.status === 'voided') lines.push({ text: center('*** VOIDED ***'), bold: true });
+    lines.push({ text: rule });
+    lines.push({ text: `Receipt #${receipt.number}` });
+    lines.push({ text: new Date(receipt.date).toLocaleString() });
+    if (receipt.register) lines.push({ text: `Register: ${receipt.register}` });
+    lines.push({ text: rule });
+    for (const line of receipt.lines) {
+        lines.push({ text: `${line.name}${line.overridden ? ' *' : ''}`.slice(0, width) });
+        lines.push({ text: pad(`  ${line.quantity} x ${money(line.price)}`, money(line.price * line.quantity)) });
+        if (line.discount > 0) lines.push({ text: pad(`  ${(line.promotions.join(', ') || 'Discount').slice(0, width - 12)}`, `-${money(line.discount)}`) });
+    }
+    lines.push({ text: rule });
+    lines.push({ text: pad('Subtotal', money(receipt.subtotal)) });
+    if (receipt.discountTotal > 0) lines.push({ text: pad('Discounts', `-${money(receipt.discountTotal)}`) });
+    if (receipt.taxTotal > 0 && !receipt.taxInclusive) lines.push({ text: pad('Tax', money(receipt.taxTotal)) });
+    lines.push({ text: pad('TOTAL', money(receipt.total)), bold: true });
+    for (const t of receipt.tenders) lines.push({ text: pad(t.method, money(t.amount)) });
+    if (receipt.change > 0) lines.push({ text: pad('Change', money(receipt.change)) });
+    if (receipt.taxes.length > 0) {
+        lines.push({ text: rule });
+        for (const t of receipt.taxes) {
+            lines.push({ text: pad(`${receipt.taxInclusive ? 'Incl. ' : ''}${t.name} ${t.rate}%`, money(t.taxAmount)) });
+        }
+    }
+    lines.push({ text: rule });
+    return lines;
+}
+
+/**
+ * Render a receipt as a single-page PDF sized to an 80mm roll
+ * Purpose: Only formats receipt data for printing or emailing.
+ */
+export async function renderPdf(receipt, barcodePng) {
+    const width = 227; // 80mm in points
+    const lineHeight = 11;
+    const lines = textLines(receipt, 40);
+    const barcode = barcodePng ? await loadImage(barcodePng) : null;
+    const barcodeHeight = barcode ? Math.min(barcode.height, 80) : 0;
+    const footer = receipt.store.footer || 'Thank you!';
+    const height = 20 + lines.length * lineHeight + barcodeHeight + 3 * lineHeight;
+    const canvas = createCanvas(width, height, 'pdf');
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    let y = 16;
+    for (const line of lines) {
+        ctx.font = `${line.bold ? 'bold ' : ''}8px monospace`;
+        ctx.fillText(line.text, 8, y);
+        y += lineHeight;
+    }
+    if (barcode) {
+        const barcodeWidth = Math.min(barcode.width * (barcodeHeight / barcode.height), width - 16);
+        ctx.drawImage(barcode, (width - barcodeWidth) / 2, y, barcodeWidth, barcodeHeight);
+        y += barcodeHeight + lineHeight;
+    }
+    ctx.font = '8px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(footer, width / 2, y);
+    return canvas.toBuffer('application/pdf');
+}
+
+/**
+ * Render a receipt as an ESC/POS byte stream for thermal printers
+ * Prints the sale id as a CODE128 barcode (or QR code) with the printer's own barcode commands, then cuts.
+ * Purpose: Only formats receipt data for printing.
+ */
+export function renderEscPos(receipt, { width = ESCPOS_WIDTH } = {}) {
+    const ESC = 0x1b;
+    const GS = 0x1d;
+    const chunks = [];
+    const bytes = (...values) => chunks.push(Buffer.from(values));
+    // Thermal printers use single-byte code pages; fall back to '?' outside ASCII
+    const text = value => chunks.push(Buffer.from(String(value).replace(/[^\x20-\x7e]/g, '?') + '\n', 'ascii'));
+
+    bytes(ESC, 0x40); // initialise
+    for (const line of textLines(receipt, width)) {
+        if (line.bold) bytes(ESC, 0x45, 1);
+        text(line.text);
+        if (line.bold) bytes(ESC, 0x45, 0);
+    }
+    bytes(ESC, 0x61, 1); // centre
+    const data = Buffer.from(String(receipt.saleId), 'ascii');
+    if (RECEIPT_BARCODE_TYPE === 'qrcode') {
+        const length = data.length + 3;
+        bytes(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0); // model 2
+        bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 6); // module size
+        bytes(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30);
+        chunks.push(data);
+        bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30); // print
+    } else {
+        bytes(GS, 0x48, 2); // human readable text below
+        bytes(GS, 0x68, 60); // height
+        bytes(GS, 0x6b, 73, data.length + 2, 0x7b, 0x42); // CODE128, code set B
+        chunks.push(data);
+    }
+    bytes(0x0a);
+    text(receipt.store.footer || 'Thank you!');
+    bytes(ESC, 0x61, 0);
+    bytes(ESC, 0x64, 4); // feed
+    bytes(GS, 0x56, 66, 0); // partial cut
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Render a sale's receipt in the requested format
+ * Purpose: Only formats receipt data. No personal data stored or logged.
+ *
+ * @returns {Promise<{ contentType: string, body: string|Buffer, filename: string }>}
+ */
+export async function renderReceipt(saleId, tenantId, { format = 'html', reprint = false } = {}) {
+    if (!RECEIPT_FORMATS.includes(format)) throw receiptError(`Unsupported receipt format: ${format}`);
+    const receipt = await buildReceipt(saleId, tenantId, { reprint });
+    const filename = `receipt-${receipt.number}`;
+    logger.info({ event: 'RECEIPT_RENDERED', saleId: receipt.saleId, format, reprint, tenantId });
+    if (format === 'escpos') {
+        return { contentType: 'application/octet-stream', body: renderEscPos(receipt), filename: `${filename}.bin` };
+    }
+    const barcodePng = await receiptBarcode(receipt);
+    if (format === 'pdf') {
+        return { contentType: 'application/pdf', body: await renderPdf(receipt, barcodePng), filename: `${filename}.pdf` };
+    }
+    return { contentType: 'text/html; charset=utf-8', body: renderHtml(receipt, barcodePng), filename: `${filename}.html` };
+}
+
+/**
+ * Email a receipt: HTML body with the PDF attached
+ * Purpose: Uses the recipient address only for delivery; it is not stored or logged.
+ */
+export async function emailReceipt(saleId, tenantId, { to, reprint = true }) {
+    const receipt = await buildReceipt(saleId, tenantId, { reprint });
+    const barcodePng = await receiptBarcode(receipt);
+    const html = renderHtml(receipt, barcodePng);
+    const pdf = await renderPdf(receipt, barcodePng);
+    const text = textLines(receipt, 42).map(l => l.text).join('\n');
+    await sendEmail(to, `Your receipt from ${receipt.store.name} (#${receipt.number})`, text, html, {
+        attachments: [{
+            content: pdf.toString('base64'),
+            filename: `receipt-${receipt.number}.pdf`,
+            type: 'application/pdf',
+            disposition: 'attachment'
+        }]
+    });
+    logger.info({ event: 'RECEIPT_EMAILED', saleId: receipt.saleId, tenantId });
+    return { saleId: receipt.saleId, number: receipt.number };
+}
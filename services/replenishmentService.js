@@ -0,0 +1,218 @@
+// replenishmentService.js
+// Computes reorder suggestions per store/warehouse and turns them into draft purchase orders
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes stock levels, aggregated sales quantities, open orders and supplier terms.
+// - Does not log or store personal or sensitive data; sales are read as per-product totals only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { createPurchaseOrder } from './purchaseOrderService.js';
+import { quotedCost, orderQuantity } from './supplierProductService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/replenishment-service.log' })
+    ]
+});
+
+// Sales history used for the daily velocity
+const VELOCITY_DAYS = Number(process.env.REPLENISHMENT_VELOCITY_DAYS) || 28;
+// Lead time assumed when the supplier link has none
+const DEFAULT_LEAD_TIME_DAYS = Number(process.env.REPLENISHMENT_DEFAULT_LEAD_TIME_DAYS) || 7;
+// Days of sales an order should cover beyond the lead time when maxStock is not set
+const COVER_DAYS = Number(process.env.REPLENISHMENT_COVER_DAYS) || 14;
+
+// Purchase orders whose outstanding quantity still counts as on order (drafts included so reruns do not double up)
+const OPEN_PO_STATUSES = ['draft', 'sent', 'partially_received'];
+
+function locationKey(productId, { storeId, warehouseId }) {
+    return warehouseId ? `${productId}:w${warehouseId}` : `${productId}:s${storeId}`;
+}
+
+/**
+ * Reorder quantity for one product at one location
+ * reorderPoint = minStock + demand over the lead time; when stock plus open orders is at or below it,
+ * order up to maxStock (or reorderPoint + COVER_DAYS of demand), rounded to the supplier's minimum and packs.
+ * Stock figures are in stock units; the suggestion is in purchase units of `purchaseFactor` stock units each.
+ * Purpose: Only processes stock and quantity figures.
+ */
+export function reorderSuggestion({ quantity, minStock, maxStock, soldUnits, days, onOrder, link, purchaseFactor = 1 }) {
+    const dailyVelocity = days > 0 ? soldUnits / days : 0;
+    const leadTimeDays = link && link.leadTimeDays !== null && link.leadTimeDays !== undefined ? link.leadTimeDays : DEFAULT_LEAD_TIME_DAYS;
+    const reorderPoint = minStock + Math.ceil(dailyVelocity * leadTimeDays);
+    const target = Math.max(
+        maxStock !== null && maxStock !== undefined ? maxStock : reorderPoint + Math.ceil(dailyVelocity * COVER_DAYS),
+        reorderPoint
+    );
+    const position = quantity + onOrder;
+    const needed = position <= reorderPoint ? Math.ceil(Math.max(target - position, 0) / purchaseFactor) : 0;
+    return {
+        dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+        leadTimeDays,
+        reorderPoint,
+        targetLevel: target,
+        stockPosition: position,
+        suggestedQuantity: needed > 0 && link ? orderQuantity(link, needed) : needed
+    };
+}
+
+// Units sold per product at each store over the window (voided sales excluded)
+async function salesByLocation(tenantId, storeIds, since) {
+    const sold = new Map();
+    for (const storeId of storeIds) {
+        const rows = await prisma.saleItem.groupBy({
+            by: ['productId'],
+            where: { sale: { tenantId, storeId, status: 'completed', createdAt: { gte: since } } },
+            _sum: { quantity: true }
+        });
+        rows.forEach(r => sold.set(locationKey(r.productId, { storeId }), r._sum.quantity || 0));
+    }
+    return sold;
+}
+
+// Outstanding quantity on open purchase orders per product and destination
+async function openOrderQuantities(tenantId) {
+    const lines = await prisma.purchaseOrderLine.findMany({
+        where: { purchaseOrder: { tenantId, status: { in: OPEN_PO_STATUSES } } },
+        include: { purchaseOrder: { select: { storeId: true, warehouseId: true } }, product: { select: { purchaseFactor: true } } }
+    });
+    // In stock units, to compare with stock on hand
+    const onOrder = new Map();
+    for (const line of lines) {
+        const key = locationKey(line.productId, line.purchaseOrder);
+        onOrder.set(key, (onOrder.get(key) || 0) + Math.max(line.quantityOrdered - line.quantityReceived, 0) * line.product.purchaseFactor);
+    }
+    return onOrder;
+}
+
+// The preferred supplier of each product, or its only active supplier
+async function supplierLinks(tenantId, productIds) {
+    const links = await prisma.supplierProduct.findMany({
+        where: { tenantId, productId: { in: productIds }, isActive: true, supplier: { isActive: true, deletedAt: null } },
+        include: { supplier: { select: { id: true, name: true } } }
+    });
+    const byProduct = new Map();
+    for (const productId of productIds) {
+        const candidates = links.filter(l => l.productId === productId);
+        const chosen = candidates.find(l => l.isPreferred) || (candidates.length === 1 ? candidates[0] : null);
+        if (chosen) byProduct.set(productId, chosen);
+    }
+    return byProduct;
+}
+
+/**
+ * Reorder suggestions per store/warehouse (?storeId=, ?warehouseId=, ?supplierId=, ?days=)
+ * Velocity comes from completed sales at the store; warehouses have no direct sales and are topped up on min/max alone.
+ * Only rows that need ordering are returned, each with the supplier it would be ordered from.
+ * Purpose: Only returns stock, quantity and supplier data needed to replenish.
+ */
+export async function getReorderSuggestions({ tenantId, storeId, warehouseId, supplierId, days = VELOCITY_DAYS }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    days = Number(days) || VELOCITY_DAYS;
+    const where = { tenantId, isActive: true, deletedAt: null, product: { deletedAt: null } };
+    if (storeId) where.storeId = Number(storeId);
+    if (warehouseId) where.warehouseId = Number(warehouseId);
+    const inventories = await prisma.inventory.findMany({
+        where,
+        include: { product: { select: { id: true, name: true, sku: true, cost: true, saleFactor: true, purchaseFactor: true } } }
+    });
+
+    // Several inventory rows for the same product and location are counted together
+    const positions = new Map();
+    for (const inv of inventories) {
+        const location = { storeId: inv.warehouseId ? null : inv.storeId, warehouseId: inv.warehouseId || null };
+        const key = locationKey(inv.productId, location);
+        const existing = positions.get(key);
+        if (existing) {
+            existing.quantity += inv.quantity;
+            existing.minStock = Math.max(existing.minStock, inv.minStock);
+            if (inv.maxStock !== null) existing.maxStock = Math.max(existing.maxStock ?? 0, inv.maxStock);
+        } else {
+            positions.set(key, { ...location, product: inv.product, quantity: inv.quantity, minStock: inv.minStock, maxStock: inv.maxStock });
+        }
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const storeIds = [...new Set([...positions.values()].filter(p => p.storeId).map(p => p.storeId))];
+    const productIds = [...new Set([...positions.values()].map(p => p.product.id))];
+    const [sold, onOrder, links] = await Promise.all([
+        salesByLocation(tenantId, storeIds, since),
+        openOrderQuantities(tenantId),
+        supplierLinks(tenantId, productIds)
+    ]);
+
+    const suggestions = [];
+    for (const [key, position] of positions) {
+        const link = links.get(position.product.id) || null;
+        if (supplierId && (!link || link.supplierId !== Number(supplierId))) continue;
+        // Sales are counted in sale units; demand is planned in stock units
+        const soldUnits = (sold.get(key) || 0) * position.product.saleFactor;
+        const open = onOrder.get(key) || 0;
+        const suggestion = reorderSuggestion({ ...position, soldUnits, days, onOrder: open, link, purchaseFactor: position.product.purchaseFactor });
+        if (suggestion.suggestedQuantity <= 0) continue;
+        const quoted = link ? await quotedCost(null, link.id) : null;
+        suggestions.push({
+            productId: position.product.id,
+            productName: position.product.name,
+            sku: position.product.sku,
+            storeId: position.storeId,
+            warehouseId: position.warehouseId,
+            quantity: position.quantity,
+            minStock: position.minStock,
+            maxStock: position.maxStock,
+            soldUnits,
+            onOrder: open,
+            ...suggestion,
+            supplierId: link ? link.supplierId : null,
+            supplierName: link ? link.supplier.name : null,
+            unitCost: quoted ?? link?.lastReceivedCost ?? position.product.cost * position.product.purchaseFactor
+        });
+    }
+    suggestions.sort((a, b) => a.stockPosition - a.reorderPoint - (b.stockPosition - b.reorderPoint));
+    return { days, data: suggestions };
+}
+
+/**
+ * Generate draft purchase orders from the current suggestions, one per supplier and destination
+ * Products without a preferred (or single) supplier are returned as unassigned for a buyer to decide.
+ * Purpose: Only processes stock, quantity and supplier data. No personal data stored or logged.
+ */
+export async function generatePurchaseOrders({ tenantId, storeId, warehouseId, supplierId, days, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const { data: suggestions } = await getReorderSuggestions({ tenantId, storeId, warehouseId, supplierId, days });
+    const groups = new Map();
+    const unassigned = [];
+    for (const s of suggestions) {
+        if (!s.supplierId) {
+            unassigned.push(s);
+            continue;
+        }
+        const key = `${s.supplierId}:${s.warehouseId ? `w${s.warehouseId}` : `s${s.storeId}`}`;
+        if (!groups.has(key)) groups.set(key, { supplierId: s.supplierId, storeId: s.storeId, warehouseId: s.warehouseId, lines: [] });
+        groups.get(key).lines.push({ productId: s.productId, quantity: s.suggestedQuantity, unitCost: s.unitCost });
+    }
+    const orders = [];
+    for (const group of groups.values()) {
+        orders.push(await createPurchaseOrder({
+            tenantId,
+            supplierId: group.supplierId,
+            storeId: group.storeId || undefined,
+            warehouseId: group.warehouseId || undefined,
+            note: 'Generated by replenishment',
+            lines: group.lines,
+            userId
+        }));
+    }
+    logger.info({ event: 'REPLENISHMENT_GENERATED', tenantId, orders: orders.length, unassigned: unassigned.length });
+    return { orders, unassigned };
+}
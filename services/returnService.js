@@ -0,0 +1,245 @@
+// returnService.js
+// Handles returns, refunds and exchanges against existing sales (production grade)
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes sales and inventory data necessary to reverse a sale.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { createSale, priceSale } from './salesService.js';
+import { restockInventory } from './inventoryService.js';
+import { restoreBundleStock } from './bundleService.js';
+import { assertQuantityAllowed, roundQuantity, toStockQuantity } from './uomService.js';
+import { restoreTrackedStock } from './batchService.js';
+import { netTendered, refundPaidOut } from './paymentService.js';
+import { findOpenShiftId } from './shiftService.js';
+import { reverseReturnLoyalty } from './loyaltyService.js';
+import { refundToGiftCard } from './giftCardService.js';
+import { refundToStoreCredit } from './storeCreditService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/return-service.log' })
+    ]
+});
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Refunds go back to the original tender by default; for split tenders, the largest one
+function originalMethod(sale) {
+    const tenders = sale.payments.filter(p => p.method !== 'exchange').sort((a, b) => netTendered(b) - netTendered(a));
+    return tenders.length > 0 ? tenders[0].method : sale.paymentType;
+}
+
+// What the customer actually paid for a line: after promotions, plus tax when it was added on top
+function linePaid(sale, saleItem) {
+    return roundMoney(saleItem.price * saleItem.quantity - (saleItem.discount || 0) + (sale.taxInclusive ? 0 : (saleItem.taxAmount || 0)));
+}
+
+// Refund for returning `quantity` more units of a line: its paid total prorated over everything returned so far,
+// less what earlier returns refunded, so the refunds of a fully returned line add up to exactly what was paid
+function lineRefund(sale, saleItem, quantity, { returnedQuantity = 0, refunded = 0 } = {}) {
+    const total = linePaid(sale, saleItem);
+    return roundMoney(total * (returnedQuantity + quantity) / saleItem.quantity - refunded);
+}
+
+function returnError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Process a return (optionally an exchange) against an existing sale
+ * Purpose: Only processes the sales, refund and inventory data needed to reverse sold lines. No personal data stored or logged.
+ */
+export async function processReturn(data) {
+    const { saleId, tenantId, userId, userRole, registerId, items, refundMethod, reason, exchangeItems, paymentType, giftCardCode } = data;
+    if (!tenantId) throw new Error('Tenant context required');
+    try {
+        const saleReturn = await prisma.$transaction(async (tx) => {
+            const sale = await tx.sale.findFirst({
+                where: { id: Number(saleId), tenantId },
+                include: {
+                    items: {
+                        include: {
+                            product: { select: { id: true, name: true, allowDecimal: true, saleFactor: true } },
+                            components: { select: { id: true }, take: 1 }
+                        }
+                    },
+                    payments: true
+                }
+            });
+            if (!sale) throw returnError('Sale not found', 404);
+            if (sale.status === 'voided') throw returnError('Cannot return items from a voided sale', 409);
+            const method = refundMethod || originalMethod(sale);
+
+            // Quantities already returned, and amounts already refunded, per sale line
+            const returned = await tx.saleReturnItem.groupBy({
+                by: ['saleItemId'],
+                where: { saleReturn: { saleId: sale.id } },
+                _sum: { quantity: true, refundAmount: true }
+            });
+            const returnedBySaleItem = new Map(returned.map(r => [r.saleItemId, r._sum.quantity || 0]));
+            const refundedBySaleItem = new Map(returned.map(r => [r.saleItemId, r._sum.refundAmount || 0]));
+
+            // Merge duplicate lines so the sold-quantity check sees the full request
+            const requested = new Map();
+            for (const item of items) {
+                const existing = requested.get(item.saleItemId);
+                if (existing) {
+                    existing.quantity = roundQuantity(existing.quantity + item.quantity);
+                    existing.serialNumbers = [...(existing.serialNumbers || []), ...(item.serialNumbers || [])];
+                } else {
+                    requested.set(item.saleItemId, { ...item });
+                }
+            }
+
+            const lines = [];
+            for (const item of requested.values()) {
+                const saleItem = sale.items.find(si => si.id === item.saleItemId);
+                if (!saleItem) throw returnError(`Sale item ${item.saleItemId} does not belong to sale ${sale.id}`);
+                assertQuantityAllowed(saleItem.product, item.quantity);
+                const available = roundQuantity(saleItem.quantity - (returnedBySaleItem.get(saleItem.id) || 0));
+                if (item.quantity > available) {
+                    logger.warn({ event: 'RETURN_QUANTITY_EXCEEDED', saleId: sale.id, saleItemId: saleItem.id, requested: item.quantity, available, tenantId });
+                    throw returnError(`Cannot return ${item.quantity} of sale item ${saleItem.id}; only ${available} remaining`);
+                }
+                lines.push({
+                    saleItemId: saleItem.id,
+                    productId: saleItem.productId,
+                    quantity: item.quantity,
+                    unitRefund: roundMoney(linePaid(sale, saleItem) / saleItem.quantity),
+                    refundAmount: lineRefund(sale, saleItem, item.quantity, {
+                        returnedQuantity: returnedBySaleItem.get(saleItem.id) || 0,
+                        refunded: refundedBySaleItem.get(saleItem.id) || 0
+                    }),
+                    restock: item.restock !== false,
+                    reason: item.reason || null
+                });
+            }
+            const refundAmount = roundMoney(lines.reduce((sum, l) => sum + l.refundAmount, 0));
+
+            let exchangeSale = null;
+            if (exchangeItems && exchangeItems.length > 0) {
+                const pricing = await priceSale(tx, { tenantId, storeId: sale.storeId, registerId: registerId || sale.registerId, customerId: sale.customerId, items: exchangeItems, userRole });
+                const exchangeTotal = pricing.total;
+                // The returned goods pay for the new lines first; any difference is tendered normally
+                const exchangeCredit = Math.min(refundAmount, exchangeTotal);
+                const payments = [];
+                if (exchangeCredit > 0) payments.push({ method: 'exchange', amount: exchangeCredit });
+                if (exchangeTotal > exchangeCredit) {
+                    payments.push({ method: paymentType || method, amount: roundMoney(exchangeTotal - exchangeCredit) });
+                }
+                exchangeSale = await createSale(tx, {
+                    customerId: sale.customerId,
+                    items: exchangeItems,
+                    payments,
+                    paid: true,
+                    tenantId,
+                    userId,
+                    storeId: sale.storeId,
+                    registerId: registerId || sale.registerId
+                }, { pricing });
+            }
+
+            const created = await tx.saleReturn.create({
+                data: {
+                    tenantId,
+                    saleId: sale.id,
+                    storeId: sale.storeId,
+                    registerId: registerId || sale.registerId,
+                    shiftId: await findOpenShiftId(tx, registerId || sale.registerId, tenantId),
+                    userId: userId || null,
+                    type: exchangeSale ? 'exchange' : 'return',
+                    refundAmount,
+                    refundMethod: method,
+                    // Positive: customer pays the difference; negative: customer is refunded
+                    netAmount: roundMoney((exchangeSale ? exchangeSale.total : 0) - refundAmount),
+                    exchangeSaleId: exchangeSale ? exchangeSale.id : null,
+                    reason: reason || null,
+                    items: { create: lines }
+                },
+                include: { items: true, exchangeSale: { include: { items: true, payments: true } } }
+            });
+            await reverseReturnLoyalty(tx, { sale, saleReturn: created, userId });
+            // Stored-value refunds are credited back rather than paid out
+            const paidOut = refundPaidOut(created);
+            if (paidOut > 0 && method === 'gift_card') {
+                await refundToGiftCard(tx, { sale, saleReturn: created, amount: paidOut, code: giftCardCode, userId });
+            } else if (paidOut > 0 && method === 'store_credit') {
+                await refundToStoreCredit(tx, { sale, saleReturn: created, amount: paidOut, userId });
+            }
+
+            for (const line of lines) {
+                // Serials come back either way; unrestocked ones are held as returned until inspected
+                await restoreTrackedStock(tx, {
+                    saleItem: { id: line.saleItemId },
+                    quantity: line.quantity,
+                    serialNumbers: requested.get(line.saleItemId).serialNumbers,
+                    restock: line.restock,
+                    saleReturnId: created.id,
+                    userId
+                });
+                if (!line.restock) continue;
+                const saleItem = sale.items.find(si => si.id === line.saleItemId);
+                // Bundles sold from component stock give their components back, like a void
+                if (saleItem.components.length > 0) {
+                    await restoreBundleStock(tx, {
+                        tenantId,
+                        storeId: sale.storeId,
+                        saleItem,
+                        quantity: line.quantity,
+                        alreadyReturned: returnedBySaleItem.get(saleItem.id) || 0,
+                        userId,
+                        reason: `return #${created.id}`
+                    });
+                    continue;
+                }
+                await restockInventory(tx, {
+                    tenantId,
+                    storeId: sale.storeId,
+                    productId: line.productId,
+                    quantity: toStockQuantity(saleItem.product, line.quantity),
+                    userId,
+                    reason: `return #${created.id}`
+                });
+            }
+            return created;
+        });
+        logger.info({ event: 'RETURN_PROCESSED', returnId: saleReturn.id, saleId, type: saleReturn.type, refundAmount: saleReturn.refundAmount, tenantId });
+        return saleReturn;
+    } catch (err) {
+        logger.error({ event: 'RETURN_PROCESS_ERROR', saleId, error: err.message, tenantId });
+        throw err;
+    }
+}
+
+/**
+ * List returns recorded against a sale
+ * Purpose: Only returns refund data needed for business operations. No personal data stored or logged.
+ */
+export async function getReturnsForSale(saleId, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    try {
+        return await prisma.saleReturn.findMany({
+            where: { saleId: Number(saleId), tenantId: Number(tenantId) },
+            include: { items: true, exchangeSale: { include: { items: true, payments: true } } },
+            orderBy: { createdAt: 'desc' }
+        });
+    } catch (err) {
+        logger.error({ event: 'RETURN_LIST_ERROR', saleId, tenantId, error: err.message });
+        throw err;
+    }
+}
@@ -9,6 +9,20 @@
 
 import { PrismaClient } from '@prisma/client';
 import winston from 'winston';
+import { restockInventory } from './inventoryService.js';
+import { recordAudit } from './approvalService.js';
+import { normalizePayments } from './paymentService.js';
+import { evaluatePromotions } from './promotionService.js';
+import { resolveLinePrices, enforceMismatchPolicy, totalMismatch } from './pricingService.js';
+import { computeSaleTaxes } from './taxService.js';
+import { findOpenShiftId } from './shiftService.js';
+import { applyPointsDiscount, prepareSaleLoyalty, postSaleLoyalty, reverseSaleLoyalty } from './loyaltyService.js';
+import { prepareGiftCardTenders, postGiftCardRedemptions, restoreGiftCardRedemptions } from './giftCardService.js';
+import { checkStoreCreditTender, postStoreCreditRedemption, restoreStoreCreditRedemption } from './storeCreditService.js';
+import { issueUnitCosts } from './valuationService.js';
+import { consumeTrackedStock, restoreTrackedStock } from './batchService.js';
+import { consumeBundleStock, restoreBundleStock } from './bundleService.js';
+import { toStockQuantity, roundQuantity } from './uomService.js';
 const prisma = new PrismaClient();
 
 const logger = winston.createLogger({
@@ -23,13 +37,171 @@ const logger = winston.createLogger({
     ]
 });
 
+// Completed sales can only be voided shortly after checkout; later reversals go through returns
+const SALE_VOID_WINDOW_MINUTES = parseInt(process.env.SALE_VOID_WINDOW_MINUTES) || 60;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function saleError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Price a basket server-side: resolves catalogue and price list prices for the store, register and customer
+ * (and permitted overrides), evaluates promotions,
+ * applies any loyalty points redeemed as a discount, then computes tax for the store.
+ * With tax-exclusive pricing the tax is added to the total.
+ * Purpose: Only processes product, price, promotion and tax data. No personal data stored or logged.
+ */
+export async function priceSale(tx, { tenantId, storeId, registerId, items, couponCode, userRole, customerId, redeemPoints, at }) {
+    const { lines, mismatches, overrides } = await resolveLinePrices(tx, { tenantId, items, userRole, storeId, registerId, customerId, at });
+    const promotions = await evaluatePromotions(tx, { tenantId, items: lines, couponCode, at });
+    const pricing = await applyPointsDiscount(tx, { tenantId, customerId, points: redeemPoints, pricing: promotions });
+    const tax = await computeSaleTaxes(tx, { tenantId, storeId, lines: pricing.lines });
+    return {
+        ...pricing,
+        lines: tax.lines,
+        taxTotal: tax.taxTotal,
+        taxInclusive: tax.inclusive,
+        taxes: tax.breakdown,
+        total: tax.inclusive ? pricing.total : roundMoney(pricing.total + tax.taxTotal),
+        mismatches,
+        overrides
+    };
+}
+
+/**
+ * Create a sale and decrement inventory inside an existing transaction
+ * Prices and the total are computed on the server; client-posted prices and `total` are only compared
+ * against them (see PRICE_MISMATCH_POLICY). Internal callers may pass `options.pricing` to reuse a quote from
+ * priceSale; it is never read from `data`, which may come from a request body.
+ * Loyalty points redeemed and earned by the sale's customer, and gift card and store credit tenders,
+ * are posted in the same transaction. Each line records its unit cost for margin reporting, and batch or serial
+ * tracked products are taken from their batches (FEFO, or the item's `batchNumber`) or scanned `serialNumbers`.
+ * Bundles are taken from assembled kits first and then from their components' stock. Quantities are in each
+ * product's sale unit and converted to its stock unit (Product.saleFactor) when stock is taken.
+ * Purpose: Shared by checkout and exchanges so both follow the same stock rules. No personal data stored or logged.
+ */
+export async function createSale(tx, data, { pricing: quote } = {}) {
+    const { customerId, items, paid, tenantId, userId, userRole, storeId, registerId, offlineId, synced, source, couponCode, redeemPoints } = data;
+    const pricing = quote || await priceSale(tx, { tenantId, storeId, registerId, items, couponCode, userRole, customerId, redeemPoints });
+    const total = pricing.total;
+    const mismatches = [...pricing.mismatches];
+    const postedTotal = totalMismatch(data.total, total);
+    if (postedTotal) mismatches.push(postedTotal);
+    const flagReason = enforceMismatchPolicy(mismatches, { tenantId });
+    const shiftId = await findOpenShiftId(tx, registerId, tenantId);
+    const { paymentType, payments } = normalizePayments({ payments: data.payments, paymentType: data.paymentType, total });
+    await prepareGiftCardTenders(tx, { tenantId, payments });
+    await checkStoreCreditTender(tx, { tenantId, customerId, payments });
+    const loyalty = await prepareSaleLoyalty(tx, { tenantId, customerId, total, payments, pricing });
+    const products = await tx.product.findMany({ where: { id: { in: items.map(i => i.productId) } }, select: { id: true, isBundle: true, saleFactor: true } });
+    const productById = new Map(products.map(p => [p.id, p]));
+    const stockLines = pricing.lines.map(l => ({ productId: l.productId, quantity: toStockQuantity(productById.get(l.productId), l.quantity) }));
+    // Issue costs are per stock unit; lines record the cost of one sale unit
+    const unitCosts = await issueUnitCosts(tx, { tenantId, storeId, items: stockLines });
+    const saleRecord = await tx.sale.create({
+        data: {
+            customerId,
+            subtotal: pricing.subtotal,
+            discountTotal: pricing.discountTotal,
+            taxTotal: pricing.taxTotal,
+            taxInclusive: pricing.taxInclusive,
+            total,
+            couponCode: couponCode || null,
+            flagged: !!flagReason,
+            flagReason,
+            paymentType,
+            paid,
+            saleDate: new Date(),
+            tenantId,
+            userId,
+            storeId,
+            registerId,
+            shiftId,
+            pointsEarned: loyalty.pointsEarned,
+            pointsRedeemed: loyalty.pointsRedeemed,
+            offlineId: offlineId || null,
+            synced: synced || false,
+            source: source || 'online',
+            items: {
+                create: pricing.lines.map(line => ({
+                    productId: line.productId,
+                    quantity: line.quantity,
+                    price: line.price,
+                    priceListId: line.priceListId ?? null,
+                    originalPrice: line.originalPrice,
+                    overrideReason: line.overrideReason,
+                    discount: line.discount,
+                    promotions: line.promotions.length > 0 ? line.promotions : undefined,
+                    taxClassId: line.taxClassId,
+                    taxAmount: line.taxAmount,
+                    taxes: line.taxes.length > 0 ? line.taxes : undefined,
+                    unitCost: unitCosts.has(line.productId) ? unitCosts.get(line.productId) * productById.get(line.productId).saleFactor : null
+                }))
+            },
+            payments: { create: payments },
+            taxes: { create: pricing.taxes }
+        },
+        include: { items: true, payments: true, taxes: true }
+    });
+    // Lines are created in basket order
+    const saleItems = [...saleRecord.items].sort((a, b) => a.id - b.id);
+    for (const [index, item] of items.entries()) {
+        const product = productById.get(item.productId);
+        if (product.isBundle) {
+            await consumeBundleStock(tx, { tenantId, storeId, saleItem: saleItems[index], taxInclusive: pricing.taxInclusive, userId, saleId: saleRecord.id });
+            continue;
+        }
+        const quantity = toStockQuantity(product, item.quantity);
+        const inventory = await tx.inventory.findFirst({ where: { productId: item.productId, tenantId, storeId } });
+        if (!inventory || inventory.quantity < quantity) {
+            logger.warn({ event: 'SALE_INSUFFICIENT_INVENTORY', productId: item.productId, tenantId, storeId });
+            throw new Error(`Insufficient inventory for product ${item.productId}`);
+        }
+        const after = roundQuantity(inventory.quantity - quantity);
+        await tx.inventory.update({
+            where: { id: inventory.id, tenantId },
+            data: { quantity: after }
+        });
+        // Stock ledger entry; valuation consumes cost layers from these
+        await tx.inventoryHistory.create({
+            data: {
+                inventoryId: inventory.id,
+                productId: item.productId,
+                quantityBefore: inventory.quantity,
+                quantityAfter: after,
+                reason: `sale #${saleRecord.id}`,
+                userId: userId || null,
+                source: source || 'online'
+            }
+        });
+        await consumeTrackedStock(tx, { inventory, saleItem: saleItems[index], batchNumber: item.batchNumber, serialNumbers: item.serialNumbers, userId });
+    }
+    if (pricing.overrides.length > 0) {
+        await recordAudit(tx, {
+            event: 'PRICE_OVERRIDE',
+            details: { saleId: saleRecord.id, overrides: pricing.overrides },
+            userId
+        });
+    }
+    await postGiftCardRedemptions(tx, saleRecord, userId);
+    await postStoreCreditRedemption(tx, saleRecord, userId);
+    await postSaleLoyalty(tx, saleRecord, loyalty, userId);
+    return saleRecord;
+}
+
 // Process a sale (transactional) with logging
 /**
  * Process a sale (transactional)
  * Purpose: Only processes and stores sales data needed for business operations. No personal data stored or logged.
  */
 export async function processSale(data) {
-    const { customerId, items, total, paymentType, paid, tenantId, userId, storeId, registerId, offlineId, synced, source } = data;
+    const { tenantId, storeId, registerId, offlineId } = data;
     if (!tenantId) throw new Error('Tenant context required');
     try {
         // Idempotency for offline sync: check offlineId
@@ -37,45 +209,8 @@ export async function processSale(data) {
             const existing = await prisma.sale.findFirst({ where: { offlineId, tenantId } });
             if (existing) return existing;
         }
-        const sale = await prisma.$transaction(async (tx) => {
-            const saleRecord = await tx.sale.create({
-                data: {
-                    customerId,
-                    total,
-                    paymentType,
-                    paid,
-                    saleDate: new Date(),
-                    tenantId,
-                    userId,
-                    storeId,
-                    registerId,
-                    offlineId: offlineId || null,
-                    synced: synced || false,
-                    source: source || 'online',
-                    items: {
-                        create: items.map(item => ({
-                            productId: item.productId,
-                            quantity: item.quantity,
-                            price: item.price
-                        }))
-                    }
-                },
-                include: { items: true }
-            });
-            for (const item of items) {
-                const inventory = await tx.inventory.findFirst({ where: { productId: item.productId, tenantId, storeId } });
-                if (!inventory || inventory.quantity < item.quantity) {
-                    logger.warn({ event: 'SALE_INSUFFICIENT_INVENTORY', productId: item.productId, tenantId, storeId });
-                    throw new Error(`Insufficient inventory for product ${item.productId}`);
-                }
-                await tx.inventory.update({
-                    where: { id: inventory.id, tenantId },
-                    data: { quantity: inventory.quantity - item.quantity }
-                });
-            }
-            return saleRecord;
-        });
-        logger.info({ event: 'SALE_PROCESSED', saleId: sale.id, total, tenantId, storeId, registerId });
+        const sale = await prisma.$transaction(tx => createSale(tx, data));
+        logger.info({ event: 'SALE_PROCESSED', saleId: sale.id, total: sale.total, discountTotal: sale.discountTotal, pointsEarned: sale.pointsEarned, tenantId, storeId, registerId });
         return sale;
     } catch (err) {
         logger.error({ event: 'SALE_PROCESS_ERROR', error: err.message, tenantId, storeId, registerId });
@@ -89,19 +224,20 @@ export async function processSale(data) {
  * Purpose: Only processes and returns sales data needed for business operations. No personal data stored or logged.
  */
 export async function getSales(query = {}) {
-    const { customerId, from, to, page = 1, limit = 20, tenantId, storeId, registerId } = query;
+    const { customerId, from, to, page = 1, limit = 20, tenantId, storeId, registerId, flagged } = query;
     if (!tenantId) throw new Error('Tenant context required');
     const where = { tenantId: Number(tenantId) };
     if (customerId) where.customerId = Number(customerId);
     if (storeId) where.storeId = Number(storeId);
     if (registerId) where.registerId = Number(registerId);
+    if (flagged !== undefined) where.flagged = flagged === true || flagged === 'true';
     if (from || to) where.saleDate = {};
     if (from) where.saleDate.gte = new Date(from);
     if (to) where.saleDate.lte = new Date(to);
     const skip = (Number(page) - 1) * Number(limit);
     try {
         const [items, total] = await Promise.all([
-            prisma.sale.findMany({ where, skip, take: Number(limit), orderBy: { saleDate: 'desc' }, include: { items: true } }),
+            prisma.sale.findMany({ where, skip, take: Number(limit), orderBy: { saleDate: 'desc' }, include: { items: true, payments: true } }),
             prisma.sale.count({ where })
         ]);
         logger.info({ event: 'SALES_LIST', count: items.length, tenantId, storeId, registerId });
@@ -119,7 +255,10 @@ export async function getSales(query = {}) {
 export async function getSaleById(id, tenantId) {
     if (!tenantId) throw new Error('Tenant context required');
     try {
-        const sale = await prisma.sale.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) }, include: { items: true } });
+        const sale = await prisma.sale.findFirst({
+            where: { id: Number(id), tenantId: Number(tenantId) },
+            include: { items: true, payments: true, taxes: true, returns: { include: { items: true } } }
+        });
         if (!sale) {
             logger.warn({ event: 'SALE_NOT_FOUND', id, tenantId });
         }
@@ -130,3 +269,58 @@ export async function getSaleById(id, tenantId) {
     }
 }
 
+/**
+ * Void a just-completed sale: restock its lines and keep the record with an audit trail
+ * Purpose: Only processes sales and inventory data needed to reverse a mistaken sale. No personal data stored or logged.
+ */
+export async function voidSale(id, tenantId, { reason, userId, approverId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    try {
+        const sale = await prisma.$transaction(async (tx) => {
+            const existing = await tx.sale.findFirst({
+                where: { id: Number(id), tenantId: Number(tenantId) },
+                include: { items: { include: { components: { select: { id: true }, take: 1 }, product: { select: { saleFactor: true } } } }, returns: true, payments: true }
+            });
+            if (!existing) throw saleError('Sale not found', 404);
+            if (existing.status === 'voided') throw saleError('Sale is already voided', 409);
+            if (existing.returns.length > 0) throw saleError('Sale has returns recorded; use a return instead', 409);
+            if (Date.now() - new Date(existing.saleDate).getTime() > SALE_VOID_WINDOW_MINUTES * 60 * 1000) {
+                throw saleError(`Sales can only be voided within ${SALE_VOID_WINDOW_MINUTES} minutes; use a return instead`, 409);
+            }
+            for (const item of existing.items) {
+                if (item.components.length > 0) {
+                    await restoreBundleStock(tx, { tenantId: existing.tenantId, storeId: existing.storeId, saleItem: item, userId, reason: `void sale #${existing.id}` });
+                    continue;
+                }
+                await restockInventory(tx, {
+                    tenantId: existing.tenantId,
+                    storeId: existing.storeId,
+                    productId: item.productId,
+                    quantity: toStockQuantity(item.product, item.quantity),
+                    userId,
+                    reason: `void sale #${existing.id}`
+                });
+                await restoreTrackedStock(tx, { saleItem: item, quantity: item.quantity, userId });
+            }
+            const voided = await tx.sale.update({
+                where: { id: existing.id },
+                data: { status: 'voided', voidReason: reason, voidedAt: new Date(), voidedById: userId || null, voidApprovedById: approverId },
+                include: { items: true }
+            });
+            await reverseSaleLoyalty(tx, voided, userId);
+            await restoreGiftCardRedemptions(tx, existing, userId);
+            await restoreStoreCreditRedemption(tx, existing, userId);
+            await recordAudit(tx, {
+                event: 'SALE_VOIDED',
+                details: { saleId: existing.id, total: existing.total, reason, approverId },
+                userId
+            });
+            return voided;
+        });
+        logger.info({ event: 'SALE_VOIDED', saleId: sale.id, total: sale.total, approverId, tenantId });
+        return sale;
+    } catch (err) {
+        logger.error({ event: 'SALE_VOID_ERROR', id, tenantId, error: err.message });
+        throw err;
+    }
+}
@@ -0,0 +1,238 @@
+// shiftService.js
+// Handles register shifts: opening float, cash-up, X (mid-shift) and Z (end-of-shift) reports
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes register, cash and sales totals necessary to reconcile a till.
+// - Does not log or store personal or sensitive data; cashiers are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { getTenderBreakdown } from './paymentService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/shift-service.log' })
+    ]
+});
+
+// When true, sales and returns are refused on a register without an open shift
+const REQUIRE_OPEN_SHIFT = process.env.REQUIRE_OPEN_SHIFT === 'true';
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function shiftError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Total of a cash count given as { denomination: count }, e.g. { "20": 3, "0.5": 4 }
+ * Purpose: Only processes cash amounts.
+ */
+export function countDenominations(denominations = {}) {
+    return roundMoney(Object.entries(denominations).reduce((sum, [value, count]) => sum + Number(value) * Number(count), 0));
+}
+
+/**
+ * Open shift of a register, used to attach sales and returns
+ * Purpose: Only returns the shift id. No personal data processed.
+ */
+export async function findOpenShiftId(tx, registerId, tenantId) {
+    if (!registerId) return null;
+    const shift = await (tx || prisma).shift.findFirst({
+        where: { registerId: Number(registerId), tenantId: Number(tenantId), status: 'open' },
+        select: { id: true }
+    });
+    if (!shift && REQUIRE_OPEN_SHIFT) throw shiftError('No open shift on this register', 409);
+    return shift ? shift.id : null;
+}
+
+/**
+ * Open a shift on a register with an opening float
+ * Purpose: Only stores the float and the cashier id needed for cash-up.
+ */
+export async function openShift({ tenantId, registerId, userId, openingFloat, denominations, note }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const shift = await prisma.$transaction(async (tx) => {
+        const register = await tx.register.findFirst({ where: { id: Number(registerId), tenantId: Number(tenantId), isActive: true } });
+        if (!register) throw shiftError('Register not found', 404);
+        const open = await tx.shift.findFirst({ where: { registerId: register.id, status: 'open' } });
+        if (open) throw shiftError(`Register already has an open shift (#${open.id})`, 409);
+        const float = denominations ? countDenominations(denominations) : roundMoney(openingFloat || 0);
+        return tx.shift.create({
+            data: {
+                tenantId: Number(tenantId),
+                storeId: register.storeId,
+                registerId: register.id,
+                openedById: userId || null,
+                openingFloat: float,
+                openingDenominations: denominations || undefined,
+                note: note || null
+            }
+        });
+    });
+    logger.info({ event: 'SHIFT_OPENED', shiftId: shift.id, registerId: shift.registerId, openingFloat: shift.openingFloat, tenantId });
+    return shift;
+}
+
+/**
+ * Build the X/Z report figures for a shift: sales, voids, refunds, tenders and expected cash
+ * Expected cash = opening float + cash collected (net of change) - cash refunded.
+ * Purpose: Only aggregates sales and cash totals. No personal data processed.
+ */
+export async function buildShiftReport(shift) {
+    const saleScope = { shiftId: shift.id, tenantId: shift.tenantId };
+    const [completed, voided, returns, tenders] = await Promise.all([
+        prisma.sale.aggregate({
+            where: { ...saleScope, status: 'completed' },
+            _count: { _all: true },
+            _sum: { subtotal: true, discountTotal: true, taxTotal: true, total: true }
+        }),
+        prisma.sale.aggregate({
+            where: { ...saleScope, status: 'voided' },
+            _count: { _all: true },
+            _sum: { total: true }
+        }),
+        prisma.saleReturn.aggregate({
+            where: { shiftId: shift.id, tenantId: shift.tenantId },
+            _count: { _all: true },
+            _sum: { refundAmount: true }
+        }),
+        getTenderBreakdown({ tenantId: shift.tenantId, shiftId: shift.id })
+    ]);
+    const cash = tenders.data.find(t => t.method === 'cash') || { collected: 0, refunded: 0 };
+    const expectedCash = roundMoney(shift.openingFloat + cash.collected - cash.refunded);
+    return {
+        shiftId: shift.id,
+        registerId: shift.registerId,
+        storeId: shift.storeId,
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt,
+        generatedAt: new Date(),
+        sales: {
+            count: completed._count._all,
+            gross: roundMoney(completed._sum.subtotal || 0),
+            discounts: roundMoney(completed._sum.discountTotal || 0),
+            tax: roundMoney(completed._sum.taxTotal || 0),
+            net: roundMoney(completed._sum.total || 0)
+        },
+        voids: { count: voided._count._all, total: roundMoney(voided._sum.total || 0) },
+        returns: { count: returns._count._all, refunded: roundMoney(returns._sum.refundAmount || 0) },
+        tenders: tenders.data,
+        cash: {
+            openingFloat: shift.openingFloat,
+            collected: cash.collected,
+            refunded: cash.refunded,
+            expected: expectedCash
+        }
+    };
+}
+
+async function findShift(id, tenantId) {
+    const shift = await prisma.shift.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) } });
+    if (!shift) throw shiftError('Shift not found', 404);
+    return shift;
+}
+
+/**
+ * X report: running totals of an open shift; does not close or reset anything
+ * Purpose: Only aggregates sales and cash totals.
+ */
+export async function getXReport(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const shift = await findShift(id, tenantId);
+    if (shift.status !== 'open') throw shiftError('X reports are only available for open shifts; use the Z report', 409);
+    const report = await buildShiftReport(shift);
+    logger.info({ event: 'SHIFT_X_REPORT', shiftId: shift.id, tenantId });
+    return { type: 'X', ...report };
+}
+
+/**
+ * Close a shift: record the counted cash by denomination, compute over/short and store the Z report
+ * Purpose: Only stores cash counts and aggregated totals. No personal data stored or logged.
+ */
+export async function closeShift(id, tenantId, { userId, denominations, countedCash, note }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const shift = await findShift(id, tenantId);
+    if (shift.status !== 'open') throw shiftError('Shift is already closed', 409);
+    const closedAt = new Date();
+    const report = await buildShiftReport({ ...shift, closedAt });
+    const counted = denominations ? countDenominations(denominations) : roundMoney(countedCash);
+    const variance = roundMoney(counted - report.cash.expected);
+    const zNumber = (await prisma.shift.count({ where: { registerId: shift.registerId, status: 'closed' } })) + 1;
+    const zReport = {
+        type: 'Z',
+        zNumber,
+        ...report,
+        cash: { ...report.cash, counted, variance, denominations: denominations || null }
+    };
+    // Only close if still open, so two concurrent closes cannot both succeed
+    const { count } = await prisma.shift.updateMany({
+        where: { id: shift.id, status: 'open' },
+        data: {
+            status: 'closed',
+            closedAt,
+            closedById: userId || null,
+            expectedCash: report.cash.expected,
+            countedCash: counted,
+            variance,
+            closingDenominations: denominations || undefined,
+            zNumber,
+            zReport,
+            ...(note !== undefined ? { note } : {})
+        }
+    });
+    if (count === 0) throw shiftError('Shift is already closed', 409);
+    logger.info({ event: 'SHIFT_CLOSED', shiftId: shift.id, registerId: shift.registerId, expected: report.cash.expected, counted, variance, tenantId });
+    return prisma.shift.findUnique({ where: { id: shift.id } });
+}
+
+/**
+ * Z report of a closed shift (the snapshot stored at close)
+ * Purpose: Only returns aggregated totals.
+ */
+export async function getZReport(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const shift = await findShift(id, tenantId);
+    if (shift.status !== 'closed') throw shiftError('Shift is still open; close it to produce the Z report', 409);
+    return shift.zReport;
+}
+
+/**
+ * List shifts, optionally per register, store or status
+ * Purpose: Only returns shift totals needed for cash management.
+ */
+export async function getShifts(query = {}) {
+    const { tenantId, registerId, storeId, status, page = 1, limit = 20 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (registerId) where.registerId = Number(registerId);
+    if (storeId) where.storeId = Number(storeId);
+    if (status) where.status = status;
+    const skip = (Number(page) - 1) * Number(limit);
+    const [shifts, total] = await Promise.all([
+        prisma.shift.findMany({ where, skip, take: Number(limit), orderBy: { openedAt: 'desc' }, omit: { zReport: true } }),
+        prisma.shift.count({ where })
+    ]);
+    return { data: shifts, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Get a shift by ID with tenant isolation
+ * Purpose: Only returns shift totals needed for cash management.
+ */
+export async function getShiftById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.shift.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) } });
+}
@@ -0,0 +1,412 @@
+// stocktakeService.js
+// Handles stocktakes and cycle counts: frozen expected quantities, multi-user counting, variances and posting
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes stock quantities, costs and counter ids necessary to reconcile stock.
+// - Does not log or store personal or sensitive data; staff are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { recordAudit } from './approvalService.js';
+import { checkQuantity, roundQuantity } from './uomService.js';
+import { removeTrackedStock } from './batchService.js';
+import { systemReason } from './adjustmentService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/stocktake-service.log' })
+    ]
+});
+
+export const STOCKTAKE_STATUSES = ['open', 'posted', 'cancelled'];
+
+// Sales history used to rank products into A/B/C classes
+const ABC_WINDOW_DAYS = Number(process.env.ABC_WINDOW_DAYS) || 90;
+// Items in a cycle count when no limit is given
+const CYCLE_COUNT_SIZE = Number(process.env.CYCLE_COUNT_SIZE) || 25;
+
+const STOCKTAKE_INCLUDE = {
+    lines: {
+        orderBy: { id: 'asc' },
+        include: { counts: { select: { userId: true, quantity: true, updatedAt: true } } }
+    }
+};
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function stocktakeError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+async function findStocktake(tx, id, tenantId) {
+    const stocktake = await (tx || prisma).stocktake.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { lines: true }
+    });
+    if (!stocktake) throw stocktakeError('Stocktake not found', 404);
+    return stocktake;
+}
+
+function assertOpen(stocktake) {
+    if (stocktake.status !== 'open') throw stocktakeError(`Stocktake is ${stocktake.status}`, 409);
+}
+
+/**
+ * ABC classes from each product's share of cost of goods sold: A up to 80%, B up to 95%, the rest (and unsold) C
+ * Purpose: Only processes aggregated sales values.
+ */
+export function classifyAbc(values) {
+    const sorted = [...values].sort((a, b) => b.value - a.value);
+    const total = sorted.reduce((sum, v) => sum + v.value, 0);
+    const classes = new Map();
+    let cumulative = 0;
+    for (const v of sorted) {
+        // Classify by the share reached before this product so the top seller is always A
+        const share = total > 0 ? cumulative / total : 1;
+        classes.set(v.productId, v.value > 0 && share < 0.8 ? 'A' : v.value > 0 && share < 0.95 ? 'B' : 'C');
+        cumulative += v.value;
+    }
+    return classes;
+}
+
+/**
+ * ABC class of every product stocked at a store or warehouse (?storeId=, ?warehouseId=, ?days=)
+ * Store stock is ranked on that store's sales; warehouse stock on sales across the tenant.
+ * Purpose: Only returns aggregated sales values and classes needed to plan cycle counts.
+ */
+export async function getAbcClasses({ tenantId, storeId, warehouseId, days = ABC_WINDOW_DAYS }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const location = warehouseId ? { warehouseId: Number(warehouseId) } : { storeId: Number(storeId) };
+    const inventories = await prisma.inventory.findMany({
+        where: { tenantId: Number(tenantId), isActive: true, deletedAt: null, ...location },
+        select: { productId: true, product: { select: { name: true, sku: true, cost: true } } }
+    });
+    const since = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
+    const saleWhere = { tenantId: Number(tenantId), status: 'completed', saleDate: { gte: since } };
+    if (!warehouseId) saleWhere.storeId = Number(storeId);
+    const sold = await prisma.saleItem.findMany({
+        where: { sale: saleWhere, productId: { in: inventories.map(i => i.productId) } },
+        select: { productId: true, quantity: true, unitCost: true }
+    });
+    const values = new Map(inventories.map(i => [i.productId, 0]));
+    const costs = new Map(inventories.map(i => [i.productId, i.product.cost]));
+    for (const item of sold) {
+        values.set(item.productId, values.get(item.productId) + item.quantity * (item.unitCost ?? costs.get(item.productId)));
+    }
+    const classes = classifyAbc([...values].map(([productId, value]) => ({ productId, value })));
+    const data = inventories.map(i => ({
+        productId: i.productId,
+        productName: i.product.name,
+        sku: i.product.sku,
+        soldValue: roundMoney(values.get(i.productId)),
+        abcClass: classes.get(i.productId)
+    })).sort((a, b) => b.soldValue - a.soldValue);
+    return { days: Number(days), data };
+}
+
+/**
+ * Open a stocktake and freeze the expected quantity of every item in scope
+ * Full counts cover a store or warehouse (optionally one category); cycle counts take the longest-uncounted
+ * items, optionally only those of one ABC class. An item can only be in one open stocktake at a time.
+ * Purpose: Only stores stock quantities and costs. No personal data stored or logged.
+ */
+export async function createStocktake({ tenantId, type = 'full', storeId, warehouseId, categoryId, abcClass, limit, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    if (storeId && !(await prisma.store.findFirst({ where: { id: storeId, tenantId } }))) {
+        throw stocktakeError('Store not found', 404);
+    }
+    if (warehouseId && !(await prisma.warehouse.findFirst({ where: { id: warehouseId, tenantId } }))) {
+        throw stocktakeError('Warehouse not found', 404);
+    }
+    const location = warehouseId ? { warehouseId } : { storeId };
+    const where = { tenantId, isActive: true, deletedAt: null, ...location, product: { deletedAt: null } };
+    if (categoryId) where.product.categoryId = categoryId;
+    let inventories = await prisma.inventory.findMany({ where, include: { product: { select: { cost: true } } } });
+    if (abcClass) {
+        const { data } = await getAbcClasses({ tenantId, storeId, warehouseId });
+        const inClass = new Set(data.filter(d => d.abcClass === abcClass).map(d => d.productId));
+        inventories = inventories.filter(i => inClass.has(i.productId));
+    }
+    if (type === 'cycle') {
+        // Never-counted items first, then the longest since their last count
+        inventories.sort((a, b) => (a.lastCountedAt?.getTime() ?? 0) - (b.lastCountedAt?.getTime() ?? 0));
+        inventories = inventories.slice(0, limit || CYCLE_COUNT_SIZE);
+    }
+    if (inventories.length === 0) throw stocktakeError('No stock items match this stocktake');
+    const stocktake = await prisma.$transaction(async (tx) => {
+        const busy = await tx.stocktakeLine.findFirst({
+            where: { inventoryId: { in: inventories.map(i => i.id) }, stocktake: { status: 'open' } },
+            include: { stocktake: { select: { number: true } } }
+        });
+        if (busy) throw stocktakeError(`Product ${busy.productId} is already being counted in ${busy.stocktake.number}`, 409);
+        const count = await tx.stocktake.count({ where: { tenantId } });
+        return tx.stocktake.create({
+            data: {
+                tenantId,
+                number: `ST-${String(count + 1).padStart(6, '0')}`,
+                type,
+                storeId: storeId || null,
+                warehouseId: warehouseId || null,
+                categoryId: categoryId || null,
+                abcClass: abcClass || null,
+                note: note || null,
+                createdById: userId || null,
+                lines: {
+                    create: inventories.map(i => ({
+                        inventoryId: i.id,
+                        productId: i.productId,
+                        expectedQuantity: i.quantity,
+                        unitCost: i.product.cost
+                    }))
+                }
+            },
+            include: STOCKTAKE_INCLUDE
+        });
+    });
+    logger.info({ event: 'STOCKTAKE_OPENED', id: stocktake.id, number: stocktake.number, type, lines: stocktake.lines.length, tenantId });
+    return stocktake;
+}
+
+// The line a count refers to: by line id, product id, or a scanned barcode/SKU
+async function resolveLine(tx, stocktake, { lineId, productId, barcode }) {
+    let line;
+    if (lineId) {
+        line = stocktake.lines.find(l => l.id === lineId);
+    } else if (productId) {
+        line = stocktake.lines.find(l => l.productId === productId);
+    } else if (barcode) {
+        const product = await tx.product.findFirst({
+            where: { tenantId: stocktake.tenantId, deletedAt: null, OR: [{ barcode }, { sku: barcode }] },
+            select: { id: true }
+        });
+        line = product && stocktake.lines.find(l => l.productId === product.id);
+    }
+    if (!line) throw stocktakeError(`Item ${lineId || productId || barcode} is not part of stocktake ${stocktake.number}`, 404);
+    return line;
+}
+
+// A line's counted quantity is the sum of every counter's count
+async function refreshCounted(tx, lineId) {
+    const { _sum } = await tx.stocktakeCount.aggregate({ where: { stocktakeLineId: lineId }, _sum: { quantity: true } });
+    return tx.stocktakeLine.update({ where: { id: lineId }, data: { countedQuantity: _sum.quantity ?? null } });
+}
+
+/**
+ * Submit counts; each replaces the submitting user's earlier count of that item
+ * Purpose: Only stores counted quantities and the counter's id.
+ */
+export async function submitCounts(id, tenantId, { counts, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const lines = await prisma.$transaction(async (tx) => {
+        const stocktake = await findStocktake(tx, id, tenantId);
+        assertOpen(stocktake);
+        const updated = [];
+        for (const count of counts) {
+            const line = await resolveLine(tx, stocktake, count);
+            await checkQuantity(tx, line.productId, count.quantity);
+            await tx.stocktakeCount.upsert({
+                where: { stocktakeLineId_userId: { stocktakeLineId: line.id, userId } },
+                create: { stocktakeLineId: line.id, userId, quantity: count.quantity },
+                update: { quantity: count.quantity }
+            });
+            updated.push(await refreshCounted(tx, line.id));
+        }
+        return updated;
+    });
+    logger.info({ event: 'STOCKTAKE_COUNTED', id: Number(id), lines: lines.length, userId, tenantId });
+    return lines;
+}
+
+/**
+ * Count by barcode scan: adds the scanned quantity (default 1) to the user's count of the item
+ * Purpose: Only stores counted quantities and the counter's id.
+ */
+export async function scanCount(id, tenantId, { barcode, quantity = 1, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.$transaction(async (tx) => {
+        const stocktake = await findStocktake(tx, id, tenantId);
+        assertOpen(stocktake);
+        const line = await resolveLine(tx, stocktake, { barcode });
+        await checkQuantity(tx, line.productId, quantity);
+        await tx.stocktakeCount.upsert({
+            where: { stocktakeLineId_userId: { stocktakeLineId: line.id, userId } },
+            create: { stocktakeLineId: line.id, userId, quantity },
+            update: { quantity: { increment: quantity } }
+        });
+        return refreshCounted(tx, line.id);
+    });
+}
+
+/**
+ * Variances of a stocktake: counted minus frozen expected quantity and its value at the frozen unit cost
+ * Purpose: Only returns stock quantities and costs needed to review a count.
+ */
+export async function getVariances(id, tenantId, { countedOnly } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const stocktake = await findStocktake(null, id, tenantId);
+    const products = await prisma.product.findMany({
+        where: { id: { in: stocktake.lines.map(l => l.productId) } },
+        select: { id: true, name: true, sku: true }
+    });
+    const byId = new Map(products.map(p => [p.id, p]));
+    let lines = stocktake.lines.map(l => {
+        const variance = l.countedQuantity === null ? null : roundQuantity(l.countedQuantity - l.expectedQuantity);
+        return {
+            lineId: l.id,
+            productId: l.productId,
+            productName: byId.get(l.productId)?.name,
+            sku: byId.get(l.productId)?.sku,
+            expectedQuantity: l.expectedQuantity,
+            countedQuantity: l.countedQuantity,
+            variance,
+            unitCost: l.unitCost,
+            valueImpact: variance === null ? null : roundMoney(variance * l.unitCost),
+            adjustment: l.adjustment
+        };
+    });
+    if (countedOnly === true || countedOnly === 'true') lines = lines.filter(l => l.countedQuantity !== null);
+    const counted = lines.filter(l => l.variance !== null);
+    const summary = {
+        lines: stocktake.lines.length,
+        counted: stocktake.lines.filter(l => l.countedQuantity !== null).length,
+        withVariance: counted.filter(l => l.variance !== 0).length,
+        shortageValue: roundMoney(counted.filter(l => l.variance < 0).reduce((sum, l) => sum + l.valueImpact, 0)),
+        surplusValue: roundMoney(counted.filter(l => l.variance > 0).reduce((sum, l) => sum + l.valueImpact, 0)),
+        netValue: roundMoney(counted.reduce((sum, l) => sum + l.valueImpact, 0))
+    };
+    return { id: stocktake.id, number: stocktake.number, status: stocktake.status, summary, data: lines };
+}
+
+/**
+ * Post an approved stocktake: every counted variance is applied to current stock with an InventoryHistory entry,
+ * all in one transaction. Variances are added to the current quantity, so sales made while counting are kept.
+ * Uncounted items are left alone unless `uncountedAsZero` is set. A shortage on a batch-tracked product comes out of
+ * its batches, expired ones first; surpluses on batch-tracked and any variance on serialised products are refused,
+ * as the count does not say which batch or serials they are. Variances are booked under the COUNT_VARIANCE
+ * reason code so they show in the shrinkage report, shortages at the cost frozen on the line.
+ * Purpose: Only processes stock quantities; records the approver for the audit trail.
+ */
+export async function postStocktake(id, tenantId, { uncountedAsZero = false, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const result = await prisma.$transaction(async (tx) => {
+        const stocktake = await findStocktake(tx, id, tenantId);
+        assertOpen(stocktake);
+        // Claim the stocktake first so a second post cannot apply the variances twice
+        const { count } = await tx.stocktake.updateMany({
+            where: { id: stocktake.id, status: 'open' },
+            data: { status: 'posted', postedAt: new Date(), approvedById: userId || null }
+        });
+        if (count === 0) throw stocktakeError('Stocktake is already being posted', 409);
+        const countedAt = new Date();
+        const products = await tx.product.findMany({
+            where: { id: { in: stocktake.lines.map(l => l.productId) } },
+            select: { id: true, name: true, tracking: true }
+        });
+        const reason = await systemReason(tx, stocktake.tenantId, 'COUNT_VARIANCE');
+        let adjusted = 0;
+        for (const line of stocktake.lines) {
+            const counted = line.countedQuantity ?? (uncountedAsZero ? 0 : null);
+            if (counted === null) continue;
+            const variance = roundQuantity(counted - line.expectedQuantity);
+            const product = products.find(p => p.id === line.productId);
+            if (variance !== 0 && product?.tracking === 'serial') {
+                throw stocktakeError(`${product.name} is serialised; settle its variance by changing serial statuses`, 409);
+            }
+            if (variance > 0 && product?.tracking === 'batch') {
+                throw stocktakeError(`${product.name} is batch-tracked; receive the ${variance} extra unit(s) into a batch`, 409);
+            }
+            const inventory = await tx.inventory.update({
+                where: { id: line.inventoryId },
+                data: { quantity: { increment: variance }, lastCountedAt: countedAt }
+            });
+            await tx.stocktakeLine.update({ where: { id: line.id }, data: { adjustment: variance, countedQuantity: counted } });
+            if (variance === 0) continue;
+            if (product?.tracking === 'batch') {
+                await removeTrackedStock(tx, { inventory, productId: line.productId, quantity: -variance, userId, note: `stocktake ${stocktake.number}` });
+            }
+            await tx.inventoryHistory.create({
+                data: {
+                    inventoryId: line.inventoryId,
+                    productId: line.productId,
+                    quantityBefore: roundQuantity(inventory.quantity - variance),
+                    quantityAfter: roundQuantity(inventory.quantity),
+                    reason: `stocktake ${stocktake.number}`,
+                    reasonCodeId: reason.id,
+                    unitCost: variance < 0 ? line.unitCost : null,
+                    userId: userId || null
+                }
+            });
+            adjusted++;
+        }
+        await recordAudit(tx, {
+            event: 'STOCKTAKE_POSTED',
+            details: { stocktakeId: stocktake.id, number: stocktake.number, adjusted },
+            userId
+        });
+        return { stocktake: await tx.stocktake.findUnique({ where: { id: stocktake.id }, include: STOCKTAKE_INCLUDE }), adjusted };
+    });
+    logger.info({ event: 'STOCKTAKE_POSTED', id: result.stocktake.id, number: result.stocktake.number, adjusted: result.adjusted, approvedById: userId, tenantId });
+    return result.stocktake;
+}
+
+/**
+ * Cancel an open stocktake without touching stock
+ * Purpose: Only updates the stocktake status.
+ */
+export async function cancelStocktake(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await findStocktake(null, id, tenantId);
+    assertOpen(existing);
+    const stocktake = await prisma.stocktake.update({
+        where: { id: existing.id },
+        data: { status: 'cancelled', cancelledAt: new Date() },
+        include: STOCKTAKE_INCLUDE
+    });
+    logger.info({ event: 'STOCKTAKE_CANCELLED', id: stocktake.id, tenantId });
+    return stocktake;
+}
+
+/**
+ * List stocktakes (?status=, ?type=, ?storeId=, ?warehouseId=)
+ * Purpose: Only returns stocktake headers needed for stock control.
+ */
+export async function getStocktakes(query = {}) {
+    const { tenantId, status, type, storeId, warehouseId, page = 1, limit = 20 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (storeId) where.storeId = Number(storeId);
+    if (warehouseId) where.warehouseId = Number(warehouseId);
+    const skip = (Number(page) - 1) * Number(limit);
+    const [stocktakes, total] = await Promise.all([
+        prisma.stocktake.findMany({ where, skip, take: Number(limit), orderBy: { createdAt: 'desc' }, include: { _count: { select: { lines: true } } } }),
+        prisma.stocktake.count({ where })
+    ]);
+    return { data: stocktakes, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Get a stocktake with its lines and each counter's count
+ * Purpose: Only returns stock quantities and counter ids needed for stock control.
+ */
+export async function getStocktakeById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.stocktake.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: STOCKTAKE_INCLUDE
+    });
+}
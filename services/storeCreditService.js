@@ -0,0 +1,164 @@
+// storeCreditService.js
+// Handles customer store credit accounts: issuing (e.g. on returns), redemption as a tender and the credit ledger
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes credit balances and sale references necessary to honour store credit.
+// - Does not log or store personal or sensitive data; customers are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { netTendered } from './paymentService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/store-credit-service.log' })
+    ]
+});
+
+export const STORE_CREDIT_ENTRY_TYPES = ['issue', 'redeem', 'refund', 'adjust'];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function storeCreditError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function creditTendered(payments) {
+    return roundMoney(payments.filter(p => p.method === 'store_credit').reduce((sum, p) => sum + netTendered(p), 0));
+}
+
+async function findCustomer(tx, customerId, tenantId) {
+    const customer = await (tx || prisma).customer.findFirst({
+        where: { id: Number(customerId), tenantId: Number(tenantId) },
+        select: { id: true, storeCredit: true }
+    });
+    if (!customer) throw storeCreditError('Customer not found', 404);
+    return customer;
+}
+
+// Move the credit balance and write the ledger entry; debits are guarded so the balance cannot go below zero
+async function postEntry(tx, { tenantId, customerId, type, amount, saleId, returnId, note, userId }) {
+    if (amount < 0) {
+        const { count } = await tx.customer.updateMany({
+            where: { id: Number(customerId), tenantId: Number(tenantId), storeCredit: { gte: roundMoney(-amount) } },
+            data: { storeCredit: { increment: amount } }
+        });
+        if (count === 0) throw storeCreditError('Insufficient store credit', 409);
+    } else {
+        await tx.customer.update({ where: { id: Number(customerId) }, data: { storeCredit: { increment: amount } } });
+    }
+    // Keep the stored balance in whole cents despite float arithmetic
+    const { storeCredit } = await tx.customer.findUnique({ where: { id: Number(customerId) }, select: { storeCredit: true } });
+    const balanceAfter = roundMoney(storeCredit);
+    if (balanceAfter !== storeCredit) await tx.customer.update({ where: { id: Number(customerId) }, data: { storeCredit: balanceAfter } });
+    return tx.storeCreditTransaction.create({
+        data: {
+            tenantId: Number(tenantId),
+            customerId: Number(customerId),
+            type,
+            amount: roundMoney(amount),
+            balanceAfter,
+            saleId: saleId || null,
+            returnId: returnId || null,
+            note: note || null,
+            userId: userId || null
+        }
+    });
+}
+
+/**
+ * Check store credit tenders before a sale is written: they need a customer with enough credit
+ * Purpose: Only processes the credit balance of the sale's customer. No personal data stored or logged.
+ */
+export async function checkStoreCreditTender(tx, { tenantId, customerId, payments }) {
+    const amount = creditTendered(payments);
+    if (amount === 0) return;
+    if (!customerId) throw storeCreditError('A customer is required to pay with store credit');
+    const customer = await findCustomer(tx, customerId, tenantId);
+    if (customer.storeCredit < amount) {
+        throw storeCreditError(`Insufficient store credit (${customer.storeCredit.toFixed(2)} available)`, 409);
+    }
+}
+
+/**
+ * Debit the store credit used to pay a written sale
+ * Purpose: Only processes the credit balance of the sale's customer. No personal data stored or logged.
+ */
+export async function postStoreCreditRedemption(tx, sale, userId) {
+    const amount = creditTendered(sale.payments);
+    if (amount === 0) return;
+    await postEntry(tx, { tenantId: sale.tenantId, customerId: sale.customerId, type: 'redeem', amount: -amount, saleId: sale.id, userId });
+    logger.info({ event: 'STORE_CREDIT_REDEEMED', customerId: sale.customerId, saleId: sale.id, amount, tenantId: sale.tenantId });
+}
+
+/**
+ * Give back the store credit a voided sale used
+ * Purpose: Only processes the credit balance of the sale's customer. No personal data stored or logged.
+ */
+export async function restoreStoreCreditRedemption(tx, sale, userId) {
+    const amount = creditTendered(sale.payments);
+    if (amount === 0) return;
+    await postEntry(tx, { tenantId: sale.tenantId, customerId: sale.customerId, type: 'refund', amount, saleId: sale.id, note: 'Sale voided', userId });
+}
+
+/**
+ * Issue store credit for a return refunded to the `store_credit` method
+ * Purpose: Only processes the credit balance of the sale's customer. No personal data stored or logged.
+ */
+export async function refundToStoreCredit(tx, { sale, saleReturn, amount, userId }) {
+    if (!sale.customerId) throw storeCreditError('Store credit refunds need a customer on the sale');
+    const entry = await postEntry(tx, {
+        tenantId: sale.tenantId,
+        customerId: sale.customerId,
+        type: 'issue',
+        amount,
+        saleId: sale.id,
+        returnId: saleReturn.id,
+        note: `Return #${saleReturn.id}`,
+        userId
+    });
+    logger.info({ event: 'STORE_CREDIT_ISSUED', customerId: sale.customerId, returnId: saleReturn.id, amount, tenantId: sale.tenantId });
+    return entry;
+}
+
+/**
+ * Store credit balance and ledger page of a customer
+ * Purpose: Only returns the credit data of one customer needed at the till.
+ */
+export async function getStoreCredit(customerId, tenantId, { page = 1, limit = 20 } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const customer = await findCustomer(null, customerId, tenantId);
+    const where = { customerId: customer.id, tenantId: Number(tenantId) };
+    const skip = (Number(page) - 1) * Number(limit);
+    const [entries, total] = await Promise.all([
+        prisma.storeCreditTransaction.findMany({ where, skip, take: Number(limit), orderBy: { createdAt: 'desc' } }),
+        prisma.storeCreditTransaction.count({ where })
+    ]);
+    return { customerId: customer.id, balance: customer.storeCredit, data: entries, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Manually issue or take back store credit (goodwill, corrections); debits cannot go below zero
+ * Purpose: Only processes the credit balance of one customer and records who changed it.
+ */
+export async function adjustStoreCredit(customerId, tenantId, { amount, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const entry = await prisma.$transaction(async (tx) => {
+        const customer = await findCustomer(tx, customerId, tenantId);
+        return postEntry(tx, { tenantId, customerId: customer.id, type: 'adjust', amount: roundMoney(amount), note, userId });
+    });
+    logger.info({ event: 'STORE_CREDIT_ADJUSTED', customerId: entry.customerId, amount: entry.amount, balanceAfter: entry.balanceAfter, tenantId });
+    return entry;
+}
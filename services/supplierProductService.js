@@ -0,0 +1,253 @@
+// supplierProductService.js
+// Handles supplier product catalogs: supplier SKUs, pack sizes, minimum orders, lead times and cost history
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes supplier, product and cost data necessary for purchasing.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/supplier-product-service.log' })
+    ]
+});
+
+// When true, every goods receipt sets Product.cost to the unit cost just received
+const UPDATE_PRODUCT_COST_ON_RECEIPT = process.env.UPDATE_PRODUCT_COST_ON_RECEIPT === 'true';
+
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function supplierProductError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+async function findLink(tx, supplierId, productId, tenantId) {
+    const link = await (tx || prisma).supplierProduct.findFirst({
+        where: { supplierId: Number(supplierId), productId: Number(productId), tenantId: Number(tenantId) }
+    });
+    if (!link) throw supplierProductError('Product is not linked to this supplier', 404);
+    return link;
+}
+
+/**
+ * Quoted unit cost in effect at a date (latest quote not dated in the future), or null
+ * Purpose: Only processes cost data.
+ */
+export async function quotedCost(tx, supplierProductId, at = new Date()) {
+    const quote = await (tx || prisma).supplierCost.findFirst({
+        where: { supplierProductId, source: 'quote', effectiveFrom: { lte: at } },
+        orderBy: { effectiveFrom: 'desc' }
+    });
+    return quote ? quote.cost : null;
+}
+
+/**
+ * Units to order for a wanted quantity: at least the minimum order, rounded up to whole packs
+ * Purpose: Only processes quantities.
+ */
+export function orderQuantity(link, wanted) {
+    const packSize = link.packSize || 1;
+    return Math.ceil(Math.max(wanted, link.minOrderQty || 1) / packSize) * packSize;
+}
+
+/**
+ * Products supplied by a supplier with their current quoted cost
+ * Purpose: Only returns supplier catalog data needed for purchasing.
+ */
+export async function getSupplierProducts(supplierId, tenantId, { active } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { supplierId: Number(supplierId), tenantId: Number(tenantId) };
+    if (active !== undefined) where.isActive = active === true || active === 'true';
+    const links = await prisma.supplierProduct.findMany({
+        where,
+        include: { product: { select: { id: true, name: true, sku: true, cost: true } } },
+        orderBy: { productId: 'asc' }
+    });
+    return Promise.all(links.map(async link => ({ ...link, quotedCost: await quotedCost(null, link.id) })));
+}
+
+// Only one preferred supplier per product
+async function clearPreferred(tx, link) {
+    await tx.supplierProduct.updateMany({
+        where: { productId: link.productId, tenantId: link.tenantId, id: { not: link.id } },
+        data: { isPreferred: false }
+    });
+}
+
+/**
+ * Link a product to a supplier, optionally with an opening cost quote
+ * Purpose: Only stores supplier catalog data. No personal data stored or logged.
+ */
+export async function linkProduct(supplierId, tenantId, { productId, cost, userId, ...data }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const link = await prisma.$transaction(async (tx) => {
+        const supplier = await tx.supplier.findFirst({ where: { id: Number(supplierId), tenantId: Number(tenantId) } });
+        if (!supplier) throw supplierProductError('Supplier not found', 404);
+        const product = await tx.product.findFirst({ where: { id: productId, tenantId: Number(tenantId), deletedAt: null } });
+        if (!product) throw supplierProductError('Product not found', 404);
+        const existing = await tx.supplierProduct.findUnique({ where: { supplierId_productId: { supplierId: supplier.id, productId } } });
+        if (existing) throw supplierProductError('Product is already linked to this supplier', 409);
+        const created = await tx.supplierProduct.create({
+            data: { ...data, tenantId: Number(tenantId), supplierId: supplier.id, productId }
+        });
+        if (created.isPreferred) await clearPreferred(tx, created);
+        if (cost !== undefined) {
+            await tx.supplierCost.create({ data: { supplierProductId: created.id, cost: roundCost(cost), source: 'quote', userId: userId || null } });
+        }
+        return created;
+    });
+    logger.info({ event: 'SUPPLIER_PRODUCT_LINKED', supplierId: link.supplierId, productId: link.productId, tenantId });
+    return link;
+}
+
+/**
+ * Update a supplier's terms for a product (SKU, pack size, minimum order, lead time, preferred, active)
+ * Purpose: Only stores supplier catalog data. No personal data stored or logged.
+ */
+export async function updateSupplierProduct(supplierId, productId, tenantId, data) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const link = await prisma.$transaction(async (tx) => {
+        const existing = await findLink(tx, supplierId, productId, tenantId);
+        const updated = await tx.supplierProduct.update({ where: { id: existing.id }, data });
+        if (data.isPreferred) await clearPreferred(tx, updated);
+        return updated;
+    });
+    logger.info({ event: 'SUPPLIER_PRODUCT_UPDATED', supplierId: link.supplierId, productId: link.productId, tenantId });
+    return link;
+}
+
+/**
+ * Record a quoted unit cost, effective now or from a given date
+ * Purpose: Only stores cost data. No personal data stored or logged.
+ */
+export async function addCostQuote(supplierId, productId, tenantId, { cost, effectiveFrom, note, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const link = await findLink(null, supplierId, productId, tenantId);
+    const quote = await prisma.supplierCost.create({
+        data: {
+            supplierProductId: link.id,
+            cost: roundCost(cost),
+            source: 'quote',
+            effectiveFrom: effectiveFrom || new Date(),
+            note: note || null,
+            userId: userId || null
+        }
+    });
+    logger.info({ event: 'SUPPLIER_COST_QUOTED', supplierId: link.supplierId, productId: link.productId, cost: quote.cost, tenantId });
+    return quote;
+}
+
+/**
+ * Dated cost history of a supplier product (?source=quote|receipt, ?from=, ?to=)
+ * Purpose: Only returns cost data.
+ */
+export async function getCostHistory(supplierId, productId, tenantId, { source, from, to } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const link = await findLink(null, supplierId, productId, tenantId);
+    const where = { supplierProductId: link.id };
+    if (source) where.source = source;
+    if (from || to) where.effectiveFrom = {};
+    if (from) where.effectiveFrom.gte = new Date(from);
+    if (to) where.effectiveFrom.lte = new Date(to);
+    const costs = await prisma.supplierCost.findMany({ where, orderBy: { effectiveFrom: 'desc' } });
+    return { supplierProduct: link, data: costs };
+}
+
+/**
+ * Record the unit cost paid on a goods receipt; links the product to the supplier if it was not yet
+ * Supplier costs are per purchase unit; `stockUnitCost` is the same cost per stock unit, used for Product.cost.
+ * Purpose: Only stores cost data. No personal data stored or logged.
+ */
+export async function recordReceivedCost(tx, { tenantId, supplierId, productId, unitCost, stockUnitCost = unitCost, goodsReceiptId, userId }) {
+    const receivedAt = new Date();
+    const link = await tx.supplierProduct.upsert({
+        where: { supplierId_productId: { supplierId, productId } },
+        create: { tenantId: Number(tenantId), supplierId, productId, lastReceivedCost: unitCost, lastReceivedAt: receivedAt },
+        update: { lastReceivedCost: unitCost, lastReceivedAt: receivedAt }
+    });
+    await tx.supplierCost.create({
+        data: { supplierProductId: link.id, cost: unitCost, source: 'receipt', effectiveFrom: receivedAt, goodsReceiptId, userId: userId || null }
+    });
+    if (UPDATE_PRODUCT_COST_ON_RECEIPT) {
+        await tx.product.update({ where: { id: productId }, data: { cost: roundCost(stockUnitCost) } });
+    }
+    return link;
+}
+
+/**
+ * Set Product.cost to the most recently received unit cost from any supplier, per stock unit
+ * Purpose: Only processes cost data. No personal data stored or logged.
+ */
+export async function refreshProductCost(productId, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const product = await prisma.product.findFirst({ where: { id: Number(productId), tenantId: Number(tenantId) } });
+    if (!product) throw supplierProductError('Product not found', 404);
+    const latest = await prisma.supplierProduct.findFirst({
+        where: { productId: product.id, tenantId: Number(tenantId), lastReceivedAt: { not: null } },
+        orderBy: { lastReceivedAt: 'desc' }
+    });
+    if (!latest) throw supplierProductError('Product has not been received from any supplier', 409);
+    const updated = await prisma.product.update({ where: { id: product.id }, data: { cost: roundCost(latest.lastReceivedCost / product.purchaseFactor) } });
+    logger.info({ event: 'PRODUCT_COST_REFRESHED', productId: product.id, previousCost: product.cost, cost: updated.cost, supplierId: latest.supplierId, tenantId });
+    return { productId: product.id, previousCost: product.cost, cost: updated.cost, supplierId: latest.supplierId, receivedAt: latest.lastReceivedAt };
+}
+
+/**
+ * Compare active suppliers of a product: current quote, last received cost, lead time and, for a wanted
+ * quantity, what would actually be ordered (minimum order and whole packs) and what it would cost
+ * Purpose: Only returns supplier catalog and cost data needed to choose a supplier.
+ */
+export async function compareSuppliers(productId, tenantId, { quantity } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const links = await prisma.supplierProduct.findMany({
+        where: { productId: Number(productId), tenantId: Number(tenantId), isActive: true, supplier: { isActive: true, deletedAt: null } },
+        include: { supplier: { select: { id: true, name: true } } }
+    });
+    const wanted = Number(quantity) || 1;
+    const rows = await Promise.all(links.map(async link => {
+        const quoted = await quotedCost(null, link.id);
+        const unitCost = quoted !== null ? quoted : link.lastReceivedCost;
+        const units = orderQuantity(link, wanted);
+        return {
+            supplierId: link.supplierId,
+            supplierName: link.supplier.name,
+            supplierSku: link.supplierSku,
+            packSize: link.packSize,
+            minOrderQty: link.minOrderQty,
+            leadTimeDays: link.leadTimeDays,
+            isPreferred: link.isPreferred,
+            quotedCost: quoted,
+            lastReceivedCost: link.lastReceivedCost,
+            lastReceivedAt: link.lastReceivedAt,
+            unitCost,
+            orderQuantity: units,
+            orderCost: unitCost !== null ? Math.round(unitCost * units * 100) / 100 : null
+        };
+    }));
+    // Cheapest first; suppliers without any known cost last
+    rows.sort((a, b) => (a.unitCost ?? Infinity) - (b.unitCost ?? Infinity));
+    const priced = rows.filter(r => r.unitCost !== null);
+    const withLeadTime = rows.filter(r => r.leadTimeDays !== null);
+    const fastest = withLeadTime.length > 0 ? Math.min(...withLeadTime.map(r => r.leadTimeDays)) : null;
+    return {
+        productId: Number(productId),
+        quantity: wanted,
+        cheapestSupplierId: priced.length > 0 ? priced[0].supplierId : null,
+        fastestSupplierId: fastest !== null ? withLeadTime.find(r => r.leadTimeDays === fastest).supplierId : null,
+        data: rows
+    };
+}
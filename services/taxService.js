@@ -0,0 +1,292 @@
+// taxService.js
+// Tax classes, tax rates and the tax calculation applied when a sale is priced (production grade)
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product, tax rate and sale amount data necessary to compute and report tax.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/tax-service.log' })
+    ]
+});
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function taxError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Tax amounts for a tax-exclusive base, one per rate
+ * Simple rates apply to the base; compound rates apply to the base plus the simple taxes.
+ * Purpose: Only processes amounts and rates.
+ */
+export function taxesOnBase(base, rates) {
+    const simple = rates.filter(r => !r.compound).map(r => ({ rate: r, amount: base * r.rate / 100 }));
+    const simpleTotal = simple.reduce((sum, t) => sum + t.amount, 0);
+    const compound = rates.filter(r => r.compound).map(r => ({ rate: r, amount: (base + simpleTotal) * r.rate / 100 }));
+    return [...simple, ...compound];
+}
+
+/**
+ * Split a line amount into taxable base and per-rate tax
+ * For tax-inclusive prices the amount already contains the tax and the base is backed out of it.
+ * Purpose: Only processes amounts and rates.
+ */
+export function computeLineTax(amount, rates, inclusive) {
+    if (rates.length === 0 || amount <= 0) return { base: roundMoney(amount), taxes: [], taxAmount: 0 };
+    let base = amount;
+    if (inclusive) {
+        const multiplier = 1 + taxesOnBase(1, rates).reduce((sum, t) => sum + t.amount, 0);
+        base = amount / multiplier;
+    }
+    const taxes = taxesOnBase(base, rates).map(t => ({ rate: t.rate, amount: roundMoney(t.amount) }));
+    const taxAmount = roundMoney(taxes.reduce((sum, t) => sum + t.amount, 0));
+    // Inclusive: keep base + tax equal to the amount actually charged
+    return { base: inclusive ? roundMoney(amount - taxAmount) : roundMoney(base), taxes, taxAmount };
+}
+
+/**
+ * Active rates for each tax class that apply in a store
+ * Store-specific rates replace the tenant-wide rates of the same class.
+ * Purpose: Only returns tax rate data.
+ */
+async function ratesByClass(db, tenantId, storeId, classIds) {
+    if (classIds.length === 0) return new Map();
+    const rates = await db.taxRate.findMany({
+        where: {
+            tenantId: Number(tenantId),
+            taxClassId: { in: classIds },
+            isActive: true,
+            OR: [{ storeId: null }, ...(storeId ? [{ storeId: Number(storeId) }] : [])]
+        },
+        orderBy: { id: 'asc' }
+    });
+    const result = new Map();
+    for (const classId of classIds) {
+        const forClass = rates.filter(r => r.taxClassId === classId);
+        const storeRates = forClass.filter(r => r.storeId !== null);
+        result.set(classId, storeRates.length > 0 ? storeRates : forClass);
+    }
+    return result;
+}
+
+/**
+ * Compute line and order taxes for priced sale lines
+ * A product's tax class wins over its category's; lines with no class are untaxed. Tax is charged on the
+ * amount after promotions. The store's `pricesIncludeTax` decides whether prices already include tax.
+ * Purpose: Only processes product, amount and tax rate data. No personal data stored or logged.
+ *
+ * @param {Array<{productId:number, quantity:number, price:number, discount?:number}>} lines
+ * @returns {{ inclusive: boolean, lines: Array<Object>, taxTotal: number, breakdown: Array<Object> }}
+ */
+export async function computeSaleTaxes(tx, { tenantId, storeId, lines }) {
+    const db = tx || prisma;
+    const [store, products] = await Promise.all([
+        storeId ? db.store.findFirst({ where: { id: Number(storeId), tenantId: Number(tenantId) } }) : null,
+        db.product.findMany({
+            where: { id: { in: [...new Set(lines.map(l => l.productId))] }, tenantId: Number(tenantId) },
+            select: { id: true, taxClassId: true, category: { select: { taxClassId: true } } }
+        })
+    ]);
+    const inclusive = !!store?.pricesIncludeTax;
+    const classOf = new Map(products.map(p => [p.id, p.taxClassId ?? p.category?.taxClassId ?? null]));
+    const classIds = [...new Set([...classOf.values()].filter(id => id !== null))];
+    const rates = await ratesByClass(db, tenantId, storeId, classIds);
+
+    const breakdown = new Map();
+    const taxedLines = lines.map(line => {
+        const taxClassId = classOf.get(line.productId) ?? null;
+        const amount = roundMoney(line.price * line.quantity - (line.discount || 0));
+        const { base, taxes, taxAmount } = computeLineTax(amount, taxClassId ? rates.get(taxClassId) || [] : [], inclusive);
+        for (const t of taxes) {
+            const key = t.rate.id;
+            if (!breakdown.has(key)) breakdown.set(key, { taxRateId: t.rate.id, name: t.rate.name, rate: t.rate.rate, compound: t.rate.compound, taxableAmount: 0, taxAmount: 0 });
+            const row = breakdown.get(key);
+            row.taxableAmount = roundMoney(row.taxableAmount + base);
+            row.taxAmount = roundMoney(row.taxAmount + t.amount);
+        }
+        return {
+            ...line,
+            taxClassId,
+            taxAmount,
+            taxes: taxes.map(t => ({ taxRateId: t.rate.id, name: t.rate.name, rate: t.rate.rate, compound: t.rate.compound, taxableAmount: base, taxAmount: t.amount }))
+        };
+    });
+    const taxTotal = roundMoney(taxedLines.reduce((sum, l) => sum + l.taxAmount, 0));
+    return { inclusive, lines: taxedLines, taxTotal, breakdown: [...breakdown.values()] };
+}
+
+/**
+ * Tax summary for filing: tax collected on completed sales less tax refunded on returns, per rate
+ * Purpose: Only aggregates tax amounts for reporting. No personal data processed.
+ */
+export async function getTaxSummary({ tenantId, storeId, from, to } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const saleWhere = { tenantId: Number(tenantId), status: 'completed' };
+    const returnWhere = { tenantId: Number(tenantId) };
+    if (storeId) saleWhere.storeId = returnWhere.storeId = Number(storeId);
+    if (from || to) {
+        saleWhere.saleDate = {};
+        returnWhere.createdAt = {};
+        if (from) saleWhere.saleDate.gte = returnWhere.createdAt.gte = new Date(from);
+        if (to) saleWhere.saleDate.lte = returnWhere.createdAt.lte = new Date(to);
+    }
+    const [collected, returnItems] = await Promise.all([
+        prisma.saleTax.groupBy({
+            by: ['taxRateId', 'name', 'rate'],
+            where: { sale: saleWhere },
+            _sum: { taxableAmount: true, taxAmount: true }
+        }),
+        prisma.saleReturnItem.findMany({
+            where: { saleReturn: returnWhere },
+            select: { quantity: true, saleItem: { select: { quantity: true, taxes: true } } }
+        })
+    ]);
+    const rows = new Map();
+    const row = (taxRateId, name, rate) => {
+        const key = `${taxRateId}|${name}|${rate}`;
+        if (!rows.has(key)) rows.set(key, { taxRateId, name, rate, taxableSales: 0, taxCollected: 0, taxableRefunds: 0, taxRefunded: 0, netTax: 0 });
+        return rows.get(key);
+    };
+    for (const c of collected) {
+        const r = row(c.taxRateId, c.name, c.rate);
+        r.taxableSales = roundMoney(c._sum.taxableAmount || 0);
+        r.taxCollected = roundMoney(c._sum.taxAmount || 0);
+    }
+    // Returned quantities reverse the same share of each line's tax
+    for (const item of returnItems) {
+        const share = item.quantity / item.saleItem.quantity;
+        for (const t of item.saleItem.taxes || []) {
+            const r = row(t.taxRateId, t.name, t.rate);
+            r.taxableRefunds += t.taxableAmount * share;
+            r.taxRefunded += t.taxAmount * share;
+        }
+    }
+    const data = [...rows.values()].map(r => ({
+        ...r,
+        taxableRefunds: roundMoney(r.taxableRefunds),
+        taxRefunded: roundMoney(r.taxRefunded),
+        netTax: roundMoney(r.taxCollected - r.taxRefunded)
+    }));
+    const totals = data.reduce((t, r) => ({
+        taxCollected: roundMoney(t.taxCollected + r.taxCollected),
+        taxRefunded: roundMoney(t.taxRefunded + r.taxRefunded),
+        netTax: roundMoney(t.netTax + r.netTax)
+    }), { taxCollected: 0, taxRefunded: 0, netTax: 0 });
+    logger.info({ event: 'TAX_SUMMARY', tenantId, storeId, rows: data.length });
+    return { data, totals };
+}
+
+/**
+ * List tax classes with their rates
+ * Purpose: Only returns tax configuration.
+ */
+export async function getTaxClasses(tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.taxClass.findMany({
+        where: { tenantId: Number(tenantId) },
+        include: { rates: { orderBy: { id: 'asc' } } },
+        orderBy: { name: 'asc' }
+    });
+}
+
+/**
+ * Create a tax class
+ * Purpose: Only stores tax configuration.
+ */
+export async function createTaxClass(data) {
+    if (!data.tenantId) throw new Error('Tenant context required');
+    const taxClass = await prisma.taxClass.create({ data });
+    logger.info({ event: 'TAX_CLASS_CREATE', id: taxClass.id, tenantId: data.tenantId });
+    return taxClass;
+}
+
+/**
+ * Update a tax class
+ * Purpose: Only updates tax configuration.
+ */
+export async function updateTaxClass(id, data, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const taxClass = await prisma.taxClass.update({ where: { id: Number(id), tenantId: Number(tenantId) }, data });
+    logger.info({ event: 'TAX_CLASS_UPDATE', id: taxClass.id, tenantId });
+    return taxClass;
+}
+
+/**
+ * Delete a tax class that no product or category uses
+ * Purpose: Only removes tax configuration.
+ */
+export async function deleteTaxClass(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const taxClass = await prisma.taxClass.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { _count: { select: { products: true, categories: true } } }
+    });
+    if (!taxClass) throw taxError('Tax class not found', 404);
+    if (taxClass._count.products > 0 || taxClass._count.categories > 0) {
+        throw taxError('Tax class is assigned to products or categories', 409);
+    }
+    await prisma.$transaction([
+        prisma.taxRate.deleteMany({ where: { taxClassId: taxClass.id } }),
+        prisma.taxClass.delete({ where: { id: taxClass.id } })
+    ]);
+    logger.info({ event: 'TAX_CLASS_DELETE', id: taxClass.id, tenantId });
+    return taxClass;
+}
+
+/**
+ * List tax rates, optionally per class or store
+ * Purpose: Only returns tax configuration.
+ */
+export async function getTaxRates({ tenantId, taxClassId, storeId } = {}) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (taxClassId) where.taxClassId = Number(taxClassId);
+    if (storeId) where.storeId = Number(storeId);
+    return prisma.taxRate.findMany({ where, orderBy: [{ taxClassId: 'asc' }, { id: 'asc' }] });
+}
+
+/**
+ * Create a tax rate in a class, tenant-wide or for one store
+ * Purpose: Only stores tax configuration.
+ */
+export async function createTaxRate(data) {
+    if (!data.tenantId) throw new Error('Tenant context required');
+    const taxClass = await prisma.taxClass.findFirst({ where: { id: Number(data.taxClassId), tenantId: Number(data.tenantId) } });
+    if (!taxClass) throw taxError('Tax class not found', 404);
+    if (data.storeId) {
+        const store = await prisma.store.findFirst({ where: { id: Number(data.storeId), tenantId: Number(data.tenantId) } });
+        if (!store) throw taxError('Store not found', 404);
+    }
+    const taxRate = await prisma.taxRate.create({ data });
+    logger.info({ event: 'TAX_RATE_CREATE', id: taxRate.id, taxClassId: taxRate.taxClassId, tenantId: data.tenantId });
+    return taxRate;
+}
+
+/**
+ * Update a tax rate
+ * Purpose: Only updates tax configuration.
+ */
+export async function updateTaxRate(id, data, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const taxRate = await prisma.taxRate.update({ where: { id: Number(id), tenantId: Number(tenantId) }, data });
+    logger.info({ event: 'TAX_RATE_UPDATE', id: taxRate.id, tenantId });
+    return taxRate;
+}
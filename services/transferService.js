@@ -0,0 +1,342 @@
+// transferService.js
+// Handles transfer orders between stores and warehouses: dispatch, in-transit stock, receipt and discrepancies
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes product, quantity, cost and location data necessary to move stock.
+// - Does not log or store personal or sensitive data; staff are referenced by id only.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+import { restockInventory, deductInventory } from './inventoryService.js';
+import { issueUnitCosts } from './valuationService.js';
+import { roundQuantity } from './uomService.js';
+import { assertUntracked } from './batchService.js';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/transfer-service.log' })
+    ]
+});
+
+export const TRANSFER_STATUSES = ['draft', 'in_transit', 'partially_received', 'received', 'closed', 'cancelled'];
+
+// Statuses in which dispatched stock can still arrive
+const RECEIVABLE_STATUSES = ['in_transit', 'partially_received'];
+
+const TRANSFER_INCLUDE = { lines: true, movements: { orderBy: { createdAt: 'asc' } } };
+
+function transferError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function inTransit(line) {
+    return roundQuantity(line.quantityDispatched - line.quantityReceived - line.quantityLost - line.quantityReturned);
+}
+
+function source(order) {
+    return { storeId: order.fromStoreId, warehouseId: order.fromWarehouseId };
+}
+
+function destination(order) {
+    return { storeId: order.toStoreId, warehouseId: order.toWarehouseId };
+}
+
+async function findTransfer(tx, id, tenantId) {
+    const order = await (tx || prisma).transferOrder.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: { lines: true }
+    });
+    if (!order) throw transferError('Transfer not found', 404);
+    return order;
+}
+
+// Move the transfer out of one of `statuses` before stock is touched, so two concurrent requests cannot both apply
+async function claimTransfer(tx, id, tenantId, statuses, data, refusal) {
+    const { count } = await tx.transferOrder.updateMany({
+        where: { id: Number(id), tenantId: Number(tenantId), status: { in: statuses } },
+        data
+    });
+    if (count === 0) {
+        const existing = await findTransfer(tx, id, tenantId);
+        throw transferError(refusal(existing.status), 409);
+    }
+    return findTransfer(tx, id, tenantId);
+}
+
+async function checkLocation(tx, tenantId, { storeId, warehouseId }) {
+    if (storeId && !(await tx.store.findFirst({ where: { id: storeId, tenantId } }))) throw transferError('Store not found', 404);
+    if (warehouseId && !(await tx.warehouse.findFirst({ where: { id: warehouseId, tenantId } }))) throw transferError('Warehouse not found', 404);
+}
+
+/**
+ * Create a draft transfer from one store/warehouse to another
+ * Batch-tracked and serialised products are refused until transfers carry their batches and serials.
+ * Purpose: Only stores product, quantity and location data. No personal data stored or logged.
+ */
+export async function createTransfer({ tenantId, fromStoreId, fromWarehouseId, toStoreId, toWarehouseId, note, lines, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    if ((fromStoreId && fromStoreId === toStoreId) || (fromWarehouseId && fromWarehouseId === toWarehouseId)) {
+        throw transferError('Source and destination must differ');
+    }
+    const order = await prisma.$transaction(async (tx) => {
+        await checkLocation(tx, tenantId, { storeId: fromStoreId, warehouseId: fromWarehouseId });
+        await checkLocation(tx, tenantId, { storeId: toStoreId, warehouseId: toWarehouseId });
+        const productIds = [...new Set(lines.map(l => l.productId))];
+        if (productIds.length !== lines.length) throw transferError('Each product may only appear on one line');
+        const count = await tx.product.count({ where: { id: { in: productIds }, tenantId, deletedAt: null } });
+        if (count !== productIds.length) throw transferError('One or more products not found', 404);
+        await assertUntracked(tx, productIds, 'transfer');
+        const existing = await tx.transferOrder.count({ where: { tenantId } });
+        return tx.transferOrder.create({
+            data: {
+                tenantId,
+                number: `TO-${String(existing + 1).padStart(6, '0')}`,
+                fromStoreId: fromStoreId || null,
+                fromWarehouseId: fromWarehouseId || null,
+                toStoreId: toStoreId || null,
+                toWarehouseId: toWarehouseId || null,
+                note: note || null,
+                createdById: userId || null,
+                lines: { create: lines.map(l => ({ productId: l.productId, quantityRequested: l.quantity })) }
+            },
+            include: TRANSFER_INCLUDE
+        });
+    });
+    logger.info({ event: 'TRANSFER_CREATED', id: order.id, number: order.number, tenantId });
+    return order;
+}
+
+/**
+ * Dispatch a draft transfer: stock leaves the source and is in transit until received
+ * Quantities default to those requested; a line may be short-shipped (or skipped with 0).
+ * Purpose: Only processes product, quantity and cost data. No personal data stored or logged.
+ */
+export async function dispatchTransfer(id, tenantId, { lines = [], userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const order = await prisma.$transaction(async (tx) => {
+        const existing = await claimTransfer(tx, id, tenantId, ['draft'],
+            { status: 'in_transit', dispatchedAt: new Date(), dispatchedById: userId || null },
+            status => `Transfer is already ${status}`);
+        const quantities = new Map(existing.lines.map(l => [l.id, l.quantityRequested]));
+        for (const item of lines) {
+            if (!quantities.has(item.lineId)) throw transferError(`Line ${item.lineId} does not belong to transfer ${existing.number}`);
+            quantities.set(item.lineId, item.quantity);
+        }
+        const shipped = existing.lines.filter(l => quantities.get(l.id) > 0);
+        if (shipped.length === 0) throw transferError('Nothing to dispatch');
+        await assertUntracked(tx, shipped.map(l => l.productId), 'transfer');
+        const from = source(existing);
+        const costs = await issueUnitCosts(tx, {
+            tenantId: existing.tenantId,
+            ...from,
+            items: shipped.map(l => ({ productId: l.productId, quantity: quantities.get(l.id) }))
+        });
+        const reason = `${existing.number} dispatch`;
+        for (const line of existing.lines) {
+            const quantity = quantities.get(line.id);
+            if (quantity > 0) {
+                await deductInventory(tx, { tenantId: existing.tenantId, ...from, productId: line.productId, quantity, userId, reason });
+                await tx.stockMovement.create({
+                    data: {
+                        productId: line.productId,
+                        fromStoreId: from.storeId,
+                        fromWarehouseId: from.warehouseId,
+                        quantity,
+                        reason,
+                        userId: userId || null,
+                        transferOrderId: existing.id
+                    }
+                });
+            }
+            await tx.transferOrderLine.update({
+                where: { id: line.id },
+                data: { quantityDispatched: { increment: quantity }, unitCost: quantity > 0 ? costs.get(line.productId) : null }
+            });
+        }
+        return tx.transferOrder.findUnique({ where: { id: existing.id }, include: TRANSFER_INCLUDE });
+    });
+    logger.info({ event: 'TRANSFER_DISPATCHED', id: order.id, number: order.number, tenantId });
+    return order;
+}
+
+/**
+ * Receive stock at the destination; partial receipts are allowed, more than is in transit is refused
+ * Purpose: Only processes product, quantity and cost data. No personal data stored or logged.
+ */
+export async function receiveTransfer(id, tenantId, { lines, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const order = await prisma.$transaction(async (tx) => {
+        const existing = await claimTransfer(tx, id, tenantId, RECEIVABLE_STATUSES,
+            { status: 'partially_received' },
+            status => `Cannot receive on a ${status} transfer`);
+        const to = destination(existing);
+        const reason = `${existing.number} receipt`;
+        for (const item of lines) {
+            const line = existing.lines.find(l => l.id === item.lineId);
+            if (!line) throw transferError(`Line ${item.lineId} does not belong to transfer ${existing.number}`);
+            if (item.quantity > inTransit(line)) {
+                throw transferError(`Cannot receive ${item.quantity} on line ${line.id}; only ${inTransit(line)} in transit`, 409);
+            }
+            await restockInventory(tx, { tenantId: existing.tenantId, ...to, productId: line.productId, quantity: item.quantity, userId, reason, unitCost: line.unitCost });
+            await tx.stockMovement.create({
+                data: {
+                    productId: line.productId,
+                    toStoreId: to.storeId,
+                    toWarehouseId: to.warehouseId,
+                    quantity: item.quantity,
+                    reason,
+                    userId: userId || null,
+                    transferOrderId: existing.id
+                }
+            });
+            const { count } = await tx.transferOrderLine.updateMany({
+                where: { id: line.id, quantityReceived: line.quantityReceived },
+                data: { quantityReceived: { increment: item.quantity }, discrepancyReason: item.discrepancyReason || line.discrepancyReason }
+            });
+            if (count === 0) throw transferError(`Line ${line.id} changed during the receipt; please retry`, 409);
+            line.quantityReceived = roundQuantity(line.quantityReceived + item.quantity);
+        }
+        const complete = existing.lines.every(l => inTransit(l) === 0);
+        return tx.transferOrder.update({
+            where: { id: existing.id },
+            data: complete ? { status: 'received', receivedAt: new Date() } : { status: 'partially_received' },
+            include: TRANSFER_INCLUDE
+        });
+    });
+    logger.info({ event: 'TRANSFER_RECEIVED', id: order.id, status: order.status, tenantId });
+    return order;
+}
+
+/**
+ * Close a transfer and settle whatever is still in transit as a discrepancy:
+ * `write_off` records it as lost (reported as LOST_IN_TRANSIT shrinkage), `return_to_source` books it back into the source location.
+ * Purpose: Only processes product and quantity data; the reason is kept for the audit trail.
+ */
+export async function closeTransfer(id, tenantId, { resolution = 'write_off', reason, userId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const order = await prisma.$transaction(async (tx) => {
+        const existing = await claimTransfer(tx, id, tenantId, [...RECEIVABLE_STATUSES, 'received'],
+            { status: 'closed', closedAt: new Date() },
+            status => `Cannot close a ${status} transfer`);
+        const from = source(existing);
+        for (const line of existing.lines) {
+            const outstanding = inTransit(line);
+            if (outstanding === 0) continue;
+            const note = `${existing.number} ${resolution === 'return_to_source' ? 'returned to source' : 'lost in transit'}`;
+            if (resolution === 'return_to_source') {
+                await restockInventory(tx, { tenantId: existing.tenantId, ...from, productId: line.productId, quantity: outstanding, userId, reason: note, unitCost: line.unitCost });
+            }
+            await tx.stockMovement.create({
+                data: {
+                    productId: line.productId,
+                    toStoreId: resolution === 'return_to_source' ? from.storeId : null,
+                    toWarehouseId: resolution === 'return_to_source' ? from.warehouseId : null,
+                    quantity: outstanding,
+                    reason: reason ? `${note}: ${reason}` : note,
+                    userId: userId || null,
+                    transferOrderId: existing.id
+                }
+            });
+            await tx.transferOrderLine.update({
+                where: { id: line.id },
+                data: resolution === 'return_to_source'
+                    ? { quantityReturned: { increment: outstanding }, discrepancyReason: reason || line.discrepancyReason }
+                    : { quantityLost: { increment: outstanding }, discrepancyReason: reason || line.discrepancyReason }
+            });
+        }
+        return tx.transferOrder.findUnique({ where: { id: existing.id }, include: TRANSFER_INCLUDE });
+    });
+    const lost = order.lines.reduce((sum, l) => sum + l.quantityLost, 0);
+    logger.info({ event: 'TRANSFER_CLOSED', id: order.id, resolution, lost, tenantId });
+    return order;
+}
+
+/**
+ * Cancel a draft transfer
+ * Purpose: Only updates the transfer status.
+ */
+export async function cancelTransfer(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await findTransfer(null, id, tenantId);
+    if (existing.status !== 'draft') throw transferError('Only draft transfers can be cancelled; close dispatched ones instead', 409);
+    const order = await prisma.transferOrder.update({
+        where: { id: existing.id },
+        data: { status: 'cancelled', closedAt: new Date() },
+        include: TRANSFER_INCLUDE
+    });
+    logger.info({ event: 'TRANSFER_CANCELLED', id: order.id, tenantId });
+    return order;
+}
+
+/**
+ * Stock currently in transit per product and route, with its value at the dispatch cost (?productId=)
+ * Purpose: Only returns product, quantity and cost data needed to account for stock on the move.
+ */
+export async function getInTransit({ tenantId, productId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { transferOrder: { tenantId: Number(tenantId), status: { in: RECEIVABLE_STATUSES } } };
+    if (productId) where.productId = Number(productId);
+    const lines = await prisma.transferOrderLine.findMany({
+        where,
+        include: { transferOrder: { select: { id: true, number: true, fromStoreId: true, fromWarehouseId: true, toStoreId: true, toWarehouseId: true, dispatchedAt: true } } }
+    });
+    const data = lines.filter(l => inTransit(l) > 0).map(l => ({
+        transferOrderId: l.transferOrder.id,
+        number: l.transferOrder.number,
+        productId: l.productId,
+        fromStoreId: l.transferOrder.fromStoreId,
+        fromWarehouseId: l.transferOrder.fromWarehouseId,
+        toStoreId: l.transferOrder.toStoreId,
+        toWarehouseId: l.transferOrder.toWarehouseId,
+        dispatchedAt: l.transferOrder.dispatchedAt,
+        quantity: inTransit(l),
+        value: Math.round(inTransit(l) * (l.unitCost || 0) * 100) / 100
+    }));
+    return {
+        totalQuantity: data.reduce((sum, d) => sum + d.quantity, 0),
+        totalValue: Math.round(data.reduce((sum, d) => sum + d.value, 0) * 100) / 100,
+        data
+    };
+}
+
+/**
+ * List transfers (?status=, ?storeId=, ?warehouseId= match either end)
+ * Purpose: Only returns transfer data needed for stock control.
+ */
+export async function getTransfers(query = {}) {
+    const { tenantId, status, storeId, warehouseId, page = 1, limit = 20 } = query;
+    if (!tenantId) throw new Error('Tenant context required');
+    const where = { tenantId: Number(tenantId) };
+    if (status) where.status = status;
+    if (storeId) where.OR = [{ fromStoreId: Number(storeId) }, { toStoreId: Number(storeId) }];
+    if (warehouseId) where.OR = [{ fromWarehouseId: Number(warehouseId) }, { toWarehouseId: Number(warehouseId) }];
+    const skip = (Number(page) - 1) * Number(limit);
+    const [orders, total] = await Promise.all([
+        prisma.transferOrder.findMany({ where, skip, take: Number(limit), orderBy: { createdAt: 'desc' }, include: { lines: true } }),
+        prisma.transferOrder.count({ where })
+    ]);
+    return { data: orders, page: Number(page), limit: Number(limit), total };
+}
+
+/**
+ * Get a transfer with its lines and stock movements
+ * Purpose: Only returns transfer data needed for stock control.
+ */
+export async function getTransferById(id, tenantId) {
+    if (!tenantId) throw new Error('Tenant context required');
+    return prisma.transferOrder.findFirst({
+        where: { id: Number(id), tenantId: Number(tenantId) },
+        include: TRANSFER_INCLUDE
+    });
+}
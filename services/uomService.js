@@ -0,0 +1,172 @@
+// uomService.js
+// Handles units of measure, conversions between a product's purchase, stock and sale units,
+// fractional quantities and price- or weight-embedded EAN-13 scale barcodes
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes unit, product and quantity data.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/uom-service.log' })
+    ]
+});
+
+// Quantities are kept to grams, millimetres and millilitres of a kg, metre or litre
+export const QUANTITY_DECIMALS = 3;
+
+// Scale barcodes: 2-digit prefix, 5-digit PLU, 5-digit value, check digit. Weight values are grams, price values cents.
+function prefixList(value, fallback) {
+    return (value || fallback).split(',').map(p => p.trim()).filter(Boolean);
+}
+const SCALE_WEIGHT_PREFIXES = prefixList(process.env.SCALE_BARCODE_WEIGHT_PREFIXES, '21,22');
+const SCALE_PRICE_PREFIXES = prefixList(process.env.SCALE_BARCODE_PRICE_PREFIXES, '23,24');
+
+function uomError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+export function roundQuantity(value) {
+    const factor = 10 ** QUANTITY_DECIMALS;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Whether a code is a well-formed EAN-13 (13 digits with a valid check digit)
+ * Purpose: Only processes the scanned code.
+ */
+export function isValidEan13(code) {
+    if (!/^\d{13}$/.test(code)) return false;
+    const digits = code.split('').map(Number);
+    const sum = digits.slice(0, 12).reduce((total, d, i) => total + d * (i % 2 === 0 ? 1 : 3), 0);
+    return (10 - (sum % 10)) % 10 === digits[12];
+}
+
+/**
+ * Read a price- or weight-embedded scale barcode
+ * Returns { type: 'weight', plu, weight } (kg) or { type: 'price', plu, amount }, or null when the code is not one
+ * (wrong prefix, not EAN-13 or a bad check digit). Prefixes are set by SCALE_BARCODE_WEIGHT_PREFIXES and
+ * SCALE_BARCODE_PRICE_PREFIXES.
+ * Purpose: Only processes the scanned code.
+ */
+export function parseScaleBarcode(code) {
+    if (!isValidEan13(String(code))) return null;
+    const prefix = code.slice(0, 2);
+    const plu = code.slice(2, 7);
+    const value = Number(code.slice(7, 12));
+    if (SCALE_WEIGHT_PREFIXES.includes(prefix)) return { type: 'weight', plu, weight: roundQuantity(value / 1000) };
+    if (SCALE_PRICE_PREFIXES.includes(prefix)) return { type: 'price', plu, amount: value / 100 };
+    return null;
+}
+
+/**
+ * The sale line a scale barcode stands for: the weight, or the quantity the embedded price buys at the product's price
+ * Purpose: Only processes product price and quantity data.
+ */
+export function scaleLine(product, scan) {
+    if (scan.type === 'weight') {
+        return { quantity: scan.weight, price: product.price, lineTotal: Math.round(scan.weight * product.price * 100) / 100 };
+    }
+    const quantity = product.allowDecimal && product.price > 0 ? roundQuantity(scan.amount / product.price) : 1;
+    return { quantity, price: product.price, lineTotal: scan.amount };
+}
+
+/**
+ * Convert a quantity in a product's sale or purchase unit to its stock unit
+ * Purpose: Only processes quantities.
+ */
+export function toStockQuantity(product, quantity, from = 'sale') {
+    const factor = from === 'purchase' ? product.purchaseFactor : product.saleFactor;
+    return roundQuantity(quantity * (factor ?? 1));
+}
+
+/**
+ * Refuse a fractional quantity for a product counted in whole units
+ * Purpose: Only processes quantities.
+ */
+export function assertQuantityAllowed(product, quantity) {
+    if (Number.isInteger(quantity) || product.allowDecimal) return;
+    throw uomError(`${product.name || `Product ${product.id}`} is sold in whole units; quantity ${quantity} is not allowed`);
+}
+
+/**
+ * Check a stock quantity against its product, loading the product only when the quantity is fractional
+ * Purpose: Only processes product and quantity data.
+ */
+export async function checkQuantity(tx, productId, quantity) {
+    if (Number.isInteger(quantity)) return;
+    const product = await (tx || prisma).product.findUnique({ where: { id: productId }, select: { id: true, name: true, allowDecimal: true } });
+    assertQuantityAllowed(product || { id: productId }, quantity);
+}
+
+/**
+ * Validate a product's unit settings: units must belong to the tenant, and batch or serial tracked products and
+ * bundles stay in whole units with no sale conversion (tracked products may still be bought in whole packs)
+ * Purpose: Only processes product and unit settings.
+ */
+export async function checkUnitSettings(tx, tenantId, product) {
+    const unitIds = [product.stockUomId, product.saleUomId, product.purchaseUomId].filter(id => id !== null && id !== undefined);
+    if (unitIds.length > 0) {
+        const found = await (tx || prisma).unitOfMeasure.count({ where: { id: { in: [...new Set(unitIds)] }, tenantId: Number(tenantId) } });
+        if (found !== new Set(unitIds).size) throw uomError('Unit of measure not found', 404);
+    }
+    const whole = (product.tracking && product.tracking !== 'none') || product.isBundle;
+    if (whole && (product.allowDecimal || (product.saleFactor ?? 1) !== 1)) {
+        throw uomError('Tracked products and bundles are sold in whole stock units');
+    }
+    if (product.tracking && product.tracking !== 'none' && !Number.isInteger(product.purchaseFactor ?? 1)) {
+        throw uomError('Tracked products need a whole number of units per purchase unit');
+    }
+}
+
+/**
+ * List a tenant's units of measure
+ * Purpose: Only returns unit settings.
+ */
+export async function getUnits({ tenantId }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const units = await prisma.unitOfMeasure.findMany({ where: { tenantId: Number(tenantId) }, orderBy: { code: 'asc' } });
+    return { data: units };
+}
+
+/**
+ * Create a unit of measure (codes are unique per tenant and stored upper case)
+ * Purpose: Only stores unit settings.
+ */
+export async function createUnit({ tenantId, code, name }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    tenantId = Number(tenantId);
+    code = code.toUpperCase();
+    if (await prisma.unitOfMeasure.findFirst({ where: { tenantId, code } })) {
+        throw uomError(`Unit ${code} already exists`, 409);
+    }
+    const unit = await prisma.unitOfMeasure.create({ data: { tenantId, code, name } });
+    logger.info({ event: 'UOM_CREATED', id: unit.id, code, tenantId });
+    return unit;
+}
+
+/**
+ * Rename a unit of measure; the code is kept so product settings stay readable
+ * Purpose: Only updates unit settings.
+ */
+export async function updateUnit(id, tenantId, { name }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    const existing = await prisma.unitOfMeasure.findFirst({ where: { id: Number(id), tenantId: Number(tenantId) } });
+    if (!existing) throw uomError('Unit of measure not found', 404);
+    const unit = await prisma.unitOfMeasure.update({ where: { id: existing.id }, data: { name } });
+    logger.info({ event: 'UOM_UPDATED', id: unit.id, code: unit.code, tenantId });
+    return unit;
+}
@@ -0,0 +1,274 @@
+// valuationService.js
+// Values stock on hand per store/warehouse/category with FIFO, LIFO or moving weighted average cost
+//
+// GDPR Data Minimization & Purpose Limitation:
+// - Only processes stock quantities, purchase costs and the inventory ledger.
+// - Does not log or store personal or sensitive data.
+// - All service functions are documented with their data processing purpose.
+
+import { PrismaClient } from '@prisma/client';
+import winston from 'winston';
+const prisma = new PrismaClient();
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/valuation-service.log' })
+    ]
+});
+
+export const VALUATION_METHODS = ['FIFO', 'LIFO', 'AVG'];
+
+// How sold units are costed: STANDARD uses Product.cost; FIFO, LIFO or AVG consume the store's cost layers
+const COGS_METHOD = (process.env.COGS_METHOD || 'STANDARD').toUpperCase();
+
+// A cost layer snapshot is saved once this many ledger entries have been replayed past the previous one
+const SNAPSHOT_INTERVAL = 200;
+
+// Entries younger than this may still have uncommitted neighbours with lower ids, so snapshots stop short of them
+const SNAPSHOT_SETTLE_MS = 5 * 60 * 1000;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Replay an inventory's ledger (InventoryHistory, oldest first) into cost layers
+ * Receipts add a layer at their unit cost; stock added without a cost (returns, voids, count corrections)
+ * comes in at the current average of the layers held, or `fallbackCost` when none are held. Outgoing stock
+ * consumes the oldest layers (FIFO), the newest (LIFO), or the single running layer (AVG). Gaps between one
+ * entry's quantityAfter and the next quantityBefore (changes not written to the ledger) are booked the same way,
+ * and the result is finally reconciled to `closingQuantity` when given.
+ * `opening` ({ quantity, layers }) starts the replay from a snapshot instead of an empty ledger. With `settledBefore`,
+ * `settled` holds the state after the last entry created by then, ready to be saved as the next snapshot.
+ * Purpose: Only processes quantities and costs.
+ */
+export function buildCostLayers(entries, { method = 'FIFO', fallbackCost = 0, closingQuantity, opening, settledBefore } = {}) {
+    const layers = opening ? opening.layers.map(l => ({ quantity: l.quantity, unitCost: l.unitCost })) : [];
+    let quantity = opening ? opening.quantity : 0;
+    const held = () => layers.reduce((sum, l) => sum + l.quantity, 0);
+    const currentCost = () => {
+        const units = held();
+        return units > 0 ? layers.reduce((sum, l) => sum + l.quantity * l.unitCost, 0) / units : fallbackCost;
+    };
+    const move = (delta, unitCost) => {
+        if (delta > 0) {
+            // Stock sold while the ledger was short is covered first and never forms a layer
+            const covered = quantity < 0 ? Math.min(delta, -quantity) : 0;
+            const units = delta - covered;
+            const cost = unitCost ?? currentCost();
+            quantity += delta;
+            if (units === 0) return;
+            if (method === 'AVG' && layers.length > 0) {
+                const [layer] = layers;
+                layer.unitCost = (layer.quantity * layer.unitCost + units * cost) / (layer.quantity + units);
+                layer.quantity += units;
+            } else {
+                layers.push({ quantity: units, unitCost: cost });
+            }
+        } else if (delta < 0) {
+            let remaining = -delta;
+            quantity += delta;
+            while (remaining > 0 && layers.length > 0) {
+                const layer = method === 'LIFO' ? layers[layers.length - 1] : layers[0];
+                const taken = Math.min(layer.quantity, remaining);
+                layer.quantity -= taken;
+                remaining -= taken;
+                if (layer.quantity > 0) continue;
+                if (method === 'LIFO') layers.pop();
+                else layers.shift();
+            }
+        }
+    };
+    const settledIndex = settledBefore ? entries.findLastIndex(e => e.createdAt <= settledBefore) : -1;
+    let settled = null;
+    entries.forEach((entry, index) => {
+        if (entry.quantityBefore !== quantity) move(entry.quantityBefore - quantity, null);
+        move(entry.quantityAfter - entry.quantityBefore, entry.unitCost ?? null);
+        if (index === settledIndex) {
+            settled = { historyId: entry.id, takenAt: entry.createdAt, quantity, layers: layers.map(l => ({ ...l })), entries: index + 1 };
+        }
+    });
+    if (closingQuantity !== undefined && closingQuantity !== quantity) move(closingQuantity - quantity, null);
+    const value = layers.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+    return {
+        quantity,
+        unitCost: quantity > 0 ? roundCost(value / quantity) : null,
+        value: quantity > 0 ? roundMoney(value) : 0,
+        layers: layers.map(l => ({ quantity: l.quantity, unitCost: roundCost(l.unitCost) })),
+        settled
+    };
+}
+
+/**
+ * Cost layers of one inventory record, replayed from its latest snapshot (taken at or before `at`) instead of
+ * from the start of its ledger; a new snapshot is saved once enough settled entries have been replayed since.
+ * With `at` the quantity then on hand is taken from the first later ledger entry, or the current quantity.
+ * Purpose: Only processes quantities and costs.
+ */
+async function replayInventory(client, inventory, { method, fallbackCost, at }) {
+    const snapshot = await client.costLayerSnapshot.findFirst({
+        where: { inventoryId: inventory.id, method, ...(at ? { takenAt: { lte: at } } : {}) },
+        orderBy: { historyId: 'desc' }
+    });
+    const where = { inventoryId: inventory.id };
+    if (snapshot) where.id = { gt: snapshot.historyId };
+    if (at) where.createdAt = { lte: at };
+    const entries = await client.inventoryHistory.findMany({
+        where,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        select: { id: true, quantityBefore: true, quantityAfter: true, unitCost: true, createdAt: true }
+    });
+    let closingQuantity = inventory.quantity;
+    if (at) {
+        const next = await client.inventoryHistory.findFirst({
+            where: { inventoryId: inventory.id, createdAt: { gt: at } },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            select: { quantityBefore: true }
+        });
+        if (next) closingQuantity = next.quantityBefore;
+    }
+    const result = buildCostLayers(entries, {
+        method,
+        fallbackCost,
+        closingQuantity,
+        opening: snapshot ? { quantity: snapshot.quantity, layers: snapshot.layers } : undefined,
+        settledBefore: new Date(Date.now() - SNAPSHOT_SETTLE_MS)
+    });
+    if (result.settled && result.settled.entries >= SNAPSHOT_INTERVAL) {
+        const { historyId, takenAt, quantity, layers } = result.settled;
+        await client.costLayerSnapshot.create({ data: { inventoryId: inventory.id, method, historyId, takenAt, quantity, layers } });
+        logger.info({ event: 'COST_LAYER_SNAPSHOT', inventoryId: inventory.id, method, historyId });
+    }
+    return result;
+}
+
+/**
+ * Unit cost of taking `quantity` units out of a set of cost layers; units beyond the layers cost `fallbackCost`
+ * Purpose: Only processes quantities and costs.
+ */
+export function issueCost(layers, quantity, { method = 'FIFO', fallbackCost = 0 } = {}) {
+    if (quantity <= 0) return fallbackCost;
+    const ordered = method === 'LIFO' ? [...layers].reverse() : layers;
+    let remaining = quantity;
+    let cost = 0;
+    for (const layer of ordered) {
+        const taken = Math.min(layer.quantity, remaining);
+        cost += taken * layer.unitCost;
+        remaining -= taken;
+        if (remaining === 0) break;
+    }
+    cost += remaining * fallbackCost;
+    return roundCost(cost / quantity);
+}
+
+/**
+ * Unit cost of each product about to leave a store or warehouse (sold or transferred), keyed by productId
+ * (see COGS_METHOD). Call before stock is decremented so the layers still hold the units going out.
+ * Purpose: Only processes quantities and costs. No personal data stored or logged.
+ */
+export async function issueUnitCosts(tx, { tenantId, storeId, warehouseId, items }) {
+    const quantities = new Map();
+    items.forEach(i => quantities.set(i.productId, (quantities.get(i.productId) || 0) + i.quantity));
+    const products = await tx.product.findMany({ where: { id: { in: [...quantities.keys()] } }, select: { id: true, cost: true } });
+    const costs = new Map();
+    for (const product of products) {
+        if (!VALUATION_METHODS.includes(COGS_METHOD)) {
+            costs.set(product.id, product.cost);
+            continue;
+        }
+        const inventory = await tx.inventory.findFirst({
+            where: { productId: product.id, tenantId, ...(warehouseId ? { warehouseId } : { storeId }) }
+        });
+        if (!inventory) {
+            costs.set(product.id, product.cost);
+            continue;
+        }
+        const { layers } = await replayInventory(tx, inventory, { method: COGS_METHOD, fallbackCost: product.cost });
+        costs.set(product.id, issueCost(layers, quantities.get(product.id), { method: COGS_METHOD, fallbackCost: product.cost }));
+    }
+    return costs;
+}
+
+function addTotal(map, key, fields, row) {
+    if (!map.has(key)) map.set(key, { ...fields, quantity: 0, value: 0 });
+    const total = map.get(key);
+    total.quantity += Math.max(row.quantity, 0);
+    total.value = roundMoney(total.value + row.value);
+}
+
+/**
+ * Value stock on hand (?method=FIFO|LIFO|AVG, ?storeId=, ?warehouseId=, ?categoryId=, ?productId=, ?asOf=, ?layers=true)
+ * Without asOf the current quantity is valued; with asOf the ledger is replayed up to that moment and the
+ * quantity then on hand is taken from the first later ledger entry (or the current quantity if nothing changed since).
+ * Each record is replayed from its latest cost layer snapshot, so only recent ledger entries are read.
+ * Returns one row per inventory record plus totals per location and per category.
+ * Purpose: Only returns stock quantities and costs needed for financial reporting.
+ */
+export async function getInventoryValuation({ tenantId, method = 'FIFO', storeId, warehouseId, categoryId, productId, asOf, layers }) {
+    if (!tenantId) throw new Error('Tenant context required');
+    method = String(method).toUpperCase();
+    if (!VALUATION_METHODS.includes(method)) {
+        const err = new Error(`Valuation method must be one of ${VALUATION_METHODS.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    const at = asOf ? new Date(asOf) : null;
+    const where = { tenantId: Number(tenantId), deletedAt: null };
+    if (storeId) where.storeId = Number(storeId);
+    if (warehouseId) where.warehouseId = Number(warehouseId);
+    if (productId) where.productId = Number(productId);
+    if (categoryId) where.product = { categoryId: Number(categoryId) };
+    if (at) where.createdAt = { lte: at };
+    const inventories = await prisma.inventory.findMany({
+        where,
+        include: {
+            product: { select: { id: true, name: true, sku: true, cost: true, categoryId: true, category: { select: { name: true } } } }
+        }
+    });
+
+    const rows = [];
+    const byLocation = new Map();
+    const byCategory = new Map();
+    for (const inv of inventories) {
+        const result = await replayInventory(prisma, inv, { method, fallbackCost: inv.product.cost, at });
+        const row = {
+            inventoryId: inv.id,
+            productId: inv.productId,
+            productName: inv.product.name,
+            sku: inv.product.sku,
+            categoryId: inv.product.categoryId,
+            categoryName: inv.product.category?.name || null,
+            storeId: inv.warehouseId ? null : inv.storeId,
+            warehouseId: inv.warehouseId || null,
+            quantity: result.quantity,
+            unitCost: result.unitCost,
+            value: result.value
+        };
+        if (layers === true || layers === 'true') row.layers = result.layers;
+        rows.push(row);
+        const locationKey = row.warehouseId ? `warehouse:${row.warehouseId}` : `store:${row.storeId}`;
+        addTotal(byLocation, locationKey, { storeId: row.storeId, warehouseId: row.warehouseId }, row);
+        addTotal(byCategory, row.categoryId, { categoryId: row.categoryId, categoryName: row.categoryName }, row);
+    }
+    const totalValue = roundMoney(rows.reduce((sum, r) => sum + r.value, 0));
+    logger.info({ event: 'INVENTORY_VALUATION', method, asOf: at, rows: rows.length, totalValue, tenantId });
+    return {
+        method,
+        asOf: at || new Date(),
+        totalQuantity: rows.reduce((sum, r) => sum + Math.max(r.quantity, 0), 0),
+        totalValue,
+        byLocation: [...byLocation.values()],
+        byCategory: [...byCategory.values()],
+        data: rows
+    };
+}